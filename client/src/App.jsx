@@ -1,4 +1,4 @@
-import { useState, useEffect, Component } from 'react';
+import { useState, useEffect, useRef, useCallback, Component } from 'react';
 
 class ErrorBoundary extends Component {
   constructor(props) { super(props); this.state = { error: null }; }
@@ -20,7 +20,7 @@ class ErrorBoundary extends Component {
 import Dashboard from './components/Dashboard';
 import AggregatedExchangeChart from './components/AggregatedExchangeChart';
 import AssetVolumeChart from './components/AssetVolumeChart';
-import ExchangeSelector from './components/ExchangeSelector';
+import ExchangeSelector, { EXCHANGES } from './components/ExchangeSelector';
 import VolumeChart from './components/VolumeChart';
 import PairSelector from './components/PairSelector';
 import PairVolumeChart from './components/PairVolumeChart';
@@ -38,8 +38,14 @@ import PaxgSupplyTab from './components/PaxgSupplyTab';
 import BinancePaxgTab from './components/BinancePaxgTab';
 import AaveUsdgTab from './components/AaveUsdgTab';
 import GdpTab from './components/GdpTab';
+import PegTab from './components/PegTab';
+import AdminTab from './components/AdminTab';
 import PaxgVolumeTab from './components/PaxgVolumeTab';
+import LoginScreen from './components/LoginScreen';
 import { useVolumeData, usePairVolumeData } from './hooks/useVolumeData';
+import { useTimeRange, fetchBounds } from './hooks/useTimeRange';
+import { useUrlState, useLocationChange, navigate, stringParam, listParam } from './hooks/useUrlState';
+import { useAuth } from './hooks/useAuth';
 
 const EXCHANGE_NAMES = {
   kraken: 'Kraken',
@@ -51,7 +57,8 @@ const EXCHANGE_NAMES = {
 };
 
 // Navigation grouped into dropdown menus so it scales as tabs are added.
-// `defi: true` tabs are hidden when VITE_HIDE_DEFI_TABS is set.
+// `defi: true` tabs are hidden when VITE_HIDE_DEFI_TABS is set; tabs with an
+// `area` are hidden when the signed-in role can't use that API area.
 const TAB_GROUPS = [
   { label: 'Volume', tabs: [
     { id: 'overall',   label: 'Total USDG Activity' },
@@ -59,11 +66,12 @@ const TAB_GROUPS = [
     { id: 'weekly',    label: 'Weekly Trends' },
     { id: 'monthly',   label: 'Monthly Trends' },
     { id: 'depth',     label: 'Depth & Spread' },
+    { id: 'peg',       label: 'USDG Peg' },
   ] },
   { label: 'DeFi', tabs: [
-    { id: 'totaldefi', label: 'Total DeFi', defi: true },
-    { id: 'dex',       label: 'DEX Dashboard', defi: true },
-    { id: 'vaults',    label: 'Vaults & Lending' },
+    { id: 'totaldefi', label: 'Total DeFi', defi: true, area: 'defi' },
+    { id: 'dex',       label: 'DEX Dashboard', defi: true, area: 'defi' },
+    { id: 'vaults',    label: 'Vaults & Lending', area: 'defi' },
     { id: 'aave-usdg', label: 'USDG AAVE v4' },
   ] },
   { label: 'PAXG', tabs: [
@@ -72,13 +80,76 @@ const TAB_GROUPS = [
     { id: 'binance-paxg', label: 'Binance PAXG' },
   ] },
   { label: 'More', tabs: [
-    { id: 'usdg-gdp', label: 'USDG GDP' },
+    { id: 'usdg-gdp', label: 'USDG GDP', area: 'gdp' },
     { id: 'pyusd',    label: 'PYUSD' },
     { id: 'fusebox',  label: 'Fuse Box' },
+    { id: 'admin',    label: 'Admin', area: 'admin' },
   ] },
 ];
 
-function GroupedNav({ activeTab, navigateTo, hideDefiTabs }) {
+const ALL_TABS = TAB_GROUPS.flatMap(g => g.tabs);
+
+const exchangeParam = stringParam(EXCHANGES.map(e => e.id));
+
+/**
+ * Tab for a path. Unknown slugs land on the overview; hidden tabs (DeFi in
+ * this build, or beyond the user's role) fall back to the first visible tab
+ * of the same group, so shared links still open somewhere sensible.
+ */
+function resolveTab(path, isHidden) {
+  const slug = path.replace(/^\//, '').replace(/\/$/, '') || 'overall';
+  const tab = ALL_TABS.find(t => t.id === slug);
+  if (!tab) return { tab: 'overall', redirectedFrom: slug === 'overall' ? null : slug };
+  if (!isHidden(tab)) return { tab: slug, redirectedFrom: null };
+  const group = TAB_GROUPS.find(g => g.tabs.includes(tab));
+  const fallback = group.tabs.find(t => !isHidden(t)) || ALL_TABS[0];
+  return { tab: fallback.id, redirectedFrom: tab.label };
+}
+
+const tabPath = tab => (tab === 'overall' ? '/' : `/${tab}`);
+
+function CopyLinkButton() {
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!copied) return;
+    const timer = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+    } catch {
+      // Clipboard API unavailable (plain http, old browser) — let the user copy it
+      window.prompt('Copy this link:', window.location.href);
+    }
+  };
+
+  return (
+    <button className="tab-btn copy-link-btn" onClick={copy} title="Copy a link to this view">
+      {copied ? 'Copied ✓' : 'Copy link'}
+    </button>
+  );
+}
+
+function UserMenu({ user, role, onSignIn, onSignOut }) {
+  return (
+    <div className="nav-user">
+      {user ? (
+        <>
+          <span title={`Signed in as ${role}`}>{user.username} · {role}</span>
+          <button className="tab-btn" onClick={onSignOut}>Sign out</button>
+        </>
+      ) : (
+        <button className="tab-btn" onClick={onSignIn}>Sign in</button>
+      )}
+    </div>
+  );
+}
+
+function GroupedNav({ activeTab, navigateTo, isHidden, children }) {
   const [openGroup, setOpenGroup] = useState(null);
 
   useEffect(() => {
@@ -89,7 +160,7 @@ function GroupedNav({ activeTab, navigateTo, hideDefiTabs }) {
   }, [openGroup]);
 
   const groups = TAB_GROUPS
-    .map(g => ({ ...g, tabs: g.tabs.filter(t => !(t.defi && hideDefiTabs)) }))
+    .map(g => ({ ...g, tabs: g.tabs.filter(t => !isHidden(t)) }))
     .filter(g => g.tabs.length);
 
   return (
@@ -122,6 +193,8 @@ function GroupedNav({ activeTab, navigateTo, hideDefiTabs }) {
           </div>
         );
       })}
+      <CopyLinkButton />
+      {children}
     </nav>
   );
 }
@@ -155,41 +228,85 @@ export default function App() {
     return <MaintenancePage />;
   }
 
+  const { me, loading, error, login, logout } = useAuth();
+  // Anonymous visitors (when the server allows them) can still choose to sign in
+  const [signingIn, setSigningIn] = useState(false);
+
+  if (loading) return <div className="loading">Loading…</div>;
+  if (error) return <div className="error">Error: {error}</div>;
+  if (!me.role || signingIn) {
+    return (
+      <LoginScreen
+        onLogin={async (username, password) => { await login(username, password); setSigningIn(false); }}
+        onCancel={me.role ? () => setSigningIn(false) : null}
+      />
+    );
+  }
+
+  // Keyed on the role so every tab refetches with the new permissions
+  return (
+    <Tracker
+      key={me.role}
+      me={me}
+      onSignIn={() => setSigningIn(true)}
+      onSignOut={logout}
+    />
+  );
+}
+
+function Tracker({ me, onSignIn, onSignOut }) {
   const hideDefiTabs = import.meta.env.VITE_HIDE_DEFI_TABS === 'true';
+  const isHidden = useCallback(
+    tab => (tab.defi && hideDefiTabs) || (tab.area && !me.access[tab.area]),
+    [hideDefiTabs, me]
+  );
 
-  const VALID_TABS = ['overall','dashboard','weekly','monthly','depth','totaldefi','dex','vaults','fusebox','pyusd','paxg-supply','paxg-volume','binance-paxg','aave-usdg','usdg-gdp'];
-  const pathToTab = (path) => {
-    const slug = path.replace(/^\//, '') || 'overall';
-    return VALID_TABS.includes(slug) ? slug : 'overall';
-  };
+  const [initialTab] = useState(() => resolveTab(window.location.pathname, isHidden));
+  const [activeTab, setActiveTab] = useState(initialTab.tab);
+  const [redirectNotice, setRedirectNotice] = useState(initialTab.redirectedFrom);
 
-  const [activeTab, setActiveTab] = useState(() => pathToTab(window.location.pathname));
+  // Rewrite a redirected path so copying the link gives the tab actually shown
+  useEffect(() => {
+    if (initialTab.redirectedFrom) {
+      window.history.replaceState(null, '', `${tabPath(initialTab.tab)}${window.location.search}`);
+    }
+  }, []);
 
-  const navigateTo = (tab) => {
+  useLocationChange(useCallback(() => {
+    const { tab, redirectedFrom } = resolveTab(window.location.pathname, isHidden);
     setActiveTab(tab);
-    const path = tab === 'overall' ? '/' : `/${tab}`;
-    window.history.pushState(null, '', path);
-  };
-  const [selectedExchange, setSelectedExchange] = useState('kraken');
-  const [exchangeTimeRange, setExchangeTimeRange] = useState('30d');
-  const [pairExchange, setPairExchange] = useState('kraken');
-  const [pairTimeRange, setPairTimeRange] = useState('30d');
-  const [selectedPairs, setSelectedPairs] = useState([]);
+    setRedirectNotice(redirectedFrom);
+  }, [isHidden]));
 
-  const { data, loading, error, lastUpdated } = useVolumeData(selectedExchange);
-  const { data: pairData, loading: pairLoading, error: pairError } = usePairVolumeData(pairExchange);
-
-  // Reset selected pairs when exchange changes
-  useEffect(() => {
-    setSelectedPairs([]);
-  }, [pairExchange]);
+  // Each tab's selections are remembered for the session, so hopping away
+  // and back through the nav doesn't reset them
+  const tabQueries = useRef({});
+  const navigateTo = (tab) => {
+    tabQueries.current[activeTab] = window.location.search;
+    setRedirectNotice(null);
+    navigate(`${tabPath(tab)}${tabQueries.current[tab] || ''}`);
+  };
 
-  // Auto-select first pair when data loads
-  useEffect(() => {
-    if (pairData?.pairs?.length > 0 && selectedPairs.length === 0) {
-      setSelectedPairs([pairData.pairs[0]]);
-    }
-  }, [pairData?.pairs]);
+  const [selectedExchange, setSelectedExchange] = useUrlState('exchange.ex', 'kraken', exchangeParam);
+  const [exchangeRange, setExchangeRange] = useTimeRange('exchange');
+  const [pairExchange, setPairExchange] = useUrlState('pairs.ex', 'kraken', exchangeParam);
+  const [pairRange, setPairRange] = useTimeRange('pairs');
+  // null until the user picks: show the exchange's first pair
+  const [pickedPairs, setPickedPairs] = useUrlState('pairs.sel', null, listParam);
+
+  const { data, loading, error, lastUpdated } = useVolumeData(selectedExchange, fetchBounds(exchangeRange));
+  const { data: pairData, loading: pairLoading, error: pairError } = usePairVolumeData(pairExchange, fetchBounds(pairRange));
+
+  const availablePairs = pairData?.pairs || [];
+  const selectedPairs = pickedPairs
+    ? pickedPairs.filter(p => availablePairs.includes(p))
+    : availablePairs.slice(0, 1);
+
+  // Pairs differ between exchanges, so switching starts the selection over
+  const changePairExchange = (exchange) => {
+    setPairExchange(exchange);
+    setPickedPairs(null);
+  };
 
   const exchangeDisplayName = EXCHANGE_NAMES[selectedExchange] || selectedExchange;
 
@@ -201,7 +318,15 @@ export default function App() {
       </header>
 
       {/* Tab Navigation */}
-      <GroupedNav activeTab={activeTab} navigateTo={navigateTo} hideDefiTabs={hideDefiTabs} />
+      <GroupedNav activeTab={activeTab} navigateTo={navigateTo} isHidden={isHidden}>
+        <UserMenu user={me.user} role={me.role} onSignIn={onSignIn} onSignOut={onSignOut} />
+      </GroupedNav>
+
+      {redirectNotice && (
+        <div className="redirect-notice">
+          “{redirectNotice}” isn't available here — showing {ALL_TABS.find(t => t.id === activeTab)?.label} instead.
+        </div>
+      )}
 
       {activeTab === 'weekly' ? (
         <WeeklyTrends />
@@ -209,6 +334,8 @@ export default function App() {
         <MonthlyTrends />
       ) : activeTab === 'depth' ? (
         <DepthSpreadTable />
+      ) : activeTab === 'peg' ? (
+        <ErrorBoundary><PegTab /></ErrorBoundary>
       ) : activeTab === 'overall' ? (
         <OverallVolumeChart />
       ) : activeTab === 'totaldefi' ? (
@@ -229,6 +356,8 @@ export default function App() {
         <BinancePaxgTab />
       ) : activeTab === 'usdg-gdp' ? (
         <ErrorBoundary><GdpTab /></ErrorBoundary>
+      ) : activeTab === 'admin' ? (
+        <ErrorBoundary><AdminTab /></ErrorBoundary>
       ) : activeTab === 'aave-usdg' ? (
         <AaveUsdgTab />
       ) : (
@@ -246,7 +375,7 @@ export default function App() {
         <div className="section-header">
           <h2>Exchange Trading Volume: {exchangeDisplayName}</h2>
           <div className="section-controls">
-            <TimeRangeSelector value={exchangeTimeRange} onChange={setExchangeTimeRange} />
+            <TimeRangeSelector value={exchangeRange} onChange={setExchangeRange} />
             <ExchangeSelector value={selectedExchange} onChange={setSelectedExchange} />
           </div>
         </div>
@@ -261,7 +390,7 @@ export default function App() {
 
         {!loading && !error && data && (
           <>
-            <VolumeChart data={data.dailyVolume} timeRange={exchangeTimeRange} />
+            <VolumeChart data={data.dailyVolume} range={exchangeRange} />
 
             {data.pairs && data.pairs.length > 0 && (
               <div className="pairs-list">
@@ -288,8 +417,8 @@ export default function App() {
         <div className="section-header">
           <h2>Trading Volume by Pair</h2>
           <div className="section-controls">
-            <TimeRangeSelector value={pairTimeRange} onChange={setPairTimeRange} />
-            <ExchangeSelector value={pairExchange} onChange={setPairExchange} />
+            <TimeRangeSelector value={pairRange} onChange={setPairRange} />
+            <ExchangeSelector value={pairExchange} onChange={changePairExchange} />
           </div>
         </div>
 
@@ -306,13 +435,13 @@ export default function App() {
             <PairSelector
               pairs={pairData.pairs}
               selectedPairs={selectedPairs}
-              onChange={setSelectedPairs}
+              onChange={setPickedPairs}
             />
 
             <PairVolumeChart
               volumeByPair={pairData.volumeByPair}
               selectedPairs={selectedPairs}
-              timeRange={pairTimeRange}
+              range={pairRange}
             />
 
             {selectedPairs.length > 1 && (
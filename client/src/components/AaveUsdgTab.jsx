@@ -1,10 +1,13 @@
-import { useState } from 'react';
 import {
   ComposedChart, Area, Line, Bar,
   XAxis, YAxis, CartesianGrid, Tooltip,
   ResponsiveContainer, Legend, ReferenceLine, ReferenceArea
 } from 'recharts';
+import TimeRangeSelector from './TimeRangeSelector';
 import { useAaveUsdg, useAaveUsdgHistory, useAaveUsdgPaxos, useAaveUsdgPaxosHistory } from '../hooks/useVolumeData';
+import {
+  useTimeRange, fetchBounds, applyRange, withPrevious, formatBucket, addDays, todayUtc, GHOST_LINE_PROPS
+} from '../hooks/useTimeRange';
 
 const AAVE_PURPLE = '#b6509e';
 const APY_GREEN   = '#10b981';
@@ -28,6 +31,10 @@ function formatDate(dateStr) {
   return new Date(y, m - 1, d).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
 }
 
+function fmtNimApy(rate) {
+  return rate != null ? `${(rate * 100).toFixed(1)}%` : 'NIM rate';
+}
+
 function StatCard({ label, value, sub, color }) {
   return (
     <div className="comparison-card">
@@ -54,13 +61,6 @@ const OOP_SUB_COLOR  = '#fb923c'; // unsustainable subsidy (out-of-pocket)
 const DEFICIT_COLOR  = '#ef4444'; // subsidy exceeds demand (bootstrapping)
 const SURPLUS_COLOR  = '#22c55e'; // demand exceeds subsidy (self-sustaining)
 
-// Revenue-share rate earned on idle USDG sitting on Aave (supply TVL − borrow TVL).
-const NIM_APY = 0.031; // 3.1% APY
-
-// Paxos-configured total supply APY target delivered via the Merkl Hub campaign.
-// OOP = whatever is needed above the base rate to hit this target.
-const MERKL_TARGET_APR = 6.2;   // percent
-
 // The current 6.2% campaign started July 7 2026. Before that, use weekly budget data.
 const CAMPAIGN_START = '2026-07-07';
 
@@ -97,12 +97,24 @@ const CSV_COLUMNS = [
   ['total_supply_usd',            r => r.totalSupply],
   ['supply_apy_pct',              r => r.supplyApy],
   ['idle_usdg',                   r => r.idle],
+  ['nim_apy',                     r => r.nimApy],
   ['nim_revenue_usd',             r => r.nimRevenue],
   ['merkl_incentives_usd',        r => r.merklRewards],
   ['nim_funded_incentive_usd',    r => r.nimFunded],
   ['out_of_pocket_incentive_usd', r => r.outOfPocket],
 ];
 
+// Range rollup: balances take the period-end value, everything else the
+// period's daily average. oopSource is a label, carried as the last one seen.
+const RANGE_KEYS = [
+  'totalDebt', 'borrowApy', 'dailyInterest', 'merklRewards', 'totalSupply', 'supplyApy',
+  'idle', 'nimApy', 'nimRevenue', 'nimFunded', 'outOfPocket', 'oopNeg', 'oopSource', 'netPosition',
+  'totalSupplyApyChart', 'incentiveBoostApy', 'demand', 'oopArea', 'totalSubsidy',
+];
+const RANGE_AGGREGATES = Object.fromEntries(RANGE_KEYS.map(k =>
+  [k, ['totalDebt', 'totalSupply', 'idle', 'oopSource'].includes(k) ? 'last' : 'avg']
+));
+
 function toCsv(rows) {
   const header = CSV_COLUMNS.map(c => c[0]).join(',');
   const lines = rows.map(r =>
@@ -114,9 +126,157 @@ function toCsv(rows) {
   return [header, ...lines].join('\n');
 }
 
-function downloadCsv(rows, lookback) {
-  const slice = lookback == null ? rows : rows.slice(-lookback);
-  const blob = new Blob([toCsv(slice)], { type: 'text/csv;charset=utf-8' });
+/**
+ * Daily rows for the charts and CSV from both hubs' history (sorted by date).
+ * Merkl rewards forward-fill across missing days, so the history should start
+ * MERKL_FILL_DAYS before the first day shown.
+ */
+function buildChartRows(history, paxosHistory) {
+  // Build date-keyed lookup for Paxos Hub history to merge into the rows
+  const paxosByDate = {};
+  for (const row of paxosHistory) {
+    paxosByDate[row.date] = row;
+  }
+
+  // Merkl daily rewards are captured sparsely (API lookback limits). Once the campaign
+  // is tracked, forward-fill a missing daily snapshot so a data hole doesn't read as
+  // "subsidy paused" (which would draw a spurious surplus). Rows before the first tracked
+  // day stay null → treated as no out-of-pocket campaign yet.
+  let _lastMerkl = null;
+  return history.map(row => {
+    // Merge Paxos Hub row for this date (null if Paxos Hub not yet logging)
+    const paxos = paxosByDate[row.date] || null;
+
+    const totalDebt   = (row.total_debt || 0) + (paxos?.total_debt || 0);
+    const totalSupply = row.total_supply != null || paxos?.total_supply != null
+      ? (row.total_supply || 0) + (paxos?.total_supply || 0)
+      : null;
+
+    // Merkl: sum both hubs. Treat 0 as null (no active campaign).
+    const coreRawMerkl  = row.merkl_daily_rewards || null;
+    const paxosRawMerkl = paxos?.merkl_daily_rewards || null;
+    const rawMerkl = (coreRawMerkl != null || paxosRawMerkl != null)
+      ? (coreRawMerkl || 0) + (paxosRawMerkl || 0) || null
+      : null;
+    if (rawMerkl != null) _lastMerkl = rawMerkl;
+    const merklRewards = rawMerkl != null ? rawMerkl : _lastMerkl;
+
+    // Idle USDG = combined supply − combined debt — earns the NIM share
+    const idle = totalSupply != null && totalDebt != null
+      ? Math.max(totalSupply - totalDebt, 0)
+      : null;
+    // NIM rate in force that day (server parameter store)
+    const nimApy = row.nim_apy;
+    const nimRevenue = idle != null && nimApy != null ? idle * nimApy / 365 : null;
+
+    const nimFunded = null;
+
+    // Daily interest = sum of both hubs
+    const demand    = (row.daily_interest || 0) + (paxos?.daily_interest || 0);
+
+    // Supply APY: recompute from combined utilization; prefer Core Hub hub_apr (same target)
+    const utilization = totalSupply > 0 ? totalDebt / totalSupply : 0;
+    const borrowApyCombined = totalDebt > 0
+      ? ((row.borrow_apy || 0) * (row.total_debt || 0) + (paxos?.borrow_apy || 0) * (paxos?.total_debt || 0)) / totalDebt
+      : (row.borrow_apy || 0);
+    const supplyApy = borrowApyCombined * utilization;
+
+    // OOP = Merkl daily spend. Merkl automatically tops up whatever the organic rate
+    // doesn't cover to maintain the campaign target. The organic interest and NIM flow
+    // to suppliers through the protocol separately — Merkl's payout is purely the
+    // incremental cash being deployed.
+    const histOop = merklRewards == null ? historicalDailyOop(row.date) : null;
+    const oopSource = merklRewards != null ? 'merkl' : histOop != null ? 'historical' : null;
+    const outOfPocket = merklRewards != null ? merklRewards : histOop ?? null;
+
+    const oopTracked   = outOfPocket != null;
+    const oopArea      = outOfPocket;
+    const totalSubsidy = (nimRevenue != null && oopTracked) ? nimRevenue + outOfPocket : null;
+    const oopNeg       = oopTracked ? -outOfPocket : null;
+    // Net = natural flows to the market (borrow interest + NIM) minus Merkl spend.
+    // Positive when the market generates enough organically to offset incentive cost.
+    const netPosition  = oopTracked && nimRevenue != null
+      ? demand + nimRevenue - outOfPocket
+      : null;
+
+    // Total supply APY: prefer merkl_hub_apr directly — the campaign's configured target rate.
+    // That's the number Aave shows (e.g. 6.0%). Computing from dailyRewards×365/TVL gives the
+    // same thing in principle, but the hub_apr is more stable and avoids TVL-denominator drift.
+    // Fall back to dailyRewards computation for historical days before hub_apr was stored.
+    const totalDailyMerkl = merklRewards ?? outOfPocket ?? null;
+    // merkl_hub_apr from Core Hub row — both hubs target the same rate
+    const rawTotalSupplyApy = row.merkl_hub_apr != null
+      ? row.merkl_hub_apr  // directly the campaign-configured total APY
+      : (totalDailyMerkl != null && totalSupply
+          ? totalDailyMerkl * 365 / totalSupply * 100
+          : null);
+    const totalSupplyApyChart = rawTotalSupplyApy != null && rawTotalSupplyApy > 0 && rawTotalSupplyApy <= 50
+      ? rawTotalSupplyApy
+      : null;
+    const incentiveBoostApy = totalSupplyApyChart != null && supplyApy != null
+      ? Math.max(totalSupplyApyChart - supplyApy, 0)
+      : null;
+
+    return {
+      date: row.date,
+      displayDate: formatDate(row.date),
+      totalDebt,
+      borrowApy: borrowApyCombined,
+      dailyInterest: demand,
+      merklRewards,
+      totalSupply,
+      supplyApy: supplyApy || null,
+      idle,
+      nimApy,
+      nimRevenue,
+      nimFunded,
+      outOfPocket,
+      oopNeg,
+      oopSource,
+      netPosition,
+      totalSupplyApyChart,
+      incentiveBoostApy,
+      demand,
+      oopArea,
+      totalSubsidy,
+    };
+  });
+}
+
+// Days of history fetched ahead of a window so Merkl rewards can forward-fill into it
+const MERKL_FILL_DAYS = 90;
+
+function withFillLead({ start, end }) {
+  return { start: start && addDays(start, -MERKL_FILL_DAYS), end };
+}
+
+async function fetchHistory(path, bounds) {
+  const params = new URLSearchParams(Object.entries(bounds).filter(([, v]) => v)).toString();
+  const res = await fetch(params ? `${path}?${params}` : path);
+  if (!res.ok) throw new Error(res.statusText);
+  return (await res.json()).history;
+}
+
+// Daily rows for the last `lookback` days (all history when null), fetched on demand
+async function fetchCsvRows(lookback) {
+  const bounds = lookback == null ? {} : withFillLead({ start: addDays(todayUtc(), -(lookback - 1)) });
+  const [history, paxosHistory] = await Promise.all([
+    fetchHistory('/api/aave/usdg/history', bounds),
+    fetchHistory('/api/aave/usdg/paxos/history', bounds),
+  ]);
+  const rows = buildChartRows(history, paxosHistory);
+  return lookback == null ? rows : rows.slice(-lookback);
+}
+
+async function downloadCsv(lookback) {
+  let rows;
+  try {
+    rows = await fetchCsvRows(lookback);
+  } catch (err) {
+    alert(`Download failed: ${err.message}`);
+    return;
+  }
+  const blob = new Blob([toCsv(rows)], { type: 'text/csv;charset=utf-8' });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -131,12 +291,9 @@ const SUPPLY_COLOR = '#3b82f6';
 
 const TOTAL_APY_COLOR = '#00d4aa'; // bold teal for total supply APY line
 
-function SupplyChart({ chartData }) {
-  const [lookback, setLookback] = useState(30);
-
-  const filtered = lookback === null ? chartData : chartData.slice(-lookback);
-  const hasSupply = filtered.some(d => d.totalSupply != null);
-  const hasIncentiveApy = filtered.some(d => d.totalSupplyApyChart != null);
+function SupplyChart({ chartData, compare }) {
+  const hasSupply = chartData.some(d => d.totalSupply != null);
+  const hasIncentiveApy = chartData.some(d => d.totalSupplyApyChart != null);
 
   return (
     <section className="chart-section">
@@ -147,23 +304,13 @@ function SupplyChart({ chartData }) {
             Total USDG supplied (left) · base rate from borrow interest, incentive boost, and total supply APY (right)
           </p>
         </div>
-        <div style={{ display: 'flex', gap: 4, background: '#1a1f2e', borderRadius: 6, padding: 3 }}>
-          {LOOKBACKS.map(({ label, days }) => (
-            <button key={label} onClick={() => setLookback(days)}
-              style={{ padding: '3px 10px', borderRadius: 4, fontSize: 12, cursor: 'pointer', border: 'none',
-                background: lookback === days ? '#2f3542' : 'transparent',
-                color: lookback === days ? '#e7e9ea' : '#71767b' }}>
-              {label}
-            </button>
-          ))}
-        </div>
       </div>
       {!hasSupply ? (
         <div className="no-data" style={{ padding: 20 }}>Supply data is being populated — check back shortly.</div>
       ) : (
         <div className="chart-container">
           <ResponsiveContainer width="100%" height="100%">
-            <ComposedChart data={filtered} margin={{ top: 10, right: 65, left: 20, bottom: 5 }}>
+            <ComposedChart data={chartData} margin={{ top: 10, right: 65, left: 20, bottom: 5 }}>
               <defs>
                 <linearGradient id="supplyGrad" x1="0" y1="0" x2="0" y2="1">
                   <stop offset="5%"  stopColor={SUPPLY_COLOR} stopOpacity={0.2} />
@@ -195,6 +342,7 @@ function SupplyChart({ chartData }) {
                   if (name === 'supplyApy')           return [v.toFixed(3) + '%', 'Base rate (borrow interest)'];
                   if (name === 'incentiveBoostApy')   return [v.toFixed(3) + '%', 'Incentive boost'];
                   if (name === 'totalSupplyApyChart') return [v.toFixed(3) + '%', 'Total supply APY'];
+                  if (name === 'prev_totalSupply')    return [formatUSD(v), 'Supply TVL (previous period)'];
                   return [v, name];
                 }}
               />
@@ -204,12 +352,16 @@ function SupplyChart({ chartData }) {
                   supplyApy: 'Base rate (borrow interest)',
                   incentiveBoostApy: 'Incentive boost',
                   totalSupplyApyChart: 'Total supply APY',
+                  prev_totalSupply: 'Supply TVL (previous period)',
                 }[v] ?? v)} />
 
               {/* Supply TVL area */}
               <Area yAxisId="supply" type="monotone" dataKey="totalSupply"
                 stroke={SUPPLY_COLOR} strokeWidth={2} fill="url(#supplyGrad)"
                 dot={false} activeDot={{ r: 4, fill: SUPPLY_COLOR, strokeWidth: 0 }} name="totalSupply" />
+              {compare && (
+                <Line yAxisId="supply" type="monotone" dataKey="prev_totalSupply" name="prev_totalSupply" {...GHOST_LINE_PROPS} />
+              )}
 
               {/* Base rate (borrow interest) — thin dashed baseline */}
               <Line yAxisId="apy" type="monotone" dataKey="supplyApy"
@@ -238,14 +390,7 @@ function SupplyChart({ chartData }) {
   );
 }
 
-const LOOKBACKS = [
-  { label: '7 Days',  days: 7 },
-  { label: '30 Days', days: 30 },
-  { label: '90 Days', days: 90 },
-  { label: 'All',     days: null },
-];
-
-function DownloadControl({ chartData }) {
+function DownloadControl() {
   const RANGES = [
     { label: '30 Days', days: 30 },
     { label: '90 Days', days: 90 },
@@ -256,10 +401,9 @@ function DownloadControl({ chartData }) {
       <span style={{ color: '#71767b', fontSize: 13 }}>Download daily data:</span>
       <div style={{ display: 'flex', gap: 4, background: '#1a1f2e', borderRadius: 6, padding: 3 }}>
         {RANGES.map(({ label, days }) => (
-          <button key={label} onClick={() => downloadCsv(chartData, days)}
-            disabled={!chartData.length}
+          <button key={label} onClick={() => downloadCsv(days)}
             style={{ padding: '5px 12px', borderRadius: 4, fontSize: 12, fontWeight: 600,
-              cursor: chartData.length ? 'pointer' : 'not-allowed', border: 'none',
+              cursor: 'pointer', border: 'none',
               background: 'transparent', color: '#00d4aa' }}>
             ⬇ {label}
           </button>
@@ -307,7 +451,7 @@ function DivergingTooltip({ active, payload, label }) {
       <div style={{ color: '#71767b', marginBottom: 8, fontSize: 12 }}>{label}</div>
 
       <TipRow color={DEMAND_COLOR} label="Borrow interest" value={r.demand} />
-      <TipRow color={NIM_SUB_COLOR} label={`NIM share (idle × ${(NIM_APY * 100).toFixed(1)}%)`} value={r.nimRevenue} />
+      <TipRow color={NIM_SUB_COLOR} label={`NIM share (idle × ${fmtNimApy(r.nimApy)})`} value={r.nimRevenue} />
       <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 12, fontWeight: 600,
         color: '#e7e9ea', paddingTop: 4, marginTop: 4, borderTop: '1px solid #2f3542' }}>
         <span>Total above $0</span><span>{formatUSD(posTotal)}/day</span>
@@ -339,17 +483,15 @@ function DivergingTooltip({ active, payload, label }) {
   );
 }
 
-function DivergingBarChart({ chartData }) {
-  const [lookback, setLookback] = useState(30);
-  const filtered = lookback === null ? chartData : chartData.slice(-lookback);
+function DivergingBarChart({ chartData, compare }) {
   const dollarTick = v => (v < 0 ? '−' : '') + '$' +
     (Math.abs(v) >= 1000 ? (Math.abs(v) / 1000).toFixed(1) + 'K' : Math.abs(v).toFixed(0));
 
-  const trackedIdx = filtered.findIndex(d => d.oopNeg != null);
-  const trackingStart = trackedIdx >= 0 ? filtered[trackedIdx] : null;
-  const untrackedFrom = trackedIdx > 0 ? filtered[0] : null;
+  const trackedIdx = chartData.findIndex(d => d.oopNeg != null);
+  const trackingStart = trackedIdx >= 0 ? chartData[trackedIdx] : null;
+  const untrackedFrom = trackedIdx > 0 ? chartData[0] : null;
 
-  const latest = [...filtered].reverse().find(d => d.oopNeg != null);
+  const latest = [...chartData].reverse().find(d => d.oopNeg != null);
   const positiveTotal = latest
     ? (latest.demand ?? 0) + (latest.nimRevenue ?? 0)
     : null;
@@ -369,16 +511,6 @@ function DivergingBarChart({ chartData }) {
             Net line: positive when natural flows cover OOP.
           </p>
         </div>
-        <div style={{ display: 'flex', gap: 4, background: '#1a1f2e', borderRadius: 6, padding: 3 }}>
-          {LOOKBACKS.map(({ label, days }) => (
-            <button key={label} onClick={() => setLookback(days)}
-              style={{ padding: '3px 10px', borderRadius: 4, fontSize: 12, cursor: 'pointer', border: 'none',
-                background: lookback === days ? '#2f3542' : 'transparent',
-                color: lookback === days ? '#e7e9ea' : '#71767b' }}>
-              {label}
-            </button>
-          ))}
-        </div>
       </div>
 
       {net != null && (
@@ -399,14 +531,15 @@ function DivergingBarChart({ chartData }) {
 
       <div style={{ display: 'flex', gap: 16, flexWrap: 'wrap', margin: '4px 0 10px', fontSize: 12, color: '#a9b1ba' }}>
         <LegendChip color={DEMAND_COLOR} label="Borrow interest" />
-        <LegendChip color={NIM_SUB_COLOR} label={`NIM share (idle USDG × ${(NIM_APY * 100).toFixed(1)}%)`} />
+        <LegendChip color={NIM_SUB_COLOR} label={`NIM share (idle USDG × ${fmtNimApy(chartData[chartData.length - 1]?.nimApy)})`} />
         <LegendChip color={DEFICIT_COLOR} label="Merkl daily spend" />
         <LegendChip color="#e7e9ea" line label="Net position" />
+        {compare && <LegendChip color={GHOST_LINE_PROPS.stroke} line label="Net position, previous period" />}
       </div>
 
       <div className="chart-container">
         <ResponsiveContainer width="100%" height="100%">
-          <ComposedChart data={filtered} margin={{ top: 10, right: 30, left: 20, bottom: 5 }} barCategoryGap="8%">
+          <ComposedChart data={chartData} margin={{ top: 10, right: 30, left: 20, bottom: 5 }} barCategoryGap="8%">
             <CartesianGrid strokeDasharray="3 3" stroke="#2f3542" />
             <XAxis dataKey="displayDate" stroke="#71767b" tick={{ fill: '#71767b', fontSize: 11 }} tickMargin={10} interval="preserveStartEnd" />
             <YAxis stroke="#71767b" tick={{ fill: '#71767b', fontSize: 11 }} tickFormatter={dollarTick} width={70} />
@@ -433,6 +566,8 @@ function DivergingBarChart({ chartData }) {
             <Line dataKey="netPosition" type="monotone" stroke="#e7e9ea" strokeWidth={2.5}
               dot={{ r: 3.5, fill: '#e7e9ea', strokeWidth: 0 }} isAnimationActive={false}
               connectNulls={false} activeDot={{ r: 5, fill: '#e7e9ea', strokeWidth: 0 }} />
+
+            {compare && <Line dataKey="prev_netPosition" type="monotone" {...GHOST_LINE_PROPS} />}
           </ComposedChart>
         </ResponsiveContainer>
       </div>
@@ -440,28 +575,16 @@ function DivergingBarChart({ chartData }) {
   );
 }
 
-function BorrowChart({ chartData }) {
-  const [lookback, setLookback] = useState(30);
-  const filtered = lookback === null ? chartData : chartData.slice(-lookback);
+function BorrowChart({ chartData, compare }) {
 
   return (
     <section className="chart-section">
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 10, flexWrap: 'wrap', gap: 8 }}>
         <h3 style={{ margin: 0 }}>Total Borrowed & Variable Borrow Rate</h3>
-        <div style={{ display: 'flex', gap: 4, background: '#1a1f2e', borderRadius: 6, padding: 3 }}>
-          {LOOKBACKS.map(({ label, days }) => (
-            <button key={label} onClick={() => setLookback(days)}
-              style={{ padding: '3px 10px', borderRadius: 4, fontSize: 12, cursor: 'pointer', border: 'none',
-                background: lookback === days ? '#2f3542' : 'transparent',
-                color: lookback === days ? '#e7e9ea' : '#71767b' }}>
-              {label}
-            </button>
-          ))}
-        </div>
       </div>
       <div className="chart-container">
         <ResponsiveContainer width="100%" height="100%">
-          <ComposedChart data={filtered} margin={{ top: 10, right: 60, left: 20, bottom: 5 }}>
+          <ComposedChart data={chartData} margin={{ top: 10, right: 60, left: 20, bottom: 5 }}>
             <defs>
               <linearGradient id="debtGrad" x1="0" y1="0" x2="0" y2="1">
                 <stop offset="5%"  stopColor={AAVE_PURPLE} stopOpacity={0.2} />
@@ -480,10 +603,13 @@ function BorrowChart({ chartData }) {
               label={{ value: 'APY', angle: 90, position: 'insideRight', fill: APY_GREEN, fontSize: 11, dx: 8 }} />
             <Tooltip content={<CombinedTooltip />} />
             <Legend wrapperStyle={{ color: '#e7e9ea' }}
-              formatter={v => v === 'totalDebt' ? 'Total Borrowed' : 'Borrow APY'} />
+              formatter={v => ({ totalDebt: 'Total Borrowed', borrowApy: 'Borrow APY', prev_totalDebt: 'Borrowed (previous period)' }[v] ?? v)} />
             <Area yAxisId="debt" type="monotone" dataKey="totalDebt"
               stroke={AAVE_PURPLE} strokeWidth={2} fill="url(#debtGrad)"
               dot={false} activeDot={{ r: 4, fill: AAVE_PURPLE, strokeWidth: 0 }} name="totalDebt" />
+            {compare && (
+              <Line yAxisId="debt" type="monotone" dataKey="prev_totalDebt" name="prev_totalDebt" {...GHOST_LINE_PROPS} />
+            )}
             <Line yAxisId="apy" type="monotone" dataKey="borrowApy"
               stroke={APY_GREEN} strokeWidth={2} dot={false}
               activeDot={{ r: 4, fill: APY_GREEN, strokeWidth: 0 }} name="borrowApy" />
@@ -498,128 +624,37 @@ function CombinedTooltip({ active, payload, label }) {
   if (!active || !payload?.length) return null;
   const debt = payload.find(p => p.dataKey === 'totalDebt');
   const apy  = payload.find(p => p.dataKey === 'borrowApy');
+  const { prev_totalDebt: prevDebt, prevDate } = payload[0].payload;
   return (
     <div style={{ ...tooltipBase.contentStyle, padding: '10px 14px' }}>
       <div style={{ color: '#71767b', marginBottom: 6, fontSize: 12 }}>{label}</div>
       {debt && <div style={{ color: AAVE_PURPLE }}>{formatUSD(debt.value)} borrowed</div>}
       {apy  && <div style={{ color: APY_GREEN  }}>{apy.value.toFixed(4)}% APY</div>}
+      {prevDebt != null && <div style={{ color: '#8899a6', fontSize: 12 }}>{prevDate}: {formatUSD(prevDebt)} borrowed</div>}
     </div>
   );
 }
 
 export default function AaveUsdgTab() {
   const { data: live, loading: liveLoading, error: liveError, lastUpdated } = useAaveUsdg();
-  const { data: hist, loading: histLoading } = useAaveUsdgHistory();
   const { data: paxosLive } = useAaveUsdgPaxos();
-  const { data: paxosHist } = useAaveUsdgPaxosHistory(); // non-blocking
-
-  // Build date-keyed lookup for Paxos Hub history to merge into chartData
-  const paxosByDate = {};
-  for (const row of (paxosHist?.history || [])) {
-    paxosByDate[row.date] = row;
-  }
-
-  const history = hist?.history || [];
-  // Merkl daily rewards are captured sparsely (API lookback limits). Once the campaign
-  // is tracked, forward-fill a missing daily snapshot so a data hole doesn't read as
-  // "subsidy paused" (which would draw a spurious surplus). Rows before the first tracked
-  // day stay null → treated as no out-of-pocket campaign yet.
-  let _lastMerkl = null;
-  const chartData = history.map(row => {
-    // Merge Paxos Hub row for this date (null if Paxos Hub not yet logging)
-    const paxos = paxosByDate[row.date] || null;
-
-    const totalDebt   = (row.total_debt || 0) + (paxos?.total_debt || 0);
-    const totalSupply = row.total_supply != null || paxos?.total_supply != null
-      ? (row.total_supply || 0) + (paxos?.total_supply || 0)
-      : null;
-
-    // Merkl: sum both hubs. Treat 0 as null (no active campaign).
-    const coreRawMerkl  = row.merkl_daily_rewards || null;
-    const paxosRawMerkl = paxos?.merkl_daily_rewards || null;
-    const rawMerkl = (coreRawMerkl != null || paxosRawMerkl != null)
-      ? (coreRawMerkl || 0) + (paxosRawMerkl || 0) || null
-      : null;
-    if (rawMerkl != null) _lastMerkl = rawMerkl;
-    const merklRewards = rawMerkl != null ? rawMerkl : _lastMerkl;
-
-    // Idle USDG = combined supply − combined debt — earns the NIM share
-    const idle = totalSupply != null && totalDebt != null
-      ? Math.max(totalSupply - totalDebt, 0)
-      : null;
-    const nimRevenue = idle != null ? idle * NIM_APY / 365 : null;
-
-    const nimFunded = null;
-
-    // Daily interest = sum of both hubs
-    const demand    = (row.daily_interest || 0) + (paxos?.daily_interest || 0);
-
-    // Supply APY: recompute from combined utilization; prefer Core Hub hub_apr (same target)
-    const utilization = totalSupply > 0 ? totalDebt / totalSupply : 0;
-    const borrowApyCombined = totalDebt > 0
-      ? ((row.borrow_apy || 0) * (row.total_debt || 0) + (paxos?.borrow_apy || 0) * (paxos?.total_debt || 0)) / totalDebt
-      : (row.borrow_apy || 0);
-    const supplyApy = borrowApyCombined * utilization;
-
-    // OOP = Merkl daily spend. Merkl automatically tops up whatever the organic rate
-    // doesn't cover to maintain the 6.18% target. The organic interest and NIM flow
-    // to suppliers through the protocol separately — Merkl's payout is purely the
-    // incremental cash being deployed.
-    const histOop = merklRewards == null ? historicalDailyOop(row.date) : null;
-    const oopSource = merklRewards != null ? 'merkl' : histOop != null ? 'historical' : null;
-    const outOfPocket = merklRewards != null ? merklRewards : histOop ?? null;
-
-    const oopTracked   = outOfPocket != null;
-    const oopArea      = outOfPocket;
-    const totalSubsidy = (nimRevenue != null && oopTracked) ? nimRevenue + outOfPocket : null;
-    const oopNeg       = oopTracked ? -outOfPocket : null;
-    // Net = natural flows to the market (borrow interest + NIM) minus Merkl spend.
-    // Positive when the market generates enough organically to offset incentive cost.
-    const netPosition  = oopTracked && nimRevenue != null
-      ? demand + nimRevenue - outOfPocket
-      : null;
-
-    // Total supply APY: prefer merkl_hub_apr directly — the campaign's configured target rate.
-    // That's the number Aave shows (e.g. 6.0%). Computing from dailyRewards×365/TVL gives the
-    // same thing in principle, but the hub_apr is more stable and avoids TVL-denominator drift.
-    // Fall back to dailyRewards computation for historical days before hub_apr was stored.
-    const totalDailyMerkl = merklRewards ?? outOfPocket ?? null;
-    // merkl_hub_apr from Core Hub row — both hubs target same rate (6.18%)
-    const rawTotalSupplyApy = row.merkl_hub_apr != null
-      ? row.merkl_hub_apr  // directly the campaign-configured total APY
-      : (totalDailyMerkl != null && totalSupply
-          ? totalDailyMerkl * 365 / totalSupply * 100
-          : null);
-    const totalSupplyApyChart = rawTotalSupplyApy != null && rawTotalSupplyApy > 0 && rawTotalSupplyApy <= 50
-      ? rawTotalSupplyApy
-      : null;
-    const incentiveBoostApy = totalSupplyApyChart != null && supplyApy != null
-      ? Math.max(totalSupplyApyChart - supplyApy, 0)
-      : null;
-
-    return {
-      date: row.date,
-      displayDate: formatDate(row.date),
-      totalDebt,
-      borrowApy: borrowApyCombined,
-      dailyInterest: demand,
-      merklRewards,
-      totalSupply,
-      supplyApy: supplyApy || null,
-      idle,
-      nimRevenue,
-      nimFunded,
-      outOfPocket,
-      oopNeg,
-      oopSource,
-      netPosition,
-      totalSupplyApyChart,
-      incentiveBoostApy,
-      demand,
-      oopArea,
-      totalSubsidy,
-    };
-  });
+  const [range, setRange] = useTimeRange('aave');
+
+  const bounds = fetchBounds(range);
+  const { data: hist, loading: histLoading } = useAaveUsdgHistory(withFillLead(bounds));
+  const { data: paxosHist } = useAaveUsdgPaxosHistory(withFillLead(bounds)); // non-blocking
+  const chartData = buildChartRows(hist?.history || [], paxosHist?.history || []);
+  // The stat cards read the latest campaign rate, whatever range the charts show
+  const cardBounds = withFillLead({ start: todayUtc() });
+  const { data: recentHist } = useAaveUsdgHistory(cardBounds);
+  const { data: recentPaxosHist } = useAaveUsdgPaxosHistory(cardBounds);
+  const recentData = buildChartRows(recentHist?.history || [], recentPaxosHist?.history || []);
+
+  // Balances roll up to the end-of-period value; rates and daily flows to the
+  // period's daily average so weekly and monthly points still read "per day"
+  const { rows: rangeRows, previous } = applyRange(chartData, range, RANGE_KEYS, RANGE_AGGREGATES);
+  const rangeData = withPrevious(rangeRows, previous, ['totalSupply', 'totalDebt', 'netPosition'])
+    .map(d => ({ ...d, displayDate: formatBucket(d.date, range.rollup) }));
 
   if (liveLoading && histLoading) return (
     <div className="weekly-trends">
@@ -662,8 +697,8 @@ export default function AaveUsdgTab() {
   // The incentive boost = total - organic (the incremental program contribution).
   // Prefer merkl_hub_apr (campaign-configured total rate) for the stat card.
   // Fall back to deriving from daily rewards / TVL, then to organic-only if no campaign.
-  const latestMerkl = [...chartData].reverse().find(d => d.merklRewards > 0);
-  const latestHubApr = [...chartData].reverse().find(d => d.supplyApy != null && (d.totalSupplyApyChart ?? 0) > 0);
+  const latestMerkl = [...recentData].reverse().find(d => d.merklRewards > 0);
+  const latestHubApr = [...recentData].reverse().find(d => d.supplyApy != null && (d.totalSupplyApyChart ?? 0) > 0);
   const totalSupplyApy = latestHubApr?.totalSupplyApyChart
     ?? (latestMerkl && totalSupply ? (latestMerkl.merklRewards * 365) / totalSupply * 100 : null)
     ?? organicSupplyApy
@@ -679,7 +714,7 @@ export default function AaveUsdgTab() {
         <p style={{ color: '#71767b', margin: 0 }}>
           USDG on Aave v4 (Ethereum mainnet) — Core Hub + Paxos Hub combined · live data refreshes every 60s
         </p>
-        <DownloadControl chartData={chartData} />
+        <DownloadControl />
       </div>
 
       {/* Live metrics */}
@@ -708,20 +743,27 @@ export default function AaveUsdgTab() {
       )}
 
 
-      {chartData.length > 0 && (
+      {hist && (
         <>
+          <div className="section-header">
+            <p style={{ color: '#71767b', fontSize: 12, margin: 0 }}>
+              {range.rollup === 'day' ? 'Daily snapshots' : 'Balances at period end · rates and flows are daily averages'}
+            </p>
+            <TimeRangeSelector value={range} onChange={setRange} />
+          </div>
+
           {/* Chart 1: Supply TVL + base supply rate */}
-          <SupplyChart chartData={chartData} />
+          <SupplyChart chartData={rangeData} compare={!!previous} />
 
           {/* Chart 2: Borrowed + APY on dual axes */}
-          <BorrowChart chartData={chartData} />
+          <BorrowChart chartData={rangeData} compare={!!previous} />
 
           {/* Chart 3: Daily incentive position — diverging bar */}
-          <DivergingBarChart chartData={chartData} />
+          <DivergingBarChart chartData={rangeData} compare={!!previous} />
         </>
       )}
 
-      {histLoading && !chartData.length && <div className="loading">Loading historical data...</div>}
+      {histLoading && !hist && <div className="loading">Loading historical data...</div>}
 
       <section className="wow-section" style={{ background: 'transparent', border: '1px solid #2f3542', borderRadius: 8, padding: '16px 20px', marginTop: 8 }}>
         <p style={{ color: '#71767b', fontSize: 13, margin: 0, lineHeight: 1.6 }}>
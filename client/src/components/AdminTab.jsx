@@ -0,0 +1,266 @@
+import { useState } from 'react';
+import { useAdminOverview } from '../hooks/useVolumeData';
+
+function formatDateTime(value) {
+  if (!value) return '—';
+  return new Date(value).toLocaleString('en-US', {
+    month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  });
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '—';
+  if (ms < 1000) return `${ms}ms`;
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  return `${Math.floor(s / 60)}m ${s % 60}s`;
+}
+
+// { orca: 3, curve: 1 } -> "orca 3 · curve 1"
+function formatCounts(counts) {
+  const entries = Object.entries(counts || {});
+  if (entries.length === 0) return '—';
+  return entries.map(([venue, n]) => `${venue} ${n}`).join(' · ');
+}
+
+// Sources that failed or came back empty in a snapshot run, for the runs table
+function SourcesCell({ sources }) {
+  if (!sources?.length) return <td>—</td>;
+  const bad = sources.filter(source => source.status !== 'ok');
+  const title = sources
+    .map(source => `${source.source}: ${source.status} · ${source.rowCount} rows · ${formatDuration(source.latencyMs)}${source.error ? ` · ${source.error}` : ''}`)
+    .join('\n');
+  return (
+    <td title={title} className={bad.length ? 'admin-status-partial' : 'admin-status-complete'}>
+      {sources.length - bad.length}/{sources.length} ok
+    </td>
+  );
+}
+
+function StatusCell({ status }) {
+  return <span className={`admin-status admin-status-${status || 'unknown'}`}>{status ? status.replace('_', ' ') : '—'}</span>;
+}
+
+function ErrorCell({ error }) {
+  if (!error) return <td className="col-left">—</td>;
+  return <td className="col-left admin-error" title={error}>{error}</td>;
+}
+
+function JobControls({ data, runSnapshot, runMetrics, startBackfill }) {
+  const [snapshotType, setSnapshotType] = useState('');
+  const [backfill, setBackfill] = useState({ source: '', start: '', end: '' });
+  const [message, setMessage] = useState(null);
+
+  const run = async (label, action) => {
+    setMessage(null);
+    try {
+      await action();
+      setMessage({ ok: true, text: `${label} started` });
+    } catch (err) {
+      setMessage({ ok: false, text: `${label}: ${err.message}` });
+    }
+  };
+
+  const submitBackfill = (e) => {
+    e.preventDefault();
+    const request = { source: backfill.source || data.backfillSources[0]?.id, start: backfill.start };
+    if (backfill.end) request.end = backfill.end;
+    run('Backfill', () => startBackfill(request));
+  };
+
+  return (
+    <div className="admin-controls">
+      <div className="admin-control">
+        <h3>Snapshot</h3>
+        <select value={snapshotType} onChange={e => setSnapshotType(e.target.value)}>
+          <option value="">Auto (daily at 00:00 UTC)</option>
+          {data.snapshotTypes.map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+        <button className="tab-btn active" disabled={data.snapshotRunning}
+          onClick={() => run('Snapshot', () => runSnapshot(snapshotType))}>
+          {data.snapshotRunning ? 'Snapshot running…' : 'Take snapshot'}
+        </button>
+      </div>
+
+      <div className="admin-control">
+        <h3>Daily metrics</h3>
+        <button className="tab-btn active" onClick={() => run('Metrics job', runMetrics)}>
+          Run metrics job
+        </button>
+      </div>
+
+      <form className="admin-control" onSubmit={submitBackfill}>
+        <h3>Backfill</h3>
+        <select value={backfill.source} onChange={e => setBackfill({ ...backfill, source: e.target.value })}>
+          {data.backfillSources.map(source => <option key={source.id} value={source.id}>{source.label}</option>)}
+        </select>
+        <input type="date" value={backfill.start} required
+          onChange={e => setBackfill({ ...backfill, start: e.target.value })} />
+        <input type="date" value={backfill.end} title="End date (default today)"
+          onChange={e => setBackfill({ ...backfill, end: e.target.value })} />
+        <button type="submit" className="tab-btn active">Start backfill</button>
+      </form>
+
+      {message && (
+        <div className={message.ok ? 'admin-message' : 'login-error'}>{message.text}</div>
+      )}
+    </div>
+  );
+}
+
+export default function AdminTab() {
+  const { data, loading, error, refetch, runSnapshot, runMetrics, startBackfill } = useAdminOverview();
+
+  return (
+    <div className="fuse-box-section">
+      <div className="section-header">
+        <h2>Admin — Jobs & Snapshot Runs</h2>
+        <span className="fuse-updated">
+          <button className="fuse-refresh-btn" onClick={refetch}>Refresh</button>
+        </span>
+      </div>
+
+      {loading && !data && <div className="loading">Loading admin overview...</div>}
+      {error && <div className="error">Error: {error}</div>}
+
+      {data && (
+        <>
+          <JobControls data={data} runSnapshot={runSnapshot} runMetrics={runMetrics} startBackfill={startBackfill} />
+
+          <div className="depth-table-group">
+            <h3>Last run by source</h3>
+            <div className="depth-table-wrapper">
+              <table className="depth-table">
+                <thead>
+                  <tr>
+                    <th className="col-left">Source</th>
+                    <th className="col-left">Last run</th>
+                    <th className="col-left">Status</th>
+                    <th className="col-left">Last error at</th>
+                    <th className="col-left">Last error</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.sources.map(source => (
+                    <tr key={source.source}>
+                      <td className="col-left">{source.source}</td>
+                      <td className="col-left">{formatDateTime(source.lastRunAt)}</td>
+                      <td className="col-left"><StatusCell status={source.lastStatus} /></td>
+                      <td className="col-left">{formatDateTime(source.lastErrorAt)}</td>
+                      <ErrorCell error={source.lastError} />
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="depth-table-group">
+            <h3>Snapshot runs</h3>
+            <div className="depth-table-wrapper">
+              <table className="depth-table">
+                <thead>
+                  <tr>
+                    <th className="col-left">Started</th>
+                    <th className="col-left">Type</th>
+                    <th className="col-left">Trigger</th>
+                    <th className="col-left">Status</th>
+                    <th>Duration</th>
+                    <th className="col-left">DEX pools</th>
+                    <th>Vaults</th>
+                    <th className="col-left">Lending</th>
+                    <th>Sources</th>
+                    <th className="col-left">Error</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.snapshots.map(run => (
+                    <tr key={run.id}>
+                      <td className="col-left">{formatDateTime(run.startedAt)}</td>
+                      <td className="col-left">{run.type}</td>
+                      <td className="col-left">{run.triggeredBy ? `${run.trigger} (${run.triggeredBy})` : run.trigger}</td>
+                      <td className="col-left"><StatusCell status={run.status} /></td>
+                      <td>{formatDuration(run.durationMs)}</td>
+                      <td className="col-left">{formatCounts(run.rows.pools)}</td>
+                      <td>{run.rows.vaults}</td>
+                      <td className="col-left">{formatCounts(run.rows.lending)}</td>
+                      <SourcesCell sources={run.sources} />
+                      <ErrorCell error={run.error || run.sources
+                        .filter(source => source.status !== 'ok')
+                        .map(source => `${source.source}: ${source.error}`)
+                        .join('; ')} />
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="depth-table-group">
+            <h3>Job runs</h3>
+            <div className="depth-table-wrapper">
+              <table className="depth-table">
+                <thead>
+                  <tr>
+                    <th className="col-left">Started</th>
+                    <th className="col-left">Job</th>
+                    <th className="col-left">Trigger</th>
+                    <th className="col-left">Status</th>
+                    <th>Duration</th>
+                    <th className="col-left">Error</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.jobRuns.map(run => (
+                    <tr key={run.id}>
+                      <td className="col-left">{formatDateTime(run.startedAt)}</td>
+                      <td className="col-left">{run.job}</td>
+                      <td className="col-left">{run.triggeredBy ? `${run.trigger} (${run.triggeredBy})` : run.trigger}</td>
+                      <td className="col-left"><StatusCell status={run.status} /></td>
+                      <td>{formatDuration(run.durationMs)}</td>
+                      <ErrorCell error={run.error} />
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="depth-table-group">
+            <h3>Backfill jobs</h3>
+            <div className="depth-table-wrapper">
+              <table className="depth-table">
+                <thead>
+                  <tr>
+                    <th className="col-left">Created</th>
+                    <th className="col-left">Source</th>
+                    <th className="col-left">Target</th>
+                    <th className="col-left">Range</th>
+                    <th className="col-left">Progress</th>
+                    <th className="col-left">Status</th>
+                    <th>Rows</th>
+                    <th className="col-left">Error</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.backfills.map(job => (
+                    <tr key={job.id}>
+                      <td className="col-left">{formatDateTime(job.createdAt)}</td>
+                      <td className="col-left">{job.source}</td>
+                      <td className="col-left">{job.targetTable}</td>
+                      <td className="col-left">{job.startDate} → {job.endDate}</td>
+                      <td className="col-left">{job.cursorDate || '—'}</td>
+                      <td className="col-left"><StatusCell status={job.status} /></td>
+                      <td>{job.rowsWritten}</td>
+                      <ErrorCell error={job.error} />
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
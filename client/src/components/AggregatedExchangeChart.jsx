@@ -1,7 +1,7 @@
-import { useState, useEffect } from 'react';
 import {
-  BarChart,
+  ComposedChart,
   Bar,
+  Line,
   XAxis,
   YAxis,
   CartesianGrid,
@@ -11,7 +11,9 @@ import {
   LabelList
 } from 'recharts';
 import TimeRangeSelector from './TimeRangeSelector';
-import { useAggregatedData } from '../hooks/useVolumeData';
+import { useAggregatedData, useSeries } from '../hooks/useVolumeData';
+import { useTimeRange, withPrevious, formatBucket, isPartialBucket, GHOST_LINE_PROPS } from '../hooks/useTimeRange';
+import { useUrlState, listParam } from '../hooks/useUrlState';
 
 // Color palette for exchanges
 const EXCHANGE_COLORS = {
@@ -43,88 +45,24 @@ function formatTooltipValue(value) {
   return `$${formatVolume(value)}`;
 }
 
-function formatDate(dateStr, timeRange) {
-  // Parse date parts directly to avoid timezone issues
-  const [year, month, day] = dateStr.split('-').map(Number);
-  const date = new Date(year, month - 1, day); // month is 0-indexed
-  if (timeRange === '1y') {
-    const label = date.toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
-    // Add asterisk for current (incomplete) month
-    const now = new Date();
-    if (year === now.getFullYear() && month === now.getMonth() + 1) {
-      return `${label}*`;
-    }
-    return label;
-  }
-  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-}
-
-function aggregateToMonthly(data, selectedExchanges) {
-  const monthlyMap = new Map();
-
-  data.forEach(d => {
-    const monthKey = d.date.substring(0, 7);
-    if (!monthlyMap.has(monthKey)) {
-      monthlyMap.set(monthKey, { date: `${monthKey}-01` });
-      selectedExchanges.forEach(ex => {
-        monthlyMap.get(monthKey)[ex] = 0;
-      });
-    }
-    selectedExchanges.forEach(ex => {
-      monthlyMap.get(monthKey)[ex] += (d.byExchange?.[ex] || 0);
-    });
-  });
-
-  return Array.from(monthlyMap.values()).sort((a, b) => a.date.localeCompare(b.date));
-}
-
-// Parse date string without timezone issues
-function parseDate(dateStr) {
-  const [year, month, day] = dateStr.split('-').map(Number);
-  return new Date(year, month - 1, day);
-}
-
-function filterDataByTimeRange(data, timeRange, selectedExchanges) {
-  if (!data || data.length === 0) return [];
-
-  const now = new Date();
-  let filtered;
-
-  switch (timeRange) {
-    case '30d': {
-      const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-      filtered = data.filter(d => parseDate(d.date) >= thirtyDaysAgo);
-      break;
-    }
-    case '1y': {
-      const oneYearAgo = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
-      filtered = data.filter(d => parseDate(d.date) >= oneYearAgo);
-      return aggregateToMonthly(filtered, selectedExchanges);
-    }
-    default:
-      filtered = data.slice(-30);
-  }
-
-  return filtered.map(d => {
-    const row = { date: d.date };
-    selectedExchanges.forEach(ex => {
-      row[ex] = d.byExchange?.[ex] || 0;
-    });
-    return row;
-  });
-}
-
 export default function AggregatedExchangeChart() {
-  const { data, loading, error } = useAggregatedData();
-  const [timeRange, setTimeRange] = useState('30d');
-  const [selectedExchanges, setSelectedExchanges] = useState([]);
-
-  // Initialize selected exchanges when data loads
-  useEffect(() => {
-    if (data?.exchanges && selectedExchanges.length === 0) {
-      setSelectedExchanges([...data.exchanges]);
-    }
-  }, [data?.exchanges]);
+  const { data, loading: exchangesLoading, error: exchangesError } = useAggregatedData();
+  const [range, setRange] = useTimeRange('exchanges');
+  // Daily volume is summed per bucket in Postgres, so long ranges stay small
+  const { data: series, previous, loading: seriesLoading, error: seriesError } =
+    useSeries('cex.daily_volume', range, { groupBy: 'exchange' });
+  const loading = exchangesLoading || (seriesLoading && !series);
+  const error = exchangesError || seriesError;
+  // null = every exchange, which keeps the default out of the URL
+  const [pickedExchanges, setPickedExchanges] = useUrlState('exchanges.ex', null, listParam);
+  const allExchanges = data?.exchanges || [];
+  const selectedExchanges = pickedExchanges
+    ? pickedExchanges.filter(e => allExchanges.includes(e))
+    : allExchanges;
+
+  const setSelectedExchanges = (next) => {
+    setPickedExchanges(next.length === allExchanges.length ? null : next);
+  };
 
   const handleToggleExchange = (exchange) => {
     if (selectedExchanges.includes(exchange)) {
@@ -166,15 +104,16 @@ export default function AggregatedExchangeChart() {
     );
   }
 
-  const chartData = filterDataByTimeRange(data?.dailyVolume || [], timeRange, selectedExchanges);
-  const formattedData = chartData.map(d => {
-    const total = selectedExchanges.reduce((sum, ex) => sum + (d[ex] || 0), 0);
-    return {
-      ...d,
-      displayDate: formatDate(d.date, timeRange),
-      _total: total
-    };
-  });
+  const withTotal = rows => rows?.map(row => ({
+    ...row,
+    _total: selectedExchanges.reduce((sum, ex) => sum + (row[ex] || 0), 0)
+  }));
+  const chartData = withPrevious(withTotal(series || []), withTotal(previous), ['_total']);
+  const formattedData = chartData.map(d => ({
+    ...d,
+    displayDate: formatBucket(d.date, range.rollup)
+  }));
+  const lastBucket = chartData[chartData.length - 1]?.date;
 
   // Sort exchanges by total volume (descending) so largest is at bottom of stack
   const sortedExchanges = [...selectedExchanges].sort((a, b) => {
@@ -187,7 +126,7 @@ export default function AggregatedExchangeChart() {
     <section className="exchange-section">
       <div className="section-header">
         <h2>All Exchanges Trading Volume</h2>
-        <TimeRangeSelector value={timeRange} onChange={setTimeRange} />
+        <TimeRangeSelector value={range} onChange={setRange} />
       </div>
 
       {selectedExchanges.length === 0 ? (
@@ -201,7 +140,7 @@ export default function AggregatedExchangeChart() {
       ) : (
         <div className="chart-container">
           <ResponsiveContainer width="100%" height="100%">
-            <BarChart data={formattedData} margin={{ top: 30, right: 30, left: 20, bottom: 5 }}>
+            <ComposedChart data={formattedData} margin={{ top: 30, right: 30, left: 20, bottom: 5 }}>
               <CartesianGrid strokeDasharray="3 3" stroke="#2f3542" />
               <XAxis
                 dataKey="displayDate"
@@ -256,14 +195,15 @@ export default function AggregatedExchangeChart() {
                   )}
                 </Bar>
               ))}
-            </BarChart>
+              {previous && <Line dataKey="prev__total" name="Previous period" {...GHOST_LINE_PROPS} />}
+            </ComposedChart>
           </ResponsiveContainer>
         </div>
       )}
 
-      {timeRange === '1y' && (
+      {lastBucket && isPartialBucket(lastBucket, range.rollup) && (
         <div className="chart-footnote">
-          *Month in progress (as of {new Date().toLocaleDateString('en-US', { month: 'numeric', day: 'numeric' })})
+          *{range.rollup === 'week' ? 'Week' : 'Month'} in progress (as of {new Date().toLocaleDateString('en-US', { month: 'numeric', day: 'numeric' })})
         </div>
       )}
 
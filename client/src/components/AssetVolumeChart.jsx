@@ -1,7 +1,7 @@
-import { useState, useEffect } from 'react';
 import {
-  BarChart,
+  ComposedChart,
   Bar,
+  Line,
   XAxis,
   YAxis,
   CartesianGrid,
@@ -12,6 +12,8 @@ import {
 import TimeRangeSelector from './TimeRangeSelector';
 import AssetSelector from './AssetSelector';
 import { useAssetVolumeData } from '../hooks/useVolumeData';
+import { useTimeRange, fetchBounds, applyRange, withPrevious, formatBucket, GHOST_LINE_PROPS } from '../hooks/useTimeRange';
+import { useUrlState, listParam } from '../hooks/useUrlState';
 
 // Color palette for exchanges
 const EXCHANGE_COLORS = {
@@ -43,21 +45,8 @@ function formatTooltipValue(value) {
   return `$${formatVolume(value)}`;
 }
 
-// Parse date string without timezone issues
-function parseDate(dateStr) {
-  const [year, month, day] = dateStr.split('-').map(Number);
-  return new Date(year, month - 1, day);
-}
-
-function formatDate(dateStr, timeRange) {
-  const date = parseDate(dateStr);
-  if (timeRange === '1y') {
-    return date.toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
-  }
-  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-}
-
-function buildChartData(volumeByAsset, selectedAsset, selectedExchanges, timeRange) {
+// Daily rows { date, [exchange]: volume } for one asset
+function buildDailyRows(volumeByAsset, selectedAsset, selectedExchanges) {
   if (!volumeByAsset || !selectedAsset || !volumeByAsset[selectedAsset]) {
     return [];
   }
@@ -76,65 +65,33 @@ function buildChartData(volumeByAsset, selectedAsset, selectedExchanges, timeRan
     }
   }
 
-  let data = Array.from(dateMap.values()).sort((a, b) => a.date.localeCompare(b.date));
-
-  // Filter by time range
-  const now = new Date();
-  switch (timeRange) {
-    case '30d': {
-      const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-      data = data.filter(d => parseDate(d.date) >= thirtyDaysAgo);
-      break;
-    }
-    case '1y': {
-      const oneYearAgo = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
-      data = data.filter(d => parseDate(d.date) >= oneYearAgo);
-      // Aggregate to monthly
-      const monthlyMap = new Map();
-      data.forEach(d => {
-        const monthKey = d.date.substring(0, 7);
-        if (!monthlyMap.has(monthKey)) {
-          monthlyMap.set(monthKey, { date: `${monthKey}-01` });
-          selectedExchanges.forEach(ex => {
-            monthlyMap.get(monthKey)[ex] = 0;
-          });
-        }
-        selectedExchanges.forEach(ex => {
-          monthlyMap.get(monthKey)[ex] += (d[ex] || 0);
-        });
-      });
-      data = Array.from(monthlyMap.values()).sort((a, b) => a.date.localeCompare(b.date));
-      break;
-    }
-    default:
-      data = data.slice(-30);
-  }
-
-  return data;
+  return Array.from(dateMap.values());
 }
 
 export default function AssetVolumeChart() {
-  const { data, loading, error } = useAssetVolumeData();
-  const [timeRange, setTimeRange] = useState('30d');
-  const [selectedAsset, setSelectedAsset] = useState('');
-  const [selectedExchanges, setSelectedExchanges] = useState([]);
+  const [range, setRange] = useTimeRange('assets');
+  const { data, loading, error } = useAssetVolumeData(fetchBounds(range));
+  // Asset defaults to BTC once the list loads; exchanges to all that trade it
+  const [pickedAsset, setPickedAsset] = useUrlState('assets.asset', null);
+  const [pickedExchanges, setPickedExchanges] = useUrlState('assets.ex', null, listParam);
 
-  // Initialize selected asset when data loads
-  useEffect(() => {
-    if (data?.assets?.length > 0 && !selectedAsset) {
-      // Default to BTC if available, otherwise first asset
-      const defaultAsset = data.assets.includes('BTC') ? 'BTC' : data.assets[0];
-      setSelectedAsset(defaultAsset);
-    }
-  }, [data?.assets, selectedAsset]);
+  const assets = data?.assets || [];
+  const selectedAsset = pickedAsset && assets.includes(pickedAsset)
+    ? pickedAsset
+    : (assets.includes('BTC') ? 'BTC' : assets[0] || '');
+  const assetExchanges = Object.keys(data?.volumeByAsset?.[selectedAsset] || {});
+  const selectedExchanges = pickedExchanges
+    ? pickedExchanges.filter(e => assetExchanges.includes(e))
+    : assetExchanges;
 
-  // Update available exchanges when asset changes
-  useEffect(() => {
-    if (data?.volumeByAsset && selectedAsset && data.volumeByAsset[selectedAsset]) {
-      const availableExchanges = Object.keys(data.volumeByAsset[selectedAsset]);
-      setSelectedExchanges(availableExchanges);
-    }
-  }, [data?.volumeByAsset, selectedAsset]);
+  const setSelectedAsset = (asset) => {
+    setPickedAsset(asset);
+    setPickedExchanges(null);
+  };
+
+  const setSelectedExchanges = (next) => {
+    setPickedExchanges(next.length === assetExchanges.length ? null : next);
+  };
 
   const handleToggleExchange = (exchange) => {
     if (selectedExchanges.includes(exchange)) {
@@ -177,10 +134,16 @@ export default function AssetVolumeChart() {
     );
   }
 
-  const chartData = buildChartData(data?.volumeByAsset, selectedAsset, selectedExchanges, timeRange);
+  const withTotal = rows => rows?.map(row => ({
+    ...row,
+    _total: selectedExchanges.reduce((sum, ex) => sum + (row[ex] || 0), 0)
+  }));
+  const dailyRows = buildDailyRows(data?.volumeByAsset, selectedAsset, selectedExchanges);
+  const { rows, previous } = applyRange(dailyRows, range, selectedExchanges);
+  const chartData = withPrevious(withTotal(rows), withTotal(previous), ['_total']);
   const formattedData = chartData.map(d => ({
     ...d,
-    displayDate: formatDate(d.date, timeRange)
+    displayDate: formatBucket(d.date, range.rollup)
   }));
 
   // Get available exchanges for this asset
@@ -200,7 +163,7 @@ export default function AssetVolumeChart() {
       <div className="section-header">
         <h2>Trading Volume by Asset: {selectedAsset}/USDG</h2>
         <div className="section-controls">
-          <TimeRangeSelector value={timeRange} onChange={setTimeRange} />
+          <TimeRangeSelector value={range} onChange={setRange} />
           <AssetSelector
             assets={data?.assets || []}
             value={selectedAsset}
@@ -220,7 +183,7 @@ export default function AssetVolumeChart() {
       ) : (
         <div className="chart-container">
           <ResponsiveContainer width="100%" height="100%">
-            <BarChart data={formattedData} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
+            <ComposedChart data={formattedData} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
               <CartesianGrid strokeDasharray="3 3" stroke="#2f3542" />
               <XAxis
                 dataKey="displayDate"
@@ -263,7 +226,8 @@ export default function AssetVolumeChart() {
                   name={exchange}
                 />
               ))}
-            </BarChart>
+              {previous && <Line dataKey="prev__total" name="Previous period" {...GHOST_LINE_PROPS} />}
+            </ComposedChart>
           </ResponsiveContainer>
         </div>
       )}
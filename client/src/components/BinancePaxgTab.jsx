@@ -1,10 +1,12 @@
 import { useState, useCallback } from 'react';
 import {
-  BarChart, Bar,
+  ComposedChart, Bar, Line,
   XAxis, YAxis, CartesianGrid, Tooltip,
   ResponsiveContainer, Legend
 } from 'recharts';
+import TimeRangeSelector from './TimeRangeSelector';
 import { useBinancePaxg } from '../hooks/useVolumeData';
+import { useTimeRange, fetchBounds, applyRange, withPrevious, formatBucket, GHOST_LINE_PROPS } from '../hooks/useTimeRange';
 
 const PAXG_COLOR = '#f5a623';
 const XAUT_COLOR = '#c9d1d9';
@@ -28,49 +30,6 @@ function formatUSDShort(v) {
   return v.toFixed(0);
 }
 
-function formatDate(dateStr, range) {
-  const [y, m, d] = dateStr.split('-').map(Number);
-  const date = new Date(y, m - 1, d);
-  if (range === '1y') return date.toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
-  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-}
-
-function parseDate(dateStr) {
-  const [y, m, d] = dateStr.split('-').map(Number);
-  return new Date(y, m - 1, d);
-}
-
-function filterAndAggregate(combinedVolume, range) {
-  if (!combinedVolume?.length) return [];
-  const now = new Date();
-  const cutoff = range === '30d'
-    ? new Date(now.getTime() - 30 * 86400000)
-    : new Date(now.getTime() - 365 * 86400000);
-
-  const filtered = combinedVolume.filter(d => parseDate(d.date) >= cutoff);
-
-  if (range === '30d') {
-    return filtered.map(d => ({ ...d, displayDate: formatDate(d.date, range) }));
-  }
-
-  // Aggregate to monthly
-  const monthly = new Map();
-  filtered.forEach(d => {
-    const key = d.date.slice(0, 7);
-    if (!monthly.has(key)) monthly.set(key, { paxg: 0, xaut: 0 });
-    monthly.get(key).paxg += d.paxg;
-    monthly.get(key).xaut += d.xaut;
-  });
-  return Array.from(monthly.entries())
-    .sort(([a], [b]) => a.localeCompare(b))
-    .map(([month, v]) => ({
-      date: `${month}-01`,
-      paxg: v.paxg,
-      xaut: v.xaut,
-      displayDate: formatDate(`${month}-01`, '1y')
-    }));
-}
-
 function defaultStart() {
   const d = new Date();
   d.setDate(d.getDate() - 7);
@@ -152,8 +111,8 @@ function DepthTable({ symbol, depth, color }) {
 }
 
 export default function BinancePaxgTab() {
-  const { data, loading, error, lastUpdated } = useBinancePaxg();
-  const [range, setRange] = useState('30d');
+  const [range, setRange] = useTimeRange('binance');
+  const { data, loading, error, lastUpdated } = useBinancePaxg(fetchBounds(range));
 
   if (loading) return (
     <div className="weekly-trends">
@@ -172,7 +131,10 @@ export default function BinancePaxgTab() {
   if (!data) return null;
 
   const { paxg, xaut, combinedVolume } = data;
-  const chartData = filterAndAggregate(combinedVolume, range);
+  const withTotal = rows => rows?.map(d => ({ ...d, total: (d.paxg || 0) + (d.xaut || 0) }));
+  const { rows, previous } = applyRange(combinedVolume, range, ['paxg', 'xaut']);
+  const chartData = withPrevious(withTotal(rows), withTotal(previous), ['total'])
+    .map(d => ({ ...d, displayDate: formatBucket(d.date, range.rollup) }));
 
   const paxg30d = paxg.dailyVolume.slice(-30).reduce((s, d) => s + d.volume, 0);
   const xaut30d = xaut.dailyVolume.slice(-30).reduce((s, d) => s + d.volume, 0);
@@ -233,21 +195,12 @@ export default function BinancePaxgTab() {
         <div className="section-header" style={{ marginBottom: 16 }}>
           <h3 style={{ margin: 0 }}>Trading Volume (USDT)</h3>
           <div className="section-controls">
-            {['30d', '1y'].map(r => (
-              <button
-                key={r}
-                className={`tab-btn ${range === r ? 'active' : ''}`}
-                style={{ padding: '4px 12px', fontSize: 12 }}
-                onClick={() => setRange(r)}
-              >
-                {r === '30d' ? '30 Days' : '1 Year'}
-              </button>
-            ))}
+            <TimeRangeSelector value={range} onChange={setRange} />
           </div>
         </div>
         <div className="chart-container">
           <ResponsiveContainer width="100%" height="100%">
-            <BarChart data={chartData} margin={{ top: 10, right: 30, left: 20, bottom: 5 }}>
+            <ComposedChart data={chartData} margin={{ top: 10, right: 30, left: 20, bottom: 5 }}>
               <CartesianGrid strokeDasharray="3 3" stroke="#2f3542" />
               <XAxis dataKey="displayDate" stroke="#71767b" tick={{ fill: '#71767b', fontSize: 11 }} tickMargin={10} interval="preserveStartEnd" />
               <YAxis stroke="#71767b" tick={{ fill: '#71767b', fontSize: 11 }} tickFormatter={formatUSDShort} width={70} />
@@ -259,7 +212,8 @@ export default function BinancePaxgTab() {
               <Legend wrapperStyle={{ color: '#e7e9ea' }} />
               <Bar dataKey="paxg" stackId="vol" fill={PAXG_COLOR} name="PAXG/USDT" />
               <Bar dataKey="xaut" stackId="vol" fill={XAUT_COLOR} name="XAUT/USDT" radius={[4, 4, 0, 0]} />
-            </BarChart>
+              {previous && <Line dataKey="prev_total" name="Previous period" {...GHOST_LINE_PROPS} />}
+            </ComposedChart>
           </ResponsiveContainer>
         </div>
       </section>
@@ -0,0 +1,182 @@
+import { useMemo, useState } from 'react';
+import {
+  AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip,
+  ResponsiveContainer, Legend, ReferenceLine
+} from 'recharts';
+import { useConsolidatedDepth } from '../hooks/useVolumeData';
+
+const EXCHANGE_COLORS = {
+  kraken: '#7c3aed',
+  bullish: '#00d4aa',
+  gate: '#f59e0b',
+  kucoin: '#3b82f6',
+  bitmart: '#ec4899',
+  okx: '#10b981',
+  bitstamp: '#ef4444',
+  bitget: '#06b6d4',
+  binance: '#eab308',
+  curve: '#f97316',
+  orca: '#facc15',
+  uniswap_v3: '#ff007a',
+  uniswap_v4: '#fb7185'
+};
+
+const RANGES = [10, 25, 50, 100];
+
+function formatUSD(value) {
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e3) return `$${(value / 1e3).toFixed(1)}K`;
+  return `$${value.toFixed(0)}`;
+}
+
+// Totals past some venue's book reach are lower bounds
+function formatTotal(value, incomplete) {
+  return `${incomplete ? '≥ ' : ''}${formatUSD(value)}`;
+}
+
+function formatPct(share) {
+  return share === null || share === undefined ? '—' : `${(share * 100).toFixed(1)}%`;
+}
+
+// Cumulative notional per venue at each step: bids at negative bps, asks positive
+function buildChartData(data) {
+  const ids = data.venues.map(v => v.exchange);
+  const side = (steps, sign) => {
+    const running = Object.fromEntries(ids.map(id => [id, 0]));
+    return steps.map(step => {
+      for (const id of ids) running[id] += step.venues[id] || 0;
+      return { bps: sign * step.bps, price: step.price, incomplete: step.incomplete, ...running };
+    });
+  };
+  return [...side(data.bids, -1).reverse(), ...side(data.asks, 1)];
+}
+
+function DepthTooltip({ active, payload, label, names }) {
+  if (!active || !payload?.length) return null;
+  const total = payload.reduce((s, p) => s + (p.value || 0), 0);
+  const { incomplete } = payload[0].payload;
+  return (
+    <div className="peg-tooltip">
+      <div className="peg-tooltip-label">
+        {label < 0 ? 'Bids' : 'Asks'} within {Math.abs(label)} bps · ${payload[0].payload.price.toFixed(4)}
+      </div>
+      {[...payload].reverse().map(p => (
+        <div key={p.dataKey} style={{ color: p.color }}>{names[p.dataKey]}: {formatUSD(p.value || 0)}</div>
+      ))}
+      <div>Total: {formatTotal(total, incomplete)}</div>
+      {incomplete && <div>Some books end before this step</div>}
+    </div>
+  );
+}
+
+export default function ConsolidatedDepthChart() {
+  const [range, setRange] = useState(50);
+  const step = range > 50 ? 5 : 1;
+  const { data, loading, error } = useConsolidatedDepth(step, range);
+
+  const chartData = useMemo(() => (data?.referencePrice ? buildChartData(data) : []), [data]);
+  const names = useMemo(
+    () => Object.fromEntries((data?.venues || []).map(v => [v.exchange, v.exchangeDisplay])),
+    [data]
+  );
+
+  return (
+    <div className="depth-table-group">
+      <h3>Consolidated USDG Book</h3>
+      <div className="impact-controls">
+        <div className="time-range-selector">
+          {RANGES.map(r => (
+            <button key={r} className={`time-range-btn ${range === r ? 'active' : ''}`} onClick={() => setRange(r)}>
+              ±{r} bps
+            </button>
+          ))}
+        </div>
+        {data?.referencePrice && (
+          <span className="impact-field">
+            Reference ${data.referencePrice.toFixed(4)} · Bids {formatTotal(data.totals.bid, data.totals.bidIncomplete)} · Asks {formatTotal(data.totals.ask, data.totals.askIncomplete)}
+          </span>
+        )}
+      </div>
+
+      {loading && !data && <div className="loading">Loading consolidated book...</div>}
+      {error && <div className="error">Error: {error}</div>}
+      {data && !data.referencePrice && <div className="no-data">No USD-quoted USDG books available.</div>}
+
+      {chartData.length > 0 && (
+        <>
+          <div className="chart-container">
+            <ResponsiveContainer width="100%" height="100%">
+              <AreaChart data={chartData} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#2f3542" />
+                <XAxis
+                  dataKey="bps"
+                  type="number"
+                  domain={[-range, range]}
+                  stroke="#71767b"
+                  tick={{ fill: '#71767b', fontSize: 11 }}
+                  tickFormatter={v => `${v > 0 ? '+' : ''}${v}`}
+                />
+                <YAxis stroke="#71767b" tick={{ fill: '#71767b', fontSize: 11 }} tickFormatter={formatUSD} />
+                <Tooltip content={<DepthTooltip names={names} />} />
+                <Legend formatter={id => names[id] || id} />
+                <ReferenceLine x={0} stroke="#4b5563" />
+                {data.venues.map(v => (
+                  <Area
+                    key={v.exchange}
+                    type="stepAfter"
+                    dataKey={v.exchange}
+                    stackId="depth"
+                    stroke={EXCHANGE_COLORS[v.exchange] || '#888'}
+                    fill={EXCHANGE_COLORS[v.exchange] || '#888'}
+                    fillOpacity={0.5}
+                    isAnimationActive={false}
+                  />
+                ))}
+              </AreaChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="depth-table-wrapper">
+            <table className="depth-table">
+              <thead>
+                <tr>
+                  <th className="col-left">Venue</th>
+                  <th className="col-left">Books</th>
+                  <th className="col-left">Book Reach</th>
+                  <th className="col-bid">Bids ±{range} bps</th>
+                  <th className="col-bid">Bid Share</th>
+                  <th className="col-ask">Asks ±{range} bps</th>
+                  <th className="col-ask">Ask Share</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.venues.map(v => (
+                  <tr key={v.exchange}>
+                    <td className="col-left" style={{ color: EXCHANGE_COLORS[v.exchange] }}>{v.exchangeDisplay}</td>
+                    <td className="col-left">
+                      {v.pairs.map(p => (p.rate === 1 ? p.pair : `${p.pair} @ ${p.rate} ${p.quote}/USD`)).join(', ')}
+                    </td>
+                    <td className="col-left">
+                      −{v.bidCoverageBps.toFixed(0)} / +{v.askCoverageBps.toFixed(0)} bps
+                    </td>
+                    <td className="col-bid">{formatTotal(v.bidNotional, v.bidCoverageBps < range)}</td>
+                    <td className="col-bid">{formatPct(v.bidShare)}</td>
+                    <td className="col-ask">{formatTotal(v.askNotional, v.askCoverageBps < range)}</td>
+                    <td className="col-ask">{formatPct(v.askShare)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      <div className="chart-footnote">
+        USDG/USD, USDG/USDT and USDG/USDC books merged at USD prices; USDT and USDC convert at the
+        {' '}consolidated_book.usd_rate parameters ({data ? Object.entries(data.rates).filter(([q]) => q !== 'USD').map(([q, r]) => `${q} ${r}`).join(', ') : '—'}).
+        {' '}Each band is cumulative from the reference price. Venue books are truncated, so past a
+        {' '}venue's book reach its depth is unknown and totals are lower bounds (≥).
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import { useGapData } from '../hooks/useVolumeData';
+
+const DAYS = 90;
+
+function cellColor(coverage) {
+  if (coverage === undefined) return 'transparent';   // before the series started
+  if (coverage >= 1) return '#10b981';
+  if (coverage <= 0) return '#ef4444';
+  return '#f59e0b';
+}
+
+// Last DAYS UTC dates, oldest first
+function dateColumns() {
+  const today = new Date();
+  const dates = [];
+  for (let i = DAYS; i >= 1; i--) {
+    const d = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - i));
+    dates.push(d.toISOString().split('T')[0]);
+  }
+  return dates;
+}
+
+function rowLabel(row) {
+  return row.key ? `${row.label} · ${row.key}` : row.label;
+}
+
+export default function CoverageHeatmap() {
+  const { data, loading, error } = useGapData(DAYS);
+  const dates = dateColumns();
+
+  return (
+    <div className="coverage-section">
+      <h3>Data Coverage — last {DAYS} days</h3>
+
+      {loading && !data && <div className="loading">Scanning history tables...</div>}
+      {error && <div className="error">Error: {error}</div>}
+
+      {data?.results && (
+        <div className="coverage-grid">
+          {data.results.map(row => {
+            const byDate = Object.fromEntries((row.days || []).map(d => [d.date, d.coverage]));
+            return (
+              <div key={`${row.series}-${row.key}`} className="coverage-row">
+                <div className="coverage-label" title={row.series}>{rowLabel(row)}</div>
+                <div className="coverage-cells">
+                  {row.error
+                    ? <span className="fuse-card-error-msg">{row.error}</span>
+                    : dates.map(date => (
+                      <span
+                        key={date}
+                        className="coverage-cell"
+                        style={{ background: cellColor(byDate[date]) }}
+                        title={byDate[date] === undefined
+                          ? `${date}: not tracked yet`
+                          : `${date}: ${Math.round(byDate[date] * 100)}% covered`}
+                      />
+                    ))}
+                </div>
+                <div className="coverage-summary">
+                  {row.missing > 0
+                    ? `${row.missing} ${row.granularity === 'hour' ? 'hours' : 'days'} missing${row.repairable ? ' · repairable' : ''}`
+                    : row.error ? '' : 'Complete'}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="chart-footnote">
+        Green = complete &nbsp;·&nbsp; Amber = some hours missing &nbsp;·&nbsp; Red = day missing &nbsp;·&nbsp;
+        Repairable gaps can be re-fetched via POST /api/admin/gaps/repair
+      </div>
+    </div>
+  );
+}
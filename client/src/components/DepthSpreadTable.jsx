@@ -1,5 +1,6 @@
 import { useState } from 'react';
-import { useDepthData } from '../hooks/useVolumeData';
+import { useDepthData, useDepthImpact } from '../hooks/useVolumeData';
+import ConsolidatedDepthChart from './ConsolidatedDepthChart';
 
 function formatUSD(value) {
   if (value >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
@@ -50,6 +51,7 @@ function DepthTable({ rows, bpsLevels, title }) {
             <tr>
               <th className="col-left">Venue</th>
               <th className="col-left">Pair</th>
+              <th className="col-left">Type</th>
               {bidLevels.map(bps => (
                 <th key={`bid-${bps}`} className="col-bid">Bid @{bps}bps</th>
               ))}
@@ -66,7 +68,10 @@ function DepthTable({ rows, bpsLevels, title }) {
                   <FreshnessDot ok={row.ok} />
                   {row.exchangeDisplay}
                 </td>
-                <td className="col-left">{row.pair}</td>
+                <td className="col-left">{row.pair}{row.chain ? ` (${row.chain})` : ''}</td>
+                <td className="col-left" title={row.venueType === 'dex' ? `Pool fee ${(row.feeRate * 10000).toFixed(1)} bps` : ''}>
+                  {(row.venueType || 'cex').toUpperCase()}
+                </td>
                 {bidLevels.map(bps => (
                   <td key={`bid-${bps}`} className="col-bid">
                     {row.bidDepth[bps] != null ? formatUSD(row.bidDepth[bps]) : '—'}
@@ -89,21 +94,131 @@ function DepthTable({ rows, bpsLevels, title }) {
   );
 }
 
+const IMPACT_PRESETS = [100000, 1000000, 2000000, 5000000];
+
+function formatBps(bps) {
+  return bps === null || bps === undefined ? '—' : `${bps.toFixed(2)} bps`;
+}
+
+function impactColorClass(bps) {
+  if (bps === null || bps === undefined) return '';
+  if (bps < 5) return 'spread-tight';
+  if (bps < 20) return 'spread-moderate';
+  return 'spread-wide';
+}
+
+function ImpactSimulator() {
+  const [side, setSide] = useState('sell');
+  const [input, setInput] = useState('2000000');
+  const [size, setSize] = useState(2000000);
+  const [at, setAt] = useState('');
+  const atIso = at ? new Date(at).toISOString() : null;
+  const { data, loading, error } = useDepthImpact(side, size, atIso);
+
+  function apply(e) {
+    e.preventDefault();
+    const value = Number(input.replace(/[$,\s]/g, ''));
+    if (Number.isFinite(value) && value > 0) setSize(value);
+  }
+
+  const rows = data?.rows.filter(r => r.pairType !== 'gold') || [];
+
+  return (
+    <div className="depth-table-group">
+      <h3>Market Impact</h3>
+      <form className="impact-controls" onSubmit={apply}>
+        <div className="time-range-selector">
+          {['buy', 'sell'].map(s => (
+            <button key={s} type="button" className={`time-range-btn ${side === s ? 'active' : ''}`} onClick={() => setSide(s)}>
+              {s === 'buy' ? 'Buy' : 'Sell'}
+            </button>
+          ))}
+        </div>
+        <label className="impact-field">
+          Size (USD)
+          <input type="text" inputMode="numeric" value={input} onChange={e => setInput(e.target.value)} onBlur={apply} />
+        </label>
+        <div className="time-range-selector">
+          {IMPACT_PRESETS.map(p => (
+            <button key={p} type="button" className={`time-range-btn ${size === p ? 'active' : ''}`}
+              onClick={() => { setInput(String(p)); setSize(p); }}>
+              {formatUSD(p)}
+            </button>
+          ))}
+        </div>
+        <label className="impact-field">
+          Book at
+          <input type="datetime-local" value={at} onChange={e => setAt(e.target.value)} />
+        </label>
+        {at && <button type="button" className="time-range-btn" onClick={() => setAt('')}>Live</button>}
+      </form>
+
+      {error && <div className="error">Error: {error}</div>}
+      {loading && !data && <div className="loading">Simulating...</div>}
+      {data && rows.length === 0 && (
+        <div className="no-data">{data.at ? 'No stored books within 2 hours before that time.' : 'No orderbooks available.'}</div>
+      )}
+      {rows.length > 0 && (
+        <div className="depth-table-wrapper">
+          <table className="depth-table">
+            <thead>
+              <tr>
+                <th className="col-left">Venue</th>
+                <th className="col-left">Pair</th>
+                <th>Mid</th>
+                <th>Avg Fill</th>
+                <th>Worst Level</th>
+                <th>Slippage</th>
+                <th>Levels Used</th>
+                <th>Filled</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={`${row.exchange}-${row.pair}`}>
+                  <td className="col-left" title={`Book as of ${new Date(row.fetchedAt).toLocaleString()}`}>{row.exchangeDisplay}</td>
+                  <td className="col-left">{row.pair}</td>
+                  <td>{row.midPrice.toPrecision(6)}</td>
+                  <td>{row.avgPrice?.toPrecision(6) ?? '—'}</td>
+                  <td>{row.worstPrice?.toPrecision(6) ?? '—'}</td>
+                  <td className={impactColorClass(row.slippageBps)}>{formatBps(row.slippageBps)}</td>
+                  <td>{row.levelsConsumed === null ? '—' : `${row.levelsConsumed} / ${row.levelsAvailable}`}</td>
+                  <td className={row.complete ? '' : 'spread-wide'} title={row.complete ? '' : 'Stored book exhausted before the order filled'}>
+                    {row.complete ? formatUSD(row.filledNotional) : `${formatUSD(row.filledNotional)} (book exhausted)`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <div className="chart-footnote">
+        {side === 'buy' ? 'Buys walk the asks' : 'Sells walk the bids'} of each venue's {data?.at ? 'stored' : 'live'} book;
+        slippage is the average fill's distance from mid. Books are truncated to the top levels, so very large orders may exhaust them.
+        {' '}Live DEX pools fill against the pool itself, fee included, out to 10% from mid.
+      </div>
+    </div>
+  );
+}
+
 function defaultStart() {
   const d = new Date();
   d.setDate(d.getDate() - 7);
   return d.toISOString().split('T')[0];
 }
 
-function CsvDownload({ endpoint, filename }) {
+function CsvDownload({ endpoint, filename, defaultBps }) {
   const [start, setStart] = useState(defaultStart);
   const [end, setEnd] = useState(() => new Date().toISOString().split('T')[0]);
+  const [bps, setBps] = useState(defaultBps || '');
   const [downloading, setDownloading] = useState(false);
 
   async function handleDownload() {
     setDownloading(true);
     try {
-      const res = await fetch(`${endpoint}?start=${start}&end=${end}&format=csv`);
+      const params = new URLSearchParams({ start, end, format: 'csv' });
+      if (bps.trim()) params.set('bps', bps.replace(/\s/g, ''));
+      const res = await fetch(`${endpoint}?${params}`);
       if (!res.ok) throw new Error(await res.text());
       const blob = await res.blob();
       const url = URL.createObjectURL(blob);
@@ -127,6 +242,13 @@ function CsvDownload({ endpoint, filename }) {
       <span style={{ color: '#71767b', fontSize: 13 }}>to</span>
       <input type="date" value={end} onChange={e => setEnd(e.target.value)}
         style={{ background: '#1a1f2e', border: '1px solid #2f3542', color: '#e7e9ea', borderRadius: 4, padding: '3px 8px', fontSize: 13 }} />
+      {defaultBps !== undefined && (
+        <>
+          <span style={{ color: '#71767b', fontSize: 13 }}>bps levels:</span>
+          <input type="text" value={bps} onChange={e => setBps(e.target.value)} title="Comma-separated; levels outside the standard set are computed from stored books"
+            style={{ background: '#1a1f2e', border: '1px solid #2f3542', color: '#e7e9ea', borderRadius: 4, padding: '3px 8px', fontSize: 13, width: 160 }} />
+        </>
+      )}
       <button onClick={handleDownload} disabled={downloading}
         style={{ background: '#2f3542', color: '#e7e9ea', border: '1px solid #3d4555', borderRadius: 4, padding: '4px 14px', fontSize: 13, cursor: downloading ? 'wait' : 'pointer' }}>
         {downloading ? 'Downloading…' : 'Download CSV'}
@@ -136,7 +258,7 @@ function CsvDownload({ endpoint, filename }) {
 }
 
 export default function DepthSpreadTable() {
-  const { data, loading, error, lastUpdated } = useDepthData();
+  const { data, loading, error, lastUpdated, live } = useDepthData();
 
   if (loading) {
     return (
@@ -184,14 +306,25 @@ export default function DepthSpreadTable() {
         title="Risk Pairs"
       />
 
+      <ConsolidatedDepthChart />
+
+      <ImpactSimulator />
+
       <CsvDownload
         endpoint="/api/depth/history"
         filename={(s, e) => `usdg_depth_${s}_to_${e}.csv`}
+        defaultBps="1,2,5,10,25,50,100"
       />
 
       {lastUpdated && (
         <div className="chart-footnote">
-          Last updated: {formatTime(lastUpdated)} (auto-refreshes every 5 min) · Depth snapshots logged hourly
+          Last updated: {formatTime(lastUpdated)} {live ? '(live)' : '(auto-refreshes every 5 min)'} · Depth snapshots logged hourly
+        </div>
+      )}
+      {data.rows.some(r => r.venueType === 'dex') && (
+        <div className="chart-footnote">
+          DEX depth is computed from on-chain pool state (Curve stableswap invariant, concentrated-liquidity ticks for Orca and Uniswap);
+          {' '}the pool fee is charged on each side, so a pool's spread is about twice its fee.
         </div>
       )}
     </div>
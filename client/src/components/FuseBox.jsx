@@ -1,4 +1,6 @@
 import { useHealthData } from '../hooks/useVolumeData';
+import CoverageHeatmap from './CoverageHeatmap';
+import SourceHealthTimeline from './SourceHealthTimeline';
 
 function formatAgo(ms) {
   if (ms === null || ms === undefined) return 'Never';
@@ -37,12 +39,12 @@ function StatusLight({ ok, lastSuccess }) {
 }
 
 export default function FuseBox() {
-  const { data, loading, error, lastUpdated, refetch } = useHealthData();
+  const { data, loading, error, lastUpdated, live, refetch } = useHealthData();
 
   return (
     <div className="fuse-box-section">
       <div className="section-header">
-        <h2>Fuse Box — Exchange Connection Health</h2>
+        <h2>Fuse Box — Connection Health</h2>
         {lastUpdated && (
           <span className="fuse-updated">
             Last checked: {formatTime(lastUpdated)}
@@ -86,8 +88,12 @@ export default function FuseBox() {
       <div className="chart-footnote">
         Green = last fetch succeeded within 10 min &nbsp;·&nbsp;
         Red = fetch failed or data older than 10 min &nbsp;·&nbsp;
-        Auto-refreshes every 60s
+        {live ? 'Updates live' : 'Auto-refreshes every 60s'}
       </div>
+
+      <SourceHealthTimeline />
+
+      <CoverageHeatmap />
     </div>
   );
 }
@@ -1,9 +1,10 @@
-import { useMemo, useState } from 'react';
+import { useMemo } from 'react';
 import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip,
   ResponsiveContainer, Legend, LabelList
 } from 'recharts';
-import { useAaveUsdgHistory, useVolumeData, usePairVolumeData, useUsdgSupply, useHoodVolumeHistory } from '../hooks/useVolumeData';
+import { useGdp } from '../hooks/useVolumeData';
+import { useUrlState, stringParam, setParam } from '../hooks/useUrlState';
 
 // ── Paxos brand palette ───────────────────────────────────────────────────────────
 const GDP_BG      = '#f6f8fb';           // Paxos light background
@@ -23,9 +24,6 @@ const C_DIM      = '#828385'; // Paxos mid gray
 const C_GRID     = '#e8ecf0';
 const C_CURSOR   = 'rgba(25,40,47,0.04)';
 
-const NIM_APY    = 0.031;
-const STABLE_FEE = 0.0002;
-const RISK_FEE   = 0.0007;
 // HOOD_FEE removed — fee revenue now computed per-pool in getVolumeHistory (fee_revenue field)
 
 const VENUES = ['aave', 'okx', 'bullish', 'kraken', 'gate', 'kucoin', 'bitstamp', 'uniswap_hood'];
@@ -43,17 +41,19 @@ const VENUE_COLORS = { aave: C_AAVE, okx: C_OKX, bullish: C_BULLISH,
 
 // ── Data computation ──────────────────────────────────────────────────────────────
 
-// Build daily GDN rewards broken down by chain from supply history
-function buildChainGdnDaily(supplyHistory) {
-  const byDate = {};
-  for (const row of (supplyHistory || [])) {
-    if (!row.circulating || !row.chain) continue;
-    if (!byDate[row.date]) byDate[row.date] = { date: row.date };
-    byDate[row.date][row.chain] = (row.circulating || 0) * NIM_APY / 365;
-  }
-  return Object.values(byDate)
-    .sort((a, b) => a.date.localeCompare(b.date))
-    .map(r => ({ ...r, total: CHAIN_KEYS.reduce((s, k) => s + (r[k] || 0), 0) }));
+// Flatten the server's daily rows: per-venue figures become top-level keys
+// so charts can address them by venue like the category components
+function flattenDaily(gdp) {
+  return (gdp?.daily || []).map(({ venues, ...r }) => ({ ...r, ...venues }));
+}
+
+// Daily GDN rewards broken down by chain, on days with supply snapshots
+function buildChainGdnDaily(daily) {
+  return daily.filter(r => r.hasChainSupply).map(r => ({
+    date: r.date,
+    ...r.chains,
+    total: CHAIN_KEYS.reduce((s, k) => s + (r.chains[k] || 0), 0),
+  }));
 }
 
 function aggregateChainBy(daily, unit) {
@@ -78,97 +78,6 @@ function aggregateChainBy(daily, unit) {
   return Object.values(buckets).sort((a, b) => a.sort.localeCompare(b.sort));
 }
 
-// Build a date→totalCirculating lookup from supply history snapshots
-function buildSupplyByDate(supplyHistory) {
-  const byDate = {};
-  for (const row of (supplyHistory || [])) {
-    if (!byDate[row.date]) byDate[row.date] = 0;
-    if (row.circulating != null) byDate[row.date] += row.circulating;
-  }
-  return byDate;
-}
-
-function computeDaily(aaveHist, okxData, bullishPairs, bullishTotal, supplyByDate,
-  krakenData, gateData, kucoinPairs, kucoinTotal, bitstampData, hoodOhlcv) {
-  const byDate = {};
-  const add = (date, patch) => {
-    if (!byDate[date]) byDate[date] = { date, aaveBorrow: 0, aaveNim: 0, okxTrading: 0,
-      bullishStable: 0, bullishRisk: 0, krakenTrading: 0, gateTrading: 0,
-      kucoinStable: 0, kucoinRisk: 0, bitstampTrading: 0, uniswapHoodTrading: 0 };
-    Object.assign(byDate[date], patch);
-  };
-
-  for (const row of (aaveHist?.history || [])) {
-    const idle = Math.max((row.total_supply || 0) - (row.total_debt || 0), 0);
-    add(row.date, { aaveBorrow: row.daily_interest || 0, aaveNim: idle * NIM_APY / 365 });
-  }
-  for (const row of (okxData?.dailyVolume || []))
-    add(row.date, { okxTrading: (row.volume || 0) * STABLE_FEE });
-
-  // Bullish: stable/risk split with total fallback
-  const bpv = bullishPairs?.volumeByPair || {};
-  if ((bpv['USDGUSDC']?.length || 0) > 0 || (bpv['BTCUSDG']?.length || 0) > 0) {
-    for (const row of (bpv['USDGUSDC'] || []))
-      add(row.date, { bullishStable: (row.volume || 0) * STABLE_FEE });
-    for (const row of (bpv['BTCUSDG'] || []))
-      add(row.date, { bullishRisk: (row.volume || 0) * RISK_FEE });
-  } else {
-    for (const row of (bullishTotal?.dailyVolume || []))
-      add(row.date, { bullishStable: (row.volume || 0) * STABLE_FEE });
-  }
-
-  // Kraken: USDG/USD, USDG/USDC, USDG/USDT — all stable/fiat (2bps)
-  for (const row of (krakenData?.dailyVolume || []))
-    add(row.date, { krakenTrading: (row.volume || 0) * STABLE_FEE });
-
-  // Gate: USDG/USDT — stable (2bps)
-  for (const row of (gateData?.dailyVolume || []))
-    add(row.date, { gateTrading: (row.volume || 0) * STABLE_FEE });
-
-  // KuCoin: USDG/USDT (2bps) + BTC/USDG (7bps); total fallback at stable rate
-  const kpv = kucoinPairs?.volumeByPair || {};
-  if ((kpv['USDG/USDT']?.length || 0) > 0 || (kpv['BTC/USDG']?.length || 0) > 0) {
-    for (const row of (kpv['USDG/USDT'] || []))
-      add(row.date, { kucoinStable: (row.volume || 0) * STABLE_FEE });
-    for (const row of (kpv['BTC/USDG'] || []))
-      add(row.date, { kucoinRisk: (row.volume || 0) * RISK_FEE });
-  } else {
-    for (const row of (kucoinTotal?.dailyVolume || []))
-      add(row.date, { kucoinStable: (row.volume || 0) * STABLE_FEE });
-  }
-
-  // Bitstamp: USDG/USD — stable/fiat (2bps)
-  for (const row of (bitstampData?.dailyVolume || []))
-    add(row.date, { bitstampTrading: (row.volume || 0) * STABLE_FEE });
-
-  // Uniswap Hood: use fee_revenue (per-pool accurate) when available, else volume * 1bps fallback
-  for (const row of (hoodOhlcv?.history || []))
-    if (row.volume > 0)
-      add(row.date, { uniswapHoodTrading: row.feeRevenue != null ? row.feeRevenue : (row.volume || 0) * 0.0001 });
-
-  return Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date)).map(r => {
-    const borrowerInterest = r.aaveBorrow;
-    const tradingFees = r.okxTrading + r.bullishStable + r.bullishRisk
-      + r.krakenTrading + r.gateTrading + r.kucoinStable + r.kucoinRisk + r.bitstampTrading + r.uniswapHoodTrading;
-    const chainSupply = supplyByDate?.[r.date];
-    const gdnRewards  = chainSupply != null ? chainSupply * NIM_APY / 365 : r.aaveNim;
-    return {
-      ...r,
-      borrowerInterest, tradingFees, gdnRewards,
-      hasChainSupply: chainSupply != null,
-      aave:         r.aaveBorrow + r.aaveNim,
-      okx:          r.okxTrading,
-      bullish:      r.bullishStable + r.bullishRisk,
-      kraken:       r.krakenTrading,
-      gate:         r.gateTrading,
-      kucoin:       r.kucoinStable + r.kucoinRisk,
-      bitstamp:     r.bitstampTrading,
-      uniswap_hood: r.uniswapHoodTrading,
-      total:        borrowerInterest + tradingFees + gdnRewards,
-    };
-  });
-}
-
 function parseDate(d) {
   const [y, m, day] = d.split('-').map(Number);
   return new Date(y, m - 1, day);
@@ -243,6 +152,24 @@ function fmtShort(v) {
   if (v >= 1e3) return `$${(v / 1e3).toFixed(0)}K`;
   return `$${(v || 0).toFixed(0)}`;
 }
+function fmtBps(rate) {
+  return `${+(rate * 1e4).toFixed(2)}bps`;
+}
+function fmtApy(rate) {
+  return rate != null ? `${(rate * 100).toFixed(1)}%` : 'the NIM rate';
+}
+// "OKX × 2bps; Bullish USDGUSDC × 2bps, BTCUSDG × 7bps; …" from a model version's venue rules
+function describeTradingFees(params) {
+  if (!params) return '';
+  return Object.entries(params.venues).map(([venue, rule]) => {
+    const label = VENUE_LABELS[venue] || venue;
+    if (rule.volume === 'hood') return `${label} pool fee revenue (else volume × ${fmtBps(rule.rate)})`;
+    if (rule.volume === 'pairs') {
+      return `${label} ${Object.entries(rule.pairs).map(([pair, tier]) => `${pair} × ${fmtBps(params.feeTiers[tier])}`).join(', ')}`;
+    }
+    return `${label} × ${fmtBps(params.feeTiers[rule.tier])}`;
+  }).join('; ');
+}
 function fmtLabel(row, view) {
   if (!row.date) return row.label || '';
   const d = parseDate(row.date);
@@ -266,6 +193,11 @@ function Tile({ label, value, display, sub, color }) {
   );
 }
 
+const viewParam  = stringParam(['30d', '12m', '4q']);
+const venueParam = stringParam(VENUES);
+const ALL_CHAINS = new Set(CHAIN_KEYS);
+const ALL_VENUES = new Set(VENUES);
+
 function ViewToggle({ value, onChange }) {
   return (
     <div style={{ display: 'flex', gap: 3, background: '#f0f2f5', borderRadius: 8,
@@ -349,48 +281,34 @@ const VenueTooltip = makeTooltip([
 // ── Main component ────────────────────────────────────────────────────────────────
 
 export default function GdpTab() {
-  const [view1, setView1]           = useState('30d');
-  const [view2, setView2]           = useState('30d');
-  const [view3, setView3]           = useState('30d');
-  const [view4, setView4]           = useState('30d');
-  const [view5, setView5]           = useState('30d');
-  const [activeChains, setActiveChains] = useState(new Set(CHAIN_KEYS));
+  const [view1, setView1]           = useUrlState('gdp.category', '30d', viewParam);
+  const [view2, setView2]           = useUrlState('gdp.venues', '30d', viewParam);
+  const [view3, setView3]           = useUrlState('gdp.partner', '30d', viewParam);
+  const [view4, setView4]           = useUrlState('gdp.chains', '30d', viewParam);
+  const [view5, setView5]           = useUrlState('gdp.share', '30d', viewParam);
+  const [activeChains, setActiveChains] = useUrlState('gdp.chains.on', ALL_CHAINS, setParam);
 
   const toggleChain = k => setActiveChains(prev => {
     const next = new Set(prev);
     next.has(k) ? next.delete(k) : next.add(k);
     return next;
   });
-  const [activeVenues, setActiveVenues] = useState(new Set(VENUES));
-  const [selectedVenue, setSelectedVenue] = useState('aave');
-
-  const { data: aaveHist,     loading: l1 } = useAaveUsdgHistory();
-  const { data: okxData,      loading: l2 } = useVolumeData('okx');
-  const { data: bullishTotal          }     = useVolumeData('bullish'); // non-blocking — takes ~19s on cold cache
-  const { data: bullishPairs           }     = usePairVolumeData('bullish');
-  const { data: krakenData             }     = useVolumeData('kraken');
-  const { data: gateData               }     = useVolumeData('gate');
-  const { data: kucoinTotal            }     = useVolumeData('kucoin');
-  const { data: kucoinPairs            }     = usePairVolumeData('kucoin');
-  const { data: bitstampData           }     = useVolumeData('bitstamp');
-  const { data: hoodOhlcv              }     = useHoodVolumeHistory();
-  const { data: supplyData             }     = useUsdgSupply();
-
-  const supplyByDate    = useMemo(() => buildSupplyByDate(supplyData?.history), [supplyData]);
-  const chainGdnDaily   = useMemo(() => buildChainGdnDaily(supplyData?.history), [supplyData]);
+  const [activeVenues, setActiveVenues] = useUrlState('gdp.venues.on', ALL_VENUES, setParam);
+  const [selectedVenue, setSelectedVenue] = useUrlState('gdp.partner.venue', 'aave', venueParam);
+
+  const { data: gdp, loading } = useGdp();
+
+  const daily         = useMemo(() => flattenDaily(gdp), [gdp]);
+  const chainGdnDaily = useMemo(() => buildChainGdnDaily(daily), [daily]);
+  // Rates shown in the copy are those of the newest model version and day in the window
+  const model  = gdp?.versions?.[gdp.versions.length - 1] || null;
+  const nimApy = daily.length ? daily[daily.length - 1].nimApy : null;
   const chart4 = useMemo(() => {
     if (!chainGdnDaily.length) return [];
     if (view4 === '30d') return chainGdnDaily.slice(-30).map(r => ({ ...r, displayDate: fmtLabel(r, '30d') }));
     const agg = aggregateChainBy(chainGdnDaily, view4 === '12m' ? 'month' : 'quarter');
     return (view4 === '12m' ? agg.slice(-12) : agg.slice(-4)).map(r => ({ ...r, displayDate: r.label }));
   }, [chainGdnDaily, view4]);
-  const daily = useMemo(
-    () => computeDaily(aaveHist, okxData, bullishPairs, bullishTotal, supplyByDate,
-      krakenData, gateData, kucoinPairs, kucoinTotal, bitstampData, hoodOhlcv),
-    [aaveHist, okxData, bullishPairs, bullishTotal, supplyByDate,
-     krakenData, gateData, kucoinPairs, kucoinTotal, bitstampData, hoodOhlcv]
-  );
-
   const chart1 = useMemo(() => {
     const sliced = sliceView(daily, view1).map(r => ({ ...r, displayDate: fmtLabel(r, view1) }));
     return view1 === '4q' ? processQuarterlyData(sliced) : sliced;
@@ -431,7 +349,7 @@ export default function GdpTab() {
   const arr = useMemo(() => {
     const last7 = daily.slice(-7).filter(r => r.total > 0);
     if (!last7.length) return null;
-    const count = last7.length; // named 'count' not 'n' to avoid minifier collision with NIM_APY→N
+    const count = last7.length;
     const sum = last7.reduce((acc, r) => ({
       borrowerInterest: acc.borrowerInterest + (r.borrowerInterest || 0),
       tradingFees:      acc.tradingFees      + (r.tradingFees      || 0),
@@ -458,8 +376,6 @@ export default function GdpTab() {
     return next;
   });
 
-  const loading = l1 || l2; // only block on AAVE + OKX; Bullish/others fill in non-blocking
-
   const axisProps = {
     stroke: C_DIM, tick: { fill: C_DIM, fontSize: 11 }, tickMargin: 8, interval: 'preserveStartEnd',
   };
@@ -486,7 +402,7 @@ export default function GdpTab() {
             <Tile label="Trading Fees Paid" value={totals.tradingFees} color={C_TRADING}
               sub={`est. from CEX volumes · ARR ${arr ? fmtUSD(arr.tradingFees) : '—'}`} />
             <Tile label="GDN Rewards Paid" value={totals.gdnRewards} color={C_REWARDS}
-              sub={`circulating USDG × ${(NIM_APY * 100).toFixed(1)}% · ARR ${arr ? fmtUSD(arr.gdnRewards) : '—'}`} />
+              sub={`circulating USDG × ${fmtApy(nimApy)} · ARR ${arr ? fmtUSD(arr.gdnRewards) : '—'}`} />
           </div>
 
           {/* ── QUARTERLY ESTIMATE TILES ── */}
@@ -750,9 +666,12 @@ export default function GdpTab() {
             border: `1px solid ${GDP_BORDER}`, borderRadius: 8, fontSize: 12, color: C_DIM, lineHeight: 1.6 }}>
             <strong style={{ color: C_TEXT }}>Methodology: </strong>
             Borrower interest = AAVE daily borrow interest.
-            GDN rewards = total circulating USDG (all chains) × {(NIM_APY * 100).toFixed(1)}% APY; falls back to AAVE idle proxy until chain snapshots accumulate.
-            Trading fees: OKX USDG/USDT × 2bps; Bullish USDGUSDC × 2bps, BTCUSDG × 7bps.
-            Prototype — additional venues and custody rewards TBD.
+            GDN rewards = total circulating USDG (all chains) × {fmtApy(nimApy)} APY; falls back to AAVE idle proxy until chain snapshots accumulate.
+            Trading fees: {describeTradingFees(model?.params)}.
+            {model && <> Rates from model v{model.version}, effective {model.effectiveFrom}
+              {gdp.versions.length > 1 && ` (earlier days use v${gdp.versions.slice(0, -1).map(v => v.version).join(', v')})`}.</>}
+            {' '}<a href={gdp ? `/api/gdp?start=${gdp.start}&end=${gdp.end}&format=csv` : '/api/gdp?format=csv'} style={{ color: C_TRADING }}>Download daily CSV</a>.
+            Prototype — custody rewards TBD.
           </div>
         </>
       )}
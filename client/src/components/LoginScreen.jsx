@@ -0,0 +1,49 @@
+import { useState } from 'react';
+
+export default function LoginScreen({ onLogin, onCancel }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await onLogin(username.trim(), password);
+    } catch (err) {
+      setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login-screen">
+      <form className="login-card" onSubmit={submit}>
+        <h1>USDG Trading Volume Tracker</h1>
+        <p>Sign in to continue</p>
+
+        <label>
+          Username
+          <input value={username} onChange={e => setUsername(e.target.value)}
+            autoComplete="username" autoFocus required />
+        </label>
+        <label>
+          Password
+          <input type="password" value={password} onChange={e => setPassword(e.target.value)}
+            autoComplete="current-password" required />
+        </label>
+
+        {error && <div className="login-error">{error}</div>}
+
+        <button type="submit" className="tab-btn active" disabled={submitting}>
+          {submitting ? 'Signing in…' : 'Sign in'}
+        </button>
+        {onCancel && (
+          <button type="button" className="tab-btn" onClick={onCancel}>Continue without signing in</button>
+        )}
+      </form>
+    </div>
+  );
+}
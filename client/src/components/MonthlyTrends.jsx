@@ -11,6 +11,7 @@ import {
   Legend
 } from 'recharts';
 import { useMonthlyMetrics } from '../hooks/useVolumeData';
+import TrendStatistics from './TrendStatistics';
 
 function formatVolume(value) {
   if (value >= 1e9) return `$${(value / 1e9).toFixed(1)}B`;
@@ -104,7 +105,7 @@ export default function MonthlyTrends() {
     );
   }
 
-  const { monthly, changes } = data;
+  const { monthly, changes, statistics, anomalies } = data;
 
   // Prepare data for line chart (exchanges by threshold)
   const exchangeThresholdData = monthly.map(m => ({
@@ -178,6 +179,14 @@ export default function MonthlyTrends() {
         </section>
       )}
 
+      <TrendStatistics
+        period="month"
+        statistics={statistics}
+        changes={changes?.statistics}
+        anomalies={anomalies}
+        series={monthly.map(w => ({ label: formatMonthLabel(w.month), metrics: w.metrics }))}
+      />
+
       {/* Exchange Threshold Line Chart */}
       <section className="chart-section">
         <h3>Exchanges by Volume Threshold</h3>
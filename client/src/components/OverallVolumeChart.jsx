@@ -1,7 +1,7 @@
-import { useState } from 'react';
 import {
-  BarChart,
+  ComposedChart,
   Bar,
+  Line,
   XAxis,
   YAxis,
   CartesianGrid,
@@ -11,7 +11,8 @@ import {
   LabelList
 } from 'recharts';
 import TimeRangeSelector from './TimeRangeSelector';
-import { useAggregatedData, useDefiPools, useDexHistory, useHoodVolumeHistory } from '../hooks/useVolumeData';
+import { useSeries, useDefiPools, useDexHistory, useHoodVolumeHistory } from '../hooks/useVolumeData';
+import { useTimeRange, fetchBounds, applyRange, withPrevious, formatBucket, isPartialBucket, GHOST_LINE_PROPS } from '../hooks/useTimeRange';
 
 const SOURCE_COLORS = {
   kraken:       '#7c3aed',
@@ -39,6 +40,18 @@ const SOURCE_NAMES = {
   uniswap_hood: 'Hood (Uniswap)',
 };
 
+const DEX_SOURCES = ['orca', 'curve', 'uniswap_hood'];
+
+// Series rows and DEX rows share bucket dates; join them into one row per bucket
+function mergeBuckets(cexRows, dexRows) {
+  if (!cexRows && !dexRows) return null;
+  const byDate = new Map();
+  for (const row of [...(cexRows || []), ...(dexRows || [])]) {
+    byDate.set(row.date, { ...byDate.get(row.date), ...row });
+  }
+  return Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+}
+
 function formatVolume(value) {
   if (value >= 1e9) return `${(value / 1e9).toFixed(1)}B`;
   if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
@@ -50,75 +63,17 @@ function formatTooltipValue(value) {
   return `$${formatVolume(value)}`;
 }
 
-function formatDate(dateStr, timeRange) {
-  const [year, month, day] = dateStr.split('-').map(Number);
-  const date = new Date(year, month - 1, day);
-  if (timeRange === '1y') {
-    const label = date.toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
-    const now = new Date();
-    if (year === now.getFullYear() && month === now.getMonth() + 1) {
-      return `${label}*`;
-    }
-    return label;
-  }
-  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-}
-
-function parseDate(dateStr) {
-  const [year, month, day] = dateStr.split('-').map(Number);
-  return new Date(year, month - 1, day);
-}
-
-function aggregateToMonthly(data, sources) {
-  const monthlyMap = new Map();
-  data.forEach(d => {
-    const monthKey = d.date.substring(0, 7);
-    if (!monthlyMap.has(monthKey)) {
-      monthlyMap.set(monthKey, { date: `${monthKey}-01` });
-      sources.forEach(s => { monthlyMap.get(monthKey)[s] = 0; });
-    }
-    sources.forEach(s => {
-      monthlyMap.get(monthKey)[s] += (d[s] || 0);
-    });
-  });
-  return Array.from(monthlyMap.values()).sort((a, b) => a.date.localeCompare(b.date));
-}
-
-function filterDataByTimeRange(data, timeRange, sources) {
-  if (!data || data.length === 0) return [];
-  const now = new Date();
-  let filtered;
-
-  switch (timeRange) {
-    case '30d': {
-      const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-      filtered = data.filter(d => parseDate(d.date) >= thirtyDaysAgo);
-      break;
-    }
-    case '1y': {
-      const oneYearAgo = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
-      filtered = data.filter(d => parseDate(d.date) >= oneYearAgo);
-      return aggregateToMonthly(filtered, sources);
-    }
-    default:
-      filtered = data.slice(-30);
-  }
-
-  return filtered.map(d => {
-    const row = { date: d.date };
-    sources.forEach(s => { row[s] = d[s] || 0; });
-    return row;
-  });
-}
-
 export default function OverallVolumeChart() {
-  const { data: cexData, loading: cexLoading } = useAggregatedData();
+  const [range, setRange] = useTimeRange('overall');
+  // CEX volume is summed per bucket in Postgres; DEX history comes for the range's days only
+  const { data: cexSeries, previous: cexPrevious, loading: cexLoading } =
+    useSeries('cex.daily_volume', range, { groupBy: 'exchange' });
   const { data: dexData, loading: dexLoading } = useDefiPools();
-  const { data: dexHistory, loading: histLoading } = useDexHistory();
-  const { data: hoodOhlcv } = useHoodVolumeHistory(); // accurate OHLCV — non-blocking
-  const [timeRange, setTimeRange] = useState('30d');
+  const bounds = fetchBounds(range);
+  const { data: dexHistory, loading: histLoading } = useDexHistory(bounds);
+  const { data: hoodOhlcv } = useHoodVolumeHistory(bounds); // accurate OHLCV — non-blocking
 
-  const loading = cexLoading || dexLoading || histLoading;
+  const loading = (cexLoading && !cexSeries) || dexLoading || (histLoading && !dexHistory);
 
   if (loading) {
     return (
@@ -129,9 +84,9 @@ export default function OverallVolumeChart() {
     );
   }
 
-  // Merge CEX daily volume with DEX 24h volume on today's date
-  const cexDaily = cexData?.dailyVolume || [];
-  const allSources = [...(cexData?.exchanges || []), 'orca', 'curve', 'uniswap_hood'];
+  const exchanges = [...new Set([...(cexSeries || []), ...(cexPrevious || [])]
+    .flatMap(row => Object.keys(row).filter(key => key !== 'date')))];
+  const allSources = [...exchanges, ...DEX_SOURCES];
 
   // Build historical DEX volume from Postgres snapshots
   const orcaHistoryByDate  = {};
@@ -169,22 +124,24 @@ export default function OverallVolumeChart() {
   }
   const hoodVolume24h  = livePools.filter(p => p.chain === 'robinhood').reduce((sum, p) => sum + (p.stats?.['24h']?.volume || 0), 0);
 
-  const mergedData = cexDaily.map(d => {
-    const row = { date: d.date, byExchange: d.byExchange };
-    (cexData?.exchanges || []).forEach(ex => {
-      row[ex] = d.byExchange?.[ex] || 0;
-    });
-    row.orca         = orcaHistoryByDate[d.date]  ?? (d.date === today ? orcaVolume24h  : 0);
-    row.curve        = curveHistoryByDate[d.date] ?? (d.date === today ? curveVolume24h : 0);
-    row.uniswap_hood = hoodHistoryByDate[d.date]  ?? (d.date === today ? hoodVolume24h  : 0);
-    return row;
-  });
-
-  const chartData = filterDataByTimeRange(mergedData, timeRange, allSources);
-  const formattedData = chartData.map(d => {
-    const total = allSources.reduce((sum, s) => sum + (d[s] || 0), 0);
-    return { ...d, displayDate: formatDate(d.date, timeRange), _total: total };
-  });
+  const dexDates = new Set([...Object.keys(orcaHistoryByDate), ...Object.keys(curveHistoryByDate), ...Object.keys(hoodHistoryByDate), today]);
+  const dexDaily = [...dexDates].map(date => ({
+    date,
+    orca:         orcaHistoryByDate[date]  ?? (date === today ? orcaVolume24h  : 0),
+    curve:        curveHistoryByDate[date] ?? (date === today ? curveVolume24h : 0),
+    uniswap_hood: hoodHistoryByDate[date]  ?? (date === today ? hoodVolume24h  : 0),
+  }));
+  const dex = applyRange(dexDaily, range, DEX_SOURCES);
+
+  const withTotal = rows => rows?.map(d => ({
+    ...d,
+    _total: allSources.reduce((sum, s) => sum + (d[s] || 0), 0)
+  }));
+  const rows = mergeBuckets(cexSeries, dex.rows) || [];
+  const previous = mergeBuckets(cexPrevious, dex.previous);
+  const chartData = withPrevious(withTotal(rows), withTotal(previous), ['_total']);
+  const formattedData = chartData.map(d => ({ ...d, displayDate: formatBucket(d.date, range.rollup) }));
+  const lastBucket = chartData[chartData.length - 1]?.date;
 
   // Sort by total volume descending (largest at bottom of stack)
   const sortedSources = [...allSources].sort((a, b) => {
@@ -197,7 +154,7 @@ export default function OverallVolumeChart() {
     <section className="exchange-section">
       <div className="section-header">
         <h2>Overall USDG Volume (CEX + DEX)</h2>
-        <TimeRangeSelector value={timeRange} onChange={setTimeRange} />
+        <TimeRangeSelector value={range} onChange={setRange} />
       </div>
 
       {formattedData.length === 0 ? (
@@ -207,7 +164,7 @@ export default function OverallVolumeChart() {
       ) : (
         <div className="chart-container">
           <ResponsiveContainer width="100%" height="100%">
-            <BarChart data={formattedData} margin={{ top: 30, right: 30, left: 20, bottom: 5 }}>
+            <ComposedChart data={formattedData} margin={{ top: 30, right: 30, left: 20, bottom: 5 }}>
               <CartesianGrid strokeDasharray="3 3" stroke="#2f3542" />
               <XAxis
                 dataKey="displayDate"
@@ -262,14 +219,15 @@ export default function OverallVolumeChart() {
                   )}
                 </Bar>
               ))}
-            </BarChart>
+              {previous && <Line dataKey="prev__total" name="Previous period" {...GHOST_LINE_PROPS} />}
+            </ComposedChart>
           </ResponsiveContainer>
         </div>
       )}
 
-      {timeRange === '1y' && (
+      {lastBucket && isPartialBucket(lastBucket, range.rollup) && (
         <div className="chart-footnote">
-          *Month in progress (as of {new Date().toLocaleDateString('en-US', { month: 'numeric', day: 'numeric' })})
+          *{range.rollup === 'week' ? 'Week' : 'Month'} in progress (as of {new Date().toLocaleDateString('en-US', { month: 'numeric', day: 'numeric' })})
         </div>
       )}
     </section>
@@ -1,6 +1,7 @@
 import {
-  BarChart,
+  ComposedChart,
   Bar,
+  Line,
   XAxis,
   YAxis,
   CartesianGrid,
@@ -8,6 +9,7 @@ import {
   ResponsiveContainer,
   Legend
 } from 'recharts';
+import { applyRange, withPrevious, formatBucket, GHOST_LINE_PROPS } from '../hooks/useTimeRange';
 
 // Color palette for different pairs
 const COLORS = [
@@ -26,69 +28,7 @@ function formatTooltipValue(value) {
   return `$${formatVolume(value)}`;
 }
 
-// Parse date string without timezone issues
-function parseDate(dateStr) {
-  const [year, month, day] = dateStr.split('-').map(Number);
-  return new Date(year, month - 1, day);
-}
-
-function formatDate(dateStr, timeRange) {
-  const date = parseDate(dateStr);
-  if (timeRange === '1y') {
-    return date.toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
-  }
-  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-}
-
-function aggregateToMonthly(dates, volumeByPair, selectedPairs) {
-  const monthlyData = new Map();
-
-  dates.forEach(date => {
-    const monthKey = date.substring(0, 7); // YYYY-MM
-
-    if (!monthlyData.has(monthKey)) {
-      monthlyData.set(monthKey, {});
-    }
-
-    selectedPairs.forEach(pair => {
-      const pairData = volumeByPair[pair] || [];
-      const dayData = pairData.find(d => d.date === date);
-      if (dayData) {
-        const existing = monthlyData.get(monthKey)[pair] || 0;
-        monthlyData.get(monthKey)[pair] = existing + dayData.volume;
-      }
-    });
-  });
-
-  return Array.from(monthlyData.entries())
-    .map(([month, volumes]) => ({
-      date: `${month}-01`,
-      ...volumes
-    }))
-    .sort((a, b) => a.date.localeCompare(b.date));
-}
-
-function filterDatesByTimeRange(dates, timeRange) {
-  if (!dates || dates.length === 0) return [];
-
-  const now = new Date();
-  const sortedDates = [...dates].sort();
-
-  switch (timeRange) {
-    case '30d': {
-      const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-      return sortedDates.filter(d => parseDate(d) >= thirtyDaysAgo);
-    }
-    case '1y': {
-      const oneYearAgo = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
-      return sortedDates.filter(d => parseDate(d) >= oneYearAgo);
-    }
-    default:
-      return sortedDates.slice(-30);
-  }
-}
-
-export default function PairVolumeChart({ volumeByPair, selectedPairs, timeRange = '30d' }) {
+export default function PairVolumeChart({ volumeByPair, selectedPairs, range }) {
   if (!selectedPairs || selectedPairs.length === 0) {
     return (
       <div className="chart-container">
@@ -97,37 +37,25 @@ export default function PairVolumeChart({ volumeByPair, selectedPairs, timeRange
     );
   }
 
-  // Build chart data: merge all dates from selected pairs
-  const dateSet = new Set();
+  // Build daily rows across the selected pairs, then filter and roll up
+  const dateMap = new Map();
   selectedPairs.forEach(pair => {
-    const pairData = volumeByPair[pair] || [];
-    pairData.forEach(d => dateSet.add(d.date));
+    (volumeByPair[pair] || []).forEach(d => {
+      if (!dateMap.has(d.date)) dateMap.set(d.date, { date: d.date });
+      dateMap.get(d.date)[pair] = d.volume;
+    });
   });
 
-  const allDates = Array.from(dateSet);
-  const filteredDates = filterDatesByTimeRange(allDates, timeRange);
-
-  let chartData;
+  const withTotal = rows => rows?.map(row => ({
+    ...row,
+    _total: selectedPairs.reduce((sum, pair) => sum + (row[pair] || 0), 0)
+  }));
 
-  if (timeRange === '1y') {
-    // Aggregate to monthly
-    chartData = aggregateToMonthly(filteredDates, volumeByPair, selectedPairs);
-    chartData = chartData.map(row => ({
-      ...row,
-      displayDate: formatDate(row.date, timeRange)
-    }));
-  } else {
-    // Daily data
-    chartData = filteredDates.map(date => {
-      const row = { date, displayDate: formatDate(date, timeRange) };
-      selectedPairs.forEach(pair => {
-        const pairData = volumeByPair[pair] || [];
-        const dayData = pairData.find(d => d.date === date);
-        row[pair] = dayData ? dayData.volume : 0;
-      });
-      return row;
-    });
-  }
+  const { rows, previous } = applyRange(Array.from(dateMap.values()), range, selectedPairs);
+  const chartData = withPrevious(withTotal(rows), withTotal(previous), ['_total']).map(row => ({
+    ...row,
+    displayDate: formatBucket(row.date, range.rollup)
+  }));
 
   if (chartData.length === 0) {
     return (
@@ -147,7 +75,7 @@ export default function PairVolumeChart({ volumeByPair, selectedPairs, timeRange
   return (
     <div className="chart-container">
       <ResponsiveContainer width="100%" height="100%">
-        <BarChart data={chartData} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
+        <ComposedChart data={chartData} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
           <CartesianGrid strokeDasharray="3 3" stroke="#2f3542" />
           <XAxis
             dataKey="displayDate"
@@ -189,7 +117,8 @@ export default function PairVolumeChart({ volumeByPair, selectedPairs, timeRange
               name={pair}
             />
           ))}
-        </BarChart>
+          {previous && <Line dataKey="prev__total" name="Previous period" {...GHOST_LINE_PROPS} />}
+        </ComposedChart>
       </ResponsiveContainer>
     </div>
   );
@@ -1,15 +1,17 @@
-import { useState } from 'react';
 import {
-  AreaChart,
+  ComposedChart,
   Area,
   XAxis,
   YAxis,
   CartesianGrid,
   Tooltip,
   ResponsiveContainer,
-  ReferenceLine
+  ReferenceLine,
+  Line
 } from 'recharts';
-import { usePaxgSupply } from '../hooks/useVolumeData';
+import TimeRangeSelector from './TimeRangeSelector';
+import { usePaxgSupply, useSeries } from '../hooks/useVolumeData';
+import { useTimeRange, withPrevious, formatBucket, GHOST_LINE_PROPS } from '../hooks/useTimeRange';
 
 const PAXG_GOLD = '#f5a623';
 
@@ -19,35 +21,14 @@ function formatSupply(value) {
   return value.toLocaleString('en-US', { maximumFractionDigits: 0 });
 }
 
-function formatDate(dateStr, range) {
-  const [year, month, day] = dateStr.split('-').map(Number);
-  const date = new Date(year, month - 1, day);
-  if (range === '1y' || range === '3y') {
-    return date.toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
-  }
-  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-}
-
 function parseDate(dateStr) {
   const [year, month, day] = dateStr.split('-').map(Number);
   return new Date(year, month - 1, day);
 }
 
-function filterHistory(history, range) {
-  if (!history || history.length === 0) return [];
-  const now = new Date();
-  const cutoffs = {
-    '90d': new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000),
-    '1y': new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000),
-    '3y': new Date(now.getTime() - 3 * 365 * 24 * 60 * 60 * 1000)
-  };
-  const cutoff = cutoffs[range] || cutoffs['3y'];
-  return history.filter(d => parseDate(d.date) >= cutoff);
-}
-
 const CustomTooltip = ({ active, payload, label }) => {
   if (!active || !payload?.length) return null;
-  const supply = payload[0]?.value;
+  const { supply, prev_supply: prevSupply, prevDate } = payload[0].payload;
   return (
     <div style={{
       backgroundColor: '#1a1f2e',
@@ -63,13 +44,20 @@ const CustomTooltip = ({ active, payload, label }) => {
       <div style={{ color: '#71767b', fontSize: 11 }}>
         ≈ {supply?.toLocaleString('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 })} at $1 = 1 oz gold
       </div>
+      {prevSupply != null && (
+        <div style={{ color: '#8899a6', fontSize: 11, marginTop: 4 }}>
+          {prevDate}: {formatSupply(prevSupply)} PAXG ({supply >= prevSupply ? '+' : ''}{((supply - prevSupply) / prevSupply * 100).toFixed(1)}%)
+        </div>
+      )}
     </div>
   );
 };
 
 export default function PaxgSupplyTab() {
   const { data, loading, error, lastUpdated } = usePaxgSupply();
-  const [range, setRange] = useState('3y');
+  const [range, setRange] = useTimeRange('supply', 'all');
+  // Supply at the end of each bucket, rolled up in Postgres
+  const { data: series, previous, error: seriesError } = useSeries('supply.paxg', range, { aggregate: 'last' });
 
   if (loading) {
     return (
@@ -98,11 +86,9 @@ export default function PaxgSupplyTab() {
     );
   }
 
-  const filtered = filterHistory(data.history, range);
-  const chartData = filtered.map(d => ({
-    ...d,
-    displayDate: formatDate(d.date, range)
-  }));
+  const toSupply = rows => rows?.map(d => ({ date: d.date, supply: d.value }));
+  const chartData = withPrevious(toSupply(series || []), toSupply(previous), ['supply'])
+    .map(d => ({ ...d, displayDate: formatBucket(d.date, range.rollup) }));
 
   const latest = data.history[data.history.length - 1];
   const yearAgoEntry = data.history.find(d => {
@@ -117,7 +103,7 @@ export default function PaxgSupplyTab() {
     : null;
 
   // Determine Y axis domain with 5% padding
-  const supplies = filtered.map(d => d.supply);
+  const supplies = chartData.flatMap(d => [d.supply, d.prev_supply]).filter(v => v != null);
   const minSupply = Math.min(...supplies);
   const maxSupply = Math.max(...supplies);
   const padding = (maxSupply - minSupply) * 0.05;
@@ -181,64 +167,64 @@ export default function PaxgSupplyTab() {
         <div className="section-header" style={{ marginBottom: 16 }}>
           <h3 style={{ margin: 0 }}>Supply Over Time</h3>
           <div className="section-controls">
-            {['90d', '1y', '3y'].map(r => (
-              <button
-                key={r}
-                className={`tab-btn ${range === r ? 'active' : ''}`}
-                style={{ padding: '4px 12px', fontSize: 12 }}
-                onClick={() => setRange(r)}
-              >
-                {r === '90d' ? '90 Days' : r === '1y' ? '1 Year' : '3 Years'}
-              </button>
-            ))}
+            <TimeRangeSelector value={range} onChange={setRange} />
           </div>
         </div>
-        <div className="chart-container">
-          <ResponsiveContainer width="100%" height="100%">
-            <AreaChart data={chartData} margin={{ top: 10, right: 30, left: 20, bottom: 5 }}>
-              <defs>
-                <linearGradient id="paxgGradient" x1="0" y1="0" x2="0" y2="1">
-                  <stop offset="5%" stopColor={PAXG_GOLD} stopOpacity={0.25} />
-                  <stop offset="95%" stopColor={PAXG_GOLD} stopOpacity={0.02} />
-                </linearGradient>
-              </defs>
-              <CartesianGrid strokeDasharray="3 3" stroke="#2f3542" />
-              <XAxis
-                dataKey="displayDate"
-                stroke="#71767b"
-                tick={{ fill: '#71767b', fontSize: 11 }}
-                interval="preserveStartEnd"
-                tickMargin={10}
-              />
-              <YAxis
-                stroke="#71767b"
-                tick={{ fill: '#71767b', fontSize: 11 }}
-                tickFormatter={formatSupply}
-                domain={yDomain}
-                width={70}
-              />
-              <Tooltip content={<CustomTooltip />} />
-              {allTimeHigh.supply === maxSupply && (
-                <ReferenceLine
-                  y={allTimeHigh.supply}
+        {chartData.length === 0 ? (
+          <div className="chart-container">
+            <div className={seriesError ? 'error' : 'loading'}>
+              {seriesError ? `Error: ${seriesError}` : series ? 'No supply data in this range' : 'Loading supply history...'}
+            </div>
+          </div>
+        ) : (
+          <div className="chart-container">
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={chartData} margin={{ top: 10, right: 30, left: 20, bottom: 5 }}>
+                <defs>
+                  <linearGradient id="paxgGradient" x1="0" y1="0" x2="0" y2="1">
+                    <stop offset="5%" stopColor={PAXG_GOLD} stopOpacity={0.25} />
+                    <stop offset="95%" stopColor={PAXG_GOLD} stopOpacity={0.02} />
+                  </linearGradient>
+                </defs>
+                <CartesianGrid strokeDasharray="3 3" stroke="#2f3542" />
+                <XAxis
+                  dataKey="displayDate"
+                  stroke="#71767b"
+                  tick={{ fill: '#71767b', fontSize: 11 }}
+                  interval="preserveStartEnd"
+                  tickMargin={10}
+                />
+                <YAxis
+                  stroke="#71767b"
+                  tick={{ fill: '#71767b', fontSize: 11 }}
+                  tickFormatter={formatSupply}
+                  domain={yDomain}
+                  width={70}
+                />
+                <Tooltip content={<CustomTooltip />} />
+                {allTimeHigh.supply === maxSupply && (
+                  <ReferenceLine
+                    y={allTimeHigh.supply}
+                    stroke={PAXG_GOLD}
+                    strokeDasharray="4 4"
+                    strokeOpacity={0.4}
+                    label={{ value: 'ATH', fill: PAXG_GOLD, fontSize: 10, opacity: 0.6 }}
+                  />
+                )}
+                <Area
+                  type="monotone"
+                  dataKey="supply"
                   stroke={PAXG_GOLD}
-                  strokeDasharray="4 4"
-                  strokeOpacity={0.4}
-                  label={{ value: 'ATH', fill: PAXG_GOLD, fontSize: 10, opacity: 0.6 }}
+                  strokeWidth={2}
+                  fill="url(#paxgGradient)"
+                  dot={false}
+                  activeDot={{ r: 4, fill: PAXG_GOLD, strokeWidth: 0 }}
                 />
-              )}
-              <Area
-                type="monotone"
-                dataKey="supply"
-                stroke={PAXG_GOLD}
-                strokeWidth={2}
-                fill="url(#paxgGradient)"
-                dot={false}
-                activeDot={{ r: 4, fill: PAXG_GOLD, strokeWidth: 0 }}
-              />
-            </AreaChart>
-          </ResponsiveContainer>
-        </div>
+                {previous && <Line type="monotone" dataKey="prev_supply" {...GHOST_LINE_PROPS} />}
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+        )}
       </section>
 
       <div style={{ color: '#71767b', fontSize: 11, marginTop: 8 }}>
@@ -1,9 +1,10 @@
-import { useState, useMemo } from 'react';
+import { useMemo } from 'react';
 import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid,
   Tooltip, ResponsiveContainer, Legend
 } from 'recharts';
 import { usePaxgVolume } from '../hooks/useVolumeData';
+import { useUrlState, stringParam, listParam } from '../hooks/useUrlState';
 
 const EXCHANGE_COLORS = {
   binance: '#f5a623',
@@ -139,12 +140,15 @@ function TokenPills({ token, setToken }) {
   );
 }
 
+const tokenParam = stringParam(['paxg', 'xaut', 'both']);
+const rangeParam = stringParam(['30d', '1y']);
+
 export default function PaxgVolumeTab() {
   const { data, loading, error, lastUpdated } = usePaxgVolume();
 
-  const [c2Token, setC2Token] = useState('both');
-  const [c2Sel, setC2Sel]     = useState(null);
-  const [c2Range, setC2Range] = useState('30d');
+  const [c2Token, setC2Token] = useUrlState('gold.token', 'both', tokenParam);
+  const [c2Sel, setC2Sel]     = useUrlState('gold.ex', null, listParam);
+  const [c2Range, setC2Range] = useUrlState('gold.range', '30d', rangeParam);
 
   const exchanges = data?.exchanges || [];
   const allKeys = exchanges.map(e => e.key);
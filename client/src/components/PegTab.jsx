@@ -0,0 +1,324 @@
+import { useMemo } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip,
+  ResponsiveContainer, Legend, ReferenceLine, ReferenceArea
+} from 'recharts';
+import { usePeg } from '../hooks/useVolumeData';
+import { useUrlState, stringParam } from '../hooks/useUrlState';
+
+const WINDOWS = [
+  { id: '24', label: '24H' },
+  { id: '168', label: '7D' },
+  { id: '720', label: '30D' },
+];
+const BANDS = ['5', '10', '25', '50'];
+const WEIGHTINGS = [
+  { id: 'depth', label: 'Depth-weighted' },
+  { id: 'volume', label: 'Volume-weighted' },
+];
+
+const REFERENCE_COLOR = '#e7e9ea';
+const VENUE_COLORS = ['#00d4aa', '#3b82f6', '#f59e0b', '#a855f7', '#ef4444', '#10b981', '#ec4899', '#06b6d4'];
+
+const windowParam = stringParam(WINDOWS.map(w => w.id));
+const bandParam = stringParam(BANDS);
+const weightingParam = stringParam(WEIGHTINGS.map(w => w.id));
+
+function formatBps(bps) {
+  if (bps === null || bps === undefined) return '—';
+  return `${bps > 0 ? '+' : ''}${bps.toFixed(1)} bps`;
+}
+
+function formatPrice(price) {
+  return price === null || price === undefined ? '—' : `$${price.toFixed(4)}`;
+}
+
+function formatPct(rate) {
+  return rate === null || rate === undefined ? '—' : `${(rate * 100).toFixed(1)}%`;
+}
+
+function formatHour(iso, long = false) {
+  const d = new Date(iso);
+  return long
+    ? d.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+    : d.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit' });
+}
+
+function deviationClass(bps, band) {
+  const abs = Math.abs(bps);
+  if (abs <= band / 2) return 'spread-tight';
+  if (abs <= band) return 'spread-moderate';
+  return 'spread-wide';
+}
+
+const venueLabel = v => `${v.venue} ${v.pair}`;
+
+// One row per hour: the reference deviation plus a key per venue
+function buildChartData(data) {
+  const rows = new Map(data.reference.map(r => [r.hour, { hour: r.hour, reference: r.deviationBps }]));
+  for (const venue of data.venues) {
+    for (const point of venue.series) {
+      const row = rows.get(point.hour);
+      if (row) row[venue.id] = point.deviationBps;
+    }
+  }
+  return [...rows.values()];
+}
+
+function ButtonGroup({ options, value, onChange }) {
+  return (
+    <div className="time-range-selector">
+      {options.map(o => (
+        <button
+          key={o.id}
+          className={`time-range-btn ${value === o.id ? 'active' : ''}`}
+          onClick={() => onChange(o.id)}
+        >
+          {o.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function SummaryCard({ label, sub, value, className }) {
+  return (
+    <div className="comparison-card">
+      <div className="comparison-label">{label}</div>
+      <div className="comparison-values">
+        <div className="comparison-current">
+          <span className="value-label">{sub}</span>
+          <span className={`value-number ${className || ''}`}>{value}</span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function PegTooltip({ active, payload, label, venues }) {
+  if (!active || !payload?.length) return null;
+  const names = Object.fromEntries(venues.map(v => [v.id, venueLabel(v)]));
+  return (
+    <div className="peg-tooltip">
+      <div className="peg-tooltip-label">{formatHour(label, true)}</div>
+      {payload.map(p => (
+        <div key={p.dataKey} style={{ color: p.color }}>
+          {p.dataKey === 'reference' ? 'Reference' : names[p.dataKey]}: {formatBps(p.value)}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function PegTab() {
+  const [hours, setHours] = useUrlState('peg.hours', '168', windowParam);
+  const [band, setBand] = useUrlState('peg.band', '10', bandParam);
+  const [weighting, setWeighting] = useUrlState('peg.weighting', 'depth', weightingParam);
+  const bandBps = Number(band);
+  const { data, loading, error } = usePeg(Number(hours), bandBps, weighting);
+
+  const chartData = useMemo(() => (data ? buildChartData(data) : []), [data]);
+  const breaches = useMemo(
+    () => (data ? data.reference.filter(r => Math.abs(r.worst.deviationBps) > bandBps).slice(-24).reverse() : []),
+    [data, bandBps]
+  );
+
+  const controls = (
+    <div className="peg-controls">
+      <ButtonGroup options={WINDOWS} value={hours} onChange={setHours} />
+      <ButtonGroup options={BANDS.map(b => ({ id: b, label: `±${b} bps` }))} value={band} onChange={setBand} />
+      <ButtonGroup options={WEIGHTINGS} value={weighting} onChange={setWeighting} />
+    </div>
+  );
+
+  if (loading && !data) {
+    return (
+      <div className="weekly-trends">
+        <h2>USDG Peg Monitor</h2>
+        {controls}
+        <div className="loading">Loading peg data...</div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="weekly-trends">
+        <h2>USDG Peg Monitor</h2>
+        {controls}
+        <div className="error">Error: {error}</div>
+      </div>
+    );
+  }
+
+  if (!data || data.reference.length === 0) {
+    return (
+      <div className="weekly-trends">
+        <h2>USDG Peg Monitor</h2>
+        {controls}
+        <div className="no-data">No USDG stablecoin prices recorded in this window.</div>
+      </div>
+    );
+  }
+
+  const { current, summary, venues, excluded } = data;
+  const worstNow = current.worst;
+
+  return (
+    <div className="weekly-trends">
+      <h2>USDG Peg Monitor</h2>
+      <p style={{ color: '#71767b', marginTop: -8, marginBottom: 16 }}>
+        Hourly USDG price across CEX stablecoin pairs and DEX stable pools, each quote stablecoin taken as $1.
+        The reference is {weighting === 'depth' ? 'weighted by ±50 bps book depth (CEX) and pool USDG balance (DEX)' : 'weighted by daily USD volume'}.
+      </p>
+      {controls}
+
+      <section className="wow-section">
+        <div className="comparison-grid">
+          <SummaryCard
+            label="Reference Price"
+            sub={`${formatHour(current.hour, true)} · ${current.venues} venues`}
+            value={formatPrice(current.price)}
+          />
+          <SummaryCard
+            label="Reference Deviation"
+            sub={current.weighted ? 'From $1.00' : 'From $1.00 (unweighted)'}
+            value={formatBps(current.deviationBps)}
+            className={deviationClass(current.deviationBps, bandBps)}
+          />
+          <SummaryCard
+            label="Worst Venue Now"
+            sub={venueLabel(worstNow)}
+            value={formatBps(worstNow.deviationBps)}
+            className={deviationClass(worstNow.deviationBps, bandBps)}
+          />
+          <SummaryCard
+            label={`Time Outside ±${bandBps} bps`}
+            sub={`${summary.hoursOutsideBand} of ${summary.hoursObserved} hours (reference)`}
+            value={formatPct(summary.outsideBandPct)}
+          />
+          <SummaryCard
+            label="Max Reference Deviation"
+            sub={summary.maxDeviation ? formatHour(summary.maxDeviation.hour, true) : '—'}
+            value={formatBps(summary.maxDeviation?.deviationBps)}
+            className={summary.maxDeviation ? deviationClass(summary.maxDeviation.deviationBps, bandBps) : ''}
+          />
+        </div>
+      </section>
+
+      <section className="chart-section">
+        <h3>Deviation from $1 (bps)</h3>
+        <div className="chart-container">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={chartData} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#2f3542" />
+              <XAxis
+                dataKey="hour"
+                stroke="#71767b"
+                tick={{ fill: '#71767b', fontSize: 11 }}
+                tickFormatter={h => formatHour(h)}
+                minTickGap={40}
+              />
+              <YAxis
+                stroke="#71767b"
+                tick={{ fill: '#71767b', fontSize: 11 }}
+                domain={[dataMin => Math.min(dataMin, -bandBps * 1.5), dataMax => Math.max(dataMax, bandBps * 1.5)]}
+              />
+              <Tooltip content={<PegTooltip venues={venues} />} />
+              <Legend formatter={key => (key === 'reference' ? 'Reference' : venueLabel(venues.find(v => v.id === key) || { venue: key, pair: '' }))} />
+              <ReferenceArea y1={-bandBps} y2={bandBps} fill="#10b981" fillOpacity={0.06} />
+              <ReferenceLine y={bandBps} stroke="#f59e0b" strokeDasharray="4 3" />
+              <ReferenceLine y={-bandBps} stroke="#f59e0b" strokeDasharray="4 3" />
+              <ReferenceLine y={0} stroke="#4b5563" />
+              {venues.map((v, i) => (
+                <Line key={v.id} type="monotone" dataKey={v.id} stroke={VENUE_COLORS[i % VENUE_COLORS.length]}
+                  strokeWidth={1} dot={false} connectNulls isAnimationActive={false} />
+              ))}
+              <Line type="monotone" dataKey="reference" stroke={REFERENCE_COLOR} strokeWidth={2.5}
+                dot={false} isAnimationActive={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </section>
+
+      <section className="wow-section">
+        <h3>Venues</h3>
+        <div className="depth-table-group">
+          <div className="depth-table-wrapper">
+            <table className="depth-table">
+              <thead>
+                <tr>
+                  <th className="col-left">Venue</th>
+                  <th className="col-left">Pair</th>
+                  <th className="col-left">Type</th>
+                  <th>Latest Price</th>
+                  <th>Deviation</th>
+                  <th>Max Deviation</th>
+                  <th>Hours Outside ±{bandBps} bps</th>
+                  <th>Time Outside</th>
+                </tr>
+              </thead>
+              <tbody>
+                {venues.map(v => (
+                  <tr key={v.id}>
+                    <td className="col-left">{v.venue}</td>
+                    <td className="col-left">{v.pair}{v.chain ? ` (${v.chain})` : ''}</td>
+                    <td className="col-left">{v.kind.toUpperCase()}</td>
+                    <td title={`As of ${formatHour(v.latest.hour, true)}`}>{formatPrice(v.latest.price)}</td>
+                    <td className={deviationClass(v.latest.deviationBps, bandBps)}>{formatBps(v.latest.deviationBps)}</td>
+                    <td className={deviationClass(v.maxDeviation.deviationBps, bandBps)} title={formatHour(v.maxDeviation.hour, true)}>
+                      {formatBps(v.maxDeviation.deviationBps)}
+                    </td>
+                    <td>{v.hoursOutsideBand} / {v.hoursObserved}</td>
+                    <td>{formatPct(v.outsideBandPct)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </section>
+
+      <section className="wow-section">
+        <h3>Worst Venue by Hour — outside ±{bandBps} bps</h3>
+        {breaches.length === 0 ? (
+          <div className="no-data">Every venue stayed within the band.</div>
+        ) : (
+          <div className="depth-table-group">
+            <div className="depth-table-wrapper">
+              <table className="depth-table">
+                <thead>
+                  <tr>
+                    <th className="col-left">Hour</th>
+                    <th className="col-left">Worst Venue</th>
+                    <th>Venue Deviation</th>
+                    <th>Reference Deviation</th>
+                    <th>Venues</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {breaches.map(r => (
+                    <tr key={r.hour}>
+                      <td className="col-left">{formatHour(r.hour, true)}</td>
+                      <td className="col-left">{r.worst.venue} {r.worst.pair}</td>
+                      <td className={deviationClass(r.worst.deviationBps, bandBps)}>{formatBps(r.worst.deviationBps)}</td>
+                      <td className={deviationClass(r.deviationBps, bandBps)}>{formatBps(r.deviationBps)}</td>
+                      <td>{r.venues}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+        {breaches.length === 24 && <div className="chart-footnote">Showing the 24 most recent hours.</div>}
+      </section>
+
+      {excluded.length > 0 && (
+        <div className="chart-footnote">
+          Excluded: {excluded.map(e => `${e.venue} — ${e.reason}`).join(' · ')}
+        </div>
+      )}
+    </div>
+  );
+}
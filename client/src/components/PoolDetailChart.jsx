@@ -1,4 +1,3 @@
-import { useState } from 'react';
 import {
   ComposedChart,
   Bar,
@@ -11,6 +10,7 @@ import {
   Legend
 } from 'recharts';
 import { useDexHistory } from '../hooks/useVolumeData';
+import { useUrlState } from '../hooks/useUrlState';
 
 function formatUsd(value) {
   if (value >= 1e9) return `$${(value / 1e9).toFixed(1)}B`;
@@ -27,7 +27,7 @@ function formatDate(dateStr) {
 
 export default function PoolDetailChart() {
   const { data, loading } = useDexHistory();
-  const [selectedPool, setSelectedPool] = useState(null);
+  const [selectedPool, setSelectedPool] = useUrlState('dex.pool', null);
 
   if (loading) return <div className="loading">Loading pool history...</div>;
 
@@ -43,7 +43,7 @@ export default function PoolDetailChart() {
   const poolNames = [...new Set(history.flatMap(s =>
     s.pools.map(p => p.venue ? `${p.name} (${p.venue})` : p.name)
   ))];
-  const activePool = selectedPool || poolNames[0];
+  const activePool = poolNames.includes(selectedPool) ? selectedPool : poolNames[0];
 
   const chartData = history.map(snapshot => {
     const pool = snapshot.pools.find(p => {
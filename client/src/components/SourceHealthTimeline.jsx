@@ -0,0 +1,110 @@
+import { useSourceHealth } from '../hooks/useVolumeData';
+
+const GROUPS = [
+  { id: 'cex',  label: 'CEX REST APIs' },
+  { id: 'defi', label: 'DeFi APIs' },
+  { id: 'rpc',  label: 'RPC endpoints' },
+];
+
+const SLOT_COLORS = {
+  ok: '#10b981',
+  degraded: '#f59e0b',
+  down: '#ef4444',
+  idle: 'transparent',
+};
+
+function formatPct(rate) {
+  if (rate === null || rate === undefined) return '—';
+  return `${(rate * 100).toFixed(rate >= 0.999 || rate === 0 ? 0 : 1)}%`;
+}
+
+function formatMs(ms) {
+  if (ms === null || ms === undefined) return '—';
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.round(ms)}ms`;
+}
+
+function formatSlot(start, slotMinutes) {
+  const from = new Date(start);
+  const to = new Date(from.getTime() + slotMinutes * 60000);
+  const time = d => d.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+  return `${time(from)}–${time(to)}`;
+}
+
+function lightClass(source) {
+  if (source.ok === null) return 'fuse-light-unknown';
+  return source.ok ? 'fuse-light-ok' : 'fuse-light-error';
+}
+
+function SourceRow({ source, slotMinutes }) {
+  const day = source.windows?.['24h'];
+  const hour = source.windows?.['1h'];
+  const title = [
+    source.host,
+    `Used by: ${source.usedBy.join(', ')}`,
+    source.lastSuccess && `Last success: ${new Date(source.lastSuccess).toLocaleString()}`,
+    source.lastError && `Last error (${new Date(source.lastErrorAt).toLocaleString()}): ${source.lastError}`,
+  ].filter(Boolean).join('\n');
+
+  return (
+    <div className="coverage-row">
+      <div className="coverage-label health-label" title={title}>
+        <span className={`fuse-light health-light ${lightClass(source)}`}><span className="fuse-light-inner" /></span>
+        {source.label}
+      </div>
+      <div className="coverage-cells">
+        {source.timeline
+          ? source.timeline.map(slot => (
+            <span
+              key={slot.start}
+              className="coverage-cell"
+              style={{ background: SLOT_COLORS[slot.status] }}
+              title={slot.attempts
+                ? `${formatSlot(slot.start, slotMinutes)}: ${slot.successes}/${slot.attempts} ok`
+                : `${formatSlot(slot.start, slotMinutes)}: no requests`}
+            />
+          ))
+          : <span className="coverage-summary">No history (database unavailable)</span>}
+      </div>
+      <div className="coverage-summary">
+        24h {formatPct(day?.successRate)} ok · uptime {formatPct(source.uptime24h)} ·
+        p50 {formatMs(day?.latencyMs.p50)} · p95 {formatMs(day?.latencyMs.p95)} ·
+        1h {formatPct(hour?.successRate)} ({hour?.attempts ?? 0} req)
+        {source.ok === false && source.lastError && (
+          <span className="fuse-card-error-msg"> · {source.lastError}</span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function SourceHealthTimeline() {
+  const { data, loading, error } = useSourceHealth();
+
+  return (
+    <div className="coverage-section">
+      <h3>Source Health — last 24 hours</h3>
+
+      {loading && !data && <div className="loading">Loading source health...</div>}
+      {error && <div className="error">Error: {error}</div>}
+
+      {data?.sources && GROUPS.map(group => {
+        const sources = data.sources.filter(s => s.group === group.id);
+        if (sources.length === 0) return null;
+        return (
+          <div key={group.id} className="health-group">
+            <h4>{group.label}</h4>
+            <div className="coverage-grid">
+              {sources.map(source => <SourceRow key={source.id} source={source} slotMinutes={data.slotMinutes} />)}
+            </div>
+          </div>
+        );
+      })}
+
+      <div className="chart-footnote">
+        Each cell is {data?.slotMinutes ?? 30} minutes of requests &nbsp;·&nbsp;
+        Green = all succeeded &nbsp;·&nbsp; Amber = some failed &nbsp;·&nbsp; Red = all failed &nbsp;·&nbsp;
+        Empty = no requests &nbsp;·&nbsp; Uptime = share of active minutes with a success
+      </div>
+    </div>
+  );
+}
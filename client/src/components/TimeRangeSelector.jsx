@@ -1,22 +1,69 @@
-const TIME_RANGES = [
-  { id: '30d', label: 'Last 30 Days', interval: 'daily' },
-  { id: '1y', label: 'Last Year', interval: 'monthly' }
-];
+import { RANGE_PRESETS, ROLLUPS, makeRange, resolveRange, canCompare } from '../hooks/useTimeRange';
+
+export default function TimeRangeSelector({ value, onChange, presets = RANGE_PRESETS.map(p => p.id), showCompare = true }) {
+  const isCustom = value.preset === 'custom';
+
+  const selectPreset = (preset) => {
+    const next = makeRange(preset, { compare: value.compare });
+    onChange({ ...next, compare: next.compare && canCompare(next) });
+  };
+
+  // Start a custom range from whatever is showing now
+  const selectCustom = () => {
+    if (isCustom) return;
+    onChange({ ...value, preset: 'custom', ...resolveRange(value) });
+  };
+
+  const setBound = (bound, day) => {
+    if (day) onChange({ ...value, [bound]: day });
+  };
 
-export default function TimeRangeSelector({ value, onChange }) {
   return (
-    <div className="time-range-selector">
-      {TIME_RANGES.map(range => (
+    <div className="time-range-controls">
+      <div className="time-range-selector">
+        {RANGE_PRESETS.filter(p => presets.includes(p.id)).map(preset => (
+          <button
+            key={preset.id}
+            className={`time-range-btn ${value.preset === preset.id ? 'active' : ''}`}
+            onClick={() => selectPreset(preset.id)}
+          >
+            {preset.label}
+          </button>
+        ))}
         <button
-          key={range.id}
-          className={`time-range-btn ${value === range.id ? 'active' : ''}`}
-          onClick={() => onChange(range.id)}
+          className={`time-range-btn ${isCustom ? 'active' : ''}`}
+          onClick={selectCustom}
         >
-          {range.label}
+          Custom
         </button>
-      ))}
+      </div>
+
+      {isCustom && (
+        <div className="time-range-dates">
+          <input type="date" value={value.start} max={value.end} onChange={e => setBound('start', e.target.value)} />
+          <span>→</span>
+          <input type="date" value={value.end} min={value.start} onChange={e => setBound('end', e.target.value)} />
+        </div>
+      )}
+
+      <select
+        className="time-range-rollup"
+        value={value.rollup}
+        onChange={e => onChange({ ...value, rollup: e.target.value })}
+      >
+        {ROLLUPS.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+      </select>
+
+      {showCompare && (
+        <button
+          className={`time-range-btn time-range-compare ${value.compare ? 'active' : ''}`}
+          disabled={!canCompare(value)}
+          title={canCompare(value) ? 'Overlay the previous period of the same length' : 'Not available for All'}
+          onClick={() => onChange({ ...value, compare: !value.compare })}
+        >
+          vs prev
+        </button>
+      )}
     </div>
   );
 }
-
-export { TIME_RANGES };
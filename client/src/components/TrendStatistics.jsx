@@ -0,0 +1,192 @@
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer
+} from 'recharts';
+
+const EXCHANGE_NAMES = {
+  kraken: 'Kraken',
+  bullish: 'Bullish',
+  gate: 'Gate.io',
+  kucoin: 'Kucoin',
+  bitmart: 'Bitmart',
+  okx: 'OKX',
+  bitstamp: 'Bitstamp',
+  total: 'All exchanges'
+};
+
+function formatVolume(value) {
+  if (value >= 1e9) return `$${(value / 1e9).toFixed(1)}B`;
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e3) return `$${(value / 1e3).toFixed(1)}K`;
+  return `$${value.toFixed(0)}`;
+}
+
+function formatPercent(value) {
+  if (value === null || value === undefined) return '—';
+  const sign = value >= 0 ? '+' : '';
+  return `${sign}${value.toFixed(1)}%`;
+}
+
+// DOJ/FTC bands for the Herfindahl-Hirschman Index
+function hhiBand(hhi) {
+  if (hhi >= 2500) return 'Highly concentrated';
+  if (hhi >= 1500) return 'Moderately concentrated';
+  return 'Unconcentrated';
+}
+
+/**
+ * Rolling statistics, growth, market share/HHI and z-score anomalies for the
+ * latest week or month. `period` is 'week' or 'month'; `series` is the list of
+ * { label, metrics } entries used for the HHI trend chart.
+ */
+export default function TrendStatistics({ period, statistics, changes, anomalies, series }) {
+  if (!statistics) return null;
+
+  const isWeek = period === 'week';
+  const rolling = isWeek ? statistics.rolling7Day : statistics.rolling30Day;
+  const growth = isWeek ? statistics.growth.wow : statistics.growth.mom;
+  const previousShare = changes?.marketShare?.previous || {};
+
+  const shareRows = Object.entries(statistics.marketShare)
+    .sort((a, b) => b[1] - a[1])
+    .map(([exchange, share]) => ({
+      exchange,
+      share: share * 100,
+      change: previousShare[exchange] !== undefined ? (share - previousShare[exchange]) * 100 : null
+    }));
+
+  // Older log entries predate coverage reporting and simply omit the note
+  const coverage = series[series.length - 1]?.metrics.coverage;
+  const windowCoverage = coverage && (isWeek ? coverage.volume7Day : coverage.volume30Day);
+
+  const hhiData = series
+    .filter(s => s.metrics.statistics)
+    .map(s => ({ label: s.label, HHI: Math.round(s.metrics.statistics.hhi) }));
+
+  return (
+    <section className="wow-section">
+      <h3>{isWeek ? 'Weekly' : 'Monthly'} Statistics</h3>
+      <div className="stats-grid">
+        <div className="stat-card">
+          <div className="stat-label">{isWeek ? 'Week-over-Week' : 'Month-over-Month'} Growth</div>
+          <div className="stat-value">{formatPercent(growth)}</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-label">{isWeek ? '7' : '30'}-Day Mean / Median</div>
+          <div className="stat-value">{formatVolume(rolling.mean)} / {formatVolume(rolling.median)}</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-label">{isWeek ? '7' : '30'}-Day Std Dev</div>
+          <div className="stat-value">{formatVolume(rolling.stddev)}</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-label">HHI Concentration</div>
+          <div className="stat-value">{Math.round(statistics.hhi).toLocaleString()}</div>
+          <div className="value-label">
+            {hhiBand(statistics.hhi)}
+            {changes?.hhi?.change != null && ` · ${changes.hhi.change >= 0 ? '+' : ''}${Math.round(changes.hhi.change)} vs last ${period}`}
+          </div>
+        </div>
+      </div>
+      {windowCoverage && (
+        <div className="chart-footnote">
+          {windowCoverage.start} → {windowCoverage.end} UTC · {windowCoverage.present}/{windowCoverage.expected} days with data
+          {windowCoverage.missing.length > 0 && ` (missing ${windowCoverage.missing.join(', ')})`}
+        </div>
+      )}
+
+      <h4 className="threshold-subheader">Market Share (30 days)</h4>
+      <div className="depth-table-wrapper">
+        <table className="depth-table">
+          <thead>
+            <tr>
+              <th className="col-left">Exchange</th>
+              <th>Share</th>
+              <th>Change vs last {period}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shareRows.map(row => (
+              <tr key={row.exchange}>
+                <td className="col-left">{EXCHANGE_NAMES[row.exchange] || row.exchange}</td>
+                <td>{row.share.toFixed(1)}%</td>
+                <td>
+                  {row.change === null
+                    ? '—'
+                    : <span className={`change-indicator ${row.change >= 0 ? 'positive' : 'negative'}`}>
+                        {row.change >= 0 ? '+' : ''}{row.change.toFixed(1)} pp
+                      </span>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <h4 className="threshold-subheader">Volume Anomalies (|z| ≥ 3 vs prior 30 days)</h4>
+      {anomalies?.length ? (
+        <div className="depth-table-wrapper">
+          <table className="depth-table">
+            <thead>
+              <tr>
+                <th className="col-left">Date</th>
+                <th className="col-left">Series</th>
+                <th>Volume</th>
+                <th>30d Mean</th>
+                <th>Z-Score</th>
+              </tr>
+            </thead>
+            <tbody>
+              {anomalies.map(a => (
+                <tr key={`${a.date}-${a.series}`}>
+                  <td className="col-left">{a.date}</td>
+                  <td className="col-left">{EXCHANGE_NAMES[a.series] || a.series}</td>
+                  <td>{formatVolume(a.value)}</td>
+                  <td>{formatVolume(a.mean)}</td>
+                  <td>
+                    <span className={`change-indicator ${a.zScore >= 0 ? 'positive' : 'negative'}`}>
+                      {a.zScore >= 0 ? '+' : ''}{a.zScore.toFixed(1)}σ
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="chart-footnote">No anomalous days this {period}.</div>
+      )}
+
+      {hhiData.length > 1 && (
+        <div className="chart-section">
+          <h3>Volume Concentration (HHI) by {isWeek ? 'Week' : 'Month'}</h3>
+          <div className="chart-container">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={hhiData} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#2f3542" />
+                <XAxis dataKey="label" stroke="#71767b" tick={{ fill: '#71767b', fontSize: 11 }} tickMargin={10} />
+                <YAxis stroke="#71767b" tick={{ fill: '#71767b', fontSize: 11 }} domain={[0, 10000]} width={60} />
+                <Tooltip
+                  contentStyle={{
+                    backgroundColor: '#1a1f2e',
+                    border: '1px solid #2f3542',
+                    borderRadius: '8px',
+                    color: '#e7e9ea'
+                  }}
+                  labelStyle={{ color: '#71767b' }}
+                  formatter={(value) => [`${value.toLocaleString()} (${hhiBand(value)})`, 'HHI']}
+                />
+                <Line type="monotone" dataKey="HHI" stroke="#a78bfa" strokeWidth={2} dot={{ fill: '#a78bfa', r: 4 }} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
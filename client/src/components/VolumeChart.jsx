@@ -1,12 +1,14 @@
 import {
-  BarChart,
+  ComposedChart,
   Bar,
+  Line,
   XAxis,
   YAxis,
   CartesianGrid,
   Tooltip,
   ResponsiveContainer
 } from 'recharts';
+import { applyRange, withPrevious, formatBucket, GHOST_LINE_PROPS } from '../hooks/useTimeRange';
 
 function formatVolume(value) {
   if (value >= 1e9) return `${(value / 1e9).toFixed(1)}B`;
@@ -19,58 +21,7 @@ function formatTooltipValue(value) {
   return `$${formatVolume(value)}`;
 }
 
-// Parse date string without timezone issues
-function parseDate(dateStr) {
-  const [year, month, day] = dateStr.split('-').map(Number);
-  return new Date(year, month - 1, day);
-}
-
-function formatDate(dateStr, timeRange) {
-  const date = parseDate(dateStr);
-  if (timeRange === '1y') {
-    return date.toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
-  }
-  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-}
-
-function aggregateToMonthly(data) {
-  const monthlyMap = new Map();
-
-  data.forEach(d => {
-    const monthKey = d.date.substring(0, 7); // YYYY-MM
-    const existing = monthlyMap.get(monthKey) || 0;
-    monthlyMap.set(monthKey, existing + d.volume);
-  });
-
-  return Array.from(monthlyMap.entries())
-    .map(([month, volume]) => ({
-      date: `${month}-01`,
-      volume
-    }))
-    .sort((a, b) => a.date.localeCompare(b.date));
-}
-
-function filterDataByTimeRange(data, timeRange) {
-  if (!data || data.length === 0) return [];
-
-  const now = new Date();
-
-  switch (timeRange) {
-    case '30d': {
-      const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-      return data.filter(d => parseDate(d.date) >= thirtyDaysAgo);
-    }
-    case '1y': {
-      const oneYearAgo = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
-      const filtered = data.filter(d => parseDate(d.date) >= oneYearAgo);
-      return aggregateToMonthly(filtered);
-    }
-    default:
-      return data.slice(-30);
-  }
-}
-
-export default function VolumeChart({ data, timeRange = '30d' }) {
+export default function VolumeChart({ data, range }) {
   if (!data || data.length === 0) {
     return (
       <div className="chart-container">
@@ -79,11 +30,10 @@ export default function VolumeChart({ data, timeRange = '30d' }) {
     );
   }
 
-  const filteredData = filterDataByTimeRange(data, timeRange);
-
-  const chartData = filteredData.map(d => ({
+  const { rows, previous } = applyRange(data, range, ['volume']);
+  const chartData = withPrevious(rows, previous, ['volume']).map(d => ({
     ...d,
-    displayDate: formatDate(d.date, timeRange)
+    displayDate: formatBucket(d.date, range.rollup)
   }));
 
   if (chartData.length === 0) {
@@ -97,7 +47,7 @@ export default function VolumeChart({ data, timeRange = '30d' }) {
   return (
     <div className="chart-container">
       <ResponsiveContainer width="100%" height="100%">
-        <BarChart data={chartData} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
+        <ComposedChart data={chartData} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
           <CartesianGrid strokeDasharray="3 3" stroke="#2f3542" />
           <XAxis
             dataKey="displayDate"
@@ -129,7 +79,8 @@ export default function VolumeChart({ data, timeRange = '30d' }) {
             radius={[4, 4, 0, 0]}
             name="Volume"
           />
-        </BarChart>
+          {previous && <Line dataKey="prev_volume" name="Previous period" {...GHOST_LINE_PROPS} />}
+        </ComposedChart>
       </ResponsiveContainer>
     </div>
   );
@@ -11,6 +11,7 @@ import {
   Legend
 } from 'recharts';
 import { useWeeklyMetrics } from '../hooks/useVolumeData';
+import TrendStatistics from './TrendStatistics';
 
 function formatVolume(value) {
   if (value >= 1e9) return `$${(value / 1e9).toFixed(1)}B`;
@@ -103,7 +104,7 @@ export default function WeeklyTrends() {
     );
   }
 
-  const { weekly, changes } = data;
+  const { weekly, changes, statistics, anomalies } = data;
 
   // Prepare data for line chart (exchanges by threshold)
   const exchangeThresholdData = weekly.map(w => ({
@@ -177,6 +178,14 @@ export default function WeeklyTrends() {
         </section>
       )}
 
+      <TrendStatistics
+        period="week"
+        statistics={statistics}
+        changes={changes?.statistics}
+        anomalies={anomalies}
+        series={weekly.map(w => ({ label: formatWeekLabel(w.weekStart), metrics: w.metrics }))}
+      />
+
       {/* Exchange Threshold Line Chart */}
       <section className="chart-section">
         <h3>Exchanges by Volume Threshold</h3>
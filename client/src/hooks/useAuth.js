@@ -0,0 +1,51 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * The signed-in user and what they can reach, from GET /api/auth/me.
+ *
+ * me.role is null when the server requires sign-in; me.user is null for
+ * anonymous access. me.access maps each API area (data, defi, gdp, admin)
+ * to whether the role may use it. The session itself is an HttpOnly cookie,
+ * so every same-origin fetch carries it without extra headers.
+ */
+export function useAuth() {
+  const [me, setMe] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchMe = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await fetch('/api/auth/me');
+      if (!response.ok) throw new Error(`Failed to check sign-in: ${response.statusText}`);
+      setMe(await response.json());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchMe();
+  }, [fetchMe]);
+
+  // Resolves on success; throws with the server's message otherwise
+  const login = useCallback(async (username, password) => {
+    const response = await fetch('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(result.error || `Sign-in failed: ${response.statusText}`);
+    setMe(result);
+  }, []);
+
+  const logout = useCallback(async () => {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    await fetchMe();
+  }, [fetchMe]);
+
+  return { me, loading, error, login, logout, refetch: fetchMe };
+}
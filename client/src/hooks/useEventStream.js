@@ -0,0 +1,130 @@
+import { useState, useEffect, useRef } from 'react';
+
+/**
+ * Shared subscription to GET /api/stream (Server-Sent Events).
+ *
+ * One EventSource serves every hook on the page: it opens with the first
+ * subscriber and closes when the last one unmounts. Data hooks subscribe to
+ * the event types they care about, and use usePollingFallback so they only
+ * poll while the stream is down.
+ */
+
+const EVENT_TYPES = ['depth', 'health', 'snapshot', 'alert', 'supply', 'aave'];
+const REOPEN_DELAY = 30 * 1000; // after the server refuses the stream outright
+
+const handlers = new Map(EVENT_TYPES.map(type => [type, new Set()]));
+const statusListeners = new Set();
+let source = null;
+let reopenTimer = null;
+let connected = false;
+
+function setConnected(value) {
+  if (connected === value) return;
+  connected = value;
+  statusListeners.forEach(listener => listener(value));
+}
+
+function hasSubscribers() {
+  return statusListeners.size > 0 || [...handlers.values()].some(set => set.size > 0);
+}
+
+function open() {
+  if (source || reopenTimer || typeof EventSource === 'undefined') return;
+
+  source = new EventSource('/api/stream');
+  source.onopen = () => setConnected(true);
+  source.onerror = () => {
+    setConnected(false);
+    // EventSource retries dropped connections itself, but gives up on an
+    // HTTP error response; retry those on a slower timer
+    if (source.readyState === EventSource.CLOSED) {
+      source = null;
+      reopenTimer = setTimeout(() => {
+        reopenTimer = null;
+        if (hasSubscribers()) open();
+      }, REOPEN_DELAY);
+    }
+  };
+
+  for (const type of EVENT_TYPES) {
+    source.addEventListener(type, (event) => {
+      const data = JSON.parse(event.data);
+      handlers.get(type).forEach(handler => handler(data));
+    });
+  }
+}
+
+function closeIfIdle() {
+  if (hasSubscribers()) return;
+  clearTimeout(reopenTimer);
+  reopenTimer = null;
+  if (source) {
+    source.close();
+    source = null;
+  }
+  setConnected(false);
+}
+
+/**
+ * Call `handler` with the payload of every `type` event while mounted.
+ * The latest handler is always used, so it need not be memoised.
+ */
+export function useStreamEvent(type, handler) {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => {
+    const listener = (data) => handlerRef.current(data);
+    handlers.get(type).add(listener);
+    open();
+    return () => {
+      handlers.get(type).delete(listener);
+      closeIfIdle();
+    };
+  }, [type]);
+}
+
+/**
+ * Whether the shared stream is currently connected
+ */
+export function useStreamConnected() {
+  const [isConnected, setIsConnected] = useState(connected);
+
+  useEffect(() => {
+    statusListeners.add(setIsConnected);
+    setIsConnected(connected);
+    open();
+    return () => {
+      statusListeners.delete(setIsConnected);
+      closeIfIdle();
+    };
+  }, []);
+
+  return isConnected;
+}
+
+/**
+ * Poll `fetchData` every `intervalMs` only while the stream is down, and
+ * refetch once when it reconnects to pick up anything missed meanwhile.
+ * Returns whether the stream is live.
+ */
+export function usePollingFallback(fetchData, intervalMs) {
+  const live = useStreamConnected();
+  const everLive = useRef(false);
+  const missed = useRef(false);
+
+  useEffect(() => {
+    if (live) {
+      if (missed.current) fetchData();
+      everLive.current = true;
+      missed.current = false;
+      return undefined;
+    }
+
+    missed.current = everLive.current;
+    const intervalId = setInterval(fetchData, intervalMs);
+    return () => clearInterval(intervalId);
+  }, [live, fetchData, intervalMs]);
+
+  return live;
+}
@@ -0,0 +1,259 @@
+import { useState, useCallback } from 'react';
+import { updateQuery, useLocationChange } from './useUrlState';
+
+/**
+ * Shared date-range model for the chart tabs.
+ *
+ * A range is { preset, start, end, rollup, compare }:
+ *   preset   one of RANGE_PRESETS, or 'custom' with start/end (YYYY-MM-DD, inclusive)
+ *   rollup   'day' | 'week' | 'month' — weeks start on Monday, as in Postgres date_trunc
+ *   compare  overlay the previous period of the same length as a ghost series
+ *
+ * Dates are UTC calendar days throughout, matching the server's daily tables.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RANGE_PRESETS = [
+  { id: '7d',  label: '7D',  days: 7,   rollup: 'day' },
+  { id: '30d', label: '30D', days: 30,  rollup: 'day' },
+  { id: '90d', label: '90D', days: 90,  rollup: 'day' },
+  { id: 'ytd', label: 'YTD',            rollup: 'week' },
+  { id: '1y',  label: '1Y',  days: 365, rollup: 'month' },
+  // Ten years is everything the dashboard stores, and the longest daily
+  // range /api/series accepts
+  { id: 'all', label: 'All', days: 3650, rollup: 'month' },
+];
+
+export const ROLLUPS = [
+  { id: 'day',   label: 'Daily' },
+  { id: 'week',  label: 'Weekly' },
+  { id: 'month', label: 'Monthly' },
+];
+
+// Dashed grey line for the compare-to-previous-period overlay
+export const GHOST_LINE_PROPS = {
+  stroke: '#8899a6',
+  strokeWidth: 1.5,
+  strokeDasharray: '5 4',
+  dot: false,
+  isAnimationActive: false,
+  connectNulls: true,
+};
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const toDay = ms => new Date(ms).toISOString().split('T')[0];
+const toMs = day => Date.parse(`${day}T00:00:00Z`);
+
+export function todayUtc() {
+  return toDay(Date.now());
+}
+
+export function addDays(day, n) {
+  return toDay(toMs(day) + n * DAY_MS);
+}
+
+function presetOf(id) {
+  return RANGE_PRESETS.find(p => p.id === id);
+}
+
+export function makeRange(preset = '30d', overrides = {}) {
+  return {
+    preset,
+    start: null,
+    end: null,
+    rollup: presetOf(preset)?.rollup || 'day',
+    compare: false,
+    ...overrides,
+  };
+}
+
+/**
+ * Concrete { start, end } (inclusive YYYY-MM-DD) for a range
+ */
+export function resolveRange(range, today = todayUtc()) {
+  if (range.preset === 'custom' && range.start && range.end) {
+    return range.start <= range.end
+      ? { start: range.start, end: range.end }
+      : { start: range.end, end: range.start };
+  }
+  if (range.preset === 'ytd') {
+    return { start: `${today.slice(0, 4)}-01-01`, end: today };
+  }
+  const days = (presetOf(range.preset) || presetOf('30d')).days;
+  return { start: addDays(today, -(days - 1)), end: today };
+}
+
+/**
+ * The window of the same length ending the day before `resolved` starts
+ */
+export function previousRange(resolved) {
+  const days = Math.round((toMs(resolved.end) - toMs(resolved.start)) / DAY_MS) + 1;
+  const end = addDays(resolved.start, -1);
+  return { start: addDays(end, -(days - 1)), end };
+}
+
+export function canCompare(range) {
+  return range.preset !== 'all';
+}
+
+/**
+ * Days to fetch for a range from the ?start=&end= history endpoints: the
+ * range itself, reaching back over the previous period when comparing
+ */
+export function fetchBounds(range) {
+  const resolved = resolveRange(range);
+  const start = range.compare && canCompare(range) ? previousRange(resolved).start : resolved.start;
+  return { start, end: resolved.end };
+}
+
+// First day of the bucket `day` falls in
+export function bucketOf(day, rollup) {
+  if (rollup === 'month') return `${day.slice(0, 7)}-01`;
+  if (rollup === 'week') {
+    const weekday = (new Date(toMs(day)).getUTCDay() + 6) % 7; // Monday = 0
+    return addDays(day, -weekday);
+  }
+  return day;
+}
+
+// Whether the bucket starting at `bucket` is still in progress
+export function isPartialBucket(bucket, rollup, today = todayUtc()) {
+  return rollup !== 'day' && bucketOf(today, rollup) === bucket;
+}
+
+function combine(values, aggregate) {
+  const present = values.filter(v => v != null && !(typeof v === 'number' && isNaN(v)));
+  if (present.length === 0) return null;
+  switch (aggregate) {
+    case 'avg': return present.reduce((s, v) => s + v, 0) / present.length;
+    case 'last': return present[present.length - 1];
+    case 'max': return Math.max(...present);
+    default: return present.reduce((s, v) => s + v, 0);
+  }
+}
+
+/**
+ * Roll date-keyed rows up into buckets.
+ *
+ * @param {Array<{date}>} rows - Sorted by date
+ * @param {string[]} keys - Fields to aggregate; other fields are dropped
+ * @param {string|Object} aggregate - 'sum' | 'avg' | 'last' | 'max', or a
+ *   per-key map ({ supply: 'last' }) where unlisted keys are summed
+ */
+export function rollupRows(rows, rollup, keys, aggregate = 'sum') {
+  const aggregateOf = key => (typeof aggregate === 'string' ? aggregate : aggregate[key] || 'sum');
+  const buckets = new Map();
+  for (const row of rows) {
+    const bucket = bucketOf(row.date, rollup);
+    if (!buckets.has(bucket)) buckets.set(bucket, []);
+    buckets.get(bucket).push(row);
+  }
+  return Array.from(buckets.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, members]) => {
+      const out = { date };
+      for (const key of keys) out[key] = combine(members.map(m => m[key]), aggregateOf(key));
+      return out;
+    });
+}
+
+function filterRows(rows, { start, end }) {
+  return rows.filter(r => r.date >= start && r.date <= end);
+}
+
+/**
+ * Filter and roll up rows for a range. `previous` holds the previous period
+ * rolled up the same way when the range asks for a comparison, else null.
+ */
+export function applyRange(rows, range, keys, aggregate = 'sum') {
+  const sorted = [...(rows || [])].sort((a, b) => a.date.localeCompare(b.date));
+  const resolved = resolveRange(range);
+  const current = rollupRows(filterRows(sorted, resolved), range.rollup, keys, aggregate);
+  const previous = range.compare && canCompare(range)
+    ? rollupRows(filterRows(sorted, previousRange(resolved)), range.rollup, keys, aggregate)
+    : null;
+  return { rows: current, previous, resolved };
+}
+
+/**
+ * Attach the previous period to current rows by position, as
+ * `prev_<key>` fields plus `prevDate`. Buckets line up one-to-one except
+ * where week or month boundaries fall differently in the two periods.
+ */
+export function withPrevious(rows, previous, keys) {
+  if (!previous) return rows;
+  const offset = previous.length - rows.length;
+  return rows.map((row, i) => {
+    const prev = previous[i + offset];
+    if (!prev) return row;
+    const out = { ...row, prevDate: prev.date };
+    for (const key of keys) out[`prev_${key}`] = prev[key];
+    return out;
+  });
+}
+
+/**
+ * Axis label for a bucket; an in-progress week or month is marked with '*'
+ */
+export function formatBucket(bucket, rollup) {
+  const [year, month, day] = bucket.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  const star = isPartialBucket(bucket, rollup) ? '*' : '';
+  if (rollup === 'month') {
+    return date.toLocaleDateString('en-US', { month: 'short', year: '2-digit' }) + star;
+  }
+  const label = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  return rollup === 'week' ? `Wk ${label}${star}` : label;
+}
+
+// ---------------------------------------------------------------------------
+// URL persistence: ?<id>=90d or ?<id>=2026-01-01..2026-03-31, plus
+// <id>.by=<rollup> when it differs from the preset's default and <id>.cmp=1
+// ---------------------------------------------------------------------------
+
+export function readRangeParam(params, id, fallback) {
+  const value = params.get(id);
+  let range = fallback;
+  if (value && presetOf(value)) {
+    range = makeRange(value);
+  } else if (value && value.includes('..')) {
+    const [start, end] = value.split('..');
+    if (DATE_RE.test(start) && DATE_RE.test(end)) range = makeRange('custom', { start, end, rollup: 'day' });
+  }
+  const rollup = params.get(`${id}.by`);
+  if (ROLLUPS.some(r => r.id === rollup)) range = { ...range, rollup };
+  if (params.get(`${id}.cmp`) === '1') range = { ...range, compare: true };
+  return range;
+}
+
+export function writeRangeParam(params, id, range) {
+  const defaultRollup = presetOf(range.preset)?.rollup || 'day';
+  params.set(id, range.preset === 'custom' ? `${range.start}..${range.end}` : range.preset);
+  if (range.rollup !== defaultRollup) params.set(`${id}.by`, range.rollup);
+  else params.delete(`${id}.by`);
+  if (range.compare) params.set(`${id}.cmp`, '1');
+  else params.delete(`${id}.cmp`);
+}
+
+/**
+ * Range state for one chart, persisted in the query string under `id` so
+ * the current view can be linked. Back/forward restores it.
+ */
+export function useTimeRange(id, defaultPreset = '30d') {
+  const read = useCallback(
+    () => readRangeParam(new URLSearchParams(window.location.search), id, makeRange(defaultPreset)),
+    [id, defaultPreset]
+  );
+  const [range, setRangeState] = useState(read);
+
+  useLocationChange(useCallback(() => setRangeState(read()), [read]));
+
+  const setRange = useCallback((next) => {
+    setRangeState(next);
+    updateQuery(params => writeRangeParam(params, id, next));
+  }, [id]);
+
+  return [range, setRange];
+}
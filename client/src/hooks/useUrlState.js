@@ -0,0 +1,104 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+/**
+ * View state kept in the query string so any tab can be linked as it looks.
+ *
+ * Switching tabs pushes a history entry; changing a selector replaces the
+ * current one. Back/forward therefore steps between tabs, and each entry
+ * comes back with the selections it was left with.
+ *
+ * Keys are namespaced by the chart they belong to, e.g. `pairs` (range),
+ * `pairs.ex` (exchange) and `pairs.sel` (selected pairs).
+ */
+
+// Fired after navigate() so hooks that outlive a tab change re-read the URL
+const NAVIGATE_EVENT = 'urlstate:navigate';
+
+export function navigate(url) {
+  window.history.pushState(null, '', url);
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+}
+
+/**
+ * Edit the current query string in place, without a new history entry
+ */
+export function updateQuery(mutate) {
+  const params = new URLSearchParams(window.location.search);
+  mutate(params);
+  const query = params.toString();
+  window.history.replaceState(window.history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+}
+
+/**
+ * Run `callback` whenever the URL changes under the page: back/forward or navigate()
+ */
+export function useLocationChange(callback) {
+  useEffect(() => {
+    window.addEventListener('popstate', callback);
+    window.addEventListener(NAVIGATE_EVENT, callback);
+    return () => {
+      window.removeEventListener('popstate', callback);
+      window.removeEventListener(NAVIGATE_EVENT, callback);
+    };
+  }, [callback]);
+}
+
+// Codecs: parse returns undefined for a missing or unusable value, which
+// falls back to the default.
+
+export function stringParam(allowed) {
+  return {
+    parse: v => (v && (!allowed || allowed.includes(v)) ? v : undefined),
+    format: v => v,
+  };
+}
+
+const anyString = stringParam();
+
+// Comma-separated list; an empty value is a real (empty) selection
+export const listParam = {
+  parse: v => (v == null ? undefined : v.split(',').filter(Boolean)),
+  format: v => v.join(','),
+};
+
+// Same, as a Set of toggled-on keys
+export const setParam = {
+  parse: v => (v == null ? undefined : new Set(listParam.parse(v))),
+  format: v => listParam.format([...v]),
+};
+
+export function readParam(key, defaultValue, codec) {
+  const parsed = codec.parse(new URLSearchParams(window.location.search).get(key));
+  return parsed === undefined ? defaultValue : parsed;
+}
+
+/**
+ * useState backed by one query parameter. The default is left out of the URL
+ * so links stay short; null works as "derive from data". Define codecs at
+ * module scope so they keep their identity between renders.
+ */
+export function useUrlState(key, defaultValue, codec = anyString) {
+  const defaultRef = useRef(defaultValue);
+  defaultRef.current = defaultValue;
+
+  const read = useCallback(() => readParam(key, defaultRef.current, codec), [key, codec]);
+  const [value, setValueState] = useState(read);
+  const valueRef = useRef(value);
+  valueRef.current = value;
+
+  useLocationChange(useCallback(() => setValueState(read()), [read]));
+
+  // Accepts a value or an updater, like a useState setter
+  const setValue = useCallback((update) => {
+    const next = typeof update === 'function' ? update(valueRef.current) : update;
+    valueRef.current = next;
+    setValueState(next);
+    updateQuery(params => {
+      const fallback = defaultRef.current;
+      if (next == null || (fallback != null && codec.format(next) === codec.format(fallback))) params.delete(key);
+      else params.set(key, codec.format(next));
+    });
+  }, [key, codec]);
+
+  return [value, setValue];
+}
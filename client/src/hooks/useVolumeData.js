@@ -1,20 +1,33 @@
 import { useState, useEffect, useCallback } from 'react';
+import { useStreamEvent, usePollingFallback } from './useEventStream';
+import { resolveRange, previousRange, canCompare } from './useTimeRange';
 
 const REFRESH_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
 const DEPTH_REFRESH_INTERVAL = 5 * 60 * 1000; // 5 minutes
+const ADMIN_REFRESH_INTERVAL = 15 * 1000; // 15 seconds, while a job is running
+
+// History endpoints take optional ?start=&end= days (see fetchBounds in useTimeRange)
+function withDays(path, start, end) {
+  if (!start && !end) return path;
+  const params = new URLSearchParams();
+  if (start) params.set('start', start);
+  if (end) params.set('end', end);
+  return `${path}?${params}`;
+}
 
-export function useVolumeData(exchange) {
+export function useVolumeData(exchange, bounds) {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
+  const { start, end } = bounds || {};
 
   const fetchData = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
 
-      const response = await fetch(`/api/volume/${exchange}`);
+      const response = await fetch(withDays(`/api/volume/${exchange}`, start, end));
 
       if (!response.ok) {
         throw new Error(`Failed to fetch data: ${response.statusText}`);
@@ -28,7 +41,7 @@ export function useVolumeData(exchange) {
     } finally {
       setLoading(false);
     }
-  }, [exchange]);
+  }, [exchange, start, end]);
 
   useEffect(() => {
     fetchData();
@@ -77,18 +90,19 @@ export function useAggregatedData() {
   return { data, loading, error, lastUpdated, refetch: fetchData };
 }
 
-export function usePairVolumeData(exchange) {
+export function usePairVolumeData(exchange, bounds) {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
+  const { start, end } = bounds || {};
 
   const fetchData = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
 
-      const response = await fetch(`/api/pairs/${exchange}`);
+      const response = await fetch(withDays(`/api/pairs/${exchange}`, start, end));
 
       if (!response.ok) {
         throw new Error(`Failed to fetch data: ${response.statusText}`);
@@ -102,7 +116,7 @@ export function usePairVolumeData(exchange) {
     } finally {
       setLoading(false);
     }
-  }, [exchange]);
+  }, [exchange, start, end]);
 
   useEffect(() => {
     fetchData();
@@ -114,18 +128,19 @@ export function usePairVolumeData(exchange) {
   return { data, loading, error, lastUpdated, refetch: fetchData };
 }
 
-export function useAssetVolumeData() {
+export function useAssetVolumeData(bounds) {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
+  const { start, end } = bounds || {};
 
   const fetchData = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
 
-      const response = await fetch('/api/asset-volume');
+      const response = await fetch(withDays('/api/asset-volume', start, end));
 
       if (!response.ok) {
         throw new Error(`Failed to fetch data: ${response.statusText}`);
@@ -139,7 +154,7 @@ export function useAssetVolumeData() {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [start, end]);
 
   useEffect(() => {
     fetchData();
@@ -244,12 +259,95 @@ export function useDepthData() {
 
   useEffect(() => {
     fetchData();
+  }, [fetchData]);
+
+  // Stream pushes only the rows that changed (REST-polled venues and DEX
+  // pools on the server's poll timer); merge them in place
+  useStreamEvent('depth', (update) => {
+    setData(prev => {
+      if (!prev) return prev;
+      const byKey = new Map(prev.rows.map(r => [`${r.exchange}:${r.pair}`, r]));
+      for (const row of update.rows) byKey.set(`${row.exchange}:${row.pair}`, row);
+      const rows = [...byKey.values()]
+        .sort((a, b) => a.exchange.localeCompare(b.exchange) || a.pair.localeCompare(b.pair));
+      return { ...prev, timestamp: update.timestamp, rows };
+    });
+    setLastUpdated(new Date(update.timestamp));
+  });
+  const live = usePollingFallback(fetchData, DEPTH_REFRESH_INTERVAL);
+
+  return { data, loading, error, lastUpdated, live, refetch: fetchData };
+}
+
+/**
+ * Market impact of a `side` order of `size` USD per venue from
+ * GET /api/depth/impact. Live books unless `at` (ISO timestamp) is given;
+ * no request while size is empty.
+ */
+export function useDepthImpact(side, size, at = null) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchData = useCallback(async () => {
+    if (!size) return;
+    try {
+      setLoading(true);
+      setError(null);
+      const params = new URLSearchParams({ side, size });
+      if (at) params.set('at', at);
+      const response = await fetch(`/api/depth/impact?${params}`);
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `Failed to fetch market impact: ${response.statusText}`);
+      }
+      setData(await response.json());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [side, size, at]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  return { data, loading, error, refetch: fetchData };
+}
 
-    const intervalId = setInterval(fetchData, DEPTH_REFRESH_INTERVAL);
+/**
+ * Consolidated USDG book from GET /api/depth/consolidated: one ladder of
+ * `step` bps steps out to `range` bps, with per-venue notional per step.
+ */
+export function useConsolidatedDepth(step = 1, range = 50) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchData = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const params = new URLSearchParams({ step, range });
+      const response = await fetch(`/api/depth/consolidated?${params}`);
+      if (!response.ok) throw new Error(`Failed to fetch consolidated depth: ${response.statusText}`);
+      setData(await response.json());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [step, range]);
+
+  // Merged from whole books rather than streamed rows, so poll even while live
+  useEffect(() => {
+    fetchData();
+    const intervalId = setInterval(fetchData, 60 * 1000);
     return () => clearInterval(intervalId);
   }, [fetchData]);
 
-  return { data, loading, error, lastUpdated, refetch: fetchData };
+  return { data, loading, error, refetch: fetchData };
 }
 
 export function useDefiPools() {
@@ -276,10 +374,14 @@ export function useDefiPools() {
 
   useEffect(() => {
     fetchData();
-    const intervalId = setInterval(fetchData, DEPTH_REFRESH_INTERVAL);
-    return () => clearInterval(intervalId);
   }, [fetchData]);
 
+  // New pool data lands with each hourly snapshot
+  useStreamEvent('snapshot', (snapshot) => {
+    if (snapshot.status !== 'failed') fetchData();
+  });
+  usePollingFallback(fetchData, DEPTH_REFRESH_INTERVAL);
+
   return { data, loading, error, lastUpdated, refetch: fetchData };
 }
 
@@ -307,10 +409,13 @@ export function useDefiVaults() {
 
   useEffect(() => {
     fetchData();
-    const intervalId = setInterval(fetchData, DEPTH_REFRESH_INTERVAL);
-    return () => clearInterval(intervalId);
   }, [fetchData]);
 
+  useStreamEvent('snapshot', (snapshot) => {
+    if (snapshot.status !== 'failed') fetchData();
+  });
+  usePollingFallback(fetchData, DEPTH_REFRESH_INTERVAL);
+
   return { data, loading, error, lastUpdated, refetch: fetchData };
 }
 
@@ -338,23 +443,27 @@ export function useDefiLending() {
 
   useEffect(() => {
     fetchData();
-    const intervalId = setInterval(fetchData, DEPTH_REFRESH_INTERVAL);
-    return () => clearInterval(intervalId);
   }, [fetchData]);
 
+  useStreamEvent('snapshot', (snapshot) => {
+    if (snapshot.status !== 'failed') fetchData();
+  });
+  usePollingFallback(fetchData, DEPTH_REFRESH_INTERVAL);
+
   return { data, loading, error, lastUpdated, refetch: fetchData };
 }
 
-export function useDexHistory() {
+export function useDexHistory(bounds) {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const { start, end } = bounds || {};
 
   const fetchData = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
-      const response = await fetch('/api/defi/pool-history');
+      const response = await fetch(withDays('/api/defi/pool-history', start, end));
       if (!response.ok) throw new Error(`Failed to fetch DEX history: ${response.statusText}`);
       const result = await response.json();
       setData(result);
@@ -363,7 +472,7 @@ export function useDexHistory() {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [start, end]);
 
   useEffect(() => {
     fetchData();
@@ -396,11 +505,76 @@ export function useHealthData() {
 
   useEffect(() => {
     fetchData();
-    const intervalId = setInterval(fetchData, 60 * 1000); // refresh every 60s
+  }, [fetchData]);
+
+  useStreamEvent('health', (result) => {
+    setData(result);
+    setLastUpdated(new Date());
+  });
+  const live = usePollingFallback(fetchData, 60 * 1000); // refresh every 60s without the stream
+
+  return { data, loading, error, lastUpdated, live, refetch: fetchData };
+}
+
+/**
+ * Health of every external dependency from GET /api/health: current state,
+ * rolling success rates and latency, and a 24h timeline. The registry rolls
+ * up by the minute, so this refreshes on the same cadence.
+ */
+export function useSourceHealth() {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchData = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await fetch('/api/health');
+      if (!response.ok) throw new Error(`Failed to fetch source health: ${response.statusText}`);
+      setData(await response.json());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchData();
+    const intervalId = setInterval(fetchData, 60 * 1000);
     return () => clearInterval(intervalId);
   }, [fetchData]);
 
-  return { data, loading, error, lastUpdated, refetch: fetchData };
+  return { data, loading, error, refetch: fetchData };
+}
+
+export function useGapData(days = 90) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchData = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await fetch(`/api/health/gaps?days=${days}`);
+      if (!response.ok) throw new Error(`Failed to fetch coverage data: ${response.statusText}`);
+      const result = await response.json();
+      setData(result);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [days]);
+
+  useEffect(() => {
+    fetchData();
+    const intervalId = setInterval(fetchData, 60 * 60 * 1000); // refresh hourly
+    return () => clearInterval(intervalId);
+  }, [fetchData]);
+
+  return { data, loading, error, refetch: fetchData };
 }
 
 export function usePyusdData() {
@@ -434,14 +608,15 @@ export function usePyusdData() {
   return { data, loading, error, lastUpdated, refetch: fetchData };
 }
 
-export function useHoodVolumeHistory() {
+export function useHoodVolumeHistory(bounds) {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
+  const { start, end } = bounds || {};
 
   const fetchData = useCallback(async () => {
     try {
       setLoading(true);
-      const response = await fetch('/api/hood/volume-history');
+      const response = await fetch(withDays('/api/hood/volume-history', start, end));
       if (!response.ok) throw new Error(response.statusText);
       setData(await response.json());
     } catch (err) {
@@ -449,7 +624,7 @@ export function useHoodVolumeHistory() {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [start, end]);
 
   useEffect(() => { fetchData(); }, [fetchData]);
   return { data, loading, refetch: fetchData };
@@ -479,9 +654,138 @@ export function useUsdgSupply() {
     fetchData();
   }, [fetchData]);
 
+  useStreamEvent('supply', (reading) => {
+    if (reading.asset === 'USDG') fetchData();
+  });
+
   return { data, loading, error, refetch: fetchData };
 }
 
+// Daily GDP components from the server-side model (default: last 12 months)
+export function useGdp() {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchData = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await fetch('/api/gdp');
+      if (!response.ok) throw new Error(`Failed to fetch GDP: ${response.statusText}`);
+      const result = await response.json();
+      setData(result);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  return { data, loading, error, refetch: fetchData };
+}
+
+/**
+ * USDG peg monitor from GET /api/peg: hourly reference price, per-venue
+ * deviation and time outside ±bandBps over the last `hours`.
+ */
+export function usePeg(hours = 168, bandBps = 10, weighting = 'depth') {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchData = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const params = new URLSearchParams({ hours, band: bandBps, weighting });
+      const response = await fetch(`/api/peg?${params}`);
+      if (!response.ok) throw new Error(`Failed to fetch peg: ${response.statusText}`);
+      setData(await response.json());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [hours, bandBps, weighting]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  // Each snapshot adds an hour of DEX prices
+  useStreamEvent('snapshot', (snapshot) => {
+    if (snapshot.status !== 'failed') fetchData();
+  });
+  usePollingFallback(fetchData, DEPTH_REFRESH_INTERVAL);
+
+  return { data, loading, error, refetch: fetchData };
+}
+
+/**
+ * Admin console state from GET /api/admin/overview, plus actions that start
+ * jobs. Each action resolves with the server's response body or throws with
+ * its error message; the overview refreshes after every action and keeps
+ * polling while a snapshot, metrics run or backfill is still running.
+ */
+export function useAdminOverview() {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchData = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await fetch('/api/admin/overview');
+      if (!response.ok) throw new Error(`Failed to fetch admin overview: ${response.statusText}`);
+      setData(await response.json());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  useStreamEvent('snapshot', () => fetchData());
+
+  const busy = Boolean(data && (
+    data.snapshotRunning ||
+    data.jobRuns.some(run => run.status === 'running') ||
+    data.backfills.some(job => job.status === 'running')
+  ));
+  useEffect(() => {
+    if (!busy) return undefined;
+    const intervalId = setInterval(fetchData, ADMIN_REFRESH_INTERVAL);
+    return () => clearInterval(intervalId);
+  }, [busy, fetchData]);
+
+  const post = useCallback(async (path, body) => {
+    const response = await fetch(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body || {})
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(result.error || response.statusText);
+    await fetchData();
+    return result;
+  }, [fetchData]);
+
+  const runSnapshot = useCallback(type => post('/api/admin/snapshots', type ? { type } : {}), [post]);
+  const runMetrics = useCallback(() => post('/api/admin/jobs/metrics'), [post]);
+  const startBackfill = useCallback(request => post('/api/admin/backfill', request), [post]);
+
+  return { data, loading, error, busy, refetch: fetchData, runSnapshot, runMetrics, startBackfill };
+}
+
 export function useAaveUsdgPaxos() {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -505,33 +809,35 @@ export function useAaveUsdgPaxos() {
   return { data, loading, error, lastUpdated, refetch: fetchData };
 }
 
-export function useAaveUsdgPaxosHistory() {
+export function useAaveUsdgPaxosHistory(bounds) {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const { start, end } = bounds || {};
   const fetchData = useCallback(async () => {
     try {
       setLoading(true); setError(null);
-      const response = await fetch('/api/aave/usdg/paxos/history');
+      const response = await fetch(withDays('/api/aave/usdg/paxos/history', start, end));
       if (!response.ok) throw new Error(response.statusText);
       setData(await response.json());
     } catch (err) { setError(err.message); }
     finally { setLoading(false); }
-  }, []);
+  }, [start, end]);
   useEffect(() => { fetchData(); }, [fetchData]);
   return { data, loading, error, refetch: fetchData };
 }
 
-export function useAaveUsdgHistory() {
+export function useAaveUsdgHistory(bounds) {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const { start, end } = bounds || {};
 
   const fetchData = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
-      const response = await fetch('/api/aave/usdg/history');
+      const response = await fetch(withDays('/api/aave/usdg/history', start, end));
       if (!response.ok) throw new Error(`Failed to fetch Aave history: ${response.statusText}`);
       const result = await response.json();
       setData(result);
@@ -540,7 +846,7 @@ export function useAaveUsdgHistory() {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [start, end]);
 
   useEffect(() => {
     fetchData();
@@ -573,11 +879,15 @@ export function useAaveUsdg() {
 
   useEffect(() => {
     fetchData();
-    const intervalId = setInterval(fetchData, 60 * 1000); // 60s refresh
-    return () => clearInterval(intervalId);
   }, [fetchData]);
 
-  return { data, loading, error, lastUpdated, refetch: fetchData };
+  useStreamEvent('aave', (result) => {
+    setData(result);
+    setLastUpdated(new Date());
+  });
+  const live = usePollingFallback(fetchData, 60 * 1000); // 60s refresh without the stream
+
+  return { data, loading, error, lastUpdated, live, refetch: fetchData };
 }
 
 export function usePaxgVolume() {
@@ -611,17 +921,18 @@ export function usePaxgVolume() {
   return { data, loading, error, lastUpdated, refetch: fetchData };
 }
 
-export function useBinancePaxg() {
+export function useBinancePaxg(bounds) {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
+  const { start, end } = bounds || {};
 
   const fetchData = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
-      const response = await fetch('/api/binance/paxg');
+      const response = await fetch(withDays('/api/binance/paxg', start, end));
       if (!response.ok) throw new Error(`Failed to fetch Binance PAXG data: ${response.statusText}`);
       const result = await response.json();
       setData(result);
@@ -631,7 +942,7 @@ export function useBinancePaxg() {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [start, end]);
 
   useEffect(() => {
     fetchData();
@@ -670,6 +981,10 @@ export function usePaxgSupply() {
     return () => clearInterval(intervalId);
   }, [fetchData]);
 
+  useStreamEvent('supply', (reading) => {
+    if (reading.asset === 'PAXG') fetchData();
+  });
+
   return { data, loading, error, lastUpdated, refetch: fetchData };
 }
 
@@ -695,9 +1010,77 @@ export function useTvlSummary() {
 
   useEffect(() => {
     fetchData();
-    const intervalId = setInterval(fetchData, DEPTH_REFRESH_INTERVAL);
-    return () => clearInterval(intervalId);
   }, [fetchData]);
 
+  useStreamEvent('snapshot', (snapshot) => {
+    if (snapshot.status !== 'failed') fetchData();
+  });
+  usePollingFallback(fetchData, DEPTH_REFRESH_INTERVAL);
+
   return { data, loading, error, refetch: fetchData };
 }
+
+// Pivot /api/series rows into one row per bucket: { date, value } or, when
+// grouped, { date, [group]: value, ... }
+function pivotSeries(rows, groupBy) {
+  const byDate = new Map();
+  for (const row of rows) {
+    const date = row.time.split('T')[0];
+    if (!byDate.has(date)) byDate.set(date, { date });
+    byDate.get(date)[groupBy ? row[groupBy] : 'value'] = row.value;
+  }
+  return Array.from(byDate.values());
+}
+
+/**
+ * A catalog metric from GET /api/series aggregated in Postgres for a shared
+ * time range (see useTimeRange). `previous` is the previous period, fetched
+ * only when the range asks for a comparison.
+ */
+export function useSeries(metric, range, { groupBy, aggregate } = {}) {
+  const [data, setData] = useState(null);
+  const [previous, setPrevious] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const { start, end } = resolveRange(range);
+  const compare = range.compare && canCompare(range);
+  const rollup = range.rollup;
+
+  const fetchData = useCallback(async () => {
+    const load = async (bounds) => {
+      const params = new URLSearchParams({ start: bounds.start, end: bounds.end, granularity: rollup });
+      if (groupBy) params.set('groupBy', groupBy);
+      if (aggregate) params.set('aggregate', aggregate);
+      const response = await fetch(`/api/series/${metric}?${params}`);
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `Failed to fetch ${metric}: ${response.statusText}`);
+      }
+      return pivotSeries((await response.json()).rows, groupBy);
+    };
+
+    try {
+      setLoading(true);
+      setError(null);
+      const [current, prev] = await Promise.all([
+        load({ start, end }),
+        compare ? load(previousRange({ start, end })) : null
+      ]);
+      setData(current);
+      setPrevious(prev);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [metric, start, end, rollup, compare, groupBy, aggregate]);
+
+  useEffect(() => {
+    fetchData();
+    const intervalId = setInterval(fetchData, REFRESH_INTERVAL);
+    return () => clearInterval(intervalId);
+  }, [fetchData]);
+
+  return { data, previous, loading, error, refetch: fetchData };
+}
@@ -0,0 +1,75 @@
+/**
+ * Alert delivery channels. A rule's `channels` is a list of:
+ *
+ *   { type: 'webhook', url }   POST of the full alert as JSON
+ *   { type: 'slack',   url }   Slack-compatible incoming webhook ({ text })
+ *   { type: 'email',   to }    SMTP via SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS,
+ *                              sent from ALERT_EMAIL_FROM
+ *
+ * scripts/alertSink.js runs a local HTTP endpoint that prints whatever the
+ * webhook and slack channels send, for trying rules out.
+ */
+
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+function getTransporter() {
+  if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST is not configured');
+  if (!transporter) {
+    const port = parseInt(process.env.SMTP_PORT || '587', 10);
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transporter;
+}
+
+const SENDERS = {
+  async webhook(channel, alert) {
+    await axios.post(channel.url, alert, { timeout: 10000 });
+  },
+
+  async slack(channel, alert) {
+    await axios.post(channel.url, { text: `:rotating_light: ${alert.message}` }, { timeout: 10000 });
+  },
+
+  async email(channel, alert) {
+    await getTransporter().sendMail({
+      from: process.env.ALERT_EMAIL_FROM || 'alerts@localhost',
+      to: channel.to,
+      subject: `[USDG Alert] ${alert.rule.name}: ${alert.subject}`,
+      text: `${alert.message}\n\nTriggered at ${alert.triggeredAt}`
+    });
+  }
+};
+
+const CHANNEL_TYPES = Object.keys(SENDERS);
+
+function validateChannel(channel) {
+  if (!channel || !SENDERS[channel.type]) {
+    throw new Error(`Channel type must be one of: ${CHANNEL_TYPES.join(', ')}`);
+  }
+  if (channel.type === 'email' ? !channel.to : !/^https?:\/\//.test(channel.url || '')) {
+    throw new Error(channel.type === 'email' ? 'email channels need a `to` address' : `${channel.type} channels need an http(s) url`);
+  }
+}
+
+// Deliver to every channel; one failing channel never blocks the others.
+// Returns [{ type, ok, error? }] for the alert history.
+async function deliver(channels, alert) {
+  return Promise.all(channels.map(async channel => {
+    try {
+      await SENDERS[channel.type](channel, alert);
+      return { type: channel.type, ok: true };
+    } catch (err) {
+      console.error(`[Alerts] ${channel.type} delivery failed for "${alert.rule.name}":`, err.message);
+      return { type: channel.type, ok: false, error: err.message };
+    }
+  }));
+}
+
+module.exports = { CHANNEL_TYPES, validateChannel, deliver };
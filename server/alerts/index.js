@@ -0,0 +1,233 @@
+/**
+ * Alert rules engine, evaluated after every hourly snapshot.
+ *
+ * A rule watches one catalog metric (./metrics), optionally narrowed by
+ * params (exchange, pair, chain, ...), and fires per subject when:
+ *
+ *   above         value > threshold
+ *   below         value < threshold
+ *   rises_by_pct  value is at least threshold % higher than lookback_hours ago
+ *   drops_by_pct  value is at least threshold % lower than lookback_hours ago
+ *
+ * A rule/subject that fired stays quiet for cooldown_minutes. Every firing
+ * is stored in alert_events along with the per-channel delivery result.
+ */
+
+const pool = require('../db/pool');
+const { METRICS, VENUE_TYPES, listMetrics } = require('./metrics');
+const { CHANNEL_TYPES, validateChannel, deliver } = require('./channels');
+const eventBus = require('../utils/eventBus');
+
+const CONDITIONS = ['above', 'below', 'rises_by_pct', 'drops_by_pct'];
+
+function formatRule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    metric: row.metric,
+    params: row.params,
+    condition: row.condition,
+    threshold: parseFloat(row.threshold),
+    lookbackHours: row.lookback_hours,
+    cooldownMinutes: row.cooldown_minutes,
+    channels: row.channels,
+    enabled: row.enabled,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Validate a rule body (camelCase, as sent by the API) and fill defaults
+function validateRule(body) {
+  const rule = {
+    name: body.name,
+    metric: body.metric,
+    params: body.params || {},
+    condition: body.condition,
+    threshold: Number(body.threshold),
+    lookbackHours: body.lookbackHours ?? 24,
+    cooldownMinutes: body.cooldownMinutes ?? 360,
+    channels: body.channels || [],
+    enabled: body.enabled ?? true
+  };
+
+  if (!rule.name) throw new Error('name is required');
+  if (!METRICS[rule.metric]) throw new Error(`Unknown metric: ${rule.metric}`);
+  if (!CONDITIONS.includes(rule.condition)) throw new Error(`condition must be one of: ${CONDITIONS.join(', ')}`);
+  if (!isFinite(rule.threshold)) throw new Error('threshold must be a number');
+  if (/_depth$/.test(rule.metric) && !rule.params.bps) throw new Error(`${rule.metric} needs params.bps`);
+  if (rule.params.venueType && !VENUE_TYPES.includes(rule.params.venueType)) {
+    throw new Error(`params.venueType must be one of: ${VENUE_TYPES.join(', ')}`);
+  }
+  if (!Number.isInteger(rule.lookbackHours) || rule.lookbackHours < 1) throw new Error('lookbackHours must be a positive integer');
+  if (!Number.isInteger(rule.cooldownMinutes) || rule.cooldownMinutes < 0) throw new Error('cooldownMinutes must be a non-negative integer');
+  if (!Array.isArray(rule.channels)) throw new Error('channels must be an array');
+  rule.channels.forEach(validateChannel);
+
+  return rule;
+}
+
+async function listRules() {
+  const result = await pool.query('SELECT * FROM alert_rules ORDER BY id');
+  return result.rows.map(formatRule);
+}
+
+async function createRule(body) {
+  const r = validateRule(body);
+  const result = await pool.query(
+    `INSERT INTO alert_rules (name, metric, params, condition, threshold, lookback_hours, cooldown_minutes, channels, enabled)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+    [r.name, r.metric, JSON.stringify(r.params), r.condition, r.threshold,
+     r.lookbackHours, r.cooldownMinutes, JSON.stringify(r.channels), r.enabled]
+  );
+  return formatRule(result.rows[0]);
+}
+
+async function updateRule(id, body) {
+  const r = validateRule(body);
+  const result = await pool.query(
+    `UPDATE alert_rules SET
+       name = $2, metric = $3, params = $4, condition = $5, threshold = $6,
+       lookback_hours = $7, cooldown_minutes = $8, channels = $9, enabled = $10, updated_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [id, r.name, r.metric, JSON.stringify(r.params), r.condition, r.threshold,
+     r.lookbackHours, r.cooldownMinutes, JSON.stringify(r.channels), r.enabled]
+  );
+  return result.rows[0] ? formatRule(result.rows[0]) : null;
+}
+
+async function deleteRule(id) {
+  const result = await pool.query('DELETE FROM alert_rules WHERE id = $1', [id]);
+  return result.rowCount > 0;
+}
+
+async function listEvents(limit = 100) {
+  const result = await pool.query(
+    'SELECT * FROM alert_events ORDER BY triggered_at DESC LIMIT $1',
+    [limit]
+  );
+  return result.rows.map(r => ({
+    id: r.id,
+    ruleId: r.rule_id,
+    ruleName: r.rule_name,
+    metric: r.metric,
+    subject: r.subject,
+    value: parseFloat(r.value),
+    previousValue: r.previous_value === null ? null : parseFloat(r.previous_value),
+    threshold: parseFloat(r.threshold),
+    message: r.message,
+    deliveries: r.deliveries,
+    triggeredAt: r.triggered_at
+  }));
+}
+
+function fmt(v) {
+  return Math.abs(v) >= 1000 ? Math.round(v).toLocaleString('en-US') : Number(v.toFixed(4)).toString();
+}
+
+// Returns the alert message if the observation breaches the rule, else null
+function check(rule, { subject, value, previous }) {
+  const head = `${rule.name} — ${subject}: ${rule.metric}`;
+  switch (rule.condition) {
+    case 'above':
+      return value > rule.threshold ? `${head} is ${fmt(value)}, above ${fmt(rule.threshold)}` : null;
+    case 'below':
+      return value < rule.threshold ? `${head} is ${fmt(value)}, below ${fmt(rule.threshold)}` : null;
+    case 'rises_by_pct':
+    case 'drops_by_pct': {
+      if (!previous) return null;
+      const changePct = (value - previous) / Math.abs(previous) * 100;
+      const moved = rule.condition === 'rises_by_pct' ? changePct >= rule.threshold : -changePct >= rule.threshold;
+      return moved
+        ? `${head} ${changePct >= 0 ? 'rose' : 'fell'} ${Math.abs(changePct).toFixed(1)}% in ${rule.lookbackHours}h ` +
+          `(${fmt(previous)} → ${fmt(value)}), threshold ${fmt(rule.threshold)}%`
+        : null;
+    }
+    default:
+      return null;
+  }
+}
+
+async function inCooldown(rule, subject) {
+  if (!rule.cooldownMinutes) return false;
+  const result = await pool.query(
+    `SELECT 1 FROM alert_events
+     WHERE rule_id = $1 AND subject = $2 AND triggered_at > NOW() - make_interval(mins => $3)
+     LIMIT 1`,
+    [rule.id, subject, rule.cooldownMinutes]
+  );
+  return result.rows.length > 0;
+}
+
+async function fire(rule, observation, message) {
+  const alert = {
+    rule: { id: rule.id, name: rule.name, metric: rule.metric, condition: rule.condition, threshold: rule.threshold },
+    subject: observation.subject,
+    value: observation.value,
+    previousValue: observation.previous,
+    message,
+    triggeredAt: new Date().toISOString()
+  };
+  const deliveries = await deliver(rule.channels, alert);
+
+  await pool.query(
+    `INSERT INTO alert_events
+       (rule_id, rule_name, metric, subject, value, previous_value, threshold, message, deliveries, triggered_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [rule.id, rule.name, rule.metric, observation.subject, observation.value, observation.previous,
+     rule.threshold, message, JSON.stringify(deliveries), alert.triggeredAt]
+  );
+  eventBus.publish('alert', alert);
+  return alert;
+}
+
+// Evaluate every enabled rule. Returns the alerts that fired.
+async function evaluateAlerts() {
+  const rules = (await listRules()).filter(r => r.enabled);
+  const fired = [];
+
+  for (const rule of rules) {
+    try {
+      const observations = await METRICS[rule.metric].collect(rule.params, rule.lookbackHours);
+      for (const obs of observations) {
+        const message = check(rule, obs);
+        if (!message || await inCooldown(rule, obs.subject)) continue;
+        fired.push(await fire(rule, obs, message));
+      }
+    } catch (err) {
+      console.error(`[Alerts] Rule ${rule.id} "${rule.name}" failed:`, err.message);
+    }
+  }
+
+  console.log(`[Alerts] Evaluated ${rules.length} rule(s), ${fired.length} alert(s) fired`);
+  return fired;
+}
+
+// Send a clearly-labelled test message through a rule's channels
+async function testRule(id) {
+  const result = await pool.query('SELECT * FROM alert_rules WHERE id = $1', [id]);
+  if (!result.rows[0]) return null;
+  const rule = formatRule(result.rows[0]);
+  return deliver(rule.channels, {
+    rule: { id: rule.id, name: rule.name, metric: rule.metric, condition: rule.condition, threshold: rule.threshold },
+    subject: 'test',
+    value: null,
+    previousValue: null,
+    message: `Test alert for rule "${rule.name}" — delivery check only`,
+    triggeredAt: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  CONDITIONS,
+  CHANNEL_TYPES,
+  listMetrics,
+  validateRule,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  listEvents,
+  evaluateAlerts,
+  testRule
+};
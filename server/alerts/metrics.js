@@ -0,0 +1,173 @@
+/**
+ * Alert metric catalog.
+ *
+ * Each metric's collect(params, lookbackHours) returns one observation per
+ * subject (exchange pair, lending market, chain, ...):
+ *
+ *   [{ subject, value, previous }]
+ *
+ * `previous` is the same subject's value at least lookbackHours earlier (null
+ * when there is no history that far back) and drives rate-of-change rules.
+ */
+
+const pool = require('../db/pool');
+const depthLevels = require('../depthLevels');
+
+const num = v => (v === null || v === undefined ? null : parseFloat(v));
+
+// Pair current and earlier rows by subject
+function pairUp(currentRows, previousRows, subjectOf, valueOf) {
+  const previous = new Map(previousRows.map(r => [subjectOf(r), valueOf(r)]));
+  return currentRows
+    .map(r => ({ subject: subjectOf(r), value: valueOf(r), previous: previous.get(subjectOf(r)) ?? null }))
+    .filter(o => o.value !== null && !isNaN(o.value));
+}
+
+// ---------------------------------------------------------------------------
+// depth_snapshots — latest hourly snapshot vs the last one at least lookback earlier.
+// params.venueType picks CEX books (the default) or DEX pool rows.
+// ---------------------------------------------------------------------------
+
+const VENUE_TYPES = ['cex', 'dex'];
+
+async function collectDepth(params, lookbackHours, valueOf) {
+  const result = await pool.query(
+    `WITH latest AS (SELECT MAX(snapped_at) AS t FROM depth_snapshots WHERE venue_type = $4),
+          prev AS (
+            SELECT MAX(snapped_at) AS t FROM depth_snapshots, latest
+            WHERE venue_type = $4 AND snapped_at <= latest.t - make_interval(hours => $1)
+          )
+     SELECT d.id, d.exchange, d.pair, d.spread_bps, d.snapped_at = latest.t AS is_latest
+     FROM depth_snapshots d, latest, prev
+     WHERE d.snapped_at IN (latest.t, prev.t)
+       AND d.venue_type = $4
+       AND ($2::text IS NULL OR d.exchange = $2)
+       AND ($3::text IS NULL OR d.pair = $3)`,
+    [lookbackHours, params.exchange || null, params.pair || null, params.venueType || 'cex']
+  );
+  // Any level works: ones outside the standard set are computed from the stored books
+  if (params.bps) await depthLevels.attachLevels(result.rows, [Number(params.bps)]);
+  const subjectOf = r => `${r.exchange} ${r.pair}`;
+  return pairUp(
+    result.rows.filter(r => r.is_latest),
+    result.rows.filter(r => !r.is_latest),
+    subjectOf,
+    valueOf
+  );
+}
+
+function depthAt(side, params) {
+  if (!params.bps) throw new Error(`${side} metrics need params.bps`);
+  return r => num(r[side]?.[Number(params.bps)]);
+}
+
+// ---------------------------------------------------------------------------
+// lending_snapshots — latest complete or partial snapshot vs one at least lookback earlier
+// (a venue missing from a partial snapshot just has no observation)
+// ---------------------------------------------------------------------------
+
+async function collectLending(params, lookbackHours, column) {
+  const result = await pool.query(
+    `WITH latest AS (
+       SELECT id, taken_at FROM snapshots WHERE status IN ('complete', 'partial') ORDER BY taken_at DESC LIMIT 1
+     ),
+     prev AS (
+       SELECT s.id FROM snapshots s, latest
+       WHERE s.status IN ('complete', 'partial') AND s.taken_at <= latest.taken_at - make_interval(hours => $1)
+       ORDER BY s.taken_at DESC LIMIT 1
+     )
+     SELECT l.venue, l.name, l.chain, l.${column} AS value, l.snapshot_id = (SELECT id FROM latest) AS is_latest
+     FROM lending_snapshots l
+     WHERE l.snapshot_id IN (SELECT id FROM latest UNION ALL SELECT id FROM prev)
+       AND ($2::text IS NULL OR l.venue = $2)
+       AND ($3::text IS NULL OR l.name = $3)
+       AND ($4::text IS NULL OR l.chain = $4)`,
+    [lookbackHours, params.venue || null, params.name || null, params.chain || null]
+  );
+  return pairUp(
+    result.rows.filter(r => r.is_latest),
+    result.rows.filter(r => !r.is_latest),
+    r => `${r.venue} ${r.name} (${r.chain})`,
+    r => num(r.value)
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Daily tables — latest complete day vs the day lookback earlier
+// ---------------------------------------------------------------------------
+
+async function collectDaily({ table, keyCol, valueExpr, filter }, lookbackHours) {
+  const lookbackDays = Math.max(1, Math.ceil(lookbackHours / 24));
+  const keyExpr = keyCol || `'${table}'`;
+  // Today's row may be a partial day (written at 00:xx UTC), so stop at yesterday
+  const result = await pool.query(
+    `WITH latest AS (SELECT MAX(snapshot_date) AS d FROM ${table} WHERE snapshot_date < CURRENT_DATE)
+     SELECT ${keyExpr} AS key, ${valueExpr} AS value, t.snapshot_date = latest.d AS is_latest
+     FROM ${table} t, latest
+     WHERE t.snapshot_date IN (latest.d, latest.d - $1::int)
+       AND ($2::text IS NULL OR ${keyExpr} = $2)`,
+    [lookbackDays, filter || null]
+  );
+  return pairUp(
+    result.rows.filter(r => r.is_latest),
+    result.rows.filter(r => !r.is_latest),
+    r => r.key,
+    r => num(r.value)
+  );
+}
+
+const METRICS = {
+  'depth.spread_bps': {
+    label: 'Orderbook spread (bps)',
+    params: ['exchange', 'pair', 'venueType'],
+    collect: (p, lb) => collectDepth(p, lb, r => num(r.spread_bps))
+  },
+  'depth.bid_depth': {
+    label: 'Bid depth within N bps (USD)',
+    params: ['exchange', 'pair', 'bps', 'venueType'],
+    collect: (p, lb) => collectDepth(p, lb, depthAt('bid_depth', p))
+  },
+  'depth.ask_depth': {
+    label: 'Ask depth within N bps (USD)',
+    params: ['exchange', 'pair', 'bps', 'venueType'],
+    collect: (p, lb) => collectDepth(p, lb, depthAt('ask_depth', p))
+  },
+  'lending.utilization': {
+    label: 'Lending market utilization',
+    params: ['venue', 'name', 'chain'],
+    collect: (p, lb) => collectLending(p, lb, 'utilization')
+  },
+  'lending.supply_apy': {
+    label: 'Lending market supply APY',
+    params: ['venue', 'name', 'chain'],
+    collect: (p, lb) => collectLending(p, lb, 'supply_apy')
+  },
+  'aave_v4.utilization': {
+    label: 'Aave v4 USDG utilization (%)',
+    params: [],
+    collect: (p, lb) => collectDaily({
+      table: 'aave_usdg_history',
+      valueExpr: 'CASE WHEN total_supply > 0 THEN total_debt / total_supply * 100 END'
+    }, lb)
+  },
+  'supply.circulating': {
+    label: 'USDG circulating supply by chain',
+    params: ['chain'],
+    collect: (p, lb) => collectDaily({
+      table: 'usdg_supply_history', keyCol: 'chain', valueExpr: 'circulating', filter: p.chain
+    }, lb)
+  },
+  'volume.daily': {
+    label: 'CEX daily volume (USD)',
+    params: ['exchange'],
+    collect: (p, lb) => collectDaily({
+      table: 'cex_daily_volume', keyCol: 'exchange', valueExpr: 'volume', filter: p.exchange
+    }, lb)
+  }
+};
+
+function listMetrics() {
+  return Object.entries(METRICS).map(([id, m]) => ({ id, label: m.label, params: m.params }));
+}
+
+module.exports = { METRICS, VENUE_TYPES, listMetrics };
@@ -0,0 +1,275 @@
+/**
+ * Local users, sessions and API keys.
+ *
+ * Roles are ordered: viewer < analyst < admin. A principal's role grants
+ * everything the lower roles can do.
+ *
+ * Browsers sign in with a username and password and get a session token in
+ * an HttpOnly cookie; programmatic clients send an API key. Only hashes are
+ * stored: scrypt for passwords, SHA-256 for the high-entropy session tokens
+ * and API keys.
+ */
+
+const crypto = require('crypto');
+const pool = require('../db/pool');
+
+const ROLES = ['viewer', 'analyst', 'admin'];
+
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS, 10) || 7;
+const API_KEY_PREFIX = 'usdg_';
+const MIN_PASSWORD_LENGTH = 10;
+
+const USERNAME_RE = /^[a-z0-9_.-]{2,50}$/i;
+
+// token hash -> { principal, timestamp }; spares a query per API request
+const principalCache = new Map();
+const PRINCIPAL_TTL = 60 * 1000;
+
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16);
+    crypto.scrypt(password, salt, 64, (err, key) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${salt.toString('hex')}$${key.toString('hex')}`);
+    });
+  });
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return Promise.resolve(false);
+  const expected = Buffer.from(hashHex, 'hex');
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, Buffer.from(saltHex, 'hex'), expected.length, (err, key) => {
+      if (err) return reject(err);
+      resolve(crypto.timingSafeEqual(key, expected));
+    });
+  });
+}
+
+function formatUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    disabled: row.disabled,
+    createdAt: row.created_at,
+    lastLoginAt: row.last_login_at
+  };
+}
+
+function formatApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    role: row.role,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+// ── Users ─────────────────────────────────────────────────────────────────────
+
+function validateUser(body, { partial = false } = {}) {
+  if (!partial || body.username !== undefined) {
+    if (!USERNAME_RE.test(body.username || '')) {
+      throw new Error('username must be 2-50 letters, digits, dots, dashes or underscores');
+    }
+  }
+  if (!partial || body.password !== undefined) {
+    if (typeof body.password !== 'string' || body.password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+  if (!partial || body.role !== undefined) {
+    if (!ROLES.includes(body.role)) throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+  }
+  if (body.disabled !== undefined && typeof body.disabled !== 'boolean') {
+    throw new Error('disabled must be true or false');
+  }
+}
+
+async function listUsers() {
+  const result = await pool.query(
+    `SELECT id, username, role, disabled, created_at, last_login_at
+     FROM users ORDER BY username`
+  );
+  return result.rows.map(formatUser);
+}
+
+/**
+ * @returns {Promise<Object|null>} The user, or null if the username is taken
+ */
+async function createUser({ username, password, role }) {
+  validateUser({ username, password, role });
+  const result = await pool.query(
+    `INSERT INTO users (username, password_hash, role)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (username) DO NOTHING
+     RETURNING id, username, role, disabled, created_at, last_login_at`,
+    [username.toLowerCase(), await hashPassword(password), role]
+  );
+  return result.rows[0] ? formatUser(result.rows[0]) : null;
+}
+
+/**
+ * Change a user's role, password or disabled flag. A password change or
+ * disabling the user ends their sessions.
+ */
+async function updateUser(id, { password, role, disabled }) {
+  validateUser({ password, role, disabled }, { partial: true });
+  const result = await pool.query(
+    `UPDATE users SET
+       password_hash = COALESCE($2, password_hash),
+       role          = COALESCE($3, role),
+       disabled      = COALESCE($4, disabled)
+     WHERE id = $1
+     RETURNING id, username, role, disabled, created_at, last_login_at`,
+    [id, password ? await hashPassword(password) : null, role || null, disabled ?? null]
+  );
+  if (!result.rows[0]) return null;
+  if (password || disabled) await pool.query('DELETE FROM sessions WHERE user_id = $1', [id]);
+  principalCache.clear();
+  return formatUser(result.rows[0]);
+}
+
+// ── Sessions ──────────────────────────────────────────────────────────────────
+
+/**
+ * Check a username and password and open a session
+ * @returns {Promise<{ token: string, expiresAt: Date, user: Object }|null>} null when the credentials are wrong
+ */
+async function login(username, password) {
+  const result = await pool.query(
+    `SELECT id, username, role, disabled, password_hash, created_at, last_login_at
+     FROM users WHERE username = $1`,
+    [String(username || '').toLowerCase()]
+  );
+  const row = result.rows[0];
+  if (!row || row.disabled || !(await verifyPassword(String(password || ''), row.password_hash))) return null;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+  await pool.query(
+    'INSERT INTO sessions (token_hash, user_id, expires_at) VALUES ($1, $2, $3)',
+    [sha256(token), row.id, expiresAt]
+  );
+  await pool.query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [row.id]);
+  await pool.query('DELETE FROM sessions WHERE expires_at < NOW()');
+  return { token, expiresAt, user: formatUser(row) };
+}
+
+async function logout(token) {
+  const hash = sha256(token);
+  principalCache.delete(hash);
+  await pool.query('DELETE FROM sessions WHERE token_hash = $1', [hash]);
+}
+
+// ── API keys ──────────────────────────────────────────────────────────────────
+
+function validateApiKey(body) {
+  if (!body.name || typeof body.name !== 'string') throw new Error('name is required');
+  if (!ROLES.includes(body.role)) throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+}
+
+async function listApiKeys() {
+  const result = await pool.query(
+    `SELECT id, name, key_prefix, role, created_by, created_at, last_used_at, revoked_at
+     FROM api_keys ORDER BY created_at DESC`
+  );
+  return result.rows.map(formatApiKey);
+}
+
+/**
+ * Issue an API key. The plaintext key is returned only here.
+ * @returns {Promise<Object>} The key's metadata plus `key`
+ */
+async function createApiKey({ name, role }, createdBy = null) {
+  validateApiKey({ name, role });
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const result = await pool.query(
+    `INSERT INTO api_keys (name, key_prefix, key_hash, role, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, name, key_prefix, role, created_by, created_at, last_used_at, revoked_at`,
+    [name, key.slice(0, API_KEY_PREFIX.length + 6), sha256(key), role, createdBy]
+  );
+  return { ...formatApiKey(result.rows[0]), key };
+}
+
+async function revokeApiKey(id) {
+  const result = await pool.query(
+    'UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL RETURNING id',
+    [id]
+  );
+  principalCache.clear();
+  return result.rowCount > 0;
+}
+
+// ── Request principals ────────────────────────────────────────────────────────
+
+async function lookupSession(hash) {
+  const result = await pool.query(
+    `SELECT u.id, u.username, u.role
+     FROM sessions s JOIN users u ON u.id = s.user_id
+     WHERE s.token_hash = $1 AND s.expires_at > NOW() AND NOT u.disabled`,
+    [hash]
+  );
+  const row = result.rows[0];
+  return row ? { id: row.id, username: row.username, role: row.role, via: 'session' } : null;
+}
+
+async function lookupApiKey(hash) {
+  const result = await pool.query(
+    `UPDATE api_keys SET last_used_at = NOW()
+     WHERE key_hash = $1 AND revoked_at IS NULL
+     RETURNING id, name, role`,
+    [hash]
+  );
+  const row = result.rows[0];
+  return row ? { id: row.id, username: `key:${row.name}`, role: row.role, via: 'apiKey' } : null;
+}
+
+/**
+ * The principal behind a session token or API key, or null
+ */
+async function resolveCredential(credential) {
+  if (!credential) return null;
+  const hash = sha256(credential);
+  const entry = principalCache.get(hash);
+  if (entry && Date.now() - entry.timestamp < PRINCIPAL_TTL) return entry.principal;
+
+  const principal = credential.startsWith(API_KEY_PREFIX)
+    ? await lookupApiKey(hash)
+    : await lookupSession(hash);
+  if (principal) principalCache.set(hash, { principal, timestamp: Date.now() });
+  return principal;
+}
+
+module.exports = {
+  ROLES,
+  SESSION_TTL_DAYS,
+  API_KEY_PREFIX,
+  hasRole,
+  validateUser,
+  listUsers,
+  createUser,
+  updateUser,
+  login,
+  logout,
+  validateApiKey,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  resolveCredential
+};
@@ -0,0 +1,100 @@
+/**
+ * Express middleware: who is calling, and may they.
+ *
+ * authenticate attaches req.user from the session cookie or an API key
+ * (`Authorization: Bearer usdg_…` or `X-API-Key`). Requests without
+ * credentials get AUTH_ANONYMOUS_ROLE, `viewer` by default so the public
+ * dashboard keeps working without sign-in; AUTH_ANONYMOUS_ROLE=none makes
+ * every request sign in.
+ *
+ * Route groups are gated by area; each area's minimum role can be overridden
+ * with AUTH_ROLE_<AREA> (e.g. AUTH_ROLE_DEFI=viewer).
+ */
+
+const auth = require('./index');
+
+const SESSION_COOKIE = 'usdg_session';
+
+const AREA_DEFAULTS = {
+  data:  'viewer',   // everything under /api not listed below
+  defi:  'analyst',  // /api/defi
+  gdp:   'analyst',  // /api/gdp
+  admin: 'admin'     // /api/admin, and write endpoints elsewhere
+};
+
+const AREAS = Object.fromEntries(Object.entries(AREA_DEFAULTS).map(([area, role]) => {
+  const override = process.env[`AUTH_ROLE_${area.toUpperCase()}`];
+  return [area, auth.ROLES.includes(override) ? override : role];
+}));
+
+const ANONYMOUS_ROLE = process.env.AUTH_ANONYMOUS_ROLE === 'none'
+  ? null
+  : auth.ROLES.includes(process.env.AUTH_ANONYMOUS_ROLE) ? process.env.AUTH_ANONYMOUS_ROLE : 'viewer';
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const idx = part.indexOf('=');
+    if (idx > 0 && part.slice(0, idx).trim() === name) return decodeURIComponent(part.slice(idx + 1).trim());
+  }
+  return null;
+}
+
+function credentialFrom(req) {
+  const header = req.get('Authorization');
+  if (header && header.startsWith('Bearer ')) return header.slice(7).trim();
+  return req.get('X-API-Key') || readCookie(req, SESSION_COOKIE);
+}
+
+async function authenticate(req, res, next) {
+  try {
+    req.user = await auth.resolveCredential(credentialFrom(req));
+  } catch (err) {
+    console.error('[Auth] Error resolving credentials:', err.message);
+    req.user = null;
+  }
+  if (!req.user && ANONYMOUS_ROLE) req.user = { id: null, username: null, role: ANONYMOUS_ROLE, via: 'anonymous' };
+  next();
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+    if (!auth.hasRole(req.user.role, role)) return res.status(403).json({ error: `Requires ${role} role` });
+    next();
+  };
+}
+
+function requireArea(area) {
+  return requireRole(AREAS[area]);
+}
+
+// Which areas a role can reach, for the client to decide what to show
+function accessFor(role) {
+  return Object.fromEntries(Object.entries(AREAS).map(([area, required]) =>
+    [area, role != null && auth.hasRole(role, required)]
+  ));
+}
+
+function setSessionCookie(req, res, token, expiresAt) {
+  const secure = req.secure || req.get('X-Forwarded-Proto') === 'https';
+  res.setHeader('Set-Cookie',
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Lax` +
+    `; Expires=${expiresAt.toUTCString()}${secure ? '; Secure' : ''}`);
+}
+
+function clearSessionCookie(res) {
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+}
+
+module.exports = {
+  AREAS,
+  ANONYMOUS_ROLE,
+  readCookie,
+  authenticate,
+  requireRole,
+  requireArea,
+  accessFor,
+  setSessionCookie,
+  clearSessionCookie,
+  SESSION_COOKIE
+};
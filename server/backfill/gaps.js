@@ -0,0 +1,188 @@
+/**
+ * Gap scanner for the daily/hourly history tables.
+ *
+ * For each series (and each key within it — exchange, chain) the expected
+ * coverage runs from the later of its first stored row and the scan window
+ * start, up to the last complete day (or hour). Missing buckets are grouped
+ * into contiguous gaps. Series with a historical source in ./sources can be
+ * repaired by queuing backfill jobs for exactly the missing ranges; the rest
+ * (live-only data such as orderbooks and multi-chain supply) are report-only.
+ */
+
+const pool = require('../db/pool');
+const backfill = require('./index');
+const { getSource } = require('./sources');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// table/column names are constants, never user input
+const SERIES = [
+  {
+    id: 'cex_daily_volume', label: 'CEX daily volume', granularity: 'day',
+    table: 'cex_daily_volume', dateCol: 'snapshot_date', keyCol: 'exchange',
+    repair: key => ({ source: key, target: 'cex_daily_volume' })
+  },
+  {
+    id: 'usdg_supply_history', label: 'USDG supply', granularity: 'day',
+    table: 'usdg_supply_history', dateCol: 'snapshot_date', keyCol: 'chain',
+    repair: null // chain supply is only readable live
+  },
+  {
+    id: 'aave_usdg_history', label: 'Aave v4 USDG', granularity: 'day',
+    table: 'aave_usdg_history', dateCol: 'snapshot_date', keyCol: null,
+    repair: () => ({ source: 'aave-v4', target: 'aave_usdg_history' })
+  },
+  {
+    id: 'paxg_supply_history', label: 'PAXG supply', granularity: 'day',
+    table: 'paxg_supply_history', dateCol: 'supply_date', keyCol: null,
+    repair: () => ({ source: 'paxg-supply', target: 'paxg_supply_history' })
+  },
+  {
+    id: 'depth_snapshots', label: 'Orderbook depth', granularity: 'hour',
+    table: 'depth_snapshots', dateCol: 'snapped_at', keyCol: 'exchange',
+    repair: null // orderbooks cannot be fetched retroactively
+  }
+];
+
+function repairTarget(series, key) {
+  if (!series.repair) return null;
+  const target = series.repair(key);
+  return getSource(target.source)?.targets[target.target] ? target : null;
+}
+
+const toDay = ms => new Date(ms).toISOString().split('T')[0];
+const toHour = ms => new Date(ms).toISOString().slice(0, 13) + ':00:00Z';
+
+// Scan one series. Returns one entry per key with gaps and a per-day coverage
+// ratio (0–1) for heatmaps.
+async function scanSeries(series, days) {
+  const stepMs = series.granularity === 'hour' ? HOUR_MS : DAY_MS;
+  const now = Date.now();
+  // Last complete bucket: yesterday for daily series, the previous hour for hourly
+  const endMs = Math.floor(now / stepMs) * stepMs - stepMs;
+  const windowStartMs = Math.floor(now / DAY_MS) * DAY_MS - days * DAY_MS;
+
+  const bucket = series.granularity === 'hour'
+    ? `date_trunc('hour', ${series.dateCol})`
+    : `${series.dateCol}::timestamp`;
+  const keyExpr = series.keyCol || `'${series.id}'`;
+
+  const [firstRows, presentRows] = await Promise.all([
+    pool.query(`SELECT ${keyExpr} AS key, MIN(${series.dateCol}) AS first FROM ${series.table} GROUP BY 1`),
+    pool.query(
+      `SELECT DISTINCT ${keyExpr} AS key, EXTRACT(EPOCH FROM ${bucket} AT TIME ZONE 'UTC') * 1000 AS ts
+       FROM ${series.table}
+       WHERE ${series.dateCol} >= to_timestamp($1 / 1000.0)`,
+      [windowStartMs]
+    )
+  ]);
+
+  const presentByKey = {};
+  for (const r of presentRows.rows) {
+    (presentByKey[r.key] ||= new Set()).add(Number(r.ts));
+  }
+
+  return firstRows.rows.map(({ key, first }) => {
+    const firstMs = Math.floor(new Date(first).getTime() / stepMs) * stepMs;
+    const startMs = Math.max(firstMs, windowStartMs);
+    const present = presentByKey[key] || new Set();
+
+    const gaps = [];
+    const byDay = {};
+    let expected = 0;
+    let found = 0;
+    for (let t = startMs; t <= endMs; t += stepMs) {
+      const day = toDay(t);
+      byDay[day] ||= { expected: 0, present: 0 };
+      byDay[day].expected++;
+      expected++;
+
+      if (present.has(t)) {
+        byDay[day].present++;
+        found++;
+        continue;
+      }
+      const label = series.granularity === 'hour' ? toHour(t) : day;
+      const last = gaps[gaps.length - 1];
+      if (last && last.endMs === t - stepMs) {
+        last.end = label;
+        last.endMs = t;
+        last.count++;
+      } else {
+        gaps.push({ start: label, end: label, endMs: t, count: 1 });
+      }
+    }
+
+    return {
+      series: series.id,
+      label: series.label,
+      key: series.keyCol ? key : null,
+      granularity: series.granularity,
+      start: expected ? toDay(startMs) : null,
+      end: expected ? toDay(endMs) : null,
+      expected,
+      present: found,
+      missing: expected - found,
+      coverage: expected ? found / expected : null,
+      repairable: !!repairTarget(series, key),
+      gaps: gaps.map(({ endMs: _, ...g }) => g),
+      days: Object.entries(byDay).map(([date, d]) => ({ date, coverage: d.present / d.expected }))
+    };
+  });
+}
+
+/**
+ * Scan every series (or one) for missing days/hours.
+ * @param {object} opts
+ * @param {number} [opts.days=90] - Scan window, in days back from today
+ * @param {string} [opts.series] - Limit to one series id
+ */
+async function scanGaps({ days = 90, series } = {}) {
+  const selected = series ? SERIES.filter(s => s.id === series) : SERIES;
+  if (series && selected.length === 0) throw new Error(`Unknown series: ${series}`);
+
+  const results = [];
+  for (const s of selected) {
+    try {
+      results.push(...await scanSeries(s, days));
+    } catch (err) {
+      console.error(`[Gaps] Scan failed for ${s.id}:`, err.message);
+      results.push({ series: s.id, label: s.label, key: null, granularity: s.granularity, error: err.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Queue backfill jobs for the missing ranges of every repairable series and
+ * run them one after another in the background.
+ * @returns {Promise<object[]>} the queued jobs
+ */
+async function repairGaps(opts = {}) {
+  const results = await scanGaps(opts);
+  const jobs = [];
+
+  for (const r of results) {
+    if (!r.repairable || !r.gaps?.length) continue;
+    const target = repairTarget(SERIES.find(s => s.id === r.series), r.key);
+    for (const gap of r.gaps) {
+      jobs.push(await backfill.createJob({ ...target, start: gap.start, end: gap.end }));
+    }
+  }
+
+  (async () => {
+    for (const job of jobs) {
+      await backfill.runJob(job.id).catch(err => console.error(`[Gaps] Repair job ${job.id} error:`, err.message));
+    }
+  })();
+
+  if (jobs.length) console.log(`[Gaps] Queued ${jobs.length} repair job(s)`);
+  return jobs;
+}
+
+module.exports = {
+  SERIES: SERIES.map(({ id, label, granularity }) => ({ id, label, granularity })),
+  scanGaps,
+  repairGaps
+};
@@ -0,0 +1,218 @@
+/**
+ * Resumable historical backfill engine.
+ *
+ * A job is (source, target table, date range). Jobs walk the range in
+ * source-defined chunks and checkpoint `cursor_date` in backfill_jobs after
+ * every chunk is written, so a run interrupted by a crash, deploy or API
+ * outage picks up from the first unwritten date when resumed.
+ *
+ * Used by POST /api/admin/backfill and scripts/backfill.js.
+ */
+
+const cron = require('node-cron');
+const pool = require('../db/pool');
+const { getSource, listSources } = require('./sources');
+
+const MAX_ATTEMPTS = 3;          // per chunk, before the job is marked failed
+const RETRY_BACKOFF_MS = 5000;   // multiplied by the attempt number
+const STALE_AFTER = '10 minutes'; // a 'running' job without a checkpoint this long is orphaned
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function addDays(dateStr, days) {
+  const d = new Date(dateStr + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+const isDate = (s) => /^\d{4}-\d{2}-\d{2}$/.test(s || '') && !isNaN(new Date(s + 'T00:00:00Z'));
+
+function formatJob(row) {
+  if (!row) return null;
+  const toDate = d => (d ? d.toISOString().split('T')[0] : null);
+  return {
+    id: row.id,
+    source: row.source,
+    targetTable: row.target_table,
+    startDate: toDate(row.start_date),
+    endDate: toDate(row.end_date),
+    cursorDate: toDate(row.cursor_date),
+    status: row.status,
+    rowsWritten: row.rows_written,
+    error: row.error,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    updatedAt: row.updated_at,
+    finishedAt: row.finished_at
+  };
+}
+
+// Validate a request and return { source, target, start, end } or throw
+function validateRequest({ source: sourceId, target, start, end }) {
+  const source = getSource(sourceId || '');
+  if (!source) throw new Error(`Unknown backfill source: ${sourceId}`);
+
+  const targetTable = target || Object.keys(source.targets)[0];
+  if (!source.targets[targetTable]) {
+    throw new Error(`Source ${source.id} cannot fill ${targetTable} (supports: ${Object.keys(source.targets).join(', ')})`);
+  }
+
+  const endDate = end || new Date().toISOString().split('T')[0];
+  if (!isDate(start)) throw new Error('start must be a YYYY-MM-DD date');
+  if (!isDate(endDate)) throw new Error('end must be a YYYY-MM-DD date');
+  if (start > endDate) throw new Error('start must not be after end');
+
+  return { source: source.id, target: targetTable, start, end: endDate };
+}
+
+// Create a job, or return the unfinished job with identical parameters so
+// re-running the same request continues it instead of starting over.
+async function createJob(params) {
+  const { source, target, start, end } = validateRequest(params);
+
+  const existing = await pool.query(
+    `SELECT * FROM backfill_jobs
+     WHERE source = $1 AND target_table = $2 AND start_date = $3 AND end_date = $4
+       AND status <> 'complete'
+     ORDER BY id DESC LIMIT 1`,
+    [source, target, start, end]
+  );
+  if (existing.rows[0]) return formatJob(existing.rows[0]);
+
+  const result = await pool.query(
+    `INSERT INTO backfill_jobs (source, target_table, start_date, end_date)
+     VALUES ($1, $2, $3, $4) RETURNING *`,
+    [source, target, start, end]
+  );
+  return formatJob(result.rows[0]);
+}
+
+async function getJob(id) {
+  const result = await pool.query('SELECT * FROM backfill_jobs WHERE id = $1', [id]);
+  return formatJob(result.rows[0]);
+}
+
+async function listJobs(limit = 50) {
+  const result = await pool.query('SELECT * FROM backfill_jobs ORDER BY id DESC LIMIT $1', [limit]);
+  return result.rows.map(formatJob);
+}
+
+// Atomically take ownership of a job. Fails if another process is actively
+// running it (checkpointed recently).
+async function claimJob(id) {
+  const result = await pool.query(
+    `UPDATE backfill_jobs
+     SET status = 'running', error = NULL, started_at = NOW(), updated_at = NOW(), finished_at = NULL
+     WHERE id = $1
+       AND (status IN ('pending', 'failed')
+            OR (status = 'running' AND updated_at < NOW() - INTERVAL '${STALE_AFTER}'))
+     RETURNING *`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+// Run (or resume) a job to completion. Resolves with the final job record.
+async function runJob(id) {
+  const row = await claimJob(id);
+  if (!row) {
+    const job = await getJob(id);
+    if (!job) throw new Error(`Backfill job ${id} not found`);
+    if (job.status === 'complete') return job;
+    throw new Error(`Backfill job ${id} is already running`);
+  }
+
+  const job = formatJob(row);
+  const source = getSource(job.source);
+  const target = source.targets[job.targetTable];
+  const ctx = {};
+  let cursor = job.cursorDate ? addDays(job.cursorDate, 1) : job.startDate;
+
+  console.log(`[Backfill] Job ${id}: ${job.source} → ${job.targetTable}, ${cursor} → ${job.endDate}`);
+
+  try {
+    while (cursor <= job.endDate) {
+      const chunkEnd = [addDays(cursor, target.chunkDays - 1), job.endDate].sort()[0];
+
+      let written;
+      for (let attempt = 1; ; attempt++) {
+        try {
+          const rows = await target.fetch(ctx, cursor, chunkEnd);
+          written = await target.write(rows);
+          break;
+        } catch (err) {
+          if (attempt >= MAX_ATTEMPTS) throw err;
+          console.error(`[Backfill] Job ${id}: ${cursor} attempt ${attempt} failed:`, err.message);
+          await delay(RETRY_BACKOFF_MS * attempt);
+        }
+      }
+
+      await pool.query(
+        `UPDATE backfill_jobs
+         SET cursor_date = $2, rows_written = rows_written + $3, updated_at = NOW()
+         WHERE id = $1`,
+        [id, chunkEnd, written]
+      );
+      console.log(`[Backfill] Job ${id}: through ${chunkEnd} (+${written} rows)`);
+
+      cursor = addDays(chunkEnd, 1);
+      if (cursor <= job.endDate) await delay(source.rateLimitMs);
+    }
+
+    await pool.query(
+      `UPDATE backfill_jobs SET status = 'complete', updated_at = NOW(), finished_at = NOW() WHERE id = $1`,
+      [id]
+    );
+    console.log(`[Backfill] Job ${id} complete`);
+  } catch (err) {
+    console.error(`[Backfill] Job ${id} failed at ${cursor}:`, err.message);
+    await pool.query(
+      `UPDATE backfill_jobs SET status = 'failed', error = $2, updated_at = NOW() WHERE id = $1`,
+      [id, err.message]
+    );
+  }
+
+  return getJob(id);
+}
+
+// Pick up jobs orphaned by a restart (still 'running' but no longer checkpointing)
+let resuming = false;
+async function resumeInterruptedJobs() {
+  if (resuming) return;
+  resuming = true;
+  try {
+    const result = await pool.query(
+      `SELECT id FROM backfill_jobs
+       WHERE status = 'running' AND updated_at < NOW() - INTERVAL '${STALE_AFTER}'
+       ORDER BY id`
+    );
+    for (const { id } of result.rows) {
+      console.log(`[Backfill] Resuming interrupted job ${id}`);
+      await runJob(id).catch(err => console.error(`[Backfill] Resume of job ${id} failed:`, err.message));
+    }
+  } catch (err) {
+    console.error('[Backfill] Error checking for interrupted jobs:', err.message);
+  } finally {
+    resuming = false;
+  }
+}
+
+/**
+ * Periodically resume interrupted jobs
+ * @param {string} schedule - Cron schedule expression (default: every 15 minutes)
+ */
+function startScheduler(schedule = '*/15 * * * *') {
+  console.log(`[Backfill] Scheduling interrupted-job check: ${schedule} UTC`);
+  cron.schedule(schedule, resumeInterruptedJobs, { timezone: 'UTC' });
+}
+
+module.exports = {
+  listSources,
+  validateRequest,
+  createJob,
+  getJob,
+  listJobs,
+  runJob,
+  resumeInterruptedJobs,
+  startScheduler
+};
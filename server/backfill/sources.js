@@ -0,0 +1,281 @@
+/**
+ * Backfill sources.
+ *
+ * Each source maps a historical data provider onto one or more target tables:
+ *
+ *   {
+ *     id, label,
+ *     rateLimitMs,                 // pause between consecutive chunks
+ *     targets: {
+ *       <table>: {
+ *         chunkDays,               // dates covered per fetch/write/checkpoint
+ *         fetch(ctx, start, end),  // -> rows for dates in [start, end]
+ *         write(rows)              // -> number of rows written
+ *       }
+ *     }
+ *   }
+ *
+ * `ctx` lives for one run of a job, so sources whose API only serves a whole
+ * window (exchange candles, GeckoTerminal) fetch it once and slice per chunk.
+ */
+
+const pool = require('../db/pool');
+const exchanges = require('../exchanges');
+const { upsertPairDaily } = require('../db/queries');
+const curveService = require('../services/curve');
+const uniswapHoodService = require('../services/uniswapHood');
+const paxgService = require('../services/paxg');
+const aaveV4Service = require('../services/aaveV4');
+
+const inRange = (start, end) => row => row.date >= start && row.date <= end;
+
+function daysSince(dateStr) {
+  return Math.ceil((Date.now() - new Date(dateStr + 'T00:00:00Z').getTime()) / 86400000) + 1;
+}
+
+// ---------------------------------------------------------------------------
+// CEX adapters — one source per registered venue with volume data
+// ---------------------------------------------------------------------------
+
+function cexSource(adapter) {
+  const targets = {};
+
+  if (adapter.capabilities.volume) {
+    targets.cex_daily_volume = {
+      chunkDays: 30,
+      async fetch(ctx, start, end) {
+        if (!ctx.aggregated) ctx.aggregated = await adapter.service.getAggregatedVolume();
+        return ctx.aggregated.dailyVolume.filter(inRange(start, end));
+      },
+      async write(rows) {
+        for (const day of rows) {
+          await pool.query(
+            'INSERT INTO cex_daily_volume(snapshot_date,exchange,volume) VALUES($1,$2,$3) ON CONFLICT(snapshot_date,exchange) DO UPDATE SET volume=EXCLUDED.volume',
+            [day.date, adapter.id, day.volume]
+          );
+        }
+        return rows.length;
+      }
+    };
+  }
+
+  if (adapter.capabilities.perPairVolume) {
+    targets.cex_pair_daily = {
+      chunkDays: 30,
+      async fetch(ctx, start, end) {
+        if (!ctx.pairStats) ctx.pairStats = await adapter.service.getPairDailyStats();
+        return ctx.pairStats.rows.filter(inRange(start, end));
+      },
+      write: rows => upsertPairDaily(adapter.id, rows)
+    };
+  }
+
+  return {
+    id: adapter.id,
+    label: adapter.name,
+    rateLimitMs: adapter.rateLimitMs,
+    targets
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Curve USDG/USDC — daily volume as 'migration' snapshots (same rows as
+// scripts/backfillCurveVolume.js); dates that already have volume are skipped
+// ---------------------------------------------------------------------------
+
+const curvePool = curveService.POOLS[0];
+
+const curveSource = {
+  id: 'curve',
+  label: 'Curve USDG/USDC',
+  rateLimitMs: 300,
+  targets: {
+    dex_pool_snapshots: {
+      chunkDays: 30,
+      async fetch(ctx, start, end) {
+        // Pool state is only available live — used as metadata for every historical row
+        if (!ctx.poolState) ctx.poolState = await curveService.getPoolData(curvePool);
+        const startTs = Math.floor(new Date(start + 'T00:00:00Z').getTime() / 1000);
+        const endTs = Math.floor(new Date(end + 'T23:59:59Z').getTime() / 1000);
+        const days = await curveService.getDailyVolumeHistory(curvePool, startTs, endTs);
+        return days.filter(inRange(start, end)).map(d => ({ ...d, poolState: ctx.poolState }));
+      },
+      async write(rows) {
+        if (!rows.length) return 0;
+        const address = curvePool.address.toLowerCase();
+        const existing = await pool.query(
+          `SELECT DISTINCT DATE(s.taken_at)::text AS snap_date
+           FROM dex_pool_snapshots d
+           JOIN snapshots s ON s.id = d.snapshot_id
+           WHERE d.address = $1 AND d.volume_24h IS NOT NULL
+             AND DATE(s.taken_at) BETWEEN $2 AND $3`,
+          [address, rows[0].date, rows[rows.length - 1].date]
+        );
+        const existingDates = new Set(existing.rows.map(r => r.snap_date));
+
+        let written = 0;
+        for (const day of rows) {
+          if (existingDates.has(day.date)) continue;
+          const p = day.poolState;
+          const client = await pool.connect();
+          try {
+            await client.query('BEGIN');
+            const snapResult = await client.query(
+              `INSERT INTO snapshots (taken_at, snapshot_type, status)
+               VALUES ($1::date + interval '23 hours 59 minutes', 'migration', 'complete')
+               RETURNING id`,
+              [day.date]
+            );
+            await client.query(
+              `INSERT INTO dex_pool_snapshots (
+                snapshot_id, address, name, pool_type, chain, venue,
+                tvl_usd, usdg_balance, yield_24h, volume_24h, fees_24h,
+                price, token_a_symbol, token_a_balance, token_b_symbol, token_b_balance, fee_rate
+              ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17)`,
+              [
+                snapResult.rows[0].id, address, p.name, p.type, p.chain, p.venue,
+                p.tvlUsd, p.usdgBalance, 0, day.volume, day.fees,
+                1.0, p.tokenA.symbol, p.tokenA.balance, p.tokenB.symbol, p.tokenB.balance,
+                0.0001 // Curve stable pool fee
+              ]
+            );
+            await client.query('COMMIT');
+            written++;
+          } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+          } finally {
+            client.release();
+          }
+        }
+        return written;
+      }
+    }
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Hood (Uniswap v4 on Robinhood Chain) — GeckoTerminal daily OHLCV
+// ---------------------------------------------------------------------------
+
+const hoodSource = {
+  id: 'hood',
+  label: 'Hood (Uniswap v4)',
+  rateLimitMs: 1000,
+  targets: {
+    hood_volume_history: {
+      chunkDays: 30,
+      async fetch(ctx, start, end) {
+        // GeckoTerminal only serves the most recent N days, so ask for enough to reach `start`
+        if (!ctx.history) ctx.history = await uniswapHoodService.getVolumeHistory(Math.min(daysSince(start), 1000));
+        return ctx.history.filter(inRange(start, end));
+      },
+      async write(rows) {
+        for (const row of rows) {
+          await pool.query(
+            `INSERT INTO hood_volume_history (snapshot_date, volume, fee_revenue)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (snapshot_date) DO UPDATE SET volume=EXCLUDED.volume, fee_revenue=EXCLUDED.fee_revenue`,
+            [row.date, row.volume, row.feeRevenue ?? null]
+          );
+        }
+        return rows.length;
+      }
+    }
+  }
+};
+
+// ---------------------------------------------------------------------------
+// PAXG supply — Ethereum archive RPC, one block per day
+// ---------------------------------------------------------------------------
+
+const paxgSupplySource = {
+  id: 'paxg-supply',
+  label: 'PAXG supply',
+  rateLimitMs: 300,
+  targets: {
+    paxg_supply_history: {
+      chunkDays: 1,
+      async fetch(ctx, start) {
+        if (!ctx.ref) ctx.ref = await paxgService.getCurrentBlockInfo();
+        const { supply, blockNumber } = await paxgService.getSupplyForDate(start, ctx.ref.blockNumber, ctx.ref.timestamp);
+        return [{ date: start, supply, blockNumber }];
+      },
+      async write(rows) {
+        for (const row of rows) {
+          await pool.query(
+            `INSERT INTO paxg_supply_history (supply_date, supply, block_number)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (supply_date) DO UPDATE SET supply=EXCLUDED.supply, block_number=EXCLUDED.block_number`,
+            [row.date, row.supply, row.blockNumber]
+          );
+        }
+        return rows.length;
+      }
+    }
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Aave v4 USDG reserve — Ethereum archive RPC, one block per day
+// ---------------------------------------------------------------------------
+
+const aaveV4Source = {
+  id: 'aave-v4',
+  label: 'Aave v4 USDG',
+  rateLimitMs: 500,
+  targets: {
+    aave_usdg_history: {
+      chunkDays: 1,
+      async fetch(ctx, start) {
+        if (!ctx.ref) ctx.ref = await aaveV4Service.getCurrentBlockInfo();
+        const blockNumber = aaveV4Service.estimateBlockForDate(start, ctx.ref.blockNumber, ctx.ref.timestamp);
+        const data = await aaveV4Service.getUsdgReserveDataAtBlock(blockNumber);
+        return [{ date: start, ...data }];
+      },
+      async write(rows) {
+        // Merkl columns are only known live, so leave them alone on conflict
+        for (const row of rows) {
+          await pool.query(
+            `INSERT INTO aave_usdg_history
+               (snapshot_date, total_debt, borrow_apy, daily_interest, block_number, spoke_breakdown, total_supply, supply_apy)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             ON CONFLICT (snapshot_date) DO UPDATE SET
+               total_debt=EXCLUDED.total_debt, borrow_apy=EXCLUDED.borrow_apy,
+               daily_interest=EXCLUDED.daily_interest, block_number=EXCLUDED.block_number,
+               spoke_breakdown=EXCLUDED.spoke_breakdown, total_supply=EXCLUDED.total_supply,
+               supply_apy=EXCLUDED.supply_apy`,
+            [row.date, row.totalVariableDebt, row.variableBorrowApy, row.dailyInterestCost,
+             row.blockNumber, JSON.stringify(row.spokeBreakdown), row.totalSupply, row.supplyApy]
+          );
+        }
+        return rows.length;
+      }
+    }
+  }
+};
+
+const SOURCES = [
+  ...exchanges.listAdapters()
+    .filter(a => a.capabilities.volume || a.capabilities.perPairVolume)
+    .map(cexSource),
+  curveSource,
+  hoodSource,
+  paxgSupplySource,
+  aaveV4Source
+];
+
+function getSource(id) {
+  return SOURCES.find(s => s.id === String(id).toLowerCase()) || null;
+}
+
+function listSources() {
+  return SOURCES.map(s => ({
+    id: s.id,
+    label: s.label,
+    rateLimitMs: s.rateLimitMs,
+    targets: Object.keys(s.targets)
+  }));
+}
+
+module.exports = { getSource, listSources };
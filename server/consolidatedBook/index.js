@@ -0,0 +1,214 @@
+/**
+ * Cross-venue consolidated USDG orderbook.
+ *
+ * Every USDG book quoted in a USD-equivalent (USD, USDT, USDC) is converted
+ * to USD prices per USDG and merged into one ladder around a reference
+ * price. USDT and USDC convert at an effective-dated parameter (default 1),
+ * so a depeg can be reflected without a deploy. Books quoted the other way
+ * round (USDT/USDG) are inverted: their asks become USDG bids and vice versa.
+ *
+ * Each ladder step is `stepBps` wide and records the USD notional resting in
+ * it per venue, so the ladder shows how much of the total each venue
+ * contributes at every distance from the reference.
+ *
+ * Books are truncated (REST books to their best levels, DEX books to the
+ * tick range read), so each venue reports its coverage: how far from the
+ * reference its books reach per side. Past that a step's venue notional is
+ * null rather than 0, and every step whose outer edge lies beyond some
+ * venue's coverage is marked `incomplete`.
+ */
+
+const parameters = require('../parameters');
+const { splitPair } = require('../utils/depthCalculator');
+
+const QUOTE_RATE_KEYS = {
+  USDT: parameters.define('consolidated_book.usd_rate:USDT', {
+    value: 1,
+    description: 'USD value of 1 USDT when merging USDG/USDT books into the consolidated book'
+  }),
+  USDC: parameters.define('consolidated_book.usd_rate:USDC', {
+    value: 1,
+    description: 'USD value of 1 USDC when merging USDG/USDC books into the consolidated book'
+  })
+};
+
+const STEP_VALUES = [1, 2, 5, 10];
+const MAX_BPS = 500;
+
+function validateRequest(query = {}) {
+  const stepBps = query.step === undefined ? 1 : Number(query.step);
+  if (!STEP_VALUES.includes(stepBps)) {
+    throw new Error(`step must be one of: ${STEP_VALUES.join(', ')}`);
+  }
+  const maxBps = query.range === undefined ? 50 : Number(query.range);
+  if (!Number.isInteger(maxBps) || maxBps < stepBps || maxBps > MAX_BPS) {
+    throw new Error(`range must be an integer number of bps between step and ${MAX_BPS}`);
+  }
+  const at = query.at === undefined ? null : new Date(query.at);
+  if (at && Number.isNaN(at.getTime())) throw new Error('at must be an ISO timestamp');
+  return { stepBps, maxBps, at };
+}
+
+/**
+ * USD value of each USD-equivalent quote on `date` (YYYY-MM-DD, default
+ * today). Falls back to the defaults when the parameter store is unavailable.
+ */
+async function getQuoteRates(date) {
+  const rates = { USD: 1 };
+  for (const [quote, key] of Object.entries(QUOTE_RATE_KEYS)) {
+    try {
+      rates[quote] = await parameters.getParameter(key, date);
+    } catch (err) {
+      console.error(`[ConsolidatedBook] Using default ${quote} rate:`, err.message);
+      rates[quote] = parameters.listDefinitions().find(d => d.key === key).value;
+    }
+  }
+  return rates;
+}
+
+/**
+ * One venue's book as USD-per-USDG levels: { bids, asks } of [priceUsd, usdgQty],
+ * or null when the pair isn't USDG against a USD-equivalent.
+ */
+function toUsdBook({ pair, book }, rates) {
+  const { base, quote } = splitPair(pair);
+  if (base === 'USDG' && rates[quote] !== undefined) {
+    const rate = rates[quote];
+    const convert = ([price, qty]) => [price * rate, qty];
+    return { quote, rate, bids: book.bids.map(convert), asks: book.asks.map(convert) };
+  }
+  if (quote === 'USDG' && rates[base] !== undefined) {
+    // Selling X for USDG at p is buying p USDG per X: X's asks are USDG bids
+    const rate = rates[base];
+    const invert = ([price, qty]) => [rate / price, qty * price];
+    return { quote: base, rate, bids: book.asks.map(invert), asks: book.bids.map(invert) };
+  }
+  return null;
+}
+
+/**
+ * Merge venue books into one ladder.
+ * @param {Array} books - [{ exchange, exchangeDisplay, pair, fetchedAt, book: { bids, asks } }]
+ * @param {Object} rates - Quote -> USD value (see getQuoteRates)
+ * @param {{ stepBps: number, maxBps: number }} options
+ * @returns Ladder sides of { bps, price, notional, cumulative, venues, incomplete } and
+ *   venues with { bidCoverageBps, askCoverageBps }
+ */
+function consolidateBooks(books, rates, { stepBps, maxBps }) {
+  const venues = [];
+  for (const b of books) {
+    if (!b.book.bids.length || !b.book.asks.length) continue;
+    const usd = toUsdBook(b, rates);
+    if (!usd) continue;
+    venues.push({ ...b, ...usd, midUsd: (usd.bids[0][0] + usd.asks[0][0]) / 2 });
+  }
+
+  if (venues.length === 0) {
+    return { referencePrice: null, stepBps, maxBps, rates, venues: [], bids: [], asks: [], totals: null };
+  }
+
+  // Reference: the consolidated mid, or the median venue mid when venues cross
+  const bestBid = Math.max(...venues.map(v => v.bids[0][0]));
+  const bestAsk = Math.min(...venues.map(v => v.asks[0][0]));
+  const mids = venues.map(v => v.midUsd).sort((a, b) => a - b);
+  const referencePrice = bestBid < bestAsk
+    ? (bestBid + bestAsk) / 2
+    : mids[Math.floor(mids.length / 2)];
+
+  const steps = maxBps / stepBps;
+  const ladder = side => Array.from({ length: steps }, (_, i) => ({
+    bps: (i + 1) * stepBps,
+    price: referencePrice * (1 + (side === 'bid' ? -1 : 1) * ((i + 1) * stepBps) / 10000),
+    notional: 0,
+    cumulative: 0,
+    venues: {},
+    incomplete: false
+  }));
+  const bids = ladder('bid');
+  const asks = ladder('ask');
+
+  // A level lands in the first step whose outer edge it is within; levels on
+  // the wrong side of the reference (crossed venues) count in the first step
+  const place = (steps, side, price, notional, venueId) => {
+    const distance = (side === 'bid' ? referencePrice - price : price - referencePrice) / referencePrice * 10000;
+    const i = Math.max(0, Math.ceil(distance / stepBps - 1e-9) - 1);
+    if (i >= steps.length) return false;
+    steps[i].notional += notional;
+    steps[i].venues[venueId] = (steps[i].venues[venueId] || 0) + notional;
+    return true;
+  };
+
+  // Distance of a book's last level from the reference; a venue covers as far as its shortest book
+  const coverage = (side, levels) => Math.max(0,
+    (side === 'bid' ? referencePrice - levels[levels.length - 1][0] : levels[levels.length - 1][0] - referencePrice)
+    / referencePrice * 10000);
+
+  const byVenue = new Map();
+  for (const v of venues) {
+    if (!byVenue.has(v.exchange)) {
+      byVenue.set(v.exchange, {
+        exchange: v.exchange, exchangeDisplay: v.exchangeDisplay, pairs: [],
+        bidNotional: 0, askNotional: 0, bidCoverageBps: Infinity, askCoverageBps: Infinity
+      });
+    }
+    const entry = byVenue.get(v.exchange);
+    const bidCoverageBps = coverage('bid', v.bids);
+    const askCoverageBps = coverage('ask', v.asks);
+    entry.pairs.push({ pair: v.pair, quote: v.quote, rate: v.rate, midUsd: v.midUsd, fetchedAt: v.fetchedAt, bidCoverageBps, askCoverageBps });
+    entry.bidCoverageBps = Math.min(entry.bidCoverageBps, bidCoverageBps);
+    entry.askCoverageBps = Math.min(entry.askCoverageBps, askCoverageBps);
+    for (const [price, qty] of v.bids) {
+      if (!place(bids, 'bid', price, price * qty, v.exchange)) break;
+      entry.bidNotional += price * qty;
+    }
+    for (const [price, qty] of v.asks) {
+      if (!place(asks, 'ask', price, price * qty, v.exchange)) break;
+      entry.askNotional += price * qty;
+    }
+  }
+
+  for (const [steps, key] of [[bids, 'bidCoverageBps'], [asks, 'askCoverageBps']]) {
+    let cumulative = 0;
+    for (const step of steps) {
+      cumulative += step.notional;
+      step.cumulative = cumulative;
+      for (const entry of byVenue.values()) {
+        if (entry[key] >= step.bps) continue;
+        step.incomplete = true;
+        // Nothing of this venue's book reaches into the step
+        if (entry[key] <= step.bps - stepBps) step.venues[entry.exchange] = null;
+      }
+    }
+  }
+
+  const venueList = [...byVenue.values()].sort((a, b) => (b.bidNotional + b.askNotional) - (a.bidNotional + a.askNotional));
+  const bidTotal = bids.length ? bids[bids.length - 1].cumulative : 0;
+  const askTotal = asks.length ? asks[asks.length - 1].cumulative : 0;
+
+  return {
+    referencePrice,
+    stepBps,
+    maxBps,
+    rates,
+    venues: venueList.map(v => ({
+      ...v,
+      bidShare: bidTotal ? v.bidNotional / bidTotal : null,
+      askShare: askTotal ? v.askNotional / askTotal : null
+    })),
+    bids,
+    asks,
+    totals: {
+      bid: bidTotal,
+      ask: askTotal,
+      bidIncomplete: bids.length ? bids[bids.length - 1].incomplete : false,
+      askIncomplete: asks.length ? asks[asks.length - 1].incomplete : false
+    }
+  };
+}
+
+module.exports = {
+  QUOTE_RATE_KEYS,
+  validateRequest,
+  getQuoteRates,
+  consolidateBooks
+};
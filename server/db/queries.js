@@ -1,9 +1,23 @@
 const pool = require('./pool');
 
-// Get the most recent complete snapshot ID
+// Snapshots whose DeFi rows can be served: complete, or partial (some
+// sources failed — their rows come from an earlier snapshot, see below)
+const READABLE = `status IN ('complete', 'partial')`;
+
+// Which snapshot source wrote which rows (sources are named in jobs/hourlySnapshot.js).
+// venues: null means every row of the table came from that source.
+const POOL_SOURCES = {
+  orca: ['Orca'],
+  curve: ['Curve'],
+  uniswap_hood: ['Uniswap v3', 'Uniswap v4']
+};
+const VAULT_SOURCES = { kamino_vaults: null };
+const LENDING_SOURCES = { kamino_lending: ['Kamino'], aave_lending: ['AAVE'] };
+
+// Get the most recent readable snapshot ID
 async function getLatestSnapshotId() {
   const result = await pool.query(
-    `SELECT id FROM snapshots WHERE status = 'complete' ORDER BY taken_at DESC LIMIT 1`
+    `SELECT id FROM snapshots WHERE ${READABLE} ORDER BY taken_at DESC LIMIT 1`
   );
   return result.rows[0]?.id || null;
 }
@@ -12,38 +26,83 @@ async function getLatestSnapshotId() {
 async function getLatestDailySnapshotId() {
   const result = await pool.query(
     `SELECT id FROM snapshots
-     WHERE status = 'complete' AND snapshot_type IN ('daily', 'migration')
+     WHERE ${READABLE} AND snapshot_type IN ('daily', 'migration')
      ORDER BY taken_at DESC LIMIT 1`
   );
   return result.rows[0]?.id || null;
 }
 
-// Get latest DEX pool data (TVL from most recent, volume from most recent daily)
-async function getLatestDexPools() {
-  const latestId = await getLatestSnapshotId();
-  const dailyId = await getLatestDailySnapshotId();
+/**
+ * The latest snapshot in which each source came back with data, as
+ * { source: snapshotId | null }. Snapshots from before source tracking have
+ * no snapshot_sources rows; a complete one counts as good for every source.
+ */
+async function getLastGoodSnapshotIds(sources, { daily = false } = {}) {
+  const result = await pool.query(
+    `SELECT src.source, (
+       SELECT s.id FROM snapshots s
+       WHERE s.${READABLE}
+         AND (NOT $2 OR s.snapshot_type IN ('daily', 'migration'))
+         AND (
+           EXISTS (SELECT 1 FROM snapshot_sources ss
+                   WHERE ss.snapshot_id = s.id AND ss.source = src.source AND ss.status = 'ok')
+           OR (s.status = 'complete' AND NOT EXISTS (SELECT 1 FROM snapshot_sources ss WHERE ss.snapshot_id = s.id))
+         )
+       ORDER BY s.taken_at DESC LIMIT 1
+     ) AS id
+     FROM unnest($1::text[]) AS src(source)`,
+    [sources, daily]
+  );
+  return Object.fromEntries(result.rows.map(r => [r.source, r.id]));
+}
+
+/**
+ * Rows of `table` from the latest snapshot, with each source that failed in
+ * it swapped for that source's rows from its last good snapshot. Every row
+ * carries as_of, the time of the snapshot it came from.
+ */
+async function getLatestRowsBySource(table, sourceVenues, { daily = false, columns = 't.*' } = {}) {
+  const latestId = daily ? await getLatestDailySnapshotId() : await getLatestSnapshotId();
   if (!latestId) return [];
 
-  // Get hourly data (TVL, balances, yield)
-  const hourlyResult = await pool.query(
-    `SELECT * FROM dex_pool_snapshots WHERE snapshot_id = $1 ORDER BY chain, name`,
-    [latestId]
+  const select = (where, params) => pool.query(
+    `SELECT ${columns}, s.taken_at AS as_of
+     FROM ${table} t JOIN snapshots s ON s.id = t.snapshot_id
+     WHERE ${where}`,
+    params
   );
 
+  let rows = (await select('t.snapshot_id = $1', [latestId])).rows;
+  const goodIds = await getLastGoodSnapshotIds(Object.keys(sourceVenues), { daily });
+
+  for (const [source, venues] of Object.entries(sourceVenues)) {
+    const goodId = goodIds[source];
+    if (!goodId || goodId === latestId) continue;
+    const fallback = venues
+      ? await select('t.snapshot_id = $1 AND t.venue = ANY($2)', [goodId, venues])
+      : await select('t.snapshot_id = $1', [goodId]);
+    rows = rows.filter(r => venues && !venues.includes(r.venue)).concat(fallback.rows);
+  }
+  return rows;
+}
+
+// Get latest DEX pool data (TVL from most recent, volume from most recent daily),
+// per source from its last good snapshot
+async function getLatestDexPools() {
+  const hourlyRows = await getLatestRowsBySource('dex_pool_snapshots', POOL_SOURCES);
+  hourlyRows.sort((a, b) => a.chain.localeCompare(b.chain) || a.name.localeCompare(b.name));
+
   // If we have daily volume data, merge it in
-  let volumeByAddress = {};
-  if (dailyId) {
-    const dailyResult = await pool.query(
-      `SELECT address, volume_24h, fees_24h, volume_7d, fees_7d, volume_30d, fees_30d
-       FROM dex_pool_snapshots WHERE snapshot_id = $1`,
-      [dailyId]
-    );
-    for (const row of dailyResult.rows) {
-      volumeByAddress[row.address] = row;
-    }
+  const volumeByAddress = {};
+  const dailyRows = await getLatestRowsBySource('dex_pool_snapshots', POOL_SOURCES, {
+    daily: true,
+    columns: 't.address, t.volume_24h, t.fees_24h, t.volume_7d, t.fees_7d, t.volume_30d, t.fees_30d'
+  });
+  for (const row of dailyRows) {
+    volumeByAddress[row.address] = row;
   }
 
-  return hourlyResult.rows.map(row => {
+  return hourlyRows.map(row => {
     const vol = volumeByAddress[row.address] || {};
     return {
       address: row.address,
@@ -79,22 +138,17 @@ async function getLatestDexPools() {
           fees: parseFloat(vol.fees_30d || row.fees_30d) || 0,
           yieldOverTvl: 0
         }
-      }
+      },
+      asOf: row.as_of
     };
   });
 }
 
 // Get latest vault data
 async function getLatestVaults() {
-  const latestId = await getLatestSnapshotId();
-  if (!latestId) return [];
+  const rows = await getLatestRowsBySource('vault_snapshots', VAULT_SOURCES);
 
-  const result = await pool.query(
-    `SELECT * FROM vault_snapshots WHERE snapshot_id = $1`,
-    [latestId]
-  );
-
-  return result.rows.map(row => ({
+  return rows.map(row => ({
     address: row.address,
     name: row.name,
     tvl: parseFloat(row.tvl_usd) || 0,
@@ -108,21 +162,16 @@ async function getLatestVaults() {
       '30d': parseFloat(row.apy_30d) || 0,
       '90d': parseFloat(row.apy_90d) || 0
     },
-    cumulativeInterestUsd: parseFloat(row.cumulative_interest_usd) || 0
+    cumulativeInterestUsd: parseFloat(row.cumulative_interest_usd) || 0,
+    asOf: row.as_of
   }));
 }
 
 // Get latest lending data
 async function getLatestLending() {
-  const latestId = await getLatestSnapshotId();
-  if (!latestId) return [];
+  const rows = await getLatestRowsBySource('lending_snapshots', LENDING_SOURCES);
 
-  const result = await pool.query(
-    `SELECT * FROM lending_snapshots WHERE snapshot_id = $1`,
-    [latestId]
-  );
-
-  return result.rows.map(row => ({
+  return rows.map(row => ({
     name: row.name,
     chain: row.chain,
     venue: row.venue,
@@ -133,13 +182,15 @@ async function getLatestLending() {
     supplyAPY: parseFloat(row.supply_apy) || 0,
     borrowAPY: parseFloat(row.borrow_apy) || 0,
     loanToValue: parseFloat(row.loan_to_value) || 0,
-    liquidationThreshold: parseFloat(row.liquidation_threshold) || 0
+    liquidationThreshold: parseFloat(row.liquidation_threshold) || 0,
+    asOf: row.as_of
   }));
 }
 
-// Get pool history — one entry per snapshot date with pools + lending arrays
-async function getPoolHistory() {
-  // Get all complete snapshot IDs grouped by date.
+// Get pool history — one entry per snapshot date with pools + lending arrays,
+// optionally only the dates within { start, end } (YYYY-MM-DD, inclusive)
+async function getPoolHistory({ start = null, end = null } = {}) {
+  // Get all readable snapshot IDs grouped by date.
   // We collect pools from ALL snapshots on a given day and merge by address,
   // so that e.g. a Curve migration snapshot and an Orca daily snapshot on the
   // same date both contribute their data.
@@ -151,11 +202,13 @@ async function getPoolHistory() {
         s.taken_at DESC
       ) AS snapshot_ids
     FROM snapshots s
-    WHERE s.status = 'complete'
+    WHERE s.${READABLE}
       AND EXISTS (SELECT 1 FROM dex_pool_snapshots d WHERE d.snapshot_id = s.id)
+      AND ($1::date IS NULL OR DATE(s.taken_at AT TIME ZONE 'UTC') >= $1::date)
+      AND ($2::date IS NULL OR DATE(s.taken_at AT TIME ZONE 'UTC') <= $2::date)
     GROUP BY snap_date
     ORDER BY snap_date ASC
-  `);
+  `, [start, end]);
 
   const history = [];
   for (const row of result.rows) {
@@ -210,11 +263,79 @@ async function getPoolHistory() {
   return history;
 }
 
+// Upsert per-pair daily CEX rows (as returned by service.getPairDailyStats)
+async function upsertPairDaily(exchange, rows) {
+  if (!rows.length) return 0;
+  await pool.query(
+    `INSERT INTO cex_pair_daily
+       (snapshot_date, exchange, pair, base_volume, quote_volume, usd_volume, close, vwap, trade_count, conversion)
+     SELECT d, $1, p, bv, qv, uv, c, vw, tc, cv
+     FROM UNNEST($2::date[], $3::text[], $4::numeric[], $5::numeric[], $6::numeric[],
+                 $7::numeric[], $8::numeric[], $9::int[], $10::text[])
+       AS t(d, p, bv, qv, uv, c, vw, tc, cv)
+     ON CONFLICT (snapshot_date, exchange, pair) DO UPDATE SET
+       base_volume=EXCLUDED.base_volume, quote_volume=EXCLUDED.quote_volume,
+       usd_volume=EXCLUDED.usd_volume, close=EXCLUDED.close, vwap=EXCLUDED.vwap,
+       trade_count=EXCLUDED.trade_count, conversion=EXCLUDED.conversion, updated_at=NOW()`,
+    [
+      exchange,
+      rows.map(r => r.date),
+      rows.map(r => r.pair),
+      rows.map(r => r.baseVolume ?? null),
+      rows.map(r => r.quoteVolume ?? null),
+      rows.map(r => r.usdVolume || 0),
+      rows.map(r => r.close ?? null),
+      rows.map(r => r.vwap ?? null),
+      rows.map(r => r.tradeCount ?? null),
+      rows.map(r => r.conversion)
+    ]
+  );
+  return rows.length;
+}
+
+// Per-pair daily volume for one exchange in the getPerPairVolume shape, with
+// the stored candle detail alongside each point. Returns null if nothing stored.
+async function getPairDailyVolume(exchange) {
+  const result = await pool.query(
+    `SELECT snapshot_date, pair, base_volume, quote_volume, usd_volume, close, vwap, trade_count, conversion,
+            MAX(updated_at) OVER () AS last_updated
+     FROM cex_pair_daily WHERE exchange = $1
+     ORDER BY pair, snapshot_date`,
+    [exchange]
+  );
+  if (result.rows.length === 0) return null;
+
+  const volumeByPair = {};
+  for (const r of result.rows) {
+    if (!volumeByPair[r.pair]) volumeByPair[r.pair] = [];
+    volumeByPair[r.pair].push({
+      date: r.snapshot_date.toISOString().split('T')[0],
+      volume: parseFloat(r.usd_volume) || 0,
+      baseVolume: r.base_volume != null ? parseFloat(r.base_volume) : null,
+      quoteVolume: r.quote_volume != null ? parseFloat(r.quote_volume) : null,
+      close: r.close != null ? parseFloat(r.close) : null,
+      vwap: r.vwap != null ? parseFloat(r.vwap) : null,
+      tradeCount: r.trade_count,
+      conversion: r.conversion
+    });
+  }
+
+  return {
+    exchange,
+    pairs: Object.keys(volumeByPair),
+    volumeByPair,
+    lastUpdated: result.rows[0].last_updated
+  };
+}
+
 module.exports = {
   getLatestSnapshotId,
   getLatestDailySnapshotId,
+  getLastGoodSnapshotIds,
   getLatestDexPools,
   getLatestVaults,
   getLatestLending,
-  getPoolHistory
+  getPoolHistory,
+  upsertPairDaily,
+  getPairDailyVolume
 };
@@ -5,12 +5,32 @@ const SCHEMA_SQL = `
     id            SERIAL PRIMARY KEY,
     taken_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     snapshot_type VARCHAR(20) NOT NULL,
-    status        VARCHAR(20) NOT NULL DEFAULT 'in_progress',
+    status        VARCHAR(20) NOT NULL DEFAULT 'in_progress', -- in_progress | complete | partial | failed
     error_message TEXT,
     created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
   );
 
   CREATE INDEX IF NOT EXISTS idx_snapshots_taken_at ON snapshots (taken_at DESC);
+  -- Run bookkeeping for the admin console: when the run ended, and whether
+  -- the scheduler or someone on /api/admin started it
+  ALTER TABLE snapshots ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+  ALTER TABLE snapshots ADD COLUMN IF NOT EXISTS trigger VARCHAR(20) NOT NULL DEFAULT 'schedule';
+  ALTER TABLE snapshots ADD COLUMN IF NOT EXISTS triggered_by VARCHAR(100);
+
+  -- What each source contributed to a snapshot (see server/jobs/snapshotSources.js).
+  -- status: 'ok' | 'empty' | 'failed'; any non-ok source makes the snapshot 'partial'
+  CREATE TABLE IF NOT EXISTS snapshot_sources (
+    id           SERIAL PRIMARY KEY,
+    snapshot_id  INTEGER NOT NULL REFERENCES snapshots(id) ON DELETE CASCADE,
+    source       VARCHAR(50) NOT NULL,
+    status       VARCHAR(20) NOT NULL,
+    latency_ms   INTEGER,
+    row_count    INTEGER,
+    error        TEXT,
+    recorded_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (snapshot_id, source)
+  );
+  CREATE INDEX IF NOT EXISTS idx_snapshot_sources_source ON snapshot_sources (source, snapshot_id DESC);
 
   CREATE TABLE IF NOT EXISTS dex_pool_snapshots (
     id              SERIAL PRIMARY KEY,
@@ -124,6 +144,80 @@ const SCHEMA_SQL = `
   CREATE INDEX IF NOT EXISTS idx_depth_exchange_pair_time
     ON depth_snapshots (exchange, pair, snapped_at DESC);
 
+  -- The book each depth snapshot was computed from, truncated to the best
+  -- DEPTH_BOOK_LEVELS levels per side as [[price, qty], ...]; used to replay
+  -- market impact (GET /api/depth/impact). NULL for rows written before.
+  ALTER TABLE depth_snapshots ADD COLUMN IF NOT EXISTS bids JSONB;
+  ALTER TABLE depth_snapshots ADD COLUMN IF NOT EXISTS asks JSONB;
+
+  -- 'cex' for exchange orderbooks; 'dex' for pools (server/dexDepth), whose
+  -- exchange is the venue ('curve', 'orca', 'uniswap_v3', 'uniswap_v4'), pair
+  -- the pool name and book the pool's synthetic book
+  ALTER TABLE depth_snapshots ADD COLUMN IF NOT EXISTS venue_type VARCHAR(3) NOT NULL DEFAULT 'cex';
+
+  -- Distance of the stored book's last level from mid per side, in bps: bands
+  -- wider than this can't be computed from bids / asks (server/depthLevels)
+  ALTER TABLE depth_snapshots ADD COLUMN IF NOT EXISTS bid_reach_bps NUMERIC(12,4);
+  ALTER TABLE depth_snapshots ADD COLUMN IF NOT EXISTS ask_reach_bps NUMERIC(12,4);
+
+  -- Depth bands per depth snapshot: notional within bps of mid, one row per
+  -- side and level (server/depthLevels). Replaces depth_snapshots.bid_depth /
+  -- ask_depth, which are only set on rows written before this table existed.
+  CREATE TABLE IF NOT EXISTS depth_levels (
+    snapshot_id INTEGER      NOT NULL REFERENCES depth_snapshots(id) ON DELETE CASCADE,
+    side        VARCHAR(3)   NOT NULL,   -- 'bid' | 'ask'
+    bps         NUMERIC(8,2) NOT NULL,
+    notional    NUMERIC(24,2) NOT NULL,
+    PRIMARY KEY (snapshot_id, side, bps)
+  );
+  -- NULL: the level lies beyond the reach of the book it was computed from
+  ALTER TABLE depth_levels ALTER COLUMN notional DROP NOT NULL;
+
+  -- Minute aggregates from the streaming orderbook collector (server/depthStream).
+  -- Each row summarises the per-tick samples of one minute: mid_price is the
+  -- last sample, depth columns are { bps: usd } averages and minimums.
+  CREATE TABLE IF NOT EXISTS depth_minute (
+    minute          TIMESTAMPTZ NOT NULL,
+    exchange        VARCHAR(40) NOT NULL,
+    pair            VARCHAR(40) NOT NULL,
+    pair_type       VARCHAR(20) NOT NULL,
+    samples         INTEGER     NOT NULL,
+    mid_price       NUMERIC(20,8),
+    spread_avg_bps  NUMERIC(10,4),
+    spread_min_bps  NUMERIC(10,4),
+    spread_max_bps  NUMERIC(10,4),
+    bps_levels      INTEGER[],
+    bid_depth_avg   JSONB,
+    ask_depth_avg   JSONB,
+    bid_depth_min   JSONB,
+    ask_depth_min   JSONB,
+    PRIMARY KEY (minute, exchange, pair)
+  );
+  CREATE INDEX IF NOT EXISTS idx_depth_minute_pair_time ON depth_minute (exchange, pair, minute DESC);
+
+  -- External dependency health (see server/health): one row per source per
+  -- minute with request counts and up to 50 sampled latencies, and the latest
+  -- state of each source
+  CREATE TABLE IF NOT EXISTS source_health_minute (
+    minute     TIMESTAMPTZ NOT NULL,
+    source     VARCHAR(80) NOT NULL,
+    attempts   INTEGER     NOT NULL,
+    successes  INTEGER     NOT NULL,
+    latencies  INTEGER[]   NOT NULL DEFAULT '{}',
+    PRIMARY KEY (minute, source)
+  );
+  CREATE INDEX IF NOT EXISTS idx_source_health_minute_source ON source_health_minute (source, minute DESC);
+
+  CREATE TABLE IF NOT EXISTS source_health (
+    source        VARCHAR(80) PRIMARY KEY,
+    ok            BOOLEAN,
+    last_attempt  TIMESTAMPTZ,
+    last_success  TIMESTAMPTZ,
+    last_error    TEXT,
+    last_error_at TIMESTAMPTZ,
+    updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  );
+
   CREATE TABLE IF NOT EXISTS aave_usdg_history (
     id              SERIAL PRIMARY KEY,
     snapshot_date   DATE NOT NULL UNIQUE,
@@ -196,6 +290,186 @@ const SCHEMA_SQL = `
     PRIMARY KEY (snapshot_date, exchange)
   );
   CREATE INDEX IF NOT EXISTS idx_cex_volume_exchange ON cex_daily_volume (exchange, snapshot_date DESC);
+
+  -- Per-pair daily CEX candles. usd_volume is what the API serves; conversion
+  -- records how it was derived: 'base' (base asset is a $1 stablecoin),
+  -- 'base_x_close' (base volume x close) or 'quote' (quote volume in a stablecoin).
+  CREATE TABLE IF NOT EXISTS cex_pair_daily (
+    snapshot_date DATE        NOT NULL,
+    exchange      VARCHAR(50) NOT NULL,
+    pair          VARCHAR(50) NOT NULL,
+    base_volume   NUMERIC(30, 8),
+    quote_volume  NUMERIC(30, 8),
+    usd_volume    NUMERIC(24, 2) NOT NULL,
+    close         NUMERIC(24, 10),
+    vwap          NUMERIC(24, 10),
+    trade_count   INTEGER,
+    conversion    VARCHAR(20) NOT NULL,
+    updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (snapshot_date, exchange, pair)
+  );
+  CREATE INDEX IF NOT EXISTS idx_cex_pair_daily_exchange ON cex_pair_daily (exchange, pair, snapshot_date);
+
+  -- Public CEX trades for USDG pairs (see server/trades). Range-partitioned by
+  -- month on traded_at; the collector creates partitions as needed and drops
+  -- those past retention. side is the taker side; usd_value uses the same
+  -- rule as cex_pair_daily (size if the base is a $1 stablecoin, else size x price).
+  CREATE TABLE IF NOT EXISTS cex_trades (
+    exchange   VARCHAR(50)    NOT NULL,
+    pair       VARCHAR(50)    NOT NULL,
+    trade_id   VARCHAR(100)   NOT NULL,
+    traded_at  TIMESTAMPTZ    NOT NULL,
+    price      NUMERIC(24,10) NOT NULL,
+    size       NUMERIC(30,10) NOT NULL,
+    usd_value  NUMERIC(24,4)  NOT NULL,
+    side       VARCHAR(4)     NOT NULL,
+    PRIMARY KEY (exchange, pair, trade_id, traded_at)
+  ) PARTITION BY RANGE (traded_at);
+  CREATE INDEX IF NOT EXISTS idx_cex_trades_pair_time ON cex_trades (exchange, pair, traded_at DESC);
+
+  -- Historical backfill jobs. cursor_date is the last date fully written, so
+  -- an interrupted job resumes from cursor_date + 1.
+  -- status: 'pending' | 'running' | 'complete' | 'failed'
+  CREATE TABLE IF NOT EXISTS backfill_jobs (
+    id            SERIAL PRIMARY KEY,
+    source        VARCHAR(50) NOT NULL,
+    target_table  VARCHAR(50) NOT NULL,
+    start_date    DATE        NOT NULL,
+    end_date      DATE        NOT NULL,
+    cursor_date   DATE,
+    status        VARCHAR(20) NOT NULL DEFAULT 'pending',
+    rows_written  INTEGER     NOT NULL DEFAULT 0,
+    error         TEXT,
+    created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    started_at    TIMESTAMPTZ,
+    updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    finished_at   TIMESTAMPTZ
+  );
+  CREATE INDEX IF NOT EXISTS idx_backfill_jobs_status ON backfill_jobs (status, updated_at);
+
+  -- Runs of jobs without a table of their own (see server/jobs/runs.js)
+  CREATE TABLE IF NOT EXISTS job_runs (
+    id            SERIAL PRIMARY KEY,
+    job           VARCHAR(50)  NOT NULL,
+    trigger       VARCHAR(20)  NOT NULL DEFAULT 'schedule',
+    triggered_by  VARCHAR(100),
+    status        VARCHAR(20)  NOT NULL DEFAULT 'running',
+    error         TEXT,
+    result        JSONB,
+    started_at    TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+    finished_at   TIMESTAMPTZ
+  );
+  CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs (job, started_at DESC);
+
+  -- Alert rules, evaluated after each hourly snapshot (see server/alerts).
+  -- condition: 'above' | 'below' | 'rises_by_pct' | 'drops_by_pct'
+  CREATE TABLE IF NOT EXISTS alert_rules (
+    id               SERIAL PRIMARY KEY,
+    name             VARCHAR(100) NOT NULL,
+    metric           VARCHAR(50)  NOT NULL,
+    params           JSONB        NOT NULL DEFAULT '{}',
+    condition        VARCHAR(20)  NOT NULL,
+    threshold        NUMERIC(24,8) NOT NULL,
+    lookback_hours   INTEGER      NOT NULL DEFAULT 24,
+    cooldown_minutes INTEGER      NOT NULL DEFAULT 360,
+    channels         JSONB        NOT NULL DEFAULT '[]',
+    enabled          BOOLEAN      NOT NULL DEFAULT TRUE,
+    created_at       TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+    updated_at       TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+  );
+
+  CREATE TABLE IF NOT EXISTS alert_events (
+    id             SERIAL PRIMARY KEY,
+    rule_id        INTEGER REFERENCES alert_rules(id) ON DELETE SET NULL,
+    rule_name      VARCHAR(100) NOT NULL,
+    metric         VARCHAR(50)  NOT NULL,
+    subject        VARCHAR(120) NOT NULL,
+    value          NUMERIC(30,8),
+    previous_value NUMERIC(30,8),
+    threshold      NUMERIC(24,8),
+    message        TEXT         NOT NULL,
+    deliveries     JSONB        NOT NULL DEFAULT '[]',
+    triggered_at   TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS idx_alert_events_rule ON alert_events (rule_id, subject, triggered_at DESC);
+  CREATE INDEX IF NOT EXISTS idx_alert_events_time ON alert_events (triggered_at DESC);
+
+  -- Weekly/monthly summary reports (see server/reports). One row per type and
+  -- period; regenerating a period replaces the row.
+  CREATE TABLE IF NOT EXISTS reports (
+    id            SERIAL PRIMARY KEY,
+    report_type   VARCHAR(20)  NOT NULL,
+    period_start  DATE         NOT NULL,
+    period_end    DATE         NOT NULL,
+    title         VARCHAR(200) NOT NULL,
+    html          TEXT         NOT NULL,
+    summary       JSONB        NOT NULL DEFAULT '{}',
+    generated_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+    UNIQUE (report_type, period_start)
+  );
+
+  -- GDP revenue model (see server/gdp/model.js). Append-only: a rate change is
+  -- a new row effective from its date, and each day uses the newest version
+  -- whose effective_from is on or before it.
+  CREATE TABLE IF NOT EXISTS gdp_model_versions (
+    id              SERIAL PRIMARY KEY,
+    effective_from  DATE         NOT NULL,
+    params          JSONB        NOT NULL,
+    note            TEXT,
+    created_by      VARCHAR(100),
+    created_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS idx_gdp_model_effective ON gdp_model_versions (effective_from, id);
+
+  -- Effective-dated calculation parameters (see server/parameters). A version
+  -- is in force from effective_from up to, not including, effective_to
+  -- (NULL = open-ended); versions of a key never overlap.
+  CREATE TABLE IF NOT EXISTS parameters (
+    id              SERIAL PRIMARY KEY,
+    key             VARCHAR(100) NOT NULL,
+    value           NUMERIC      NOT NULL,
+    effective_from  DATE         NOT NULL,
+    effective_to    DATE,
+    note            TEXT,
+    created_by      VARCHAR(100),
+    created_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS idx_parameters_key ON parameters (key, effective_from);
+
+  -- Local accounts (see server/auth). password_hash is scrypt; role is
+  -- viewer, analyst or admin.
+  CREATE TABLE IF NOT EXISTS users (
+    id              SERIAL PRIMARY KEY,
+    username        VARCHAR(50)  NOT NULL UNIQUE,
+    password_hash   TEXT         NOT NULL,
+    role            VARCHAR(20)  NOT NULL,
+    disabled        BOOLEAN      NOT NULL DEFAULT FALSE,
+    created_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+    last_login_at   TIMESTAMPTZ
+  );
+
+  -- Browser sessions, keyed by the SHA-256 of the cookie token
+  CREATE TABLE IF NOT EXISTS sessions (
+    token_hash      CHAR(64)     PRIMARY KEY,
+    user_id         INTEGER      NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+    expires_at      TIMESTAMPTZ  NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id);
+
+  -- API keys for programmatic access. Only the SHA-256 of the key is kept;
+  -- key_prefix identifies it in listings. Revoked keys stay for the record.
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id              SERIAL PRIMARY KEY,
+    name            VARCHAR(100) NOT NULL,
+    key_prefix      VARCHAR(20)  NOT NULL,
+    key_hash        CHAR(64)     NOT NULL UNIQUE,
+    role            VARCHAR(20)  NOT NULL,
+    created_by      VARCHAR(100),
+    created_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+    last_used_at    TIMESTAMPTZ,
+    revoked_at      TIMESTAMPTZ
+  );
 `;
 
 async function setupDatabase() {
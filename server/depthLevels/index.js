@@ -0,0 +1,243 @@
+/**
+ * Normalized orderbook depth bands.
+ *
+ * depth_levels holds one row per depth snapshot, side and bps level: the
+ * notional resting within `bps` of mid. Each snapshot writes STANDARD_BPS at
+ * collection time. Any other level is computed on demand from the book
+ * stored with the snapshot (depth_snapshots.bids / asks) and kept, so a new
+ * band can be requested for every snapshot that has a book.
+ *
+ * Stored books are truncated to their best levels, so a band wider than the
+ * book's reach on that side (depth_snapshots.bid_reach_bps / ask_reach_bps)
+ * is written as NULL rather than as the understated sum of what was kept.
+ * The pair's own collection-time levels come from the full book and are
+ * kept as collected.
+ *
+ * Snapshots from before books were stored only have the bands they were
+ * collected with, copied from the legacy bid_depth / ask_depth JSONB by
+ * migrateLegacyBands().
+ */
+
+const pool = require('../db/pool');
+const { calculateDepthMetrics, bookReachBps } = require('../utils/depthCalculator');
+
+// Union of the collection-time levels of every pair type
+const STANDARD_BPS = [1, 2, 5, 10, 25, 50, 100];
+const MAX_LEVELS_PER_REQUEST = 20;
+const RECOMPUTE_BATCH = 500;
+
+/**
+ * Parse a comma-separated bps list ('1,25,75.5'). Throws on anything that
+ * isn't a positive level of at most 10000 bps with two decimals.
+ * @returns {number[]} Sorted, de-duplicated levels; `fallback` when empty
+ */
+function parseBpsList(value, fallback = STANDARD_BPS) {
+  if (value === undefined || value === '') return fallback;
+  const levels = [...new Set(String(value).split(',').map(v => v.trim()).filter(Boolean).map(Number))];
+  for (const bps of levels) {
+    if (!Number.isFinite(bps) || bps <= 0 || bps > 10000 || Math.round(bps * 100) !== bps * 100) {
+      throw new Error('bps must be a comma-separated list of levels between 0 and 10000 (two decimals at most)');
+    }
+  }
+  if (levels.length > MAX_LEVELS_PER_REQUEST) {
+    throw new Error(`At most ${MAX_LEVELS_PER_REQUEST} bps levels per request`);
+  }
+  return levels.sort((a, b) => a - b);
+}
+
+/**
+ * `depth` ({ bps: notional }) with every band wider than `reachBps` set to
+ * null
+ */
+function withinReach(depth, reachBps) {
+  return Object.fromEntries(
+    Object.entries(depth).map(([bps, notional]) => [bps, Number(bps) > reachBps ? null : notional])
+  );
+}
+
+/**
+ * Insert bands for any number of snapshots in one statement. Existing levels
+ * are left alone.
+ * @param {Array<{ snapshotId, bidDepth, askDepth }>} entries
+ */
+async function insertLevels(entries, db = pool) {
+  const ids = [];
+  const sides = [];
+  const bps = [];
+  const notional = [];
+  for (const { snapshotId, bidDepth, askDepth } of entries) {
+    for (const [side, depth] of [['bid', bidDepth], ['ask', askDepth]]) {
+      for (const [level, value] of Object.entries(depth || {})) {
+        ids.push(snapshotId);
+        sides.push(side);
+        bps.push(Number(level));
+        notional.push(value);
+      }
+    }
+  }
+  if (ids.length === 0) return 0;
+  const result = await db.query(
+    `INSERT INTO depth_levels (snapshot_id, side, bps, notional)
+     SELECT * FROM unnest($1::int[], $2::text[], $3::numeric[], $4::numeric[])
+     ON CONFLICT (snapshot_id, side, bps) DO NOTHING`,
+    [ids, sides, bps, notional]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Write the bands of one snapshot. Existing levels are left alone.
+ * @param {number} snapshotId - depth_snapshots.id
+ * @param {Object} bidDepth - { bps: notional }
+ * @param {Object} askDepth - { bps: notional }
+ */
+async function writeLevels(snapshotId, bidDepth, askDepth, db = pool) {
+  return insertLevels([{ snapshotId, bidDepth, askDepth }], db);
+}
+
+/**
+ * Compute and store `bpsLevels` for the given snapshots that have a stored
+ * book but are missing any of those levels, at most `limit` snapshots per
+ * call; levels past the book's reach are stored as null.
+ * @returns {Promise<{ recomputed: number, pending: number }>} Snapshots
+ *   recomputed, and those still missing levels once `limit` was reached
+ */
+async function ensureLevels(snapshotIds, bpsLevels, { limit = Infinity } = {}) {
+  const missing = await pool.query(
+    `SELECT d.id
+     FROM depth_snapshots d
+     WHERE d.id = ANY($1::int[])
+       AND jsonb_array_length(d.bids) > 0 AND jsonb_array_length(d.asks) > 0
+       AND (SELECT COUNT(*) FROM depth_levels l
+            WHERE l.snapshot_id = d.id AND l.bps = ANY($2::numeric[])) < 2 * cardinality($2::numeric[])
+     ORDER BY d.id`,
+    [snapshotIds, bpsLevels]
+  );
+  const ids = missing.rows.slice(0, limit).map(r => r.id);
+
+  for (let i = 0; i < ids.length; i += RECOMPUTE_BATCH) {
+    const result = await pool.query(
+      `SELECT id, bids, asks, bid_reach_bps::float AS bid_reach_bps, ask_reach_bps::float AS ask_reach_bps
+       FROM depth_snapshots
+       WHERE id = ANY($1::int[])`,
+      [ids.slice(i, i + RECOMPUTE_BATCH)]
+    );
+    await insertLevels(result.rows.map(row => {
+      const { bidDepth, askDepth } = calculateDepthMetrics(row.bids, row.asks, bpsLevels);
+      // Rows stored before the reach columns were filled
+      const reach = row.bid_reach_bps === null || row.ask_reach_bps === null
+        ? bookReachBps(row.bids, row.asks)
+        : { bidReachBps: row.bid_reach_bps, askReachBps: row.ask_reach_bps };
+      return {
+        snapshotId: row.id,
+        bidDepth: withinReach(bidDepth, reach.bidReachBps),
+        askDepth: withinReach(askDepth, reach.askReachBps)
+      };
+    }));
+  }
+  return { recomputed: ids.length, pending: missing.rows.length - ids.length };
+}
+
+/**
+ * Bands of the given snapshots at `bpsLevels`, computing any that are missing
+ * from stored books first (at most `limit` snapshots, see ensureLevels).
+ * Levels a snapshot can't provide (no book, legacy band set, not computed
+ * yet) are absent from its maps; levels beyond its book's reach are null.
+ * @returns {Promise<Map<number, { bid: Object, ask: Object }>>} id -> { bps: notional } per side,
+ *   with `pending` set to the snapshots left to compute
+ */
+async function getLevels(snapshotIds, bpsLevels, options) {
+  const levels = new Map(snapshotIds.map(id => [id, { bid: {}, ask: {} }]));
+  levels.pending = 0;
+  if (snapshotIds.length === 0 || bpsLevels.length === 0) return levels;
+
+  levels.pending = (await ensureLevels(snapshotIds, bpsLevels, options)).pending;
+  const result = await pool.query(
+    `SELECT snapshot_id, side, bps::float AS bps, notional::float AS notional
+     FROM depth_levels
+     WHERE snapshot_id = ANY($1::int[]) AND bps = ANY($2::numeric[])`,
+    [snapshotIds, bpsLevels]
+  );
+  for (const r of result.rows) levels.get(r.snapshot_id)[r.side][r.bps] = r.notional;
+  return levels;
+}
+
+/**
+ * Set `bid_depth` / `ask_depth` ({ bps: notional }) on depth_snapshots rows
+ * (which must include `id`) from depth_levels, in place. `options.limit`
+ * bounds the snapshots recomputed; the array's `pending` property counts
+ * those left without their levels.
+ */
+async function attachLevels(rows, bpsLevels, options) {
+  const levels = await getLevels(rows.map(r => r.id), bpsLevels, options);
+  for (const row of rows) {
+    row.bid_depth = levels.get(row.id).bid;
+    row.ask_depth = levels.get(row.id).ask;
+  }
+  rows.pending = levels.pending;
+  return rows;
+}
+
+/**
+ * Copy the JSONB bands of snapshots that have no depth_levels rows yet.
+ * Idempotent; run at startup.
+ * @returns {Promise<number>} Rows inserted
+ */
+async function migrateLegacyBands() {
+  const result = await pool.query(
+    `INSERT INTO depth_levels (snapshot_id, side, bps, notional)
+     SELECT d.id, b.side, b.bps::numeric, b.notional::numeric
+     FROM depth_snapshots d
+     CROSS JOIN LATERAL (
+       SELECT 'bid' AS side, key AS bps, value AS notional FROM jsonb_each_text(COALESCE(d.bid_depth, '{}'::jsonb))
+       UNION ALL
+       SELECT 'ask', key, value FROM jsonb_each_text(COALESCE(d.ask_depth, '{}'::jsonb))
+     ) b
+     WHERE (d.bid_depth IS NOT NULL OR d.ask_depth IS NOT NULL)
+       AND NOT EXISTS (SELECT 1 FROM depth_levels l WHERE l.snapshot_id = d.id)
+       AND b.notional IS NOT NULL
+     ON CONFLICT (snapshot_id, side, bps) DO NOTHING`
+  );
+  if (result.rowCount > 0) console.log(`[DepthLevels] Migrated ${result.rowCount} legacy depth bands`);
+  return result.rowCount;
+}
+
+/**
+ * Fill the book reach of snapshots stored before it was recorded, and null
+ * the bands already computed past it (the pair's own collection-time levels
+ * excepted). Idempotent; run at startup.
+ * @returns {Promise<number>} Bands nulled
+ */
+async function migrateBookReach() {
+  const result = await pool.query(
+    `WITH reached AS (
+       UPDATE depth_snapshots
+       SET bid_reach_bps = (mid_price - (bids->-1->>0)::numeric) / mid_price * 10000,
+           ask_reach_bps = ((asks->-1->>0)::numeric - mid_price) / mid_price * 10000
+       WHERE bid_reach_bps IS NULL AND mid_price > 0
+         AND jsonb_array_length(bids) > 0 AND jsonb_array_length(asks) > 0
+       RETURNING id, bps_levels, bid_reach_bps, ask_reach_bps
+     )
+     UPDATE depth_levels l
+     SET notional = NULL
+     FROM reached r
+     WHERE l.snapshot_id = r.id
+       AND l.notional IS NOT NULL
+       AND NOT (l.bps = ANY(COALESCE(r.bps_levels, '{}')::numeric[]))
+       AND l.bps > CASE l.side WHEN 'bid' THEN r.bid_reach_bps ELSE r.ask_reach_bps END`
+  );
+  if (result.rowCount > 0) console.log(`[DepthLevels] Nulled ${result.rowCount} depth bands beyond their book's reach`);
+  return result.rowCount;
+}
+
+module.exports = {
+  STANDARD_BPS,
+  parseBpsList,
+  withinReach,
+  writeLevels,
+  ensureLevels,
+  getLevels,
+  attachLevels,
+  migrateLegacyBands,
+  migrateBookReach
+};
@@ -0,0 +1,94 @@
+/**
+ * Local L2 orderbook maintained from WebSocket snapshots and deltas.
+ *
+ * Levels are keyed by the price string exactly as the venue sent it, and the
+ * size string is kept alongside, because venue checksums are computed over
+ * those strings rather than over parsed numbers.
+ */
+
+function createBook(maxDepth = Infinity) {
+  const sides = { bids: new Map(), asks: new Map() };
+  const sortedCache = { bids: null, asks: null };
+  // Venue-specific sync state (sequence ids etc.), reset with the book
+  let meta = {};
+
+  function sorted(side) {
+    if (!sortedCache[side]) {
+      const levels = Array.from(sides[side], ([price, size]) => ({
+        price,
+        size,
+        px: parseFloat(price),
+        qty: parseFloat(size)
+      }));
+      levels.sort(side === 'bids' ? (a, b) => b.px - a.px : (a, b) => a.px - b.px);
+      sortedCache[side] = levels;
+    }
+    return sortedCache[side];
+  }
+
+  function setLevel(side, price, size) {
+    if (parseFloat(size) === 0) sides[side].delete(price);
+    else sides[side].set(price, size);
+    sortedCache[side] = null;
+  }
+
+  // Keep only the best maxDepth levels per side, as the venue does for its checksum
+  function truncate() {
+    for (const side of ['bids', 'asks']) {
+      if (sides[side].size <= maxDepth) continue;
+      for (const level of sorted(side).slice(maxDepth)) sides[side].delete(level.price);
+      sortedCache[side] = null;
+    }
+  }
+
+  return {
+    get meta() { return meta; },
+
+    reset() {
+      sides.bids.clear();
+      sides.asks.clear();
+      sortedCache.bids = sortedCache.asks = null;
+      meta = {};
+    },
+
+    /** Replace the book. Levels are [[priceStr, sizeStr], ...] in any order. */
+    applySnapshot(bids, asks) {
+      sides.bids.clear();
+      sides.asks.clear();
+      for (const [price, size] of bids) setLevel('bids', String(price), String(size));
+      for (const [price, size] of asks) setLevel('asks', String(price), String(size));
+      truncate();
+    },
+
+    /** Apply level changes to one side; a zero size removes the level. */
+    applyDelta(side, levels) {
+      for (const [price, size] of levels) setLevel(side, String(price), String(size));
+      truncate();
+    },
+
+    /** Best `n` levels of a side as { price, size } strings, best first */
+    top(side, n = Infinity) {
+      return sorted(side).slice(0, n).map(l => ({ price: l.price, size: l.size }));
+    },
+
+    /** Numeric [[price, qty], ...] per side in the shape calculateDepthMetrics expects */
+    toArrays() {
+      return {
+        bids: sorted('bids').map(l => [l.px, l.qty]),
+        asks: sorted('asks').map(l => [l.px, l.qty])
+      };
+    },
+
+    isReady() {
+      return sides.bids.size > 0 && sides.asks.size > 0;
+    },
+
+    isCrossed() {
+      const bids = sorted('bids');
+      const asks = sorted('asks');
+      return bids.length > 0 && asks.length > 0 && bids[0].px >= asks[0].px;
+    }
+  };
+}
+
+module.exports = { createBook };
@@ -0,0 +1,233 @@
+/**
+ * Public WebSocket orderbook feeds, one per venue, keyed by adapter id.
+ *
+ * A feed describes the venue protocol only; ./index.js owns the sockets,
+ * books and metrics. Shape:
+ *
+ *   {
+ *     url:        string | async () => string,
+ *     depth:      levels kept per side (the venue's subscription depth),
+ *     symbol:     (pair) => stream symbol for a getUSDGPairs() entry,
+ *     subscribe:  (symbols) => messages to send after connecting,
+ *     ping:       { intervalMs, message: () => string | object },
+ *     decode:     (Buffer) => string, for venues that compress frames (optional),
+ *     handle:     (msg, ctx) => void, called for every frame; msg is the parsed
+ *                 JSON, or the raw text for non-JSON frames such as "pong"
+ *   }
+ *
+ * ctx exposes book(symbol), updated(symbol, venueTimestampMs?) and
+ * resync(reason). A feed calls resync() on a checksum or sequence mismatch;
+ * the connection is then dropped and every book rebuilt from a fresh snapshot.
+ * A feed throws on venue error frames.
+ *
+ * Kraken and OKX stream snapshot + deltas with a CRC32 checksum. Gate, KuCoin,
+ * Bitmart and Bitstamp push full top-of-book snapshots on every change.
+ */
+
+const axios = require('axios');
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(str) {
+  let crc = 0xffffffff;
+  for (const byte of Buffer.from(str)) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Kraken: top 10 asks then top 10 bids; each price and size with the decimal
+// point and leading zeros removed, concatenated; unsigned CRC32
+function krakenChecksum(book) {
+  const strip = s => s.replace('.', '').replace(/^0+/, '');
+  const parts = [...book.top('asks', 10), ...book.top('bids', 10)]
+    .map(l => strip(l.price) + strip(l.size));
+  return String(crc32(parts.join('')));
+}
+
+// OKX: top 25 levels interleaved bid:ask as "price:size", joined by ':'; signed CRC32
+function okxChecksum(book) {
+  const bids = book.top('bids', 25);
+  const asks = book.top('asks', 25);
+  const parts = [];
+  for (let i = 0; i < 25; i++) {
+    if (bids[i]) parts.push(`${bids[i].price}:${bids[i].size}`);
+    if (asks[i]) parts.push(`${asks[i].price}:${asks[i].size}`);
+  }
+  return crc32(parts.join(':')) | 0;
+}
+
+// [[price, size, ...extra]] -> [[price, size]]
+const levels = (rows) => (rows || []).map(l => [l[0], l[1]]);
+
+const FEEDS = {
+  // v1 API: prices and sizes arrive as strings, which the checksum needs
+  kraken: {
+    url: 'wss://ws.kraken.com',
+    depth: 100,
+    symbol: (pair) => pair.wsname || pair.symbol,
+    subscribe: (symbols) => [{ event: 'subscribe', pair: symbols, subscription: { name: 'book', depth: 100 } }],
+    ping: { intervalMs: 30000, message: () => ({ event: 'ping' }) },
+    handle(msg, ctx) {
+      if (!Array.isArray(msg)) {
+        if (msg.event === 'subscriptionStatus' && msg.status === 'error') throw new Error(msg.errorMessage);
+        return;
+      }
+
+      // [channelId, {as, bs} | {a}, {b, c}?, channelName, pair]
+      const symbol = msg[msg.length - 1];
+      const book = ctx.book(symbol);
+      let checksum = null;
+
+      for (const part of msg.slice(1, -2)) {
+        if (part.as || part.bs) {
+          book.applySnapshot(levels(part.bs), levels(part.as));
+          continue;
+        }
+        if (part.a) book.applyDelta('asks', levels(part.a));
+        if (part.b) book.applyDelta('bids', levels(part.b));
+        if (part.c) checksum = part.c;
+      }
+
+      if (checksum !== null && krakenChecksum(book) !== checksum) {
+        return ctx.resync(`checksum mismatch on ${symbol}`);
+      }
+      ctx.updated(symbol);
+    }
+  },
+
+  okx: {
+    url: 'wss://ws.okx.com:8443/ws/v5/public',
+    depth: 400,
+    symbol: (pair) => pair.symbol,
+    subscribe: (symbols) => [{ op: 'subscribe', args: symbols.map(instId => ({ channel: 'books', instId })) }],
+    ping: { intervalMs: 25000, message: () => 'ping' },
+    handle(msg, ctx) {
+      if (typeof msg !== 'object') return;
+      if (msg.event === 'error') throw new Error(`OKX ${msg.code}: ${msg.msg}`);
+      if (msg.arg?.channel !== 'books' || !msg.data) return;
+
+      const symbol = msg.arg.instId;
+      const book = ctx.book(symbol);
+
+      for (const d of msg.data) {
+        if (msg.action === 'snapshot') {
+          book.applySnapshot(levels(d.bids), levels(d.asks));
+        } else {
+          // Each update names the seqId of the one before it
+          if (book.meta.seqId === undefined || d.prevSeqId !== book.meta.seqId) {
+            return ctx.resync(`sequence gap on ${symbol} (${book.meta.seqId} -> ${d.prevSeqId})`);
+          }
+          book.applyDelta('bids', levels(d.bids));
+          book.applyDelta('asks', levels(d.asks));
+        }
+        book.meta.seqId = d.seqId;
+
+        if (d.checksum !== undefined && okxChecksum(book) !== d.checksum) {
+          return ctx.resync(`checksum mismatch on ${symbol}`);
+        }
+        ctx.updated(symbol, parseInt(d.ts));
+      }
+    }
+  },
+
+  gate: {
+    url: 'wss://api.gateio.ws/ws/v4/',
+    depth: 100,
+    symbol: (pair) => pair.symbol,
+    subscribe: (symbols) => symbols.map(symbol => ({
+      time: Math.floor(Date.now() / 1000),
+      channel: 'spot.order_book',
+      event: 'subscribe',
+      payload: [symbol, '100', '100ms']
+    })),
+    ping: { intervalMs: 10000, message: () => ({ time: Math.floor(Date.now() / 1000), channel: 'spot.ping' }) },
+    handle(msg, ctx) {
+      if (typeof msg !== 'object') return;
+      if (msg.error) throw new Error(`Gate ${msg.error.code}: ${msg.error.message}`);
+      if (msg.channel !== 'spot.order_book' || msg.event !== 'update') return;
+
+      const r = msg.result;
+      ctx.book(r.s).applySnapshot(levels(r.bids), levels(r.asks));
+      ctx.updated(r.s, r.t);
+    }
+  },
+
+  // The public endpoint and a connection token come from the bullet-public call
+  kucoin: {
+    async url() {
+      const response = await axios.post('https://api.kucoin.com/api/v1/bullet-public');
+      if (response.data.code !== '200000') throw new Error(`Kucoin API error: ${response.data.msg}`);
+      const { token, instanceServers } = response.data.data;
+      return `${instanceServers[0].endpoint}?token=${token}&connectId=${Date.now()}`;
+    },
+    depth: 50,
+    symbol: (pair) => pair.symbol,
+    subscribe: (symbols) => [{
+      id: String(Date.now()),
+      type: 'subscribe',
+      topic: `/spotMarket/level2Depth50:${symbols.join(',')}`,
+      response: true
+    }],
+    ping: { intervalMs: 18000, message: () => ({ id: String(Date.now()), type: 'ping' }) },
+    handle(msg, ctx) {
+      if (typeof msg !== 'object') return;
+      if (msg.type === 'error') throw new Error(`Kucoin ${msg.code}: ${msg.data}`);
+      if (msg.type !== 'message' || !msg.topic?.startsWith('/spotMarket/level2Depth50:')) return;
+
+      const symbol = msg.topic.split(':')[1];
+      ctx.book(symbol).applySnapshot(levels(msg.data.bids), levels(msg.data.asks));
+      ctx.updated(symbol, msg.data.timestamp);
+    }
+  },
+
+  // Frames from the compress endpoint may be raw-deflated
+  bitmart: {
+    url: 'wss://ws-manager-compress.bitmart.com/api?protocol=1.1',
+    depth: 50,
+    symbol: (pair) => pair.symbol,
+    subscribe: (symbols) => [{ op: 'subscribe', args: symbols.map(s => `spot/depth50:${s}`) }],
+    ping: { intervalMs: 15000, message: () => 'ping' },
+    decode(buffer) {
+      const text = buffer.toString();
+      return /^[[{]|^pong$/.test(text) ? text : zlib.inflateRawSync(buffer).toString();
+    },
+    handle(msg, ctx) {
+      if (typeof msg !== 'object') return;
+      if (msg.errorCode) throw new Error(`Bitmart ${msg.errorCode}: ${msg.errorMessage}`);
+      if (msg.table !== 'spot/depth50') return;
+
+      for (const d of msg.data || []) {
+        ctx.book(d.symbol).applySnapshot(levels(d.bids), levels(d.asks));
+        ctx.updated(d.symbol, parseInt(d.ms_t));
+      }
+    }
+  },
+
+  bitstamp: {
+    url: 'wss://ws.bitstamp.net',
+    depth: 100,
+    symbol: (pair) => pair.symbol,
+    subscribe: (symbols) => symbols.map(s => ({ event: 'bts:subscribe', data: { channel: `order_book_${s}` } })),
+    ping: { intervalMs: 30000, message: () => ({ event: 'bts:heartbeat' }) },
+    handle(msg, ctx) {
+      if (typeof msg !== 'object') return;
+      if (msg.event === 'bts:request_reconnect') return ctx.resync('venue requested reconnect');
+      if (msg.event === 'bts:error') throw new Error(`Bitstamp: ${msg.data?.message}`);
+      if (msg.event !== 'data' || !msg.channel?.startsWith('order_book_')) return;
+
+      const symbol = msg.channel.slice('order_book_'.length);
+      ctx.book(symbol).applySnapshot(levels(msg.data.bids), levels(msg.data.asks));
+      ctx.updated(symbol, Math.floor(parseInt(msg.data.microtimestamp) / 1000));
+    }
+  }
+};
+
+function getFeed(exchange) {
+  return FEEDS[exchange] || null;
+}
+
+module.exports = { getFeed, crc32, krakenChecksum, okxChecksum };
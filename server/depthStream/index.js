@@ -0,0 +1,542 @@
+/**
+ * Streaming orderbook collector.
+ *
+ * Keeps a local L2 book for every USDG pair from each venue's public
+ * WebSocket feed (./feeds). Every TICK_MS, books that changed are run through
+ * calculateDepthMetrics, and the latest metrics of every live book are
+ * sampled into per-minute aggregates written to depth_minute. GET /api/depth
+ * serves the latest rows from here, falling back to REST polling for venues
+ * without a live stream.
+ *
+ *   start({ recordFile })    connect to the venues; optionally append every
+ *                            received frame to an NDJSON file
+ *   replay(file, { speed })  push a recorded file through the same handlers
+ *                            with no network; speed 0 runs as fast as possible
+ *
+ * Replays keep their own clock (the recorded frame times), so minute
+ * aggregates from a replay match what the live run would have written.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const WebSocket = require('ws');
+const cron = require('node-cron');
+const pool = require('../db/pool');
+const exchanges = require('../exchanges');
+const { classifyPair, getBpsLevels, calculateDepthMetrics, truncateBook } = require('../utils/depthCalculator');
+const { createBook } = require('./book');
+const { getFeed } = require('./feeds');
+const eventBus = require('../utils/eventBus');
+
+const TICK_MS = 500;
+const STALE_AFTER_MS = 60 * 1000;      // a venue silent this long is left out of getLatestRows
+const PUBLISH_MS = 2000;               // batch changed rows into one 'depth' event per interval
+const RECONNECT_MAX_MS = 30 * 1000;
+const RETENTION_DAYS = parseInt(process.env.DEPTH_MINUTE_RETENTION_DAYS || '90', 10);
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const venues = new Map();   // exchange -> venue (see registerVenue)
+const latest = new Map();   // `${exchange}:${pair}` -> /api/depth row
+const buckets = new Map();  // `${exchange}:${pair}` -> current minute aggregate
+const pendingWrites = new Set();
+const changedKeys = new Set();
+
+let replayClock = null;
+let lastTick = null;
+let lastPublish = 0;
+let tickTimer = null;
+let recorder = null;
+let persist = true;
+let onMinute = null;
+let running = false;
+
+const now = () => replayClock ?? Date.now();
+
+function registerVenue(exchange, name, pairs) {
+  const venue = {
+    id: exchange,
+    name,
+    feed: getFeed(exchange),
+    pairs: new Map(),
+    books: new Map(),
+    socket: null,
+    pingTimer: null,
+    attempt: 0,
+    resyncing: false,
+    status: {
+      connected: false,
+      connectedAt: null,
+      lastMessageAt: null,
+      messages: 0,
+      reconnects: 0,
+      resyncs: 0,
+      lastError: null
+    }
+  };
+
+  for (const p of pairs) {
+    const pairType = classifyPair(p.base, p.quote);
+    venue.pairs.set(p.symbol, {
+      ...p,
+      pairType,
+      bpsLevels: getBpsLevels(pairType),
+      dirty: false,
+      venueTs: null
+    });
+  }
+
+  venue.ctx = {
+    book(symbol) {
+      if (!venue.books.has(symbol)) venue.books.set(symbol, createBook(venue.feed.depth));
+      return venue.books.get(symbol);
+    },
+    updated(symbol, venueTs) {
+      const info = venue.pairs.get(symbol);
+      if (!info) return;
+      info.dirty = true;
+      info.venueTs = venueTs || now();
+      venue.attempt = 0;
+      venue.resyncing = false;
+    },
+    resync(reason) {
+      venue.status.resyncs++;
+      if (!venue.resyncing) console.error(`[DepthStream] ${exchange} resync: ${reason}`);
+      venue.resyncing = true;
+      resetBooks(venue);
+      if (venue.socket) venue.socket.terminate();
+    }
+  };
+
+  venues.set(exchange, venue);
+  return venue;
+}
+
+function resetBooks(venue) {
+  for (const book of venue.books.values()) book.reset();
+  for (const info of venue.pairs.values()) {
+    info.dirty = false;
+    latest.delete(`${venue.id}:${info.pair}`);
+  }
+}
+
+// A frame or message the feed can't handle: the books can't be trusted past it
+function feedError(venue, err) {
+  venue.status.lastError = err.message;
+  console.error(`[DepthStream] ${venue.id} feed error:`, err.message);
+  resetBooks(venue);
+  if (venue.socket) venue.socket.terminate();
+}
+
+// Raw socket frame: decoded here so a garbled frame (e.g. Bitmart's deflate)
+// is a feed error instead of an exception in the ws listener
+function receive(venue, data) {
+  let text;
+  try {
+    text = venue.feed.decode ? venue.feed.decode(data) : data.toString();
+  } catch (err) {
+    return feedError(venue, err);
+  }
+  dispatch(venue, text);
+}
+
+function dispatch(venue, text) {
+  venue.status.lastMessageAt = now();
+  venue.status.messages++;
+  if (recorder) recorder.write(JSON.stringify({ t: now(), exchange: venue.id, data: text }) + '\n');
+
+  let msg;
+  try {
+    msg = JSON.parse(text);
+  } catch (e) {
+    msg = text;
+  }
+
+  try {
+    venue.feed.handle(msg, venue.ctx);
+  } catch (err) {
+    feedError(venue, err);
+  }
+}
+
+function send(socket, message) {
+  socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+}
+
+async function connect(venue) {
+  if (!running) return;
+  const { feed, status } = venue;
+
+  let socket;
+  try {
+    const url = typeof feed.url === 'function' ? await feed.url() : feed.url;
+    socket = new WebSocket(url);
+  } catch (err) {
+    status.lastError = err.message;
+    console.error(`[DepthStream] ${venue.id} connect failed:`, err.message);
+    return scheduleReconnect(venue);
+  }
+  venue.socket = socket;
+
+  socket.on('open', () => {
+    status.connected = true;
+    status.connectedAt = new Date().toISOString();
+    resetBooks(venue);
+    for (const message of feed.subscribe([...venue.pairs.keys()])) send(socket, message);
+    venue.pingTimer = setInterval(() => send(socket, feed.ping.message()), feed.ping.intervalMs);
+  });
+
+  socket.on('message', (data) => receive(venue, data));
+
+  socket.on('error', (err) => {
+    status.lastError = err.message;
+    console.error(`[DepthStream] ${venue.id} socket error:`, err.message);
+  });
+
+  socket.on('close', () => {
+    status.connected = false;
+    clearInterval(venue.pingTimer);
+    venue.socket = null;
+    resetBooks(venue);
+    scheduleReconnect(venue);
+  });
+}
+
+function scheduleReconnect(venue) {
+  if (!running) return;
+  const wait = Math.min(RECONNECT_MAX_MS, 1000 * 2 ** venue.attempt);
+  venue.attempt++;
+  venue.status.reconnects++;
+  setTimeout(() => connect(venue), wait);
+}
+
+// --- Metrics and minute aggregates ---
+
+function minuteOf(t) {
+  return Math.floor(t / 60000) * 60000;
+}
+
+function addSample(key, row, t) {
+  const minute = minuteOf(t);
+  let b = buckets.get(key);
+  if (!b || b.minute !== minute) {
+    if (b) flushBucket(key, b);
+    b = {
+      minute,
+      exchange: row.exchange,
+      pair: row.pair,
+      pairType: row.pairType,
+      bpsLevels: row.bpsLevels,
+      samples: 0,
+      spreadSum: 0,
+      spreadMin: Infinity,
+      spreadMax: -Infinity,
+      midPrice: null,
+      bidSum: {},
+      askSum: {},
+      bidMin: {},
+      askMin: {}
+    };
+    buckets.set(key, b);
+  }
+
+  b.samples++;
+  b.spreadSum += row.spreadBps;
+  b.spreadMin = Math.min(b.spreadMin, row.spreadBps);
+  b.spreadMax = Math.max(b.spreadMax, row.spreadBps);
+  b.midPrice = row.midPrice;
+  for (const level of row.bpsLevels) {
+    b.bidSum[level] = (b.bidSum[level] || 0) + row.bidDepth[level];
+    b.askSum[level] = (b.askSum[level] || 0) + row.askDepth[level];
+    b.bidMin[level] = Math.min(b.bidMin[level] ?? Infinity, row.bidDepth[level]);
+    b.askMin[level] = Math.min(b.askMin[level] ?? Infinity, row.askDepth[level]);
+  }
+}
+
+function formatBucket(b) {
+  const avg = (sums) => Object.fromEntries(Object.entries(sums).map(([k, v]) => [k, v / b.samples]));
+  return {
+    minute: new Date(b.minute).toISOString(),
+    exchange: b.exchange,
+    pair: b.pair,
+    pairType: b.pairType,
+    samples: b.samples,
+    midPrice: b.midPrice,
+    spreadAvgBps: b.spreadSum / b.samples,
+    spreadMinBps: b.spreadMin,
+    spreadMaxBps: b.spreadMax,
+    bpsLevels: b.bpsLevels,
+    bidDepthAvg: avg(b.bidSum),
+    askDepthAvg: avg(b.askSum),
+    bidDepthMin: b.bidMin,
+    askDepthMin: b.askMin
+  };
+}
+
+function flushBucket(key, b) {
+  buckets.delete(key);
+  const row = formatBucket(b);
+  if (onMinute) onMinute(row);
+  if (!persist) return;
+
+  const write = pool.query(
+    `INSERT INTO depth_minute
+       (minute, exchange, pair, pair_type, samples, mid_price, spread_avg_bps, spread_min_bps, spread_max_bps,
+        bps_levels, bid_depth_avg, ask_depth_avg, bid_depth_min, ask_depth_min)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
+     ON CONFLICT (minute, exchange, pair) DO UPDATE SET
+       samples=EXCLUDED.samples, mid_price=EXCLUDED.mid_price, spread_avg_bps=EXCLUDED.spread_avg_bps,
+       spread_min_bps=EXCLUDED.spread_min_bps, spread_max_bps=EXCLUDED.spread_max_bps,
+       bid_depth_avg=EXCLUDED.bid_depth_avg, ask_depth_avg=EXCLUDED.ask_depth_avg,
+       bid_depth_min=EXCLUDED.bid_depth_min, ask_depth_min=EXCLUDED.ask_depth_min`,
+    [
+      row.minute, row.exchange, row.pair, row.pairType, row.samples, row.midPrice,
+      row.spreadAvgBps, row.spreadMinBps, row.spreadMaxBps, row.bpsLevels,
+      JSON.stringify(row.bidDepthAvg), JSON.stringify(row.askDepthAvg),
+      JSON.stringify(row.bidDepthMin), JSON.stringify(row.askDepthMin)
+    ]
+  ).catch(err => console.error(`[DepthStream] Failed to write minute for ${key}:`, err.message))
+    .finally(() => pendingWrites.delete(write));
+  pendingWrites.add(write);
+}
+
+function tick(t) {
+  for (const venue of venues.values()) {
+    for (const info of venue.pairs.values()) {
+      const key = `${venue.id}:${info.pair}`;
+      const book = venue.books.get(info.symbol);
+      if (!book || !book.isReady()) continue;
+
+      // A crossed book is mid-update on a snapshot venue; keep the last good metrics
+      if (info.dirty && !book.isCrossed()) {
+        const { bids, asks } = book.toArrays();
+        const metrics = calculateDepthMetrics(bids, asks, info.bpsLevels);
+        latest.set(key, {
+          exchange: venue.id,
+          exchangeDisplay: venue.name,
+          pair: info.pair,
+          pairType: info.pairType,
+          midPrice: metrics.midPrice,
+          bestBid: metrics.bestBid,
+          bestAsk: metrics.bestAsk,
+          spreadBps: metrics.spreadBps,
+          bpsLevels: info.bpsLevels,
+          bidDepth: metrics.bidDepth,
+          askDepth: metrics.askDepth,
+          fetchedAt: new Date(info.venueTs).toISOString(),
+          source: 'stream',
+          ok: true
+        });
+        info.dirty = false;
+        changedKeys.add(key);
+      }
+
+      const row = latest.get(key);
+      if (row) addSample(key, row, t);
+    }
+  }
+
+  // Close out pairs that stopped sampling (disconnected venue) once their minute ends
+  for (const [key, b] of buckets) {
+    if (b.minute < minuteOf(t)) flushBucket(key, b);
+  }
+
+  if (changedKeys.size > 0 && t - lastPublish >= PUBLISH_MS) {
+    const rows = [...changedKeys].map(key => latest.get(key)).filter(Boolean);
+    changedKeys.clear();
+    lastPublish = t;
+    if (rows.length > 0) eventBus.publish('depth', { timestamp: new Date(t).toISOString(), rows });
+  }
+}
+
+// Run every tick boundary up to t (replay clock)
+function advance(t) {
+  if (lastTick === null) lastTick = Math.floor(t / TICK_MS) * TICK_MS;
+  while (lastTick + TICK_MS <= t) {
+    lastTick += TICK_MS;
+    tick(lastTick);
+  }
+}
+
+async function pruneMinutes() {
+  const result = await pool.query(
+    'DELETE FROM depth_minute WHERE minute < NOW() - make_interval(days => $1)',
+    [RETENTION_DAYS]
+  );
+  if (result.rowCount > 0) console.log(`[DepthStream] Pruned ${result.rowCount} minute rows`);
+}
+
+// --- Public API ---
+
+/**
+ * Connect to every orderbook venue that has a feed.
+ * @param {Object} [opts]
+ * @param {string} [opts.recordFile] - Append every received frame to this NDJSON file
+ * @param {boolean} [opts.persist=true] - Write minute aggregates to depth_minute
+ */
+async function start({ recordFile, persist: persistMinutes = true } = {}) {
+  if (running) return;
+  running = true;
+  persist = persistMinutes;
+  if (recordFile) recorder = fs.createWriteStream(recordFile, { flags: 'a' });
+
+  for (const adapter of exchanges.listAdapters('orderbook')) {
+    if (!getFeed(adapter.id)) continue;
+    try {
+      const feed = getFeed(adapter.id);
+      const pairs = (await adapter.service.getUSDGPairs()).map(pair => ({
+        symbol: feed.symbol(pair),
+        pair: pair.wsname || pair.displayName || pair.symbol,
+        ...adapter.parsePair(pair)
+      }));
+      if (!pairs.length) continue;
+
+      const venue = registerVenue(adapter.id, adapter.name, pairs);
+      if (recorder) {
+        recorder.write(JSON.stringify({ type: 'pairs', exchange: adapter.id, name: adapter.name, pairs }) + '\n');
+      }
+      connect(venue);
+    } catch (err) {
+      console.error(`[DepthStream] ${adapter.id} pair list failed:`, err.message);
+    }
+  }
+
+  tickTimer = setInterval(() => tick(Date.now()), TICK_MS);
+  cron.schedule('45 0 * * *', () => {
+    pruneMinutes().catch(err => console.error('[DepthStream] Prune failed:', err.message));
+  }, { timezone: 'UTC' });
+
+  console.log(`[DepthStream] Streaming ${venues.size} venue(s): ${[...venues.keys()].join(', ')}`);
+}
+
+function stop() {
+  running = false;
+  clearInterval(tickTimer);
+  for (const venue of venues.values()) {
+    clearInterval(venue.pingTimer);
+    if (venue.socket) venue.socket.terminate();
+  }
+  for (const [key, b] of buckets) flushBucket(key, b);
+  if (recorder) recorder.end();
+  recorder = null;
+}
+
+/**
+ * Replay a file written with start({ recordFile }).
+ * @param {string} file
+ * @param {Object} [opts]
+ * @param {number} [opts.speed=0] - 1 = real time, 10 = ten times faster, 0 = no waiting
+ * @param {boolean} [opts.persist=false] - Write minute aggregates to depth_minute
+ * @param {Function} [opts.onMinute] - Called with each minute aggregate as it closes
+ */
+async function replay(file, { speed = 0, persist: persistMinutes = false, onMinute: minuteCallback = null } = {}) {
+  persist = persistMinutes;
+  onMinute = minuteCallback;
+
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  let prevT = null;
+  let frames = 0;
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const entry = JSON.parse(line);
+
+    if (entry.type === 'pairs') {
+      registerVenue(entry.exchange, entry.name, entry.pairs).status.connected = true;
+      continue;
+    }
+
+    const venue = venues.get(entry.exchange);
+    if (!venue) continue;
+
+    if (speed > 0 && prevT !== null) await delay((entry.t - prevT) / speed);
+    prevT = entry.t;
+
+    replayClock = entry.t;
+    advance(entry.t);
+    dispatch(venue, entry.data);
+    frames++;
+  }
+
+  // Flush the last open minute
+  if (prevT !== null) advance(prevT + TICK_MS);
+  for (const [key, b] of buckets) flushBucket(key, b);
+  for (const venue of venues.values()) venue.status.connected = false;
+  await Promise.all(pendingWrites);
+
+  return { frames, venues: [...venues.keys()] };
+}
+
+function liveVenues() {
+  const t = now();
+  return [...venues.values()]
+    .filter(v => v.status.connected && v.status.lastMessageAt && t - v.status.lastMessageAt < STALE_AFTER_MS);
+}
+
+/**
+ * Latest depth rows (GET /api/depth shape) for venues whose feed is live
+ */
+function getLatestRows() {
+  const live = new Set(liveVenues().map(v => v.id));
+
+  return [...latest.values()]
+    .filter(row => live.has(row.exchange))
+    .sort((a, b) => a.exchange.localeCompare(b.exchange) || a.pair.localeCompare(b.pair));
+}
+
+/**
+ * Current books of live venues, truncated like stored snapshots:
+ * [{ exchange, exchangeDisplay, pair, pairType, fetchedAt, book: { bids, asks } }]
+ */
+function getLatestBooks() {
+  const books = [];
+  for (const venue of liveVenues()) {
+    for (const info of venue.pairs.values()) {
+      const book = venue.books.get(info.symbol);
+      if (!book || !book.isReady() || book.isCrossed()) continue;
+      const { bids, asks } = book.toArrays();
+      books.push({
+        exchange: venue.id,
+        exchangeDisplay: venue.name,
+        pair: info.pair,
+        pairType: info.pairType,
+        fetchedAt: new Date(info.venueTs).toISOString(),
+        book: truncateBook(bids, asks)
+      });
+    }
+  }
+  return books;
+}
+
+/**
+ * Per-venue connection and book state
+ */
+function getStatus() {
+  const status = {};
+  for (const venue of venues.values()) {
+    status[venue.id] = {
+      ...venue.status,
+      lastMessageAt: venue.status.lastMessageAt ? new Date(venue.status.lastMessageAt).toISOString() : null,
+      pairs: [...venue.pairs.values()].map(info => ({
+        pair: info.pair,
+        synced: venue.books.get(info.symbol)?.isReady() || false,
+        lastUpdateAt: info.venueTs ? new Date(info.venueTs).toISOString() : null
+      }))
+    };
+  }
+  return status;
+}
+
+function isRunning() {
+  return running;
+}
+
+module.exports = {
+  start,
+  stop,
+  replay,
+  getLatestRows,
+  getLatestBooks,
+  getStatus,
+  isRunning
+};
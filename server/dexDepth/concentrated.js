@@ -0,0 +1,110 @@
+/**
+ * Concentrated-liquidity math (Uniswap v3/v4, Orca whirlpools).
+ *
+ * Between two initialized ticks liquidity L is constant, and moving the price
+ * from √Pa to √Pb moves L·(1/√Pa − 1/√Pb) of token 0 and L·(√Pb − √Pa) of
+ * token 1. Walking the ticks outward from the current price, adding each
+ * tick's liquidityNet when crossing it upward and subtracting it downward,
+ * gives the liquidity of every range.
+ *
+ * State: {
+ *   model: 'concentrated',
+ *   sqrtPrice,            // √(raw token1 per raw token0), as a float
+ *   liquidity,            // active liquidity, raw
+ *   tick,                 // current tick
+ *   ticks,                // [{ tick, liquidityNet }] initialized ticks in [tickLower, tickUpper]
+ *   tickLower, tickUpper, // the range tick data was read for; prices outside it are unknown
+ *   decimals0, decimals1
+ * }
+ *
+ * Prices are token 1 per token 0 in token units.
+ */
+
+const MIN_TICK = -443636;
+const MAX_TICK = 443636;
+
+const tickToSqrtPrice = tick => Math.pow(1.0001, tick / 2);
+
+// Ticks either side of the current one that cover a `bps` move in both directions
+const ticksForBps = bps => Math.ceil(-Math.log(1 - bps / 10000) / Math.log(1.0001));
+
+const rangesCache = new WeakMap();
+
+/**
+ * Liquidity ranges covering [tickLower, tickUpper], ascending by price
+ * @returns {Array<{ lower: number, upper: number, liquidity: number }>} √price bounds, raw
+ */
+function liquidityRanges(state) {
+  if (rangesCache.has(state)) return rangesCache.get(state);
+
+  const ticks = [...state.ticks].sort((a, b) => a.tick - b.tick);
+  const above = ticks.filter(t => t.tick > state.tick);
+  const below = ticks.filter(t => t.tick <= state.tick).reverse();
+
+  const down = [];
+  let liquidity = state.liquidity;
+  let upper = state.sqrtPrice;
+  for (const t of below) {
+    const lower = tickToSqrtPrice(t.tick);
+    down.push({ lower, upper, liquidity: Math.max(liquidity, 0) });
+    liquidity -= t.liquidityNet;
+    upper = lower;
+  }
+  down.push({ lower: tickToSqrtPrice(state.tickLower), upper, liquidity: Math.max(liquidity, 0) });
+
+  const up = [];
+  liquidity = state.liquidity;
+  let lower = state.sqrtPrice;
+  for (const t of above) {
+    const next = tickToSqrtPrice(t.tick);
+    up.push({ lower, upper: next, liquidity: Math.max(liquidity, 0) });
+    liquidity += t.liquidityNet;
+    lower = next;
+  }
+  up.push({ lower, upper: tickToSqrtPrice(state.tickUpper), liquidity: Math.max(liquidity, 0) });
+
+  const ranges = [...down.reverse(), ...up].filter(r => r.upper > r.lower);
+  rangesCache.set(state, ranges);
+  return ranges;
+}
+
+const rawSqrtPrice = (state, price) => Math.sqrt(price * Math.pow(10, state.decimals1 - state.decimals0));
+
+function spotPrice(state) {
+  return state.sqrtPrice * state.sqrtPrice * Math.pow(10, state.decimals0 - state.decimals1);
+}
+
+/**
+ * Tokens that move through the pool while its price goes from `fromPrice`
+ * to `toPrice` (either direction)
+ * @returns {{ amount0: number, amount1: number }|null} null when the move leaves the range read
+ */
+function amountsBetween(state, fromPrice, toPrice) {
+  const a = rawSqrtPrice(state, Math.min(fromPrice, toPrice));
+  const b = rawSqrtPrice(state, Math.max(fromPrice, toPrice));
+  if (a < tickToSqrtPrice(state.tickLower) || b > tickToSqrtPrice(state.tickUpper)) return null;
+
+  let amount0 = 0;
+  let amount1 = 0;
+  for (const r of liquidityRanges(state)) {
+    const lo = Math.max(a, r.lower);
+    const hi = Math.min(b, r.upper);
+    if (hi <= lo) continue;
+    amount0 += r.liquidity * (1 / lo - 1 / hi);
+    amount1 += r.liquidity * (hi - lo);
+  }
+  return {
+    amount0: amount0 / Math.pow(10, state.decimals0),
+    amount1: amount1 / Math.pow(10, state.decimals1)
+  };
+}
+
+module.exports = {
+  MIN_TICK,
+  MAX_TICK,
+  tickToSqrtPrice,
+  ticksForBps,
+  liquidityRanges,
+  spotPrice,
+  amountsBetween
+};
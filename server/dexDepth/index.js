@@ -0,0 +1,214 @@
+/**
+ * On-chain DEX depth in the same shape as CEX orderbook depth.
+ *
+ * Each service reads its pools' state (Curve balances and A; price, active
+ * liquidity and initialized ticks for Orca and Uniswap v3/v4) and the pool
+ * math in ./stableswap and ./concentrated prices it. A pool becomes a
+ * synthetic book: one level per band edge (1 bps apart out to 100 bps, then
+ * 10 bps out to MAX_BPS), holding what the pool trades moving its price
+ * between the edges, at the average price of that move. The pool fee is
+ * charged on the taker's side: bids at price × (1 − fee), asks at
+ * price ÷ (1 − fee), so a pool's spread is roughly twice its fee.
+ *
+ * The book is what gets stored (depth_snapshots with venue_type 'dex'), so
+ * bands at any level can be recomputed from it like a CEX book. Impact for a
+ * size is solved on the live pool state directly (simulatePoolImpact).
+ */
+
+const curveService = require('../services/curve');
+const orcaService = require('../services/orca');
+const uniswapHoodService = require('../services/uniswapHood');
+const { getBpsLevels, calculateDepthMetrics } = require('../utils/depthCalculator');
+const stableswap = require('./stableswap');
+const concentrated = require('./concentrated');
+
+const MODELS = { stableswap, concentrated };
+const SERVICES = [curveService, orcaService, uniswapHoodService];
+
+const MAX_BPS = 1000;
+const BOOK_EDGES = [
+  ...Array.from({ length: 100 }, (_, i) => i + 1),
+  ...Array.from({ length: (MAX_BPS - 100) / 10 }, (_, i) => 110 + i * 10)
+];
+
+const VENUE_NAMES = {
+  curve: 'Curve',
+  orca: 'Orca',
+  uniswap_v3: 'Uniswap v3',
+  uniswap_v4: 'Uniswap v4'
+};
+
+const venueId = venue => venue.toLowerCase().replace(/[^a-z0-9]+/g, '_');
+
+/**
+ * Mid price of a pool as base in quote, and a function giving the base and
+ * quote that move through it between two such prices (null outside the
+ * state read)
+ * @param {{ state: Object, invert: boolean }} pool - invert when the base is token 1
+ */
+function pricing({ state, invert }) {
+  const model = MODELS[state.model];
+  const spot = model.spotPrice(state);
+  const toPool = price => (invert ? 1 / price : price);
+  return {
+    mid: invert ? 1 / spot : spot,
+    flow(from, to) {
+      const amounts = model.amountsBetween(state, toPool(from), toPool(to));
+      if (!amounts) return null;
+      return invert
+        ? { base: amounts.amount1, quote: amounts.amount0 }
+        : { base: amounts.amount0, quote: amounts.amount1 };
+    }
+  };
+}
+
+/**
+ * Synthetic book of a pool: [[price, baseQty], ...] per side, best first
+ * @param {{ state: Object, invert: boolean, feeRate: number }} pool
+ */
+function buildBook(pool) {
+  const { mid, flow } = pricing(pool);
+  const side = sign => {
+    const levels = [];
+    let prev = mid;
+    for (const bps of BOOK_EDGES) {
+      const edge = mid * (1 + (sign * bps) / 10000);
+      const moved = flow(prev, edge);
+      if (!moved) break;
+      prev = edge;
+      if (!(moved.base > 0)) continue;
+      const price = moved.quote / moved.base;
+      levels.push([sign < 0 ? price * (1 - pool.feeRate) : price / (1 - pool.feeRate), moved.base]);
+    }
+    return levels;
+  };
+  return { bids: side(-1), asks: side(1) };
+}
+
+/**
+ * Fill a market order of `size` quote notional against a pool's state, in
+ * the shape of depthCalculator.simulateImpact. Pools have no levels, so
+ * levelsConsumed / levelsAvailable are null.
+ * @param {{ state: Object, invert: boolean, feeRate: number }} pool
+ * @param {'buy'|'sell'} side
+ * @param {number} size
+ */
+function simulatePoolImpact(pool, side, size) {
+  const { mid, flow } = pricing(pool);
+  const dir = side === 'buy' ? 1 : -1;
+  const fee = pool.feeRate;
+
+  // Quote paid (buy) or received (sell) and base filled moving the price `bps` from mid
+  const fillTo = bps => {
+    const moved = flow(mid, mid * (1 + (dir * bps) / 10000));
+    if (!moved) return null;
+    return { bps, base: moved.base, quote: side === 'buy' ? moved.quote / (1 - fee) : moved.quote * (1 - fee) };
+  };
+
+  let fill = fillTo(MAX_BPS) || { bps: 0, base: 0, quote: 0 };
+  const complete = fill.quote >= size;
+  // The move that fills `size`, or that takes everything in range when it can't
+  const target = complete ? size : fill.quote * (1 - 1e-9);
+  if (fill.quote > 0) {
+    let lo = 0;
+    let hi = MAX_BPS;
+    for (let i = 0; i < 60; i++) {
+      const bps = (lo + hi) / 2;
+      if (fillTo(bps).quote < target) lo = bps;
+      else hi = bps;
+    }
+    fill = fillTo(hi);
+  }
+
+  const filledNotional = Math.min(fill.quote, size);
+  const avgPrice = fill.base > 0 ? filledNotional / fill.base : null;
+  const edge = mid * (1 + (dir * fill.bps) / 10000);
+  return {
+    midPrice: mid,
+    filledNotional,
+    filledQty: fill.base,
+    avgPrice,
+    worstPrice: fill.base > 0 ? (side === 'buy' ? edge / (1 - fee) : edge * (1 - fee)) : null,
+    slippageBps: avgPrice === null
+      ? null
+      : ((side === 'buy' ? avgPrice - mid : mid - avgPrice) / mid) * 10000,
+    levelsConsumed: null,
+    levelsAvailable: null,
+    complete
+  };
+}
+
+/**
+ * Depth row of one pool, or null when either side has no liquidity in range
+ * @param {Object} pool - Entry from a service's getPoolStates()
+ */
+function poolDepth(pool, fetchedAt) {
+  const [base, quote] = pool.name.split(' ')[0].split('/');
+  const poolState = { state: pool.state, invert: !pool.baseIsToken0, feeRate: pool.feeRate };
+  const book = buildBook(poolState);
+  if (!book.bids.length || !book.asks.length) return null;
+
+  const pairType = ['stable', 'stablecoin'].includes(pool.type) ? 'stablecoin' : 'risk';
+  const bpsLevels = getBpsLevels(pairType);
+  const metrics = calculateDepthMetrics(book.bids, book.asks, bpsLevels);
+  return {
+    exchange: venueId(pool.venue),
+    exchangeDisplay: pool.venue,
+    venueType: 'dex',
+    chain: pool.chain,
+    address: pool.address,
+    pair: pool.name,
+    base,
+    quote,
+    pairType,
+    midPrice: metrics.midPrice,
+    bestBid: metrics.bestBid,
+    bestAsk: metrics.bestAsk,
+    spreadBps: metrics.spreadBps,
+    feeRate: pool.feeRate,
+    bpsLevels,
+    bidDepth: metrics.bidDepth,
+    askDepth: metrics.askDepth,
+    book,
+    poolState,
+    fetchedAt,
+    ok: true
+  };
+}
+
+/**
+ * Current depth of every DEX pool, in the row shape of fetchUsdgDepth plus
+ * `venueType`, `chain`, `address`, `feeRate` and `poolState` (for
+ * simulatePoolImpact). Strip `book` and `poolState` before sending rows to
+ * clients.
+ */
+async function fetchDexDepth() {
+  const results = await Promise.all(SERVICES.map(async service => {
+    try {
+      const pools = await service.getPoolStates({ rangeBps: MAX_BPS });
+      const fetchedAt = new Date().toISOString();
+      return pools.map(pool => {
+        try {
+          return poolDepth(pool, fetchedAt);
+        } catch (err) {
+          console.error(`[DexDepth] ${pool.venue} ${pool.name}:`, err.message);
+          return null;
+        }
+      });
+    } catch (err) {
+      console.error('[DexDepth] Pool state error:', err.message);
+      return [];
+    }
+  }));
+
+  return results.flat().filter(Boolean)
+    .sort((a, b) => a.exchange.localeCompare(b.exchange) || a.pair.localeCompare(b.pair));
+}
+
+module.exports = {
+  MAX_BPS,
+  VENUE_NAMES,
+  buildBook,
+  simulatePoolImpact,
+  fetchDexDepth
+};
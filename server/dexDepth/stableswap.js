@@ -0,0 +1,97 @@
+/**
+ * Curve stableswap math for two-coin pools.
+ *
+ * Balances are in token units (raw balances over 10^decimals), which is what
+ * the pool's rate multipliers normalise to for plain stablecoins. `A` is the
+ * pool's A(): the contract amplification, A·n^(n-1) in the whitepaper, so
+ * with Ann = A·n the invariant is
+ *
+ *   Ann·(x + y) + D = Ann·D + D³ / (4·x·y)
+ *
+ * Prices are coin 1 per coin 0.
+ *
+ * State: { model: 'stableswap', balances: [x, y], A }
+ */
+
+const N_COINS = 2;
+const MAX_ITERATIONS = 255;
+
+/**
+ * The invariant D for `balances`, by Newton's method as in the pool contract
+ */
+function getD(balances, A) {
+  const S = balances.reduce((s, x) => s + x, 0);
+  if (S === 0) return 0;
+  const Ann = A * N_COINS;
+  let D = S;
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    let DP = D;
+    for (const x of balances) DP = (DP * D) / (x * N_COINS);
+    const prev = D;
+    D = ((Ann * S + DP * N_COINS) * D) / ((Ann - 1) * D + (N_COINS + 1) * DP);
+    if (Math.abs(D - prev) <= D * 1e-15) return D;
+  }
+  throw new Error('Stableswap invariant did not converge');
+}
+
+/**
+ * Balance of coin 1 when coin 0's balance is `x`, on the invariant D: the
+ * positive root of y² + (x + D/Ann − D)·y − D³/(4·x·Ann) = 0
+ */
+function getY(x, D, A) {
+  const Ann = A * N_COINS;
+  const b = x + D / Ann - D;
+  const c = (D * D * D) / (4 * x * Ann);
+  const root = Math.sqrt(b * b + 4 * c);
+  // Pick the form without cancellation
+  return b <= 0 ? (root - b) / 2 : (2 * c) / (b + root);
+}
+
+/**
+ * Marginal price of coin 0 in coin 1 at (x, y): −dy/dx along the invariant
+ */
+function marginalPrice(x, y, D, A) {
+  const Ann = A * N_COINS;
+  const k = (D * D * D) / (4 * x * y);
+  return (Ann + k / x) / (Ann + k / y);
+}
+
+// Coin 0 balance at which the marginal price is `price`; the price falls as x grows
+function xAtPrice(price, D, A) {
+  let lo = D * 1e-9;
+  let hi = D * 1e3;
+  for (let i = 0; i < 100; i++) {
+    const mid = Math.sqrt(lo * hi);
+    if (marginalPrice(mid, getY(mid, D, A), D, A) > price) lo = mid;
+    else hi = mid;
+  }
+  return Math.sqrt(lo * hi);
+}
+
+function spotPrice({ balances, A }) {
+  const [x, y] = balances;
+  return marginalPrice(x, y, getD(balances, A), A);
+}
+
+/**
+ * Coins that move through the pool while its marginal price goes from
+ * `fromPrice` to `toPrice` (either direction)
+ * @returns {{ amount0: number, amount1: number }}
+ */
+function amountsBetween({ balances, A }, fromPrice, toPrice) {
+  const D = getD(balances, A);
+  const x1 = xAtPrice(fromPrice, D, A);
+  const x2 = xAtPrice(toPrice, D, A);
+  return {
+    amount0: Math.abs(x2 - x1),
+    amount1: Math.abs(getY(x2, D, A) - getY(x1, D, A))
+  };
+}
+
+module.exports = {
+  getD,
+  getY,
+  marginalPrice,
+  spotPrice,
+  amountsBetween
+};
@@ -0,0 +1,28 @@
+const binanceService = require('../services/binance');
+
+// Binance lists no USDG markets — it is tracked for PAXG/XAUT only.
+module.exports = {
+  id: 'binance',
+  name: 'Binance',
+  rateLimitMs: 100,
+  apiHost: 'api.binance.com',
+  capabilities: {
+    volume: false,
+    perPairVolume: false,
+    orderbook: false,
+    goldHistory: true,
+    trades: false
+  },
+  service: binanceService,
+
+  // Binance symbols have no separator (PAXGUSDT)
+  parsePair(pair) {
+    const match = pair.symbol.match(/^(.+?)(USDT|USDC|USD)$/);
+    return match ? { base: match[1], quote: match[2] } : { base: pair.symbol, quote: '' };
+  },
+
+  goldVolume: {
+    paxg: async () => (await binanceService.getDailyVolume('PAXGUSDT')).map(d => ({ date: d.date, volume: d.volume })),
+    xaut: async () => (await binanceService.getDailyVolume('XAUTUSDT')).map(d => ({ date: d.date, volume: d.volume }))
+  }
+};
@@ -0,0 +1,28 @@
+const bitgetService = require('../services/bitget');
+
+// Bitget lists no USDG markets — it is tracked for PAXG/XAUT only.
+module.exports = {
+  id: 'bitget',
+  name: 'Bitget',
+  rateLimitMs: 200,
+  apiHost: 'api.bitget.com',
+  capabilities: {
+    volume: false,
+    perPairVolume: false,
+    orderbook: false,
+    goldHistory: true,
+    trades: false
+  },
+  service: bitgetService,
+
+  // Bitget symbols have no separator (PAXGUSDT)
+  parsePair(pair) {
+    const match = pair.symbol.match(/^(.+?)(USDT|USDC|USD)$/);
+    return match ? { base: match[1], quote: match[2] } : { base: pair.symbol, quote: '' };
+  },
+
+  goldVolume: {
+    paxg: () => bitgetService.getDailyVolumeUsdt('PAXGUSDT'),
+    xaut: () => bitgetService.getDailyVolumeUsdt('XAUTUSDT')
+  }
+};
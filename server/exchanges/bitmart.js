@@ -0,0 +1,22 @@
+const bitmartService = require('../services/bitmart');
+
+module.exports = {
+  id: 'bitmart',
+  name: 'Bitmart',
+  rateLimitMs: 250,
+  apiHost: 'api-cloud.bitmart.com',
+  capabilities: {
+    volume: true,
+    perPairVolume: true,
+    orderbook: true,
+    goldHistory: false,
+    trades: true
+  },
+  service: bitmartService,
+
+  // Bitmart uses BTC_USDG format
+  parsePair(pair) {
+    const [base, quote] = pair.symbol.split('_');
+    return { base, quote };
+  }
+};
@@ -0,0 +1,20 @@
+const bitstampService = require('../services/bitstamp');
+
+module.exports = {
+  id: 'bitstamp',
+  name: 'Bitstamp',
+  rateLimitMs: 250,
+  apiHost: 'www.bitstamp.net',
+  capabilities: {
+    volume: true,
+    perPairVolume: true,
+    orderbook: true,
+    goldHistory: false,
+    trades: false
+  },
+  service: bitstampService,
+
+  parsePair(pair) {
+    return { base: pair.base || 'USDG', quote: pair.quote || 'USD' };
+  }
+};
@@ -0,0 +1,23 @@
+const bullishService = require('../services/bullish');
+
+module.exports = {
+  id: 'bullish',
+  name: 'Bullish',
+  rateLimitMs: 500,
+  apiHost: 'api.exchange.bullish.com',
+  capabilities: {
+    volume: true,
+    perPairVolume: true,
+    orderbook: false,
+    goldHistory: false,
+    trades: true
+  },
+  service: bullishService,
+
+  parsePair(pair) {
+    return {
+      base: (pair.baseAsset || '').toUpperCase(),
+      quote: (pair.quoteAsset || '').toUpperCase()
+    };
+  }
+};
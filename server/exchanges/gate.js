@@ -0,0 +1,27 @@
+const gateService = require('../services/gate');
+
+module.exports = {
+  id: 'gate',
+  name: 'Gate.io',
+  rateLimitMs: 100,
+  apiHost: 'api.gateio.ws',
+  capabilities: {
+    volume: true,
+    perPairVolume: true,
+    orderbook: true,
+    goldHistory: true,
+    trades: true
+  },
+  service: gateService,
+
+  // Gate.io uses USDG_USDT format
+  parsePair(pair) {
+    const [base, quote] = pair.symbol.split('_');
+    return { base, quote };
+  },
+
+  goldVolume: {
+    paxg: () => gateService.getDailyVolumeUsdt('PAXG_USDT'),
+    xaut: () => gateService.getDailyVolumeUsdt('XAUT_USDT')
+  }
+};
@@ -0,0 +1,100 @@
+/**
+ * Exchange adapter registry.
+ *
+ * Every CEX venue lives in its own file in this directory and exports an
+ * adapter object:
+ *
+ *   {
+ *     id:           'kraken',          // key used in routes, DB rows and the client
+ *     name:         'Kraken',          // display name
+ *     rateLimitMs:  1000,              // delay between consecutive requests to the venue
+ *     apiHost:      'api.kraken.com',  // REST host, for the source health registry (server/health)
+ *     capabilities: {
+ *       volume:        true,           // service.getAggregatedVolume()
+ *       perPairVolume: true,           // service.getPerPairVolume() + service.getPairDailyStats()
+ *       orderbook:     true,           // service.getUSDGPairs() + service.getOrderbook(symbol)
+ *       goldHistory:   true,           // goldVolume.paxg() / goldVolume.xaut()
+ *       trades:        true            // service.getRecentTrades(symbol, { since }) -> { trades, cursor }
+ *     },
+ *     service,                         // the underlying API client in services/
+ *     parsePair(pair) -> { base, quote },
+ *     goldVolume: { paxg: () => [{ date, volume }], xaut: () => [{ date, volume }] }
+ *   }
+ *
+ * Adapters are discovered at load time, so adding a venue means dropping a
+ * new file in here — routes, jobs and scripts pick it up automatically.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CAPABILITIES = ['volume', 'perPairVolume', 'orderbook', 'goldHistory', 'trades'];
+
+function loadAdapters() {
+  const adapters = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .sort()
+    .map(file => require(path.join(__dirname, file)));
+
+  const seen = new Set();
+  for (const adapter of adapters) {
+    if (!adapter.id || !adapter.name) {
+      throw new Error('Exchange adapter is missing id or name');
+    }
+    if (seen.has(adapter.id)) {
+      throw new Error(`Duplicate exchange adapter id: ${adapter.id}`);
+    }
+    seen.add(adapter.id);
+
+    const unknown = Object.keys(adapter.capabilities || {}).filter(c => !CAPABILITIES.includes(c));
+    if (unknown.length > 0) {
+      throw new Error(`Exchange adapter ${adapter.id} declares unknown capabilities: ${unknown.join(', ')}`);
+    }
+    if (adapter.capabilities?.goldHistory && !adapter.goldVolume) {
+      throw new Error(`Exchange adapter ${adapter.id} declares goldHistory without goldVolume`);
+    }
+  }
+
+  return adapters;
+}
+
+const ADAPTERS = loadAdapters();
+const byId = new Map(ADAPTERS.map(a => [a.id, a]));
+
+/**
+ * Look up an adapter by id (case-insensitive). Returns null for unknown venues.
+ */
+function getAdapter(id) {
+  return byId.get(String(id || '').toLowerCase()) || null;
+}
+
+/**
+ * List adapters, optionally filtered to those declaring a capability.
+ * @param {string} [capability] - One of CAPABILITIES
+ */
+function listAdapters(capability) {
+  if (!capability) return ADAPTERS;
+  return ADAPTERS.filter(a => a.capabilities?.[capability]);
+}
+
+/**
+ * Ids of all adapters declaring a capability, in registry order.
+ */
+function listExchangeIds(capability) {
+  return listAdapters(capability).map(a => a.id);
+}
+
+/**
+ * Map of id -> display name for every registered venue.
+ */
+function getExchangeNames() {
+  return Object.fromEntries(ADAPTERS.map(a => [a.id, a.name]));
+}
+
+module.exports = {
+  CAPABILITIES,
+  getAdapter,
+  listAdapters,
+  listExchangeIds,
+  getExchangeNames
+};
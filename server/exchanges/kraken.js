@@ -0,0 +1,28 @@
+const krakenService = require('../services/kraken');
+
+module.exports = {
+  id: 'kraken',
+  name: 'Kraken',
+  rateLimitMs: 1000,
+  apiHost: 'api.kraken.com',
+  capabilities: {
+    volume: true,
+    perPairVolume: true,
+    orderbook: true,
+    goldHistory: true,
+    trades: true
+  },
+  service: krakenService,
+
+  // Kraken prefixes some assets with X/Z (e.g. XXBT, ZUSD)
+  parsePair(pair) {
+    const base = (pair.base || '').replace(/^[XZ]/, '').toUpperCase();
+    const quote = (pair.quote || '').replace(/^[XZ]/, '').toUpperCase();
+    return { base, quote };
+  },
+
+  goldVolume: {
+    paxg: () => krakenService.getKrakenPaxgVolume(),
+    xaut: () => krakenService.getKrakenXautVolume()
+  }
+};
@@ -0,0 +1,27 @@
+const kucoinService = require('../services/kucoin');
+
+module.exports = {
+  id: 'kucoin',
+  name: 'KuCoin',
+  rateLimitMs: 200,
+  apiHost: 'api.kucoin.com',
+  capabilities: {
+    volume: true,
+    perPairVolume: true,
+    orderbook: true,
+    goldHistory: true,
+    trades: true
+  },
+  service: kucoinService,
+
+  // Kucoin uses USDG-USDT format
+  parsePair(pair) {
+    const [base, quote] = pair.symbol.split('-');
+    return { base, quote };
+  },
+
+  goldVolume: {
+    paxg: () => kucoinService.getDailyVolumeUsdt('PAXG-USDT'),
+    xaut: () => kucoinService.getDailyVolumeUsdt('XAUT-USDT')
+  }
+};
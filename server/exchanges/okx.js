@@ -0,0 +1,27 @@
+const okxService = require('../services/okx');
+
+module.exports = {
+  id: 'okx',
+  name: 'OKX',
+  rateLimitMs: 150,
+  apiHost: 'www.okx.com',
+  capabilities: {
+    volume: true,
+    perPairVolume: true,
+    orderbook: true,
+    goldHistory: true,
+    trades: true
+  },
+  service: okxService,
+
+  // OKX uses USDG-USDT format
+  parsePair(pair) {
+    const [base, quote] = pair.symbol.split('-');
+    return { base, quote };
+  },
+
+  goldVolume: {
+    paxg: () => okxService.getDailyVolumeHistory('PAXG-USDT'),
+    xaut: () => okxService.getDailyVolumeHistory('XAUT-USDT')
+  }
+};
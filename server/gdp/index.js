@@ -0,0 +1,204 @@
+/**
+ * USDG GDP: the daily revenue USDG generates for its ecosystem, in three parts
+ *
+ *   borrowerInterest  interest paid by USDG borrowers on Aave v4 (Core Hub)
+ *   tradingFees       fee revenue on USDG volume per trading venue
+ *   gdnRewards        GDN rewards on circulating supply across chains; days
+ *                     without supply snapshots fall back to the rate on idle
+ *                     Aave supply
+ *
+ * Fee rates come from the versioned model (./model) and the reward rate from
+ * the nim_apy parameter. Every day is computed with the model version and
+ * rate in effect on that date, and reports both.
+ */
+
+const pool = require('../db/pool');
+const model = require('./model');
+const parameters = require('../parameters');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_DAYS = 5 * 366;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Resolve start/end query params. The default window reaches back to the
+ * first of the month eleven months ago — enough for twelve monthly or four
+ * quarterly buckets.
+ */
+function validateRange(query = {}) {
+  const end = query.end || new Date().toISOString().split('T')[0];
+  if (!DATE_RE.test(end)) throw new Error('end must be YYYY-MM-DD');
+
+  let start = query.start;
+  if (start == null) {
+    const d = new Date(end + 'T00:00:00Z');
+    start = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() - 11, 1)).toISOString().split('T')[0];
+  }
+  if (!DATE_RE.test(start)) throw new Error('start must be YYYY-MM-DD');
+  if (start > end) throw new Error('start must not be after end');
+  if ((Date.parse(end) - Date.parse(start)) / DAY_MS + 1 > MAX_DAYS) {
+    throw new Error(`Range is limited to ${MAX_DAYS} days`);
+  }
+  return { start, end };
+}
+
+async function loadInputs({ start, end }, venues) {
+  const totalVenues = venues.filter(v => v.rule.volume !== 'hood').map(v => v.venue);
+  const pairVenues = venues.filter(v => v.rule.volume === 'pairs').map(v => v.venue);
+
+  const [aave, totals, pairs, hood, supply] = await Promise.all([
+    pool.query(
+      `SELECT snapshot_date::text AS date, daily_interest::float, total_supply::float, total_debt::float
+       FROM aave_usdg_history
+       WHERE snapshot_date BETWEEN $1 AND $2`,
+      [start, end]
+    ),
+    pool.query(
+      `SELECT snapshot_date::text AS date, exchange, volume::float
+       FROM cex_daily_volume
+       WHERE snapshot_date BETWEEN $1 AND $2 AND exchange = ANY($3::text[])`,
+      [start, end, totalVenues]
+    ),
+    pool.query(
+      `SELECT snapshot_date::text AS date, exchange, pair, usd_volume::float AS volume
+       FROM cex_pair_daily
+       WHERE snapshot_date BETWEEN $1 AND $2 AND exchange = ANY($3::text[])`,
+      [start, end, pairVenues]
+    ),
+    pool.query(
+      `SELECT snapshot_date::text AS date, volume::float, fee_revenue::float
+       FROM hood_volume_history
+       WHERE snapshot_date BETWEEN $1 AND $2`,
+      [start, end]
+    ),
+    pool.query(
+      `SELECT snapshot_date::text AS date, chain, circulating::float
+       FROM usdg_supply_history
+       WHERE snapshot_date BETWEEN $1 AND $2 AND circulating IS NOT NULL`,
+      [start, end]
+    )
+  ]);
+
+  // date -> per-source lookups
+  const byDate = new Map();
+  const day = date => {
+    if (!byDate.has(date)) byDate.set(date, { aave: null, totals: {}, pairs: {}, hood: null, chains: {} });
+    return byDate.get(date);
+  };
+  for (const r of aave.rows) day(r.date).aave = r;
+  for (const r of totals.rows) day(r.date).totals[r.exchange] = r.volume;
+  for (const r of pairs.rows) {
+    const d = day(r.date);
+    if (!d.pairs[r.exchange]) d.pairs[r.exchange] = {};
+    d.pairs[r.exchange][r.pair] = r.volume;
+  }
+  for (const r of hood.rows) if (r.volume > 0) day(r.date).hood = r;
+  for (const r of supply.rows) day(r.date).chains[r.chain] = (day(r.date).chains[r.chain] || 0) + r.circulating;
+  return byDate;
+}
+
+// Fee revenue for one venue on one day, or null when it has no data
+function venueFees(rule, venue, inputs, params) {
+  const tiers = params.feeTiers;
+  if (rule.volume === 'hood') {
+    if (!inputs.hood) return null;
+    return inputs.hood.fee_revenue != null ? inputs.hood.fee_revenue : inputs.hood.volume * rule.rate;
+  }
+  const pairs = inputs.pairs[venue];
+  if (rule.volume === 'pairs' && pairs) {
+    return Object.entries(rule.pairs).reduce((sum, [pair, tier]) => sum + (pairs[pair] || 0) * tiers[tier], 0);
+  }
+  const total = inputs.totals[venue];
+  return total == null ? null : total * tiers[rule.tier];
+}
+
+function computeDay(date, inputs, version, nimApy) {
+  const { params } = version;
+  const daily = nimApy / 365;
+
+  const borrowerInterest = inputs.aave?.daily_interest || 0;
+  const idle = inputs.aave ? Math.max((inputs.aave.total_supply || 0) - (inputs.aave.total_debt || 0), 0) : 0;
+  const aaveNim = idle * daily;
+
+  const venues = { aave: borrowerInterest + aaveNim };
+  let tradingFees = 0;
+  for (const [venue, rule] of Object.entries(params.venues)) {
+    const fees = venueFees(rule, venue, inputs, params);
+    venues[venue] = fees || 0;
+    tradingFees += fees || 0;
+  }
+
+  const chains = {};
+  for (const [chain, circulating] of Object.entries(inputs.chains)) chains[chain] = circulating * daily;
+  const hasChainSupply = Object.keys(chains).length > 0;
+  const gdnRewards = hasChainSupply
+    ? Object.values(chains).reduce((s, v) => s + v, 0)
+    : aaveNim;
+
+  return {
+    date,
+    modelVersion: version.version,
+    nimApy,
+    borrowerInterest,
+    tradingFees,
+    gdnRewards,
+    total: borrowerInterest + tradingFees + gdnRewards,
+    aaveBorrow: borrowerInterest,
+    aaveNim,
+    hasChainSupply,
+    venues,
+    chains
+  };
+}
+
+/**
+ * Daily GDP components for [start, end], with the model versions applied
+ * @returns {Promise<{ start, end, versions: Array, daily: Array }>}
+ */
+async function computeGdp({ start, end }) {
+  const [versions, params] = await Promise.all([model.listVersions(), parameters.loadParameters()]);
+
+  // Venues that any version in the range prices, so every day has its inputs
+  const inRange = versions.filter((v, i) =>
+    v.effectiveFrom <= end && (versions[i + 1]?.effectiveFrom ?? '9999-12-31') > start
+  );
+  const rules = new Map();
+  for (const v of inRange) {
+    for (const [venue, rule] of Object.entries(v.params.venues)) rules.set(`${venue}:${rule.volume}`, { venue, rule });
+  }
+  const inputsByDate = await loadInputs({ start, end }, Array.from(rules.values()));
+
+  const daily = [];
+  for (const date of Array.from(inputsByDate.keys()).sort()) {
+    const version = model.versionFor(versions, date);
+    if (!version) continue; // before the first version took effect
+    daily.push(computeDay(date, inputsByDate.get(date), version, params.valueAt(parameters.NIM_APY, date)));
+  }
+
+  const used = new Set(daily.map(d => d.modelVersion));
+  return { start, end, versions: versions.filter(v => used.has(v.version)), daily };
+}
+
+/**
+ * Flat CSV, one row per day: components, then venues and chains as columns
+ */
+function toCsv(daily) {
+  const venues = [...new Set(daily.flatMap(d => Object.keys(d.venues)))];
+  const chains = [...new Set(daily.flatMap(d => Object.keys(d.chains)))].sort();
+  const header = [
+    'date', 'model_version', 'nim_apy', 'borrower_interest', 'trading_fees', 'gdn_rewards', 'total',
+    ...venues.map(v => `venue_${v}`), ...chains.map(c => `chain_${c}`)
+  ];
+  const lines = daily.map(d => [
+    d.date, d.modelVersion, d.nimApy, d.borrowerInterest, d.tradingFees, d.gdnRewards, d.total,
+    ...venues.map(v => d.venues[v] ?? ''), ...chains.map(c => d.chains[c] ?? '')
+  ].join(','));
+  return [header.join(','), ...lines].join('\n');
+}
+
+module.exports = {
+  validateRange,
+  computeGdp,
+  toCsv
+};
@@ -0,0 +1,177 @@
+/**
+ * Versioned GDP revenue model.
+ *
+ * Model parameters live in gdp_model_versions, one complete parameter set per
+ * row, effective from a date until the next version's date. Rows are never
+ * edited: a rate change or a correction is a new version, so every past
+ * figure can be traced to the parameters that produced it.
+ *
+ * The GDN reward rate is not part of the model: it is the shared nim_apy
+ * parameter (server/parameters), resolved per day.
+ *
+ * params:
+ *   feeTiers  { tier: rate } fee earned per $ of volume
+ *   venues    { venue: rule }, one per trading venue:
+ *               { volume: 'total', tier }          cex_daily_volume × tier rate
+ *               { volume: 'pairs', pairs, tier }   cex_pair_daily per pair ({ pair: tier });
+ *                                                  days without pair rows fall back
+ *                                                  to the venue total at `tier`
+ *               { volume: 'hood', rate }           hood_volume_history fee_revenue,
+ *                                                  else volume × rate
+ */
+
+const pool = require('../db/pool');
+
+const VOLUME_SOURCES = ['total', 'pairs', 'hood'];
+
+const DEFAULT_EFFECTIVE_FROM = '2020-01-01';
+
+// The constants the GDP tab used before the model moved server-side
+const DEFAULT_PARAMS = {
+  feeTiers: { stable: 0.0002, risk: 0.0007 },
+  venues: {
+    okx:          { volume: 'total', tier: 'stable' },
+    bullish:      { volume: 'pairs', pairs: { USDGUSDC: 'stable', BTCUSDG: 'risk' }, tier: 'stable' },
+    kraken:       { volume: 'total', tier: 'stable' },
+    gate:         { volume: 'total', tier: 'stable' },
+    kucoin:       { volume: 'pairs', pairs: { 'USDG/USDT': 'stable', 'BTC/USDG': 'risk' }, tier: 'stable' },
+    bitstamp:     { volume: 'total', tier: 'stable' },
+    uniswap_hood: { volume: 'hood', rate: 0.0001 }
+  }
+};
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const isRate = v => typeof v === 'number' && isFinite(v) && v >= 0 && v < 1;
+
+/**
+ * Validate a complete parameter set; throws on the first problem
+ */
+function validateParams(params) {
+  if (!params || typeof params !== 'object') throw new Error('params must be an object');
+
+  const tiers = params.feeTiers;
+  if (!tiers || typeof tiers !== 'object' || !Object.keys(tiers).length) throw new Error('feeTiers must name at least one tier');
+  for (const [tier, rate] of Object.entries(tiers)) {
+    if (!isRate(rate)) throw new Error(`feeTiers.${tier} must be a rate between 0 and 1`);
+  }
+
+  if (!params.venues || typeof params.venues !== 'object') throw new Error('venues must be an object');
+  for (const [venue, rule] of Object.entries(params.venues)) {
+    if (!VOLUME_SOURCES.includes(rule?.volume)) {
+      throw new Error(`venues.${venue}.volume must be one of: ${VOLUME_SOURCES.join(', ')}`);
+    }
+    if (rule.volume === 'hood') {
+      if (!isRate(rule.rate)) throw new Error(`venues.${venue}.rate must be a rate between 0 and 1`);
+      continue;
+    }
+    if (!(rule.tier in tiers)) throw new Error(`venues.${venue}.tier must be one of: ${Object.keys(tiers).join(', ')}`);
+    if (rule.volume === 'pairs') {
+      if (!rule.pairs || !Object.keys(rule.pairs).length) throw new Error(`venues.${venue}.pairs must map at least one pair to a tier`);
+      for (const [pair, tier] of Object.entries(rule.pairs)) {
+        if (!(tier in tiers)) throw new Error(`venues.${venue}.pairs.${pair} must be one of: ${Object.keys(tiers).join(', ')}`);
+      }
+    }
+  }
+}
+
+/**
+ * Apply a partial update to a parameter set. feeTiers and venues merge per
+ * key; a venue rule given in the patch replaces that venue's rule whole.
+ */
+function mergeParams(base, patch = {}) {
+  return {
+    ...base,
+    ...patch,
+    feeTiers: { ...base.feeTiers, ...patch.feeTiers },
+    venues: { ...base.venues, ...patch.venues }
+  };
+}
+
+function formatVersion(row) {
+  return {
+    version: row.id,
+    effectiveFrom: row.effective_from,
+    params: row.params,
+    note: row.note,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * All versions, oldest effective date first. The first call on an empty
+ * table stores DEFAULT_PARAMS as version 1.
+ */
+async function listVersions() {
+  const select = () => pool.query(
+    `SELECT id, effective_from::text AS effective_from, params, note, created_by, created_at
+     FROM gdp_model_versions
+     ORDER BY effective_from, id`
+  );
+
+  let result = await select();
+  if (result.rows.length === 0) {
+    await pool.query(
+      `INSERT INTO gdp_model_versions (effective_from, params, note)
+       SELECT $1, $2, 'Initial model'
+       WHERE NOT EXISTS (SELECT 1 FROM gdp_model_versions)`,
+      [DEFAULT_EFFECTIVE_FROM, JSON.stringify(DEFAULT_PARAMS)]
+    );
+    result = await select();
+  }
+  return result.rows.map(formatVersion);
+}
+
+/**
+ * The version in effect on `date`: latest effective date on or before it,
+ * and among versions sharing that date, the newest
+ */
+function versionFor(versions, date) {
+  let match = null;
+  for (const v of versions) {
+    if (v.effectiveFrom <= date) match = v;
+    else break;
+  }
+  return match;
+}
+
+function validateVersionRequest(body) {
+  if (!body.effectiveFrom || !DATE_RE.test(body.effectiveFrom)) throw new Error('effectiveFrom must be YYYY-MM-DD');
+  if (!body.params || typeof body.params !== 'object') throw new Error('params is required');
+  if ('nimApy' in body.params) throw new Error('nimApy is set through the nim_apy parameter, not the GDP model');
+}
+
+/**
+ * Add a version effective from `effectiveFrom`. `params` is merged onto the
+ * version currently in effect on that date, so a single rate can be changed
+ * without restating the whole model.
+ */
+async function createVersion({ effectiveFrom, params, note }, createdBy = null) {
+  validateVersionRequest({ effectiveFrom, params });
+  const base = versionFor(await listVersions(), effectiveFrom);
+  const merged = mergeParams(base ? base.params : DEFAULT_PARAMS, params);
+  try {
+    validateParams(merged);
+  } catch (err) {
+    throw new Error(`Invalid params: ${err.message}`);
+  }
+
+  const result = await pool.query(
+    `INSERT INTO gdp_model_versions (effective_from, params, note, created_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id, effective_from::text AS effective_from, params, note, created_by, created_at`,
+    [effectiveFrom, JSON.stringify(merged), note || null, createdBy]
+  );
+  return formatVersion(result.rows[0]);
+}
+
+module.exports = {
+  DEFAULT_PARAMS,
+  validateParams,
+  validateVersionRequest,
+  mergeParams,
+  listVersions,
+  versionFor,
+  createVersion
+};
@@ -0,0 +1,291 @@
+/**
+ * Health registry for every external dependency (see ./sources).
+ *
+ * install(axios) hooks the shared axios instance so each request to a known
+ * host is recorded against its source: success or failure, latency, and the
+ * error. Requests roll up into one row per source per minute in
+ * source_health_minute, flushed every minute; the latest attempt, success
+ * and error of each source go to source_health so they survive restarts.
+ *
+ * getHealth() serves /api/health and the Fuse Box: the current state, 1h and
+ * 24h success rates and latency percentiles, 24h uptime, and a 24h timeline
+ * of half-hour slots per source.
+ */
+
+const cron = require('node-cron');
+const pool = require('../db/pool');
+const { SOURCES, sourceForUrl } = require('./sources');
+
+const FLUSH_MS = 60 * 1000;
+const MAX_LATENCY_SAMPLES = 50;   // per source per minute (reservoir-sampled beyond that)
+const SLOT_MINUTES = 30;          // timeline resolution
+const RETENTION_DAYS = 30;
+
+// source id -> { lastAttempt, lastSuccess, lastError, lastErrorAt, ok }
+const state = new Map();
+// `${source}|${minuteMs}` -> { source, minute, attempts, successes, latencies }
+const buckets = new Map();
+// sources whose state changed since the last flush
+const dirty = new Set();
+
+let installed = false;
+
+// Errors some APIs report in a 200 body: JSON-RPC, GraphQL, Kraken's error array
+function bodyError(data) {
+  if (!data || typeof data !== 'object') return null;
+  if (Array.isArray(data.errors) && data.errors.length) return data.errors[0]?.message || 'GraphQL error';
+  const { error } = data;
+  if (!error) return null;
+  if (typeof error === 'string') return error;
+  if (Array.isArray(error)) return error.length ? error.join('; ') : null;
+  return error.message || JSON.stringify(error);
+}
+
+/**
+ * Record one request against a source
+ * @param {string} sourceId
+ * @param {{ ok: boolean, latencyMs: number, error?: string }} result
+ */
+function record(sourceId, { ok, latencyMs, error = null }) {
+  const now = new Date();
+  const s = state.get(sourceId) || { lastAttempt: null, lastSuccess: null, lastError: null, lastErrorAt: null, ok: null };
+  s.lastAttempt = now;
+  s.ok = ok;
+  if (ok) {
+    s.lastSuccess = now;
+  } else {
+    s.lastError = error;
+    s.lastErrorAt = now;
+  }
+  state.set(sourceId, s);
+  dirty.add(sourceId);
+
+  const minute = Math.floor(now.getTime() / 60000) * 60000;
+  const key = `${sourceId}|${minute}`;
+  const b = buckets.get(key) || { source: sourceId, minute: new Date(minute), attempts: 0, successes: 0, latencies: [] };
+  b.attempts++;
+  if (ok) b.successes++;
+  if (b.latencies.length < MAX_LATENCY_SAMPLES) {
+    b.latencies.push(latencyMs);
+  } else {
+    const i = Math.floor(Math.random() * b.attempts);
+    if (i < MAX_LATENCY_SAMPLES) b.latencies[i] = latencyMs;
+  }
+  buckets.set(key, b);
+}
+
+function observe(config, err, response) {
+  if (!config?.healthStartedAt) return;
+  const source = sourceForUrl(config.url, config.baseURL);
+  if (!source) return;
+  const error = err ? err.message : bodyError(response?.data);
+  record(source.id, { ok: !error, latencyMs: Date.now() - config.healthStartedAt, error });
+}
+
+/**
+ * Start recording requests made through `axios`. Idempotent.
+ */
+function install(axios) {
+  if (installed) return;
+  installed = true;
+  axios.interceptors.request.use(config => {
+    config.healthStartedAt = Date.now();
+    return config;
+  });
+  axios.interceptors.response.use(
+    response => {
+      observe(response.config, null, response);
+      return response;
+    },
+    err => {
+      observe(err.config, err, err.response);
+      return Promise.reject(err);
+    }
+  );
+}
+
+/**
+ * Write pending minute buckets and changed source states. Buckets merge into
+ * any row already written for the same minute.
+ */
+async function flush() {
+  const pending = [...buckets.values()];
+  buckets.clear();
+  const changed = [...dirty];
+  dirty.clear();
+
+  for (const b of pending) {
+    await pool.query(
+      `INSERT INTO source_health_minute (minute, source, attempts, successes, latencies)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (minute, source) DO UPDATE SET
+         attempts = source_health_minute.attempts + EXCLUDED.attempts,
+         successes = source_health_minute.successes + EXCLUDED.successes,
+         latencies = (source_health_minute.latencies || EXCLUDED.latencies)[1:${MAX_LATENCY_SAMPLES}]`,
+      [b.minute, b.source, b.attempts, b.successes, b.latencies]
+    );
+  }
+
+  for (const id of changed) {
+    const s = state.get(id);
+    await pool.query(
+      `INSERT INTO source_health (source, ok, last_attempt, last_success, last_error, last_error_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       ON CONFLICT (source) DO UPDATE SET
+         ok = EXCLUDED.ok, last_attempt = EXCLUDED.last_attempt, last_success = EXCLUDED.last_success,
+         last_error = EXCLUDED.last_error, last_error_at = EXCLUDED.last_error_at, updated_at = NOW()`,
+      [id, s.ok, s.lastAttempt, s.lastSuccess, s.lastError, s.lastErrorAt]
+    );
+  }
+}
+
+async function pruneMinutes() {
+  const result = await pool.query(
+    'DELETE FROM source_health_minute WHERE minute < NOW() - make_interval(days => $1)',
+    [RETENTION_DAYS]
+  );
+  if (result.rowCount > 0) console.log(`[Health] Pruned ${result.rowCount} minute rows`);
+}
+
+/**
+ * The last known state of one source, from memory (this process) or null.
+ */
+function getState(sourceId) {
+  return state.get(sourceId) || null;
+}
+
+const num = v => (v === null || v === undefined ? null : parseFloat(v));
+
+function slotStatus(attempts, successes) {
+  if (!attempts) return 'idle';
+  if (successes === attempts) return 'ok';
+  return successes === 0 ? 'down' : 'degraded';
+}
+
+// Rolling stats for one window from a row of the stats query
+function windowStats(row, suffix) {
+  const attempts = row?.[`attempts_${suffix}`] || 0;
+  return {
+    attempts,
+    successRate: attempts ? row[`successes_${suffix}`] / attempts : null,
+    latencyMs: {
+      p50: num(row?.[`p_${suffix}`]?.[0]),
+      p95: num(row?.[`p_${suffix}`]?.[1]),
+      p99: num(row?.[`p_${suffix}`]?.[2])
+    }
+  };
+}
+
+/**
+ * Health of every source. Flushes first so the numbers include the current
+ * minute. Without a database, only this process's last-attempt state is
+ * returned and the rolling stats are null.
+ */
+async function getHealth() {
+  const now = Date.now();
+  const slotMs = SLOT_MINUTES * 60000;
+  const firstSlot = Math.floor(now / slotMs) * slotMs - (24 * 60 / SLOT_MINUTES - 1) * slotMs;
+
+  let saved = new Map();
+  let stats = new Map();
+  let slots = new Map();
+  let historyAvailable = true;
+
+  try {
+    await flush();
+    const [savedResult, statsResult, percentileResult, slotResult] = await Promise.all([
+      pool.query('SELECT * FROM source_health'),
+      pool.query(
+        `SELECT source,
+                SUM(attempts) FILTER (WHERE minute >= NOW() - interval '1 hour')::int AS attempts_1h,
+                SUM(successes) FILTER (WHERE minute >= NOW() - interval '1 hour')::int AS successes_1h,
+                SUM(attempts)::int AS attempts_24h,
+                SUM(successes)::int AS successes_24h,
+                COUNT(*) FILTER (WHERE successes > 0)::float / NULLIF(COUNT(*), 0) AS uptime_24h
+         FROM source_health_minute
+         WHERE minute >= NOW() - interval '24 hours'
+         GROUP BY source`
+      ),
+      pool.query(
+        `SELECT source,
+                percentile_cont(ARRAY[0.5, 0.95, 0.99]) WITHIN GROUP (ORDER BY l)
+                  FILTER (WHERE minute >= NOW() - interval '1 hour') AS p_1h,
+                percentile_cont(ARRAY[0.5, 0.95, 0.99]) WITHIN GROUP (ORDER BY l) AS p_24h
+         FROM source_health_minute, unnest(latencies) AS l
+         WHERE minute >= NOW() - interval '24 hours'
+         GROUP BY source`
+      ),
+      pool.query(
+        `SELECT source,
+                (FLOOR(EXTRACT(EPOCH FROM minute) / $2) * $2 * 1000)::float AS slot,
+                SUM(attempts)::int AS attempts, SUM(successes)::int AS successes
+         FROM source_health_minute
+         WHERE minute >= $1
+         GROUP BY 1, 2`,
+        [new Date(firstSlot), SLOT_MINUTES * 60]
+      )
+    ]);
+
+    saved = new Map(savedResult.rows.map(r => [r.source, r]));
+    const percentiles = new Map(percentileResult.rows.map(r => [r.source, r]));
+    stats = new Map(statsResult.rows.map(r => [r.source, { ...r, ...percentiles.get(r.source) }]));
+    for (const r of slotResult.rows) {
+      if (!slots.has(r.source)) slots.set(r.source, new Map());
+      slots.get(r.source).set(r.slot, r);
+    }
+  } catch (err) {
+    console.error('[Health] Could not load health history:', err.message);
+    historyAvailable = false;
+  }
+
+  const sources = SOURCES.map(source => {
+    const db = saved.get(source.id);
+    const s = state.get(source.id) || (db && {
+      ok: db.ok,
+      lastAttempt: db.last_attempt,
+      lastSuccess: db.last_success,
+      lastError: db.last_error,
+      lastErrorAt: db.last_error_at
+    }) || { ok: null, lastAttempt: null, lastSuccess: null, lastError: null, lastErrorAt: null };
+    const row = stats.get(source.id);
+    const bySlot = slots.get(source.id) || new Map();
+
+    return {
+      id: source.id,
+      label: source.label,
+      group: source.group,
+      host: source.host,
+      usedBy: source.usedBy,
+      ok: s.ok,
+      lastAttempt: s.lastAttempt,
+      lastSuccess: s.lastSuccess,
+      lastError: s.lastError,
+      lastErrorAt: s.lastErrorAt,
+      windows: historyAvailable ? { '1h': windowStats(row, '1h'), '24h': windowStats(row, '24h') } : null,
+      uptime24h: historyAvailable ? num(row?.uptime_24h) : null,
+      timeline: historyAvailable
+        ? Array.from({ length: 24 * 60 / SLOT_MINUTES }, (_, i) => {
+          const start = firstSlot + i * slotMs;
+          const slot = bySlot.get(start);
+          const attempts = slot?.attempts || 0;
+          const successes = slot?.successes || 0;
+          return { start: new Date(start).toISOString(), attempts, successes, status: slotStatus(attempts, successes) };
+        })
+        : null
+    };
+  });
+
+  return { timestamp: new Date(now).toISOString(), slotMinutes: SLOT_MINUTES, sources };
+}
+
+function startScheduler() {
+  setInterval(() => {
+    flush().catch(err => console.error('[Health] Flush failed:', err.message));
+  }, FLUSH_MS).unref();
+  cron.schedule('50 0 * * *', () => {
+    pruneMinutes().catch(err => console.error('[Health] Prune failed:', err.message));
+  }, { timezone: 'UTC' });
+  console.log(`[Health] Tracking ${SOURCES.length} sources`);
+}
+
+module.exports = { install, record, getState, getHealth, startScheduler };
@@ -0,0 +1,77 @@
+/**
+ * Catalog of external dependencies tracked by the health registry.
+ *
+ * A source is matched by request host. CEX venues come from the exchange
+ * registry (adapter.apiHost); RPC endpoints from the service modules that
+ * call them, one source per host since several services share an endpoint
+ * (eth.drpc.org serves both USDG supply and Aave v4).
+ *
+ *   { id, label, group: 'cex' | 'defi' | 'rpc', host, usedBy: [] }
+ */
+
+const exchanges = require('../exchanges');
+const { CHAINS } = require('../services/usdgSupply');
+const { RPC_URLS: AAVE_V4_RPC_URLS } = require('../services/aaveV4');
+const { RPC_URL: PAXG_RPC_URL } = require('../services/paxg');
+const { RPC_URL: CURVE_RPC_URL } = require('../services/curve');
+const { RPC_URL: ORCA_RPC_URL } = require('../services/orca');
+const { RPC_URL: UNISWAP_HOOD_RPC_URL } = require('../services/uniswapHood');
+
+const API_SOURCES = [
+  { id: 'orca',          label: 'Orca API',          host: 'api.orca.so',           usedBy: ['Orca pools'] },
+  { id: 'kamino',        label: 'Kamino API',        host: 'api.kamino.finance',    usedBy: ['Kamino vaults', 'Kamino lending'] },
+  { id: 'curve',         label: 'Curve prices API',  host: 'prices.curve.finance',  usedBy: ['Curve pools'] },
+  { id: 'geckoterminal', label: 'GeckoTerminal',     host: 'api.geckoterminal.com', usedBy: ['Uniswap (Robinhood Chain) pools'] },
+  { id: 'aave_graphql',  label: 'Aave GraphQL',      host: 'api.v3.aave.com',       usedBy: ['Aave lending'] },
+  { id: 'merkl',         label: 'Merkl API',         host: 'api.merkl.xyz',         usedBy: ['Merkl incentives'] }
+];
+
+const hostOf = url => new URL(url).host;
+const capitalize = s => s.charAt(0).toUpperCase() + s.slice(1);
+
+function buildSources() {
+  const sources = [];
+
+  for (const adapter of exchanges.listAdapters()) {
+    if (!adapter.apiHost) continue;
+    sources.push({ id: `cex:${adapter.id}`, label: `${adapter.name} REST`, group: 'cex', host: adapter.apiHost, usedBy: [adapter.name] });
+  }
+
+  for (const source of API_SOURCES) sources.push({ ...source, group: 'defi' });
+
+  const rpcs = new Map();
+  const addRpc = (url, chain, user) => {
+    const host = hostOf(url);
+    if (!rpcs.has(host)) {
+      rpcs.set(host, { id: `rpc:${host}`, label: `${capitalize(chain)} RPC (${host})`, group: 'rpc', host, usedBy: [] });
+    }
+    const rpc = rpcs.get(host);
+    if (!rpc.usedBy.includes(user)) rpc.usedBy.push(user);
+  };
+  for (const chain of CHAINS) addRpc(chain.rpc, chain.name, 'USDG supply');
+  for (const url of AAVE_V4_RPC_URLS) addRpc(url, 'ethereum', 'Aave v4');
+  addRpc(PAXG_RPC_URL, 'ethereum', 'PAXG supply');
+  addRpc(CURVE_RPC_URL, 'ethereum', 'Curve pool depth');
+  addRpc(ORCA_RPC_URL, 'solana', 'Orca pool depth');
+  addRpc(UNISWAP_HOOD_RPC_URL, 'robinhood', 'Uniswap pool depth');
+  sources.push(...rpcs.values());
+
+  return sources;
+}
+
+const SOURCES = buildSources();
+const byHost = new Map(SOURCES.map(s => [s.host, s]));
+
+/**
+ * The source a request URL belongs to, or null for hosts we don't track
+ * (alert webhooks, for one).
+ */
+function sourceForUrl(url, baseURL) {
+  try {
+    return byHost.get(new URL(url, baseURL).host) || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+module.exports = { SOURCES, sourceForUrl };
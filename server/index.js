@@ -1,25 +1,61 @@
 const express = require('express');
 const cors = require('cors');
+const axios = require('axios');
+const health = require('./health');
 const apiRoutes = require('./routes/api');
 const metricsRoutes = require('./routes/metrics');
 const depthRoutes = require('./routes/depth');
 const defiRoutes = require('./routes/defi');
+const adminRoutes = require('./routes/admin');
+const tradesRoutes = require('./routes/trades');
+const streamRoutes = require('./routes/stream');
+const seriesRoutes = require('./routes/series');
+const reportsRoutes = require('./routes/reports');
+const gdpRoutes = require('./routes/gdp');
+const authRoutes = require('./routes/auth');
+const healthRoutes = require('./routes/health');
+const pegRoutes = require('./routes/peg');
+const { authenticate, requireArea } = require('./auth/middleware');
 const { startScheduler } = require('./jobs/dailyMetricsLogger');
 const { startScheduler: startHourlySnapshots } = require('./jobs/hourlySnapshot');
+const { startScheduler: startBackfillResumer } = require('./backfill');
+const { startScheduler: startTradesCollector } = require('./trades');
+const { startScheduler: startReports } = require('./reports');
+const depthStream = require('./depthStream');
 const { setupDatabase } = require('./db/schema');
+const { migrateLegacyBands, migrateBookReach } = require('./depthLevels');
+
+// Record every outbound API/RPC call against its source before anything makes one
+health.install(axios);
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 
+// Browsers reach the API same-origin (Vite proxy, Vercel rewrite); other
+// origins must be listed in CORS_ORIGINS (comma-separated)
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+
 // Middleware
-app.use(cors());
+app.use(cors({ origin: corsOrigins.length ? corsOrigins : false, credentials: true }));
 app.use(express.json());
+app.use(authenticate);
 
-// Routes
+// Routes — sign-in is open; everything else needs at least the data role,
+// and DeFi, GDP and admin their own (see auth/middleware)
+app.use('/api/auth', authRoutes);
+app.use('/api', requireArea('data'));
 app.use('/api', apiRoutes);
 app.use('/api/metrics', metricsRoutes);
 app.use('/api/depth', depthRoutes);
-app.use('/api/defi', defiRoutes);
+app.use('/api/defi', requireArea('defi'), defiRoutes);
+app.use('/api/admin', requireArea('admin'), adminRoutes);
+app.use('/api/trades', tradesRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/reports', reportsRoutes);
+app.use('/api/gdp', requireArea('gdp'), gdpRoutes);
+app.use('/api/peg', pegRoutes);
+app.use('/api/health', healthRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -30,6 +66,10 @@ async function start() {
   // Initialize database schema (non-fatal — CEX endpoints work without DB)
   try {
     await setupDatabase();
+    // Depth bands written before depth_levels existed
+    await migrateLegacyBands().catch(err => console.error('[DepthLevels] Legacy band migration failed:', err.message));
+    // Book reach of snapshots stored before it was recorded
+    await migrateBookReach().catch(err => console.error('[DepthLevels] Book reach migration failed:', err.message));
   } catch (err) {
     console.error('[DB] Database unavailable, DeFi snapshots disabled:', err.message);
   }
@@ -42,11 +82,33 @@ async function start() {
     console.log(`  GET /api/aggregated`);
     console.log(`  GET /api/metrics/weekly`);
 
+    // Persist source health every minute
+    health.startScheduler();
+
     // Start the daily metrics scheduler (CEX)
     startScheduler();
 
+    // Weekly/monthly summary reports, once the metrics job has logged the period
+    startReports();
+
     // Start hourly DeFi snapshot scheduler
     startHourlySnapshots();
+
+    // Resume backfill jobs interrupted by a restart
+    startBackfillResumer();
+
+    // Collect public trades for USDG pairs
+    startTradesCollector();
+
+    // Live orderbooks over WebSocket (DEPTH_STREAM=false to poll REST only);
+    // DEPTH_STREAM_REPLAY=<file> serves a recording instead of connecting
+    if (process.env.DEPTH_STREAM_REPLAY) {
+      depthStream.replay(process.env.DEPTH_STREAM_REPLAY, { speed: 1 })
+        .catch(err => console.error('[DepthStream] Replay failed:', err.message));
+    } else if (process.env.DEPTH_STREAM !== 'false') {
+      depthStream.start({ recordFile: process.env.DEPTH_STREAM_RECORD })
+        .catch(err => console.error('[DepthStream] Failed to start:', err.message));
+    }
   });
 }
 
@@ -1,37 +1,23 @@
 /**
  * Daily metrics logger job
- * Runs at 11:59 PM UTC daily to log weekly trending metrics
+ * Runs at 00:05 UTC daily and logs metrics as of the UTC day that just closed
  */
 
 const cron = require('node-cron');
 const fs = require('fs');
 const path = require('path');
 const pool = require('../db/pool');
+const runs = require('./runs');
 
-// Import exchange services
-const krakenService = require('../services/kraken');
-const bullishService = require('../services/bullish');
-const gateService = require('../services/gate');
-const kucoinService = require('../services/kucoin');
-const bitmartService = require('../services/bitmart');
-const okxService = require('../services/okx');
+// Exchange adapter registry
+const exchanges = require('../exchanges');
+
+// All exchanges reporting USDG volume
+const EXCHANGES = exchanges.listExchangeIds('volume');
 
 // Import metrics calculator
 const { calculateAllMetrics } = require('../utils/metricsCalculator');
 
-// All supported exchanges
-const EXCHANGES = ['kraken', 'bullish', 'gate', 'kucoin', 'bitmart', 'okx'];
-
-// Service map
-const services = {
-  kraken: krakenService,
-  bullish: bullishService,
-  gate: gateService,
-  kucoin: kucoinService,
-  bitmart: bitmartService,
-  okx: okxService
-};
-
 // Log file path
 const LOG_FILE = path.join(__dirname, '../logs/weekly-metrics.jsonl');
 
@@ -43,7 +29,7 @@ async function fetchAggregatedData() {
   // Fetch from all exchanges in parallel
   const results = await Promise.all(
     EXCHANGES.map(exchangeName =>
-      services[exchangeName].getAggregatedVolume().catch(err => {
+      exchanges.getAdapter(exchangeName).service.getAggregatedVolume().catch(err => {
         console.error(`[MetricsLogger] ${exchangeName} error:`, err.message);
         return { exchange: exchangeName, pairs: [], dailyVolume: [] };
       })
@@ -83,10 +69,12 @@ async function fetchAggregatedData() {
 
 /**
  * Append metrics to Postgres and local JSONL file (file is a backup/fallback)
+ * Entries are stamped at 23:59 UTC on the metrics' asOf date, so a re-run or a
+ * backfill for the same date replaces the row rather than adding one.
  */
 async function appendToLog(metrics) {
-  const now = new Date();
-  const logEntry = { timestamp: now.toISOString(), metrics };
+  const loggedAt = new Date(`${metrics.asOf}T23:59:00Z`);
+  const logEntry = { timestamp: loggedAt.toISOString(), metrics };
 
   // Write to Postgres (primary — survives redeploys)
   try {
@@ -95,7 +83,7 @@ async function appendToLog(metrics) {
        VALUES ($1, $2)
        ON CONFLICT (DATE(logged_at AT TIME ZONE 'UTC'))
        DO UPDATE SET metrics = EXCLUDED.metrics, logged_at = EXCLUDED.logged_at`,
-      [now, JSON.stringify(metrics)]
+      [loggedAt, JSON.stringify(metrics)]
     );
   } catch (err) {
     console.error('[MetricsLogger] Failed to write to Postgres:', err.message);
@@ -115,47 +103,59 @@ async function appendToLog(metrics) {
 }
 
 /**
- * Run the metrics logging job
+ * Run the metrics logging job. Each run is recorded in job_runs; failures are
+ * logged there rather than thrown.
+ * @param {{ trigger?: 'schedule'|'manual', triggeredBy?: string }} options
+ * @returns {Promise<{ runId, status, error? }>}
  */
-async function runMetricsJob() {
-  console.log('[MetricsLogger] Starting daily metrics collection...');
+async function runMetricsJob({ trigger = 'schedule', triggeredBy = null } = {}) {
+  console.log(`[MetricsLogger] Starting daily metrics collection (${trigger})...`);
+  const runId = await runs.startRun('metrics', { trigger, triggeredBy });
 
   try {
     // Fetch fresh data from all exchanges
     const aggregatedData = await fetchAggregatedData();
 
-    // Calculate metrics
+    // Calculate metrics as of yesterday (the last complete UTC day)
     const metrics = calculateAllMetrics(aggregatedData);
 
     // Log to Postgres + file
     await appendToLog(metrics);
 
     console.log('[MetricsLogger] Metrics collection complete:', {
+      asOf: metrics.asOf,
       volume7Day: `$${(metrics.volume7Day / 1e6).toFixed(2)}M`,
+      coverage7Day: `${metrics.coverage.volume7Day.present}/${metrics.coverage.volume7Day.expected} days`,
       activeExchanges: metrics.activeExchanges,
       totalPairs: metrics.totalPairs,
       thresholds: metrics.exchangeThresholds
     });
+    await runs.finishRun(runId, { result: { asOf: metrics.asOf, volume7Day: metrics.volume7Day } });
+    return { runId, status: 'complete' };
   } catch (err) {
     console.error('[MetricsLogger] Error collecting metrics:', err);
+    await runs.finishRun(runId, { error: err.message });
+    return { runId, status: 'failed', error: err.message };
   }
 }
 
 /**
  * Start the scheduled job
- * @param {string} schedule - Cron schedule expression (default: 11:59 PM UTC daily)
+ * @param {string} schedule - Cron schedule expression (default: 00:05 UTC daily)
  */
-function startScheduler(schedule = '59 23 * * *') {
+function startScheduler(schedule = '5 0 * * *') {
   console.log(`[MetricsLogger] Scheduling daily metrics job: ${schedule} UTC`);
 
-  cron.schedule(schedule, runMetricsJob, {
+  cron.schedule(schedule, () => runMetricsJob(), {
     timezone: 'UTC'
   });
 
-  console.log('[MetricsLogger] Scheduler started. Next run at 23:59 UTC');
+  console.log('[MetricsLogger] Scheduler started. Next run at 00:05 UTC');
 }
 
 module.exports = {
   startScheduler,
-  runMetricsJob // Export for manual testing
+  runMetricsJob,
+  fetchAggregatedData,
+  appendToLog
 };
@@ -9,37 +9,99 @@ const paxgService   = require('../services/paxg');
 const aaveV4Service = require('../services/aaveV4');
 const merklService  = require('../services/merkl');
 const { fetchUsdgDepth } = require('../services/depthFetcher');
+const { fetchDexDepth } = require('../dexDepth');
 const binanceService = require('../services/binance');
+const exchanges = require('../exchanges');
 const { getAllChainSupply } = require('../services/usdgSupply');
-const { calculateDepthMetrics } = require('../utils/depthCalculator');
+const { calculateDepthMetrics, truncateBook, bookReachBps } = require('../utils/depthCalculator');
+const depthLevels = require('../depthLevels');
+const { upsertPairDaily } = require('../db/queries');
+const { repairGaps } = require('../backfill/gaps');
+const { evaluateAlerts } = require('../alerts');
+const eventBus = require('../utils/eventBus');
+const { createTracker, insertSources, recordSources } = require('./snapshotSources');
 
-async function runSnapshot() {
-  const isDailyRun = new Date().getUTCHours() === 0;
-  const snapshotType = isDailyRun ? 'daily' : 'hourly';
-  console.log(`[Snapshot] Starting ${snapshotType} snapshot...`);
+const SNAPSHOT_TYPES = ['hourly', 'daily'];
 
+let running = false;
+
+function isRunning() {
+  return running;
+}
+
+/**
+ * Take a snapshot. The midnight UTC run is the daily one (volumes, supply,
+ * Aave history); `type` forces either kind. One run at a time: while one is
+ * in progress, further calls return null without starting.
+ * @param {{ type?: string, trigger?: 'schedule'|'manual', triggeredBy?: string }} options
+ * @returns {Promise<{ id, type, status }|null>}
+ */
+async function runSnapshot({ type, trigger = 'schedule', triggeredBy = null } = {}) {
+  if (running) {
+    console.warn('[Snapshot] A snapshot is already running — not starting another');
+    return null;
+  }
+  running = true;
+  try {
+    return await takeSnapshot(type || (new Date().getUTCHours() === 0 ? 'daily' : 'hourly'), trigger, triggeredBy);
+  } finally {
+    running = false;
+  }
+}
+
+async function insertDepthRow(snappedAt, row, venueType) {
+  const { bidReachBps, askReachBps } = bookReachBps(row.book.bids, row.book.asks);
+  const { rows: [inserted] } = await pool.query(
+    `INSERT INTO depth_snapshots
+       (snapped_at, exchange, pair, pair_type, mid_price, best_bid, best_ask,
+        spread_bps, bps_levels, bids, asks, venue_type, bid_reach_bps, ask_reach_bps)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
+     RETURNING id`,
+    [
+      snappedAt, row.exchange, row.pair, row.pairType,
+      row.midPrice, row.bestBid, row.bestAsk, row.spreadBps,
+      row.bpsLevels, JSON.stringify(row.book.bids), JSON.stringify(row.book.asks), venueType,
+      bidReachBps, askReachBps
+    ]
+  );
+  // Standard bands from the stored book, as far as it reaches; the pair's own
+  // levels from the full book
+  const standard = calculateDepthMetrics(row.book.bids, row.book.asks, depthLevels.STANDARD_BPS);
+  await depthLevels.writeLevels(
+    inserted.id,
+    { ...depthLevels.withinReach(standard.bidDepth, bidReachBps), ...row.bidDepth },
+    { ...depthLevels.withinReach(standard.askDepth, askReachBps), ...row.askDepth }
+  );
+}
+
+async function takeSnapshot(snapshotType, trigger, triggeredBy) {
+  const isDailyRun = snapshotType === 'daily';
+  console.log(`[Snapshot] Starting ${snapshotType} snapshot (${trigger})...`);
+
+  // Created outside the transaction so a failed run keeps its row and error
+  const snapResult = await pool.query(
+    `INSERT INTO snapshots (taken_at, snapshot_type, status, trigger, triggered_by)
+     VALUES (NOW(), $1, 'in_progress', $2, $3) RETURNING id`,
+    [snapshotType, trigger, triggeredBy]
+  );
+  const snapshotId = snapResult.rows[0].id;
+
+  const sources = createTracker();
   const client = await pool.connect();
-  let snapshotId;
+  // Past COMMIT the DeFi rows are stored and readable; later errors must not undo that
+  let committed = false;
 
   try {
     await client.query('BEGIN');
 
-    // Create snapshot record
-    const snapResult = await client.query(
-      `INSERT INTO snapshots (taken_at, snapshot_type, status)
-       VALUES (NOW(), $1, 'in_progress') RETURNING id`,
-      [snapshotType]
-    );
-    snapshotId = snapResult.rows[0].id;
-
     // Fetch all DeFi data in parallel
     const [orcaPools, curvePools, hoodPools, vaults, kaminoLending, aaveLending] = await Promise.all([
-      orcaService.getAllPools().catch(err => { console.error('[Snapshot] Orca error:', err.message); return []; }),
-      curveService.getAllPools().catch(err => { console.error('[Snapshot] Curve error:', err.message); return []; }),
-      uniswapHoodService.getAllPools().catch(err => { console.error('[Snapshot] UniswapHood error:', err.message); return []; }),
-      kaminoService.getAllVaults().catch(err => { console.error('[Snapshot] Kamino vaults error:', err.message); return []; }),
-      kaminoService.getLendingData(),
-      aaveService.getLendingData()
+      sources.track('orca', () => orcaService.getAllPools()),
+      sources.track('curve', () => curveService.getAllPools()),
+      sources.track('uniswap_hood', () => uniswapHoodService.getAllPools()),
+      sources.track('kamino_vaults', () => kaminoService.getAllVaults()),
+      sources.track('kamino_lending', () => kaminoService.getLendingData(), { fallback: null }),
+      sources.track('aave_lending', () => aaveService.getLendingData(), { fallback: null })
     ]);
 
     const allPools = [...orcaPools, ...curvePools, ...hoodPools];
@@ -109,19 +171,27 @@ async function runSnapshot() {
     }
     console.log(`[Snapshot] Inserted ${lendingReserves.length} lending snapshots`);
 
-    // Mark complete
+    // Mark readable: partial when any DeFi source failed or came back empty.
+    // The daily and depth steps below can still downgrade it to partial.
+    const defiStatus = sources.status();
     await client.query(
-      `UPDATE snapshots SET status = 'complete' WHERE id = $1`,
-      [snapshotId]
+      `UPDATE snapshots SET status = $2 WHERE id = $1`,
+      [snapshotId, defiStatus]
     );
+    // Source outcomes commit with the rows they describe, so db/queries.js
+    // never sees a readable snapshot without them
+    await insertSources(client, snapshotId, sources.outcomes);
 
     await client.query('COMMIT');
-    console.log(`[Snapshot] ${snapshotType} snapshot #${snapshotId} complete`);
+    committed = true;
+    console.log(`[Snapshot] ${snapshotType} snapshot #${snapshotId} ${defiStatus}`);
+    eventBus.publish('snapshot', { id: snapshotId, type: snapshotType, status: defiStatus, takenAt: new Date().toISOString() });
 
     // On daily runs, append today's PAXG supply to history
     if (isDailyRun) {
-      try {
-        const today = new Date().toISOString().split('T')[0];
+      const today = new Date().toISOString().split('T')[0];
+
+      await sources.track('paxg_supply', async () => {
         const { blockNumber: refBlock, timestamp: refTs } = await paxgService.getCurrentBlockInfo();
         const { supply, blockNumber } = await paxgService.getSupplyForDate(today, refBlock, refTs);
         await pool.query(
@@ -131,28 +201,25 @@ async function runSnapshot() {
           [today, supply, blockNumber]
         );
         console.log(`[Snapshot] PAXG supply logged: ${supply.toFixed(2)} tokens (block ${blockNumber})`);
-      } catch (err) {
-        console.error('[Snapshot] Failed to log PAXG supply:', err.message);
-      }
+        eventBus.publish('supply', { asset: 'PAXG', date: today });
+        return 1;
+      }, { fallback: 0 });
+
+      // Merkl daily incentive rewards for both hubs; the Aave rows are still
+      // written without them if Merkl is down
+      const merklData = await sources.track('merkl', () => merklService.getUsdgDailyRewards(), { fallback: null });
 
       // Log today's USDG Aave v4 borrow data
-      try {
-        const today = new Date().toISOString().split('T')[0];
+      let blockNum = null;
+      await sources.track('aave_v4', async () => {
         const { blockNumber: refBlock, timestamp: refTs } = await aaveV4Service.getCurrentBlockInfo();
-        const blockNum = aaveV4Service.estimateBlockForDate(today, refBlock, refTs);
+        blockNum = aaveV4Service.estimateBlockForDate(today, refBlock, refTs);
         const aaveData = await aaveV4Service.getUsdgReserveDataAtBlock(blockNum);
-        // Also fetch Merkl daily incentive rewards
-      let merklRewards = null, merklHubApr = null, merklHubTvl = null;
-      try {
-        const merklData = await merklService.getUsdgDailyRewards();
-        merklRewards = merklData.totalDailyRewards;
-        merklHubApr  = merklData.hubApr;   // configured target APR (e.g. 6.2) — queried live
-        merklHubTvl  = merklData.hubTvl;   // Merkl Hub eligible TVL at snapshot time
-      } catch (err) {
-        console.error('[Snapshot] Merkl fetch failed:', err.message);
-      }
+        const merklRewards = merklData?.totalDailyRewards ?? null;
+        const merklHubApr  = merklData?.hubApr ?? null;   // configured target APR (e.g. 6.2) — queried live
+        const merklHubTvl  = merklData?.hubTvl ?? null;   // Merkl Hub eligible TVL at snapshot time
 
-      await pool.query(
+        await pool.query(
           `INSERT INTO aave_usdg_history
              (snapshot_date, total_debt, borrow_apy, daily_interest, block_number, spoke_breakdown,
               merkl_daily_rewards, total_supply, supply_apy, merkl_hub_apr, merkl_hub_tvl)
@@ -167,16 +234,14 @@ async function runSnapshot() {
            aaveData.dailyInterestCost, blockNum, JSON.stringify(aaveData.spokeBreakdown),
            merklRewards, aaveData.totalSupply, aaveData.supplyApy, merklHubApr, merklHubTvl]
         );
-        console.log(`[Snapshot] Aave v4 USDG logged: $${(aaveData.totalVariableDebt / 1e6).toFixed(2)}M @ ${aaveData.variableBorrowApy.toFixed(2)}% APY, Hub APR: ${merklHubApr?.toFixed(2) || 'n/a'}%, Hub TVL: $${(merklHubTvl / 1e6)?.toFixed(2) || 'n/a'}M`);
-      } catch (err) {
-        console.error('[Snapshot] Failed to log Aave v4 USDG:', err.message);
-      }
+        console.log(`[Snapshot] Aave v4 USDG logged: $${(aaveData.totalVariableDebt / 1e6).toFixed(2)}M @ ${aaveData.variableBorrowApy.toFixed(2)}% APY, Hub APR: ${merklHubApr?.toFixed(2) || 'n/a'}%, Hub TVL: $${merklHubTvl != null ? (merklHubTvl / 1e6).toFixed(2) : 'n/a'}M`);
+        return 1;
+      }, { fallback: 0 });
 
-      // Paxos Hub daily snapshot
-      try {
-        const today2 = new Date().toISOString().split('T')[0];
+      // Paxos Hub daily snapshot, at the same block as the Core Hub
+      await sources.track('aave_v4_paxos', async () => {
+        if (blockNum == null) throw new Error('No Aave v4 block for today');
         const paxosData = await aaveV4Service.getPaxosHubDataAtBlock(blockNum);
-        // paxosMerklRewards comes from the same merklData fetched above for the Core Hub
         const paxosMerkl    = merklData?.paxosDailyRewards ?? null;
         const paxosHubApr   = merklData?.paxosHubApr ?? null;
         const paxosHubTvl   = merklData?.paxosHubTvl ?? null;
@@ -191,19 +256,18 @@ async function runSnapshot() {
              supply_apy=EXCLUDED.supply_apy, block_number=EXCLUDED.block_number,
              merkl_daily_rewards=EXCLUDED.merkl_daily_rewards,
              merkl_hub_apr=EXCLUDED.merkl_hub_apr, merkl_hub_tvl=EXCLUDED.merkl_hub_tvl`,
-          [today2, paxosData.totalVariableDebt, paxosData.variableBorrowApy,
+          [today, paxosData.totalVariableDebt, paxosData.variableBorrowApy,
            paxosData.dailyInterestCost, paxosData.totalSupply, paxosData.organicSupplyApy, blockNum,
            paxosMerkl, paxosHubApr, paxosHubTvl]
         );
         console.log(`[Snapshot] Paxos Hub logged: $${(paxosData.totalVariableDebt / 1e6).toFixed(2)}M @ ${paxosData.variableBorrowApy.toFixed(2)}% APY`);
-      } catch (err) {
-        console.error('[Snapshot] Failed to log Paxos Hub:', err.message);
-      }
+        return 1;
+      }, { fallback: 0 });
     }
 
     // Daily: USDG circulating supply by chain
     if (isDailyRun) {
-      try {
+      await sources.track('usdg_supply', async () => {
         const supplyDate = new Date().toISOString().split('T')[0];
         const chainSupplies = await getAllChainSupply();
         for (const s of chainSupplies) {
@@ -218,36 +282,50 @@ async function runSnapshot() {
           );
         }
         const total = chainSupplies.reduce((s, c) => s + (c.circulating || 0), 0);
-        console.log(`[Snapshot] USDG supply logged: $${(total / 1e6).toFixed(2)}M total across ${chainSupplies.filter(c => c.circulating != null).length} chains`);
-      } catch (err) {
-        console.error('[Snapshot] Failed to log USDG supply:', err.message);
-      }
+        const logged = chainSupplies.filter(c => c.circulating != null).length;
+        console.log(`[Snapshot] USDG supply logged: $${(total / 1e6).toFixed(2)}M total across ${logged} chains`);
+        eventBus.publish('supply', { asset: 'USDG', date: supplyDate });
+        return logged;
+      }, { fallback: 0 });
     }
 
     // Daily: log CEX exchange volumes to Postgres for instant serving
     if (isDailyRun) {
-      const CEX_EXCHANGES = ['kraken','bullish','gate','kucoin','bitmart','okx','bitstamp'];
-      for (const exName of CEX_EXCHANGES) {
-        try {
-          const svc = require(`../services/${exName}`);
-          const result = await svc.getAggregatedVolume();
+      for (const adapter of exchanges.listAdapters('volume')) {
+        const exName = adapter.id;
+        await sources.track(`cex_volume:${exName}`, async () => {
+          const result = await adapter.service.getAggregatedVolume();
           const today2 = new Date().toISOString().split('T')[0];
           const todayVol = result.dailyVolume?.find(d => d.date === today2);
-          if (!todayVol) continue;
+          if (!todayVol) {
+            console.warn(`[Snapshot] No ${today2} volume returned for ${exName} — will show as a gap in /api/health/gaps`);
+            return 0;
+          }
           await pool.query(
             'INSERT INTO cex_daily_volume(snapshot_date,exchange,volume) VALUES($1,$2,$3) ON CONFLICT(snapshot_date,exchange) DO UPDATE SET volume=EXCLUDED.volume',
             [today2, exName, todayVol.volume]
           );
-        } catch (err) {
-          console.error(`[Snapshot] CEX volume log failed for ${exName}:`, err.message);
-        }
+          return 1;
+        }, { fallback: 0 });
       }
       console.log('[Snapshot] CEX daily volumes logged to Postgres');
+
+      // Per-pair candles: upsert the venue's whole returned window so days
+      // missed during outages heal on the next run
+      for (const adapter of exchanges.listAdapters('perPairVolume')) {
+        await sources.track(`cex_pairs:${adapter.id}`, async () => {
+          const { rows } = await adapter.service.getPairDailyStats();
+          const count = await upsertPairDaily(adapter.id, rows);
+          console.log(`[Snapshot] ${adapter.name}: ${count} per-pair daily rows upserted`);
+          return count;
+        }, { fallback: 0 });
+      }
     }
 
-    // Hourly depth snapshot — runs every hour for all runs (not just daily)
-    try {
-      const snappedAt = new Date();
+    // Hourly depth snapshot — runs every hour for all runs (not just daily).
+    // CEX and DEX rows share snapped_at so each hour reads as one snapshot.
+    const snappedAt = new Date();
+    await sources.track('depth', async () => {
       const depthRows = [];
 
       // USDG pairs across all CEX exchanges
@@ -263,7 +341,8 @@ async function runSnapshot() {
           spreadBps: row.spreadBps,
           bpsLevels: row.bpsLevels,
           bidDepth: row.bidDepth,
-          askDepth: row.askDepth
+          askDepth: row.askDepth,
+          book: row.book
         });
       }
 
@@ -283,43 +362,73 @@ async function runSnapshot() {
             spreadBps: metrics.spreadBps,
             bpsLevels: GOLD_BPS,
             bidDepth: metrics.bidDepth,
-            askDepth: metrics.askDepth
+            askDepth: metrics.askDepth,
+            book: truncateBook(ob.bids, ob.asks)
           });
         } catch (err) {
           console.error(`[Snapshot] Binance ${symbol} depth error:`, err.message);
         }
       }
 
-      for (const row of depthRows) {
-        await pool.query(
-          `INSERT INTO depth_snapshots
-             (snapped_at, exchange, pair, pair_type, mid_price, best_bid, best_ask,
-              spread_bps, bps_levels, bid_depth, ask_depth)
-           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)`,
-          [
-            snappedAt, row.exchange, row.pair, row.pairType,
-            row.midPrice, row.bestBid, row.bestAsk, row.spreadBps,
-            row.bpsLevels, JSON.stringify(row.bidDepth), JSON.stringify(row.askDepth)
-          ]
-        );
-      }
+      for (const row of depthRows) await insertDepthRow(snappedAt, row, 'cex');
       console.log(`[Snapshot] Depth snapshot complete: ${depthRows.length} pairs logged`);
-    } catch (err) {
-      console.error('[Snapshot] Depth snapshot failed:', err.message);
+      return depthRows.length;
+    }, { fallback: 0 });
+
+    // Hourly DEX depth from on-chain pool state, into the same table
+    await sources.track('dex_depth', async () => {
+      const dexRows = await fetchDexDepth();
+      for (const row of dexRows) await insertDepthRow(snappedAt, row, 'dex');
+      console.log(`[Snapshot] DEX depth snapshot complete: ${dexRows.length} pools logged`);
+      return dexRows.length;
+    }, { fallback: 0 });
+
+    // Daily: queue re-fetches for missing history (opt-in — archive RPC backfills are slow)
+    if (isDailyRun && process.env.GAP_AUTO_REPAIR === 'true') {
+      try {
+        await repairGaps({ days: 30 });
+      } catch (err) {
+        console.error('[Snapshot] Gap repair failed:', err.message);
+      }
     }
+
+    const status = sources.status();
+    await recordSources(snapshotId, sources.outcomes);
+    await pool.query('UPDATE snapshots SET status = $2, completed_at = NOW() WHERE id = $1', [snapshotId, status]);
+    if (status === 'partial') {
+      const failed = sources.outcomes.filter(o => o.status !== 'ok').map(o => o.source);
+      console.warn(`[Snapshot] #${snapshotId} is partial — no data from: ${failed.join(', ')}`);
+    }
+    return { id: snapshotId, type: snapshotType, status };
   } catch (err) {
-    await client.query('ROLLBACK');
     console.error(`[Snapshot] Failed:`, err.message);
 
-    // Try to mark the snapshot as failed
-    if (snapshotId) {
+    if (committed) {
+      // The DeFi rows are in; keep the snapshot readable and note the error
+      await recordSources(snapshotId, sources.outcomes);
+      const status = sources.status();
       try {
         await pool.query(
-          `UPDATE snapshots SET status = 'failed', error_message = $1 WHERE id = $2`,
-          [err.message, snapshotId]
+          `UPDATE snapshots SET status = $2, error_message = $3, completed_at = NOW() WHERE id = $1`,
+          [snapshotId, status, err.message]
         );
       } catch (_) {}
+      return { id: snapshotId, type: snapshotType, status };
     }
+
+    // Roll back first: the transaction may hold snapshot_sources rows for this snapshot
+    await client.query('ROLLBACK');
+    await recordSources(snapshotId, sources.outcomes);
+
+    // Try to mark the snapshot as failed
+    try {
+      await pool.query(
+        `UPDATE snapshots SET status = 'failed', error_message = $1, completed_at = NOW() WHERE id = $2`,
+        [err.message, snapshotId]
+      );
+    } catch (_) {}
+    eventBus.publish('snapshot', { id: snapshotId, type: snapshotType, status: 'failed', takenAt: new Date().toISOString() });
+    return { id: snapshotId, type: snapshotType, status: 'failed' };
   } finally {
     client.release();
   }
@@ -328,9 +437,12 @@ async function runSnapshot() {
 function startScheduler() {
   // Run at the top of every hour
   cron.schedule('0 * * * *', () => {
-    runSnapshot().catch(err => console.error('[Snapshot] Unhandled error:', err));
+    runSnapshot()
+      .catch(err => console.error('[Snapshot] Unhandled error:', err))
+      .then(() => evaluateAlerts())
+      .catch(err => console.error('[Alerts] Evaluation failed:', err.message));
   }, { timezone: 'UTC' });
   console.log('[Snapshot] Scheduler started. Runs every hour at :00 UTC');
 }
 
-module.exports = { runSnapshot, startScheduler };
+module.exports = { SNAPSHOT_TYPES, runSnapshot, isRunning, startScheduler };
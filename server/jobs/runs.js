@@ -0,0 +1,167 @@
+/**
+ * Run history for the scheduled jobs, for the admin console.
+ *
+ * Snapshot runs are the snapshots table itself; jobs without a table of their
+ * own (the daily metrics job) record each run in job_runs. Recording is
+ * best-effort: a job still runs when the database is unreachable.
+ */
+
+const pool = require('../db/pool');
+
+function formatRun(row) {
+  return {
+    id: row.id,
+    job: row.job,
+    trigger: row.trigger,
+    triggeredBy: row.triggered_by,
+    status: row.status,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    durationMs: row.finished_at ? new Date(row.finished_at) - new Date(row.started_at) : null,
+    error: row.error,
+    result: row.result
+  };
+}
+
+/**
+ * Record the start of a run
+ * @returns {Promise<number|null>} The run id, or null if it couldn't be recorded
+ */
+async function startRun(job, { trigger = 'schedule', triggeredBy = null } = {}) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO job_runs (job, trigger, triggered_by) VALUES ($1, $2, $3) RETURNING id`,
+      [job, trigger, triggeredBy]
+    );
+    return result.rows[0].id;
+  } catch (err) {
+    console.error(`[Jobs] Could not record ${job} run:`, err.message);
+    return null;
+  }
+}
+
+async function finishRun(id, { error = null, result = null } = {}) {
+  if (id == null) return;
+  try {
+    await pool.query(
+      `UPDATE job_runs SET status = $2, error = $3, result = $4, finished_at = NOW() WHERE id = $1`,
+      [id, error ? 'failed' : 'complete', error, result ? JSON.stringify(result) : null]
+    );
+  } catch (err) {
+    console.error(`[Jobs] Could not record the end of run ${id}:`, err.message);
+  }
+}
+
+async function listRuns({ job, limit = 25 } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM job_runs
+     WHERE ($1::text IS NULL OR job = $1)
+     ORDER BY started_at DESC
+     LIMIT $2`,
+    [job || null, limit]
+  );
+  return result.rows.map(formatRun);
+}
+
+/**
+ * Recent snapshot runs with their duration, what each wrote (DEX pools per
+ * venue, vaults, lending reserves per venue) and how each source fared
+ */
+async function listSnapshotRuns({ limit = 25 } = {}) {
+  const result = await pool.query(
+    `SELECT s.id, s.snapshot_type, s.status, s.error_message, s.taken_at, s.completed_at,
+            s.trigger, s.triggered_by,
+            (SELECT COALESCE(json_object_agg(venue, n), '{}') FROM (
+               SELECT venue, COUNT(*)::int AS n FROM dex_pool_snapshots WHERE snapshot_id = s.id GROUP BY venue
+             ) p) AS pools,
+            (SELECT COUNT(*)::int FROM vault_snapshots WHERE snapshot_id = s.id) AS vaults,
+            (SELECT COALESCE(json_object_agg(venue, n), '{}') FROM (
+               SELECT venue, COUNT(*)::int AS n FROM lending_snapshots WHERE snapshot_id = s.id GROUP BY venue
+             ) l) AS lending,
+            (SELECT COALESCE(json_agg(json_build_object(
+                      'source', source, 'status', status, 'latencyMs', latency_ms,
+                      'rowCount', row_count, 'error', error
+                    ) ORDER BY source), '[]')
+             FROM snapshot_sources WHERE snapshot_id = s.id) AS sources
+     FROM snapshots s
+     ORDER BY s.taken_at DESC
+     LIMIT $1`,
+    [limit]
+  );
+  return result.rows.map(row => ({
+    id: row.id,
+    type: row.snapshot_type,
+    status: row.status,
+    error: row.error_message,
+    trigger: row.trigger,
+    triggeredBy: row.triggered_by,
+    startedAt: row.taken_at,
+    finishedAt: row.completed_at,
+    durationMs: row.completed_at ? new Date(row.completed_at) - new Date(row.taken_at) : null,
+    rows: { pools: row.pools, vaults: row.vaults, lending: row.lending },
+    sources: row.sources
+  }));
+}
+
+/**
+ * The latest run and the latest failure of each job: snapshots and each of
+ * their sources, the metrics job, and each backfill source
+ */
+async function lastRunsBySource() {
+  const [snapshots, snapshotSources, jobs, backfills] = await Promise.all([
+    pool.query(
+      `SELECT 'snapshot' AS source,
+              (SELECT taken_at FROM snapshots ORDER BY taken_at DESC LIMIT 1) AS last_run_at,
+              (SELECT status FROM snapshots ORDER BY taken_at DESC LIMIT 1) AS last_status,
+              f.taken_at AS last_error_at, f.error_message AS last_error
+       FROM (SELECT 1) one
+       LEFT JOIN LATERAL (
+         SELECT taken_at, error_message FROM snapshots WHERE status = 'failed' ORDER BY taken_at DESC LIMIT 1
+       ) f ON true`
+    ),
+    pool.query(
+      `SELECT DISTINCT ON (r.source) 'snapshot:' || r.source AS source, r.recorded_at AS last_run_at,
+              r.status AS last_status, f.recorded_at AS last_error_at, f.error AS last_error
+       FROM snapshot_sources r
+       LEFT JOIN LATERAL (
+         SELECT recorded_at, error FROM snapshot_sources
+         WHERE source = r.source AND status <> 'ok' ORDER BY snapshot_id DESC LIMIT 1
+       ) f ON true
+       ORDER BY r.source, r.snapshot_id DESC`
+    ),
+    pool.query(
+      `SELECT DISTINCT ON (r.job) r.job AS source, r.started_at AS last_run_at, r.status AS last_status,
+              f.started_at AS last_error_at, f.error AS last_error
+       FROM job_runs r
+       LEFT JOIN LATERAL (
+         SELECT started_at, error FROM job_runs WHERE job = r.job AND status = 'failed' ORDER BY started_at DESC LIMIT 1
+       ) f ON true
+       ORDER BY r.job, r.started_at DESC`
+    ),
+    pool.query(
+      `SELECT DISTINCT ON (b.source) 'backfill:' || b.source AS source, b.created_at AS last_run_at,
+              b.status AS last_status, f.updated_at AS last_error_at, f.error AS last_error
+       FROM backfill_jobs b
+       LEFT JOIN LATERAL (
+         SELECT updated_at, error FROM backfill_jobs WHERE source = b.source AND error IS NOT NULL ORDER BY updated_at DESC LIMIT 1
+       ) f ON true
+       ORDER BY b.source, b.created_at DESC`
+    )
+  ]);
+
+  return [...snapshots.rows, ...snapshotSources.rows, ...jobs.rows, ...backfills.rows].map(row => ({
+    source: row.source,
+    lastRunAt: row.last_run_at,
+    lastStatus: row.last_status,
+    lastErrorAt: row.last_error_at,
+    lastError: row.last_error
+  }));
+}
+
+module.exports = {
+  startRun,
+  finishRun,
+  listRuns,
+  listSnapshotRuns,
+  lastRunsBySource
+};
@@ -0,0 +1,82 @@
+/**
+ * Per-source outcomes for a snapshot run.
+ *
+ * Each fetch a snapshot makes goes through track(), which times it, counts
+ * what it produced and turns a failure into a fallback value so one source
+ * can't sink the whole run. The outcomes are written to snapshot_sources and
+ * decide whether the snapshot is 'complete' or 'partial'; db/queries.js uses
+ * them to serve each source's last good rows.
+ */
+
+const pool = require('../db/pool');
+
+// Rows a fetch produced: array length, a count returned by a write step, or 1 for a single record
+function rowsOf(value) {
+  if (Array.isArray(value)) return value.length;
+  if (typeof value === 'number') return value;
+  return value ? 1 : 0;
+}
+
+function createTracker() {
+  const outcomes = [];
+
+  /**
+   * Run one source's fetch (and write, if `fn` does both) and record the outcome.
+   * A source that resolves with nothing counts as 'empty', which like 'failed'
+   * makes the snapshot partial.
+   * @returns {Promise<*>} What `fn` resolved with, or `fallback` if it threw
+   */
+  async function track(source, fn, { fallback = [] } = {}) {
+    const started = Date.now();
+    try {
+      const value = await fn();
+      const rowCount = rowsOf(value);
+      outcomes.push({
+        source,
+        status: rowCount > 0 ? 'ok' : 'empty',
+        latencyMs: Date.now() - started,
+        rowCount,
+        error: rowCount > 0 ? null : 'No rows returned'
+      });
+      return value;
+    } catch (err) {
+      console.error(`[Snapshot] ${source} error:`, err.message);
+      outcomes.push({ source, status: 'failed', latencyMs: Date.now() - started, rowCount: 0, error: err.message });
+      return fallback;
+    }
+  }
+
+  return {
+    outcomes,
+    track,
+    status: () => (outcomes.every(o => o.status === 'ok') ? 'complete' : 'partial')
+  };
+}
+
+/**
+ * Write outcomes with `db` (the pool, or a transaction's client). Errors
+ * propagate: inside a transaction a failed insert has already aborted it.
+ */
+async function insertSources(db, snapshotId, outcomes) {
+  for (const o of outcomes) {
+    await db.query(
+      `INSERT INTO snapshot_sources (snapshot_id, source, status, latency_ms, row_count, error)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (snapshot_id, source) DO UPDATE SET
+         status = EXCLUDED.status, latency_ms = EXCLUDED.latency_ms,
+         row_count = EXCLUDED.row_count, error = EXCLUDED.error`,
+      [snapshotId, o.source, o.status, o.latencyMs, o.rowCount, o.error]
+    );
+  }
+}
+
+// Best-effort, like the rest of the run bookkeeping
+async function recordSources(snapshotId, outcomes) {
+  try {
+    await insertSources(pool, snapshotId, outcomes);
+  } catch (err) {
+    console.error(`[Snapshot] Could not record sources for #${snapshotId}:`, err.message);
+  }
+}
+
+module.exports = { createTracker, insertSources, recordSources };
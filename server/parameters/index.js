@@ -0,0 +1,201 @@
+/**
+ * Effective-dated parameter store.
+ *
+ * Rates that calculations apply day by day — the NIM rate, pool fee rates,
+ * incentive targets — are kept in the parameters table as versions of a key.
+ * A version is in force from effective_from up to, not including,
+ * effective_to (open-ended when NULL). Versions of one key never overlap, so
+ * each day resolves to exactly one value; days no version covers use the
+ * key's default.
+ *
+ * Modules declare the keys they read with define(), passing the value they
+ * used before it was configurable. Only defined keys can be versioned.
+ */
+
+const pool = require('../db/pool');
+
+const CACHE_TTL = 5 * 60 * 1000;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const definitions = new Map();
+
+let cached = null;
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Declare a parameter key
+ * @param {string} key
+ * @param {{ value: number, description: string }} definition - value is the default
+ * @returns {string} The key, for use as a module constant
+ */
+function define(key, { value, description }) {
+  definitions.set(key, { key, value, description });
+  return key;
+}
+
+function listDefinitions() {
+  return Array.from(definitions.values()).sort((a, b) => a.key.localeCompare(b.key));
+}
+
+function formatVersion(row) {
+  return {
+    id: row.id,
+    key: row.key,
+    value: row.value,
+    effectiveFrom: row.effective_from,
+    effectiveTo: row.effective_to,
+    note: row.note,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+const SELECT_VERSIONS = `
+  SELECT id, key, value::float AS value, effective_from::text AS effective_from,
+         effective_to::text AS effective_to, note, created_by, created_at
+  FROM parameters`;
+
+/**
+ * Versions of one key (or of every key), by key then effective date
+ */
+async function listVersions(key) {
+  const result = await pool.query(
+    `${SELECT_VERSIONS}
+     WHERE ($1::text IS NULL OR key = $1)
+     ORDER BY key, effective_from, id`,
+    [key || null]
+  );
+  return result.rows.map(formatVersion);
+}
+
+/**
+ * A resolver over every stored version: valueAt(key, date) returns the value
+ * in force on `date` (YYYY-MM-DD, default today). Cached for five minutes;
+ * adding a version clears it. When the versions can't be read (Postgres down,
+ * table not migrated) every key resolves to its default until they can.
+ */
+async function loadParameters() {
+  let byKey;
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    byKey = cached.byKey;
+  } else {
+    byKey = new Map();
+    try {
+      for (const v of await listVersions()) {
+        if (!byKey.has(v.key)) byKey.set(v.key, []);
+        byKey.get(v.key).push(v);
+      }
+      cached = { byKey, timestamp: Date.now() };
+    } catch (err) {
+      console.warn('[Parameters] Could not load versions, using defaults:', err.message);
+    }
+  }
+
+  return {
+    valueAt(key, date = today()) {
+      const match = (byKey.get(key) || []).find(v =>
+        v.effectiveFrom <= date && (v.effectiveTo == null || date < v.effectiveTo)
+      );
+      if (match) return match.value;
+      return definitions.has(key) ? definitions.get(key).value : null;
+    }
+  };
+}
+
+async function getParameter(key, date) {
+  return (await loadParameters()).valueAt(key, date);
+}
+
+function validateRequest(body) {
+  if (!definitions.has(body.key)) throw new Error(`Unknown parameter: ${body.key}`);
+  if (typeof body.value !== 'number' || !isFinite(body.value)) throw new Error('value must be a number');
+  if (!body.effectiveFrom || !DATE_RE.test(body.effectiveFrom)) throw new Error('effectiveFrom must be YYYY-MM-DD');
+  if (body.effectiveTo != null) {
+    if (!DATE_RE.test(body.effectiveTo)) throw new Error('effectiveTo must be YYYY-MM-DD');
+    if (body.effectiveTo <= body.effectiveFrom) throw new Error('effectiveTo must be after effectiveFrom');
+  }
+}
+
+/**
+ * Add a version of `key` in force from `effectiveFrom`.
+ *
+ * The version covering that date is cut short at effectiveFrom; one that
+ * starts on effectiveFrom is rejected rather than cut to nothing. Without
+ * effectiveTo the new value runs until the next later version (or
+ * indefinitely); with it, the new value must end by that next version, and
+ * the value it interrupted resumes afterwards.
+ *
+ * @returns {Promise<Object>} The created version
+ */
+async function createVersion({ key, value, effectiveFrom, effectiveTo, note }, createdBy = null) {
+  validateRequest({ key, value, effectiveFrom, effectiveTo });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const existing = (await client.query(
+      `${SELECT_VERSIONS} WHERE key = $1 ORDER BY effective_from, id FOR UPDATE`,
+      [key]
+    )).rows.map(formatVersion);
+
+    const covering = existing.find(v =>
+      v.effectiveFrom <= effectiveFrom && (v.effectiveTo == null || effectiveFrom < v.effectiveTo)
+    );
+    if (covering?.effectiveFrom === effectiveFrom) {
+      throw new Error(`Duplicate start: version ${covering.id} is already effective from ${effectiveFrom}`);
+    }
+    const next = existing.find(v => v.effectiveFrom > effectiveFrom);
+    if (effectiveTo != null && next && effectiveTo > next.effectiveFrom) {
+      throw new Error(`Overlaps version ${next.id}, effective from ${next.effectiveFrom}`);
+    }
+    const to = effectiveTo ?? (covering?.effectiveTo ?? next?.effectiveFrom ?? null);
+
+    if (covering) {
+      await client.query('UPDATE parameters SET effective_to = $2 WHERE id = $1', [covering.id, effectiveFrom]);
+      // A temporary value inside a longer version: the old value picks up again after it
+      if (to != null && (covering.effectiveTo == null || to < covering.effectiveTo)) {
+        await client.query(
+          `INSERT INTO parameters (key, value, effective_from, effective_to, note, created_by)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [key, covering.value, to, covering.effectiveTo, `Resumes version ${covering.id}`, createdBy]
+        );
+      }
+    }
+
+    const result = await client.query(
+      `INSERT INTO parameters (key, value, effective_from, effective_to, note, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, key, value::float AS value, effective_from::text AS effective_from,
+                 effective_to::text AS effective_to, note, created_by, created_at`,
+      [key, value, effectiveFrom, to, note || null, createdBy]
+    );
+    await client.query('COMMIT');
+    cached = null;
+    return formatVersion(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Shared by the GDP model and the Aave v4 view
+const NIM_APY = define('nim_apy', {
+  value: 0.031,
+  description: 'GDN reward / NIM rate paid on circulating and idle USDG (annual, 0.031 = 3.1%)'
+});
+
+module.exports = {
+  NIM_APY,
+  define,
+  listDefinitions,
+  listVersions,
+  loadParameters,
+  getParameter,
+  validateRequest,
+  createVersion
+};
@@ -0,0 +1,271 @@
+/**
+ * USDG peg monitor.
+ *
+ * Every venue that quotes USDG against a USD stablecoin is a peg signal: CEX
+ * stablecoin pairs from depth_snapshots (mid price) and stable DEX pools from
+ * dex_pool_snapshots (pool price). Per hour each venue's USDG price is taken
+ * in its quote currency, treating the quote as $1, and the venues combine
+ * into a reference price weighted by depth (CEX ±50 bps depth, DEX pool USDG
+ * balance) or by daily USD volume.
+ *
+ * Deviations are in bps from $1. A venue-hour is outside the band when
+ * |deviation| exceeds bandBps.
+ */
+
+const pool = require('../db/pool');
+const exchanges = require('../exchanges');
+const { splitPair } = require('../utils/depthCalculator');
+
+const WEIGHTINGS = ['depth', 'volume'];
+const MAX_HOURS = 30 * 24;
+const DEPTH_WEIGHT_BPS = 50;
+
+// Quotes treated as $1. Yield-bearing wrappers (syrupUSDC) and EUR pairs are not peg signals.
+const USD_STABLES = new Set(['USD', 'USDT', 'USDC', 'PYUSD', 'USDE', 'FDUSD', 'DAI', 'RLUSD']);
+
+// Venues whose stored pool price is not a market quote
+const UNPRICED_VENUES = {
+  Curve: 'No market price stored — services/curve.js records a placeholder 1.0'
+};
+
+function validateRequest(query = {}) {
+  const hours = query.hours === undefined ? 168 : Number(query.hours);
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_HOURS) {
+    throw new Error(`hours must be an integer between 1 and ${MAX_HOURS}`);
+  }
+  const bandBps = query.band === undefined ? 10 : Number(query.band);
+  if (!Number.isFinite(bandBps) || bandBps <= 0 || bandBps > 1000) {
+    throw new Error('band must be a number of bps between 0 and 1000');
+  }
+  const weighting = query.weighting || 'depth';
+  if (!WEIGHTINGS.includes(weighting)) {
+    throw new Error(`weighting must be one of: ${WEIGHTINGS.join(', ')}`);
+  }
+  return { hours, bandBps, weighting };
+}
+
+/**
+ * USDG's price in the other token, from a base/quote price, or null when the
+ * other side isn't a USD stablecoin
+ */
+function usdgPrice(base, quote, price) {
+  if (!(price > 0)) return null;
+  if (base === 'USDG' && USD_STABLES.has(quote)) return { price, counter: quote };
+  if (quote === 'USDG' && USD_STABLES.has(base)) return { price: 1 / price, counter: base };
+  return null;
+}
+
+const pairKey = (exchange, pair) => `${exchange}|${String(pair).toUpperCase().replace(/[^A-Z]/g, '')}`;
+const toBps = price => (price - 1) * 10000;
+const round = (v, dp = 2) => (v === null ? null : Math.round(v * 10 ** dp) / 10 ** dp);
+
+async function loadObservations(hours, includeDex) {
+  const [cex, dex] = await Promise.all([
+    pool.query(
+      `SELECT date_trunc('hour', d.snapped_at) AS hour, d.exchange, d.pair,
+              AVG(d.mid_price)::float AS price,
+              AVG((SELECT COALESCE(SUM(l.notional), 0) FROM depth_levels l
+                   WHERE l.snapshot_id = d.id AND l.bps = $2))::float AS depth
+       FROM depth_snapshots d
+       WHERE d.snapped_at >= NOW() - make_interval(hours => $1)
+         AND d.venue_type = 'cex' AND d.pair_type = 'stablecoin' AND d.mid_price > 0
+       GROUP BY 1, 2, 3`,
+      [hours, DEPTH_WEIGHT_BPS]
+    ),
+    !includeDex ? { rows: [] } : pool.query(
+      `SELECT date_trunc('hour', s.taken_at) AS hour, d.venue, d.name, d.chain, d.address,
+              d.token_a_symbol, d.token_b_symbol,
+              AVG(d.price)::float AS price, AVG(d.usdg_balance)::float AS depth
+       FROM dex_pool_snapshots d
+       JOIN snapshots s ON s.id = d.snapshot_id
+       WHERE s.taken_at >= NOW() - make_interval(hours => $1)
+         AND s.status IN ('complete', 'partial')
+         AND d.pool_type = 'stablecoin' AND d.price > 0
+       GROUP BY 1, 2, 3, 4, 5, 6, 7`,
+      [hours]
+    )
+  ]);
+
+  const names = exchanges.getExchangeNames();
+  const observations = [];
+  const excluded = new Map();
+
+  for (const r of cex.rows) {
+    const { base, quote } = splitPair(r.pair);
+    const usdg = usdgPrice(base, quote, r.price);
+    if (!usdg) continue;
+    observations.push({
+      id: `cex:${r.exchange}:${r.pair}`,
+      kind: 'cex',
+      venue: names[r.exchange] || r.exchange,
+      pair: r.pair,
+      counter: usdg.counter,
+      volumeKey: pairKey(r.exchange, r.pair),
+      hour: r.hour.toISOString(),
+      price: usdg.price,
+      depth: r.depth
+    });
+  }
+
+  for (const r of dex.rows) {
+    if (UNPRICED_VENUES[r.venue]) {
+      excluded.set(`${r.venue} ${r.name}`, UNPRICED_VENUES[r.venue]);
+      continue;
+    }
+    // Pool prices are tokenA in tokenB (GeckoTerminal: base token in USD)
+    const usdg = usdgPrice(String(r.token_a_symbol).toUpperCase(), String(r.token_b_symbol).toUpperCase(), r.price);
+    if (!usdg) continue;
+    observations.push({
+      id: `dex:${r.address}`,
+      kind: 'dex',
+      venue: r.venue,
+      pair: r.name,
+      chain: r.chain,
+      counter: usdg.counter,
+      volumeKey: r.address,
+      hour: r.hour.toISOString(),
+      price: usdg.price,
+      depth: r.depth
+    });
+  }
+
+  return { observations, excluded: [...excluded].map(([venue, reason]) => ({ venue, reason })) };
+}
+
+/**
+ * Daily USD volume per venue as { volumeKey: [[date, volume], ...] } sorted by
+ * date. A venue-hour weighs by the latest volume on or before its day.
+ */
+async function loadVolumes(hours) {
+  const [cex, dex] = await Promise.all([
+    pool.query(
+      `SELECT snapshot_date::text AS date, exchange, pair, usd_volume::float AS volume
+       FROM cex_pair_daily
+       WHERE snapshot_date >= (NOW() - make_interval(hours => $1))::date - 7
+       ORDER BY snapshot_date`,
+      [hours]
+    ),
+    pool.query(
+      `SELECT DATE(s.taken_at)::text AS date, d.address, MAX(d.volume_24h)::float AS volume
+       FROM dex_pool_snapshots d
+       JOIN snapshots s ON s.id = d.snapshot_id
+       WHERE s.taken_at >= NOW() - make_interval(hours => $1) - interval '7 days'
+         AND s.snapshot_type IN ('daily', 'migration') AND d.volume_24h IS NOT NULL
+       GROUP BY 1, 2
+       ORDER BY 1`,
+      [hours]
+    )
+  ]);
+
+  const volumes = {};
+  const add = (key, date, volume) => (volumes[key] = volumes[key] || []).push([date, volume || 0]);
+  for (const r of cex.rows) add(pairKey(r.exchange, r.pair), r.date, r.volume);
+  for (const r of dex.rows) add(r.address, r.date, r.volume);
+  return volumes;
+}
+
+function volumeAt(series, date) {
+  let volume = 0;
+  for (const [d, v] of series || []) {
+    if (d > date) break;
+    volume = v;
+  }
+  return volume;
+}
+
+/**
+ * @param {{ hours, bandBps, weighting }} request - From validateRequest
+ */
+async function computePeg({ hours, bandBps, weighting }, { includeDex = true } = {}) {
+  const [{ observations, excluded }, volumes] = await Promise.all([
+    loadObservations(hours, includeDex),
+    weighting === 'volume' ? loadVolumes(hours) : null
+  ]);
+
+  for (const o of observations) {
+    o.weight = weighting === 'volume' ? volumeAt(volumes[o.volumeKey], o.hour.slice(0, 10)) : o.depth || 0;
+    o.deviationBps = toBps(o.price);
+  }
+
+  // Reference price and worst venue per hour
+  const byHour = new Map();
+  for (const o of observations) {
+    if (!byHour.has(o.hour)) byHour.set(o.hour, []);
+    byHour.get(o.hour).push(o);
+  }
+
+  const reference = [...byHour.keys()].sort().map(hour => {
+    const venues = byHour.get(hour);
+    const totalWeight = venues.reduce((s, o) => s + o.weight, 0);
+    // Unweighted mean when no venue has a weight (no depth or volume recorded)
+    const price = totalWeight > 0
+      ? venues.reduce((s, o) => s + o.price * o.weight, 0) / totalWeight
+      : venues.reduce((s, o) => s + o.price, 0) / venues.length;
+    const worst = venues.reduce((w, o) => (Math.abs(o.deviationBps) > Math.abs(w.deviationBps) ? o : w));
+    return {
+      hour,
+      price: round(price, 6),
+      deviationBps: round(toBps(price)),
+      outsideBand: Math.abs(toBps(price)) > bandBps,
+      venues: venues.length,
+      weighted: totalWeight > 0,
+      worst: { id: worst.id, venue: worst.venue, pair: worst.pair, deviationBps: round(worst.deviationBps) }
+    };
+  });
+
+  // Per-venue series and band statistics
+  const byVenue = new Map();
+  for (const o of observations) {
+    if (!byVenue.has(o.id)) byVenue.set(o.id, []);
+    byVenue.get(o.id).push(o);
+  }
+
+  const venues = [...byVenue.values()].map(rows => {
+    rows.sort((a, b) => a.hour.localeCompare(b.hour));
+    const first = rows[0];
+    const latest = rows[rows.length - 1];
+    const outside = rows.filter(o => Math.abs(o.deviationBps) > bandBps).length;
+    const maxAbs = rows.reduce((m, o) => (Math.abs(o.deviationBps) > Math.abs(m.deviationBps) ? o : m));
+    return {
+      id: first.id,
+      kind: first.kind,
+      venue: first.venue,
+      pair: first.pair,
+      chain: first.chain || null,
+      counter: first.counter,
+      latest: { hour: latest.hour, price: round(latest.price, 6), deviationBps: round(latest.deviationBps) },
+      maxDeviation: { hour: maxAbs.hour, deviationBps: round(maxAbs.deviationBps) },
+      hoursObserved: rows.length,
+      hoursOutsideBand: outside,
+      outsideBandPct: round(outside / rows.length, 4),
+      series: rows.map(o => ({ hour: o.hour, price: round(o.price, 6), deviationBps: round(o.deviationBps), weight: round(o.weight) }))
+    };
+  }).sort((a, b) => Math.abs(b.latest.deviationBps) - Math.abs(a.latest.deviationBps));
+
+  const outsideHours = reference.filter(r => r.outsideBand).length;
+  const current = reference[reference.length - 1] || null;
+
+  return {
+    hours,
+    bandBps,
+    weighting,
+    current,
+    summary: {
+      hoursObserved: reference.length,
+      hoursOutsideBand: outsideHours,
+      outsideBandPct: reference.length ? round(outsideHours / reference.length, 4) : null,
+      maxDeviation: reference.length
+        ? reference.reduce((m, r) => (Math.abs(r.deviationBps) > Math.abs(m.deviationBps) ? r : m))
+        : null
+    },
+    reference,
+    venues,
+    excluded
+  };
+}
+
+module.exports = {
+  WEIGHTINGS,
+  validateRequest,
+  computePeg
+};
@@ -0,0 +1,203 @@
+/**
+ * Data gathering for summary reports.
+ *
+ * Everything is read from Postgres for a fixed [start, end] date window (and
+ * the window of the same length before it), so regenerating a past report
+ * reproduces it exactly.
+ */
+
+const pool = require('../db/pool');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Depth band reported per venue, in bps from mid
+const DEPTH_BPS = 50;
+
+function addDays(dateStr, days) {
+  return new Date(new Date(dateStr + 'T00:00:00Z').getTime() + days * DAY_MS).toISOString().split('T')[0];
+}
+
+function daysBetween(start, end) {
+  return Math.round((Date.parse(end) - Date.parse(start)) / DAY_MS) + 1;
+}
+
+function previousWindow({ start, end }) {
+  const prevEnd = addDays(start, -1);
+  return { start: addDays(prevEnd, -(daysBetween(start, end) - 1)), end: prevEnd };
+}
+
+const num = v => (v == null ? null : parseFloat(v));
+const toDate = d => (d instanceof Date ? d.toISOString().split('T')[0] : d);
+
+// Daily CEX volume per exchange across both windows
+async function getCexVolume(window, prev) {
+  const result = await pool.query(
+    `SELECT snapshot_date, exchange, volume
+     FROM cex_daily_volume
+     WHERE snapshot_date BETWEEN $1 AND $2
+     ORDER BY snapshot_date, exchange`,
+    [prev.start, window.end]
+  );
+
+  const daily = new Map();
+  const byExchange = {};
+  let total = 0;
+  let prevTotal = 0;
+  for (const row of result.rows) {
+    const date = toDate(row.snapshot_date);
+    const volume = num(row.volume);
+    if (date < window.start) {
+      prevTotal += volume;
+      if (byExchange[row.exchange]) byExchange[row.exchange].previous += volume;
+      else byExchange[row.exchange] = { current: 0, previous: volume };
+      continue;
+    }
+    total += volume;
+    if (!byExchange[row.exchange]) byExchange[row.exchange] = { current: 0, previous: 0 };
+    byExchange[row.exchange].current += volume;
+    if (!daily.has(date)) daily.set(date, { date });
+    daily.get(date)[row.exchange] = volume;
+  }
+
+  return {
+    total,
+    previousTotal: prevTotal,
+    byExchange: Object.entries(byExchange)
+      .map(([exchange, v]) => ({ exchange, ...v }))
+      .sort((a, b) => b.current - a.current),
+    daily: Array.from(daily.values())
+  };
+}
+
+// The daily metrics logged for the last day of the window, if any
+async function getLoggedMetrics(window) {
+  const result = await pool.query(
+    `SELECT metrics
+     FROM metrics_log
+     WHERE DATE(logged_at AT TIME ZONE 'UTC') BETWEEN $1 AND $2
+     ORDER BY logged_at DESC
+     LIMIT 1`,
+    [window.start, window.end]
+  );
+  return result.rows[0]?.metrics || null;
+}
+
+// Circulating supply per chain at the start and end of the window
+async function getSupply(window) {
+  const result = await pool.query(
+    `SELECT DISTINCT ON (chain, edge) chain, edge, snapshot_date, circulating
+     FROM (
+       SELECT chain, 'start' AS edge, snapshot_date, circulating
+       FROM usdg_supply_history WHERE snapshot_date <= $1
+       UNION ALL
+       SELECT chain, 'end' AS edge, snapshot_date, circulating
+       FROM usdg_supply_history WHERE snapshot_date <= $2
+     ) s
+     WHERE circulating IS NOT NULL
+     ORDER BY chain, edge, snapshot_date DESC`,
+    [addDays(window.start, -1), window.end]
+  );
+
+  const byChain = {};
+  for (const row of result.rows) {
+    if (!byChain[row.chain]) byChain[row.chain] = { chain: row.chain, start: null, end: null };
+    byChain[row.chain][row.edge] = num(row.circulating);
+  }
+  const chains = Object.values(byChain).sort((a, b) => (b.end || 0) - (a.end || 0));
+  const sum = key => chains.reduce((s, c) => s + (c[key] || 0), 0);
+  return { chains, start: sum('start'), end: sum('end') };
+}
+
+// Core Hub + Paxos Hub, combined per day
+async function getAave(window) {
+  const result = await pool.query(
+    `SELECT d::date AS snapshot_date,
+            c.total_debt AS core_debt, c.total_supply AS core_supply, c.borrow_apy AS core_apy,
+            c.daily_interest AS core_interest, c.merkl_daily_rewards AS core_merkl,
+            p.total_debt AS paxos_debt, p.total_supply AS paxos_supply, p.borrow_apy AS paxos_apy,
+            p.daily_interest AS paxos_interest, p.merkl_daily_rewards AS paxos_merkl
+     FROM generate_series($1::date, $2::date, interval '1 day') d
+     LEFT JOIN aave_usdg_history c ON c.snapshot_date = d::date
+     LEFT JOIN aave_usdg_paxos_history p ON p.snapshot_date = d::date
+     WHERE c.snapshot_date IS NOT NULL OR p.snapshot_date IS NOT NULL
+     ORDER BY d`,
+    [window.start, window.end]
+  );
+
+  const daily = result.rows.map(row => {
+    const coreDebt = num(row.core_debt) || 0;
+    const paxosDebt = num(row.paxos_debt) || 0;
+    const totalDebt = coreDebt + paxosDebt;
+    return {
+      date: toDate(row.snapshot_date),
+      totalDebt,
+      totalSupply: (num(row.core_supply) || 0) + (num(row.paxos_supply) || 0),
+      borrowApy: totalDebt > 0
+        ? ((num(row.core_apy) || 0) * coreDebt + (num(row.paxos_apy) || 0) * paxosDebt) / totalDebt
+        : num(row.core_apy),
+      dailyInterest: (num(row.core_interest) || 0) + (num(row.paxos_interest) || 0),
+      merklRewards: row.core_merkl == null && row.paxos_merkl == null
+        ? null
+        : (num(row.core_merkl) || 0) + (num(row.paxos_merkl) || 0)
+    };
+  });
+
+  return {
+    daily,
+    first: daily[0] || null,
+    last: daily[daily.length - 1] || null,
+    interest: daily.reduce((s, d) => s + d.dailyInterest, 0),
+    merklRewards: daily.reduce((s, d) => s + (d.merklRewards || 0), 0)
+  };
+}
+
+// Average spread and depth per venue from the 15-minute snapshots
+async function getDepth(window) {
+  const result = await pool.query(
+    `SELECT exchange,
+            COUNT(*)::int AS samples,
+            AVG(spread_bps) AS spread_bps,
+            AVG(bid.notional) AS bid_depth,
+            AVG(ask.notional) AS ask_depth
+     FROM depth_snapshots d
+     LEFT JOIN depth_levels bid ON bid.snapshot_id = d.id AND bid.side = 'bid' AND bid.bps = ${DEPTH_BPS}
+     LEFT JOIN depth_levels ask ON ask.snapshot_id = d.id AND ask.side = 'ask' AND ask.bps = ${DEPTH_BPS}
+     WHERE exchange != 'Binance' AND venue_type = 'cex'
+       AND snapped_at >= $1::date
+       AND snapped_at <  $2::date + interval '1 day'
+     GROUP BY exchange
+     ORDER BY exchange`,
+    [window.start, window.end]
+  );
+  return {
+    bps: DEPTH_BPS,
+    venues: result.rows.map(row => ({
+      exchange: row.exchange,
+      samples: row.samples,
+      spreadBps: num(row.spread_bps),
+      bidDepth: num(row.bid_depth),
+      askDepth: num(row.ask_depth)
+    }))
+  };
+}
+
+/**
+ * Everything a report needs for the window [start, end] (inclusive dates)
+ */
+async function loadReportData(window) {
+  const prev = previousWindow(window);
+  const [cex, metrics, supply, aave, depth] = await Promise.all([
+    getCexVolume(window, prev),
+    getLoggedMetrics(window),
+    getSupply(window),
+    getAave(window),
+    getDepth(window)
+  ]);
+  return { window, previous: prev, days: daysBetween(window.start, window.end), cex, metrics, supply, aave, depth };
+}
+
+module.exports = {
+  addDays,
+  previousWindow,
+  loadReportData
+};
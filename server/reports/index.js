@@ -0,0 +1,146 @@
+/**
+ * Weekly and monthly USDG summary reports.
+ *
+ * A report covers a closed period — the previous Monday–Sunday week, or the
+ * previous calendar month — and is rendered server-side to printable HTML
+ * (./render) from the history tables (./data). Each one is archived in the
+ * reports table; regenerating a period replaces its row.
+ *
+ * Scheduled after the daily metrics job has logged the period's last day:
+ * weekly on Monday 01:00 UTC, monthly on the 1st at 01:15 UTC.
+ */
+
+const cron = require('node-cron');
+const pool = require('../db/pool');
+const { addDays, loadReportData } = require('./data');
+const { renderReport, formatUsd } = require('./render');
+
+const REPORT_TYPES = ['weekly', 'monthly'];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * The last complete period of `type` on or before `asOf` (default: yesterday)
+ */
+function periodFor(type, asOf) {
+  const ref = asOf || addDays(new Date().toISOString().split('T')[0], -1);
+  const date = new Date(ref + 'T00:00:00Z');
+
+  if (type === 'weekly') {
+    const weekday = (date.getUTCDay() + 6) % 7; // Monday = 0
+    // A week only counts once its Sunday is done
+    const end = weekday === 6 ? ref : addDays(ref, -(weekday + 1));
+    return { start: addDays(end, -6), end };
+  }
+
+  const lastOfMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).toISOString().split('T')[0];
+  const end = lastOfMonth === ref
+    ? ref
+    : new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 0)).toISOString().split('T')[0];
+  return { start: `${end.slice(0, 7)}-01`, end };
+}
+
+function titleFor(type, { start, end }) {
+  return type === 'weekly'
+    ? `USDG Weekly Summary — week of ${start}`
+    : `USDG Monthly Summary — ${new Date(start + 'T00:00:00Z').toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' })}`;
+}
+
+function validateRequest(body) {
+  if (!REPORT_TYPES.includes(body.type)) throw new Error(`type must be one of: ${REPORT_TYPES.join(', ')}`);
+  if (body.asOf != null && !DATE_RE.test(body.asOf)) throw new Error('asOf must be YYYY-MM-DD');
+}
+
+// Headline numbers stored alongside the HTML, for listings and the JSON view
+function summarize(data) {
+  return {
+    cexVolume: data.cex.total,
+    cexVolumePrevious: data.cex.previousTotal,
+    supplyEnd: data.supply.end,
+    supplyStart: data.supply.start,
+    aaveSupplied: data.aave.last?.totalSupply ?? null,
+    aaveBorrowed: data.aave.last?.totalDebt ?? null,
+    aaveInterest: data.aave.interest,
+    depthVenues: data.depth.venues.length
+  };
+}
+
+function formatReport(row) {
+  return {
+    id: row.id,
+    type: row.report_type,
+    periodStart: row.period_start instanceof Date ? row.period_start.toISOString().split('T')[0] : row.period_start,
+    periodEnd: row.period_end instanceof Date ? row.period_end.toISOString().split('T')[0] : row.period_end,
+    title: row.title,
+    summary: row.summary,
+    generatedAt: row.generated_at
+  };
+}
+
+/**
+ * Build, render and archive the report for the period containing `asOf`
+ * @returns {Promise<Object>} The stored report (without HTML)
+ */
+async function generateReport(type, { asOf } = {}) {
+  validateRequest({ type, asOf });
+  const period = periodFor(type, asOf);
+  const title = titleFor(type, period);
+  const data = await loadReportData(period);
+  const html = renderReport(title, data);
+
+  const result = await pool.query(
+    `INSERT INTO reports (report_type, period_start, period_end, title, html, summary)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (report_type, period_start)
+     DO UPDATE SET period_end = EXCLUDED.period_end, title = EXCLUDED.title, html = EXCLUDED.html,
+                   summary = EXCLUDED.summary, generated_at = NOW()
+     RETURNING id, report_type, period_start, period_end, title, summary, generated_at`,
+    [type, period.start, period.end, title, html, JSON.stringify(summarize(data))]
+  );
+
+  const report = formatReport(result.rows[0]);
+  console.log(`[Reports] Generated ${type} report ${report.id} for ${period.start}..${period.end} (CEX volume ${formatUsd(data.cex.total)})`);
+  return report;
+}
+
+async function listReports({ type, limit = 50 } = {}) {
+  const result = await pool.query(
+    `SELECT id, report_type, period_start, period_end, title, summary, generated_at
+     FROM reports
+     WHERE ($1::text IS NULL OR report_type = $1)
+     ORDER BY period_start DESC, report_type
+     LIMIT $2`,
+    [type || null, limit]
+  );
+  return result.rows.map(formatReport);
+}
+
+async function getReport(id) {
+  const result = await pool.query(
+    `SELECT id, report_type, period_start, period_end, title, html, summary, generated_at
+     FROM reports WHERE id = $1`,
+    [id]
+  );
+  const row = result.rows[0];
+  return row ? { ...formatReport(row), html: row.html } : null;
+}
+
+function startScheduler() {
+  const run = type => () => {
+    generateReport(type).catch(err => console.error(`[Reports] ${type} report failed:`, err.message));
+  };
+
+  console.log('[Reports] Scheduling weekly (Mon 01:00 UTC) and monthly (1st 01:15 UTC) reports');
+  cron.schedule('0 1 * * 1', run('weekly'), { timezone: 'UTC' });
+  cron.schedule('15 1 1 * *', run('monthly'), { timezone: 'UTC' });
+}
+
+module.exports = {
+  REPORT_TYPES,
+  periodFor,
+  validateRequest,
+  generateReport,
+  listReports,
+  getReport,
+  startScheduler
+};
@@ -0,0 +1,316 @@
+/**
+ * HTML rendering for summary reports.
+ *
+ * Output is a single self-contained, printable page: inline CSS, charts as
+ * inline SVG, no scripts beyond the print button. Rendering is a pure
+ * function of the report data — no clocks, no locale-dependent formatting —
+ * so the same data always produces byte-identical HTML.
+ */
+
+const EXCHANGE_COLORS = {
+  kraken: '#7c3aed',
+  bullish: '#00d4aa',
+  gate: '#f59e0b',
+  kucoin: '#3b82f6',
+  bitmart: '#ec4899',
+  okx: '#10b981',
+  bitstamp: '#e84142'
+};
+const FALLBACK_COLORS = ['#64748b', '#0ea5e9', '#a855f7', '#84cc16', '#f97316'];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatUsd(value) {
+  if (value == null) return '—';
+  const abs = Math.abs(value);
+  const sign = value < 0 ? '-' : '';
+  if (abs >= 1e9) return `${sign}$${(abs / 1e9).toFixed(2)}B`;
+  if (abs >= 1e6) return `${sign}$${(abs / 1e6).toFixed(2)}M`;
+  if (abs >= 1e3) return `${sign}$${(abs / 1e3).toFixed(1)}K`;
+  return `${sign}$${abs.toFixed(0)}`;
+}
+
+function formatPct(value, digits = 1) {
+  return value == null ? '—' : `${value.toFixed(digits)}%`;
+}
+
+function formatChange(current, previous) {
+  if (!previous) return '—';
+  const pct = (current - previous) / previous * 100;
+  const cls = pct >= 0 ? 'up' : 'down';
+  return `<span class="${cls}">${pct >= 0 ? '+' : ''}${pct.toFixed(1)}%</span>`;
+}
+
+function formatDay(date) {
+  const [, month, day] = date.split('-').map(Number);
+  return `${MONTHS[month - 1]} ${day}`;
+}
+
+function formatLongDay(date) {
+  return `${formatDay(date)}, ${date.slice(0, 4)}`;
+}
+
+function colorFor(key, index) {
+  return EXCHANGE_COLORS[key] || FALLBACK_COLORS[index % FALLBACK_COLORS.length];
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// ---------------------------------------------------------------------------
+// SVG charts
+// ---------------------------------------------------------------------------
+
+const CHART = { width: 720, height: 220, left: 64, right: 12, top: 12, bottom: 28 };
+
+function niceMax(value) {
+  if (!(value > 0)) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const step = [1, 2, 2.5, 5, 10].find(s => s * magnitude >= value);
+  return step * magnitude;
+}
+
+function axes(max, labels, xAt) {
+  const { width, height, left, right, top, bottom } = CHART;
+  const plotH = height - top - bottom;
+  const parts = [];
+  for (let i = 0; i <= 4; i++) {
+    const y = round(top + plotH - plotH * i / 4);
+    parts.push(`<line x1="${left}" x2="${width - right}" y1="${y}" y2="${y}" class="grid"/>`);
+    parts.push(`<text x="${left - 6}" y="${y + 4}" text-anchor="end">${formatUsd(max * i / 4)}</text>`);
+  }
+  // At most ~10 x labels, always including the last
+  const every = Math.max(1, Math.ceil(labels.length / 10));
+  labels.forEach((label, i) => {
+    if (i % every !== 0 && i !== labels.length - 1) return;
+    parts.push(`<text x="${round(xAt(i))}" y="${height - 8}" text-anchor="middle">${escapeHtml(label)}</text>`);
+  });
+  return parts.join('');
+}
+
+function legend(series) {
+  return `<div class="legend">${series.map(s =>
+    `<span><i style="background:${s.color}"></i>${escapeHtml(s.label)}</span>`
+  ).join('')}</div>`;
+}
+
+/**
+ * Stacked bar chart
+ * @param {Array<Object>} rows - One object per bar, keyed by series key plus `label`
+ * @param {Array<{key, label, color}>} series - Bottom to top
+ */
+function stackedBarChart(rows, series) {
+  if (!rows.length) return '<p class="empty">No data for this period.</p>';
+  const { width, height, left, right, top, bottom } = CHART;
+  const plotW = width - left - right;
+  const plotH = height - top - bottom;
+  const max = niceMax(Math.max(...rows.map(r => series.reduce((s, k) => s + (r[k.key] || 0), 0))));
+  const slot = plotW / rows.length;
+  const barW = Math.max(1, slot * 0.7);
+  const xAt = i => left + slot * i + slot / 2;
+
+  const bars = rows.map((row, i) => {
+    let y = top + plotH;
+    return series.map(s => {
+      const value = row[s.key] || 0;
+      if (!value) return '';
+      const h = value / max * plotH;
+      y -= h;
+      return `<rect x="${round(xAt(i) - barW / 2)}" y="${round(y)}" width="${round(barW)}" height="${round(h)}" fill="${s.color}"/>`;
+    }).join('');
+  }).join('');
+
+  return `<svg viewBox="0 0 ${width} ${height}" class="chart">${axes(max, rows.map(r => r.label), xAt)}${bars}</svg>${legend(series)}`;
+}
+
+/**
+ * Line chart; null values break the line
+ */
+function lineChart(rows, series) {
+  if (!rows.length) return '<p class="empty">No data for this period.</p>';
+  const { width, height, left, right, top, bottom } = CHART;
+  const plotW = width - left - right;
+  const plotH = height - top - bottom;
+  const max = niceMax(Math.max(...rows.flatMap(r => series.map(s => r[s.key] || 0))));
+  const xAt = i => (rows.length === 1 ? left + plotW / 2 : left + plotW * i / (rows.length - 1));
+  const yAt = v => top + plotH - v / max * plotH;
+
+  const lines = series.map(s => {
+    let d = '';
+    let pen = 'M';
+    rows.forEach((row, i) => {
+      if (row[s.key] == null) { pen = 'M'; return; }
+      d += `${pen}${round(xAt(i))},${round(yAt(row[s.key]))}`;
+      pen = 'L';
+    });
+    return `<path d="${d}" fill="none" stroke="${s.color}" stroke-width="2"/>`;
+  }).join('');
+
+  return `<svg viewBox="0 0 ${width} ${height}" class="chart">${axes(max, rows.map(r => r.label), xAt)}${lines}</svg>${legend(series)}`;
+}
+
+// ---------------------------------------------------------------------------
+// Sections
+// ---------------------------------------------------------------------------
+
+function table(headers, rows) {
+  return `<table><thead><tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr></thead>`
+    + `<tbody>${rows.map(r => `<tr>${r.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+function statCard(label, value, sub = '') {
+  return `<div class="stat"><div class="label">${label}</div><div class="value">${value}</div><div class="sub">${sub}</div></div>`;
+}
+
+function cexSection(data) {
+  const { cex, metrics } = data;
+  const series = cex.byExchange.map((e, i) => ({ key: e.exchange, label: e.exchange, color: colorFor(e.exchange, i) })).reverse();
+  const rows = cex.daily.map(d => ({ ...d, label: formatDay(d.date) }));
+
+  const coverage = metrics?.coverage?.volume7Day;
+  return `<section>
+  <h2>CEX trading volume</h2>
+  <div class="stats">
+    ${statCard('Total volume', formatUsd(cex.total), `vs previous period ${formatChange(cex.total, cex.previousTotal)}`)}
+    ${statCard('Daily average', formatUsd(cex.total / data.days), `${data.days} days`)}
+    ${statCard('Active exchanges', metrics ? metrics.activeExchanges : '—', metrics ? `${metrics.totalPairs} USDG pairs` : 'no metrics logged')}
+    ${statCard('Trailing 30d volume', metrics ? formatUsd(metrics.volume30Day) : '—',
+      coverage ? `7d coverage ${coverage.present}/${coverage.expected} days` : '')}
+  </div>
+  ${stackedBarChart(rows, series)}
+  ${table(['Exchange', 'Volume', 'Share', 'Previous period', 'Change'],
+    cex.byExchange.map(e => [
+      escapeHtml(e.exchange),
+      formatUsd(e.current),
+      formatPct(cex.total ? e.current / cex.total * 100 : null),
+      formatUsd(e.previous),
+      formatChange(e.current, e.previous)
+    ]))}
+</section>`;
+}
+
+function supplySection(data) {
+  const { supply } = data;
+  return `<section>
+  <h2>USDG circulating supply</h2>
+  <div class="stats">
+    ${statCard('Circulating at close', formatUsd(supply.end), `${formatLongDay(data.window.end)}`)}
+    ${statCard('Net change', formatUsd(supply.end - supply.start), formatChange(supply.end, supply.start))}
+  </div>
+  ${table(['Chain', 'Start', 'End', 'Change'],
+    supply.chains.map(c => [escapeHtml(c.chain), formatUsd(c.start), formatUsd(c.end), formatChange(c.end || 0, c.start)]))}
+</section>`;
+}
+
+function aaveSection(data) {
+  const { aave } = data;
+  if (!aave.last) {
+    return '<section><h2>USDG on Aave v4</h2><p class="empty">No Aave snapshots for this period.</p></section>';
+  }
+  const rows = aave.daily.map(d => ({ ...d, label: formatDay(d.date) }));
+  return `<section>
+  <h2>USDG on Aave v4 <small>Core Hub + Paxos Hub</small></h2>
+  <div class="stats">
+    ${statCard('Supplied at close', formatUsd(aave.last.totalSupply), `vs period start ${formatChange(aave.last.totalSupply, aave.first.totalSupply)}`)}
+    ${statCard('Borrowed at close', formatUsd(aave.last.totalDebt), `vs period start ${formatChange(aave.last.totalDebt, aave.first.totalDebt)}`)}
+    ${statCard('Borrower interest', formatUsd(aave.interest), `borrow APY at close ${formatPct(aave.last.borrowApy, 2)}`)}
+    ${statCard('Merkl incentives', formatUsd(aave.merklRewards), 'paid over the period')}
+  </div>
+  ${lineChart(rows, [
+    { key: 'totalSupply', label: 'Supplied', color: '#3b82f6' },
+    { key: 'totalDebt', label: 'Borrowed', color: '#b6509e' }
+  ])}
+</section>`;
+}
+
+function depthSection(data) {
+  const { depth } = data;
+  if (!depth.venues.length) {
+    return '<section><h2>Orderbook depth &amp; spread</h2><p class="empty">No depth snapshots for this period.</p></section>';
+  }
+  return `<section>
+  <h2>Orderbook depth &amp; spread <small>period averages, ±${depth.bps} bps</small></h2>
+  ${table(['Exchange', 'Avg spread', `Bid depth ±${depth.bps}bps`, `Ask depth ±${depth.bps}bps`, 'Samples'],
+    depth.venues.map(v => [
+      escapeHtml(v.exchange),
+      v.spreadBps == null ? '—' : `${v.spreadBps.toFixed(1)} bps`,
+      formatUsd(v.bidDepth),
+      formatUsd(v.askDepth),
+      v.samples
+    ]))}
+</section>`;
+}
+
+const STYLES = `
+  @page { size: A4; margin: 14mm; }
+  body { font-family: -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; color: #19282f; margin: 0 auto; max-width: 780px; padding: 24px; }
+  header { border-bottom: 2px solid #19282f; margin-bottom: 16px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 0 0 10px; }
+  h2 small { font-weight: 400; color: #6b7280; font-size: 12px; margin-left: 6px; }
+  .period { color: #6b7280; margin: 0 0 12px; }
+  section { margin: 20px 0; break-inside: avoid; page-break-inside: avoid; }
+  .stats { display: flex; gap: 10px; margin-bottom: 12px; }
+  .stat { flex: 1; border: 1px solid #e2e2e4; border-radius: 8px; padding: 8px 10px; }
+  .stat .label { font-size: 11px; color: #6b7280; text-transform: uppercase; letter-spacing: 0.04em; }
+  .stat .value { font-size: 18px; font-weight: 600; margin: 2px 0; }
+  .stat .sub { font-size: 11px; color: #6b7280; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; margin-top: 8px; }
+  th, td { text-align: right; padding: 4px 6px; border-bottom: 1px solid #e2e2e4; }
+  th:first-child, td:first-child { text-align: left; }
+  th { color: #6b7280; font-weight: 500; }
+  .chart { width: 100%; height: auto; font-size: 10px; fill: #6b7280; }
+  .chart .grid { stroke: #e2e2e4; stroke-width: 1; }
+  .legend { font-size: 11px; color: #6b7280; display: flex; flex-wrap: wrap; gap: 12px; }
+  .legend i { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 4px; vertical-align: -1px; }
+  .up { color: #15803d; }
+  .down { color: #b91c1c; }
+  .empty { color: #6b7280; font-style: italic; }
+  .print { float: right; padding: 6px 12px; border: 1px solid #19282f; background: #fff; border-radius: 6px; cursor: pointer; }
+  footer { font-size: 11px; color: #6b7280; border-top: 1px solid #e2e2e4; padding-top: 8px; }
+  @media print { .print { display: none; } body { padding: 0; } }
+`;
+
+/**
+ * Render a report to a complete HTML document
+ * @param {string} title
+ * @param {Object} data - From loadReportData()
+ */
+function renderReport(title, data) {
+  const { window, previous } = data;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <button class="print" onclick="window.print()">Print / Save as PDF</button>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="period">${formatLongDay(window.start)} – ${formatLongDay(window.end)} (UTC) · compared with ${formatLongDay(previous.start)} – ${formatLongDay(previous.end)}</p>
+</header>
+${cexSection(data)}
+${supplySection(data)}
+${aaveSection(data)}
+${depthSection(data)}
+<footer>Sources: cex_daily_volume, metrics_log, usdg_supply_history, aave_usdg_history, aave_usdg_paxos_history, depth_snapshots.</footer>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderReport,
+  formatUsd
+};
@@ -0,0 +1,373 @@
+const express = require('express');
+const backfill = require('../backfill');
+const gaps = require('../backfill/gaps');
+const alerts = require('../alerts');
+const parameters = require('../parameters');
+const auth = require('../auth');
+const runs = require('../jobs/runs');
+const snapshot = require('../jobs/hourlySnapshot');
+const { runMetricsJob } = require('../jobs/dailyMetricsLogger');
+
+const router = express.Router();
+
+// GET /api/admin/overview - Everything the admin console shows: recent snapshot
+// runs, metrics job runs and backfill jobs, and the last error for each source
+router.get('/overview', async (req, res) => {
+  try {
+    const [snapshots, jobRuns, backfills, sources] = await Promise.all([
+      runs.listSnapshotRuns({ limit: 25 }),
+      runs.listRuns({ limit: 25 }),
+      backfill.listJobs(20),
+      runs.lastRunsBySource()
+    ]);
+    res.json({
+      snapshotRunning: snapshot.isRunning(),
+      snapshotTypes: snapshot.SNAPSHOT_TYPES,
+      backfillSources: backfill.listSources(),
+      sources,
+      snapshots,
+      jobRuns,
+      backfills
+    });
+  } catch (err) {
+    console.error('[Admin] Error building overview:', err.message);
+    res.status(500).json({ error: 'Failed to load admin overview' });
+  }
+});
+
+// GET /api/admin/snapshots - Recent snapshot runs (?limit=25)
+router.get('/snapshots', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 25, 500);
+  try {
+    res.json({ running: snapshot.isRunning(), snapshots: await runs.listSnapshotRuns({ limit }) });
+  } catch (err) {
+    console.error('[Admin] Error listing snapshot runs:', err.message);
+    res.status(500).json({ error: 'Failed to list snapshot runs' });
+  }
+});
+
+// POST /api/admin/snapshots - Take a snapshot now
+// Body: { type?: 'hourly'|'daily' } (default: daily at 00:00 UTC, hourly otherwise)
+// Responds 202 immediately; the run appears in GET /api/admin/snapshots.
+router.post('/snapshots', (req, res) => {
+  const type = req.body?.type;
+  if (type != null && !snapshot.SNAPSHOT_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${snapshot.SNAPSHOT_TYPES.join(', ')}` });
+  }
+  if (snapshot.isRunning()) return res.status(409).json({ error: 'A snapshot is already running' });
+
+  snapshot.runSnapshot({ type, trigger: 'manual', triggeredBy: req.user.username })
+    .catch(err => console.error('[Admin] Snapshot run error:', err.message));
+  res.status(202).json({ started: true, type: type || null });
+});
+
+// GET /api/admin/jobs - Recorded job runs (?job=metrics &limit=25)
+router.get('/jobs', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 25, 500);
+  try {
+    res.json({ runs: await runs.listRuns({ job: req.query.job, limit }) });
+  } catch (err) {
+    console.error('[Admin] Error listing job runs:', err.message);
+    res.status(500).json({ error: 'Failed to list job runs' });
+  }
+});
+
+// POST /api/admin/jobs/metrics - Run the daily metrics job now; responds 202
+router.post('/jobs/metrics', (req, res) => {
+  runMetricsJob({ trigger: 'manual', triggeredBy: req.user.username })
+    .catch(err => console.error('[Admin] Metrics job error:', err.message));
+  res.status(202).json({ started: true });
+});
+
+// GET /api/admin/backfill - Recent backfill jobs and the sources/targets available
+router.get('/backfill', async (req, res) => {
+  try {
+    const jobs = await backfill.listJobs();
+    res.json({ sources: backfill.listSources(), jobs });
+  } catch (err) {
+    console.error('[Admin] Error listing backfill jobs:', err.message);
+    res.status(500).json({ error: 'Failed to list backfill jobs' });
+  }
+});
+
+// GET /api/admin/backfill/:id - Progress of one job
+router.get('/backfill/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid backfill job id' });
+  try {
+    const job = await backfill.getJob(id);
+    if (!job) return res.status(404).json({ error: 'Backfill job not found' });
+    res.json(job);
+  } catch (err) {
+    console.error('[Admin] Error fetching backfill job:', err.message);
+    res.status(500).json({ error: 'Failed to fetch backfill job' });
+  }
+});
+
+// POST /api/admin/backfill - Start a backfill
+// Body: { source, start: 'YYYY-MM-DD', end?: 'YYYY-MM-DD' (default today), target?: table }
+// Responds 202 immediately; poll GET /api/admin/backfill/:id for progress.
+// Re-posting the same request resumes the unfinished job instead of creating a new one.
+router.post('/backfill', async (req, res) => {
+  try {
+    backfill.validateRequest(req.body || {});
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const job = await backfill.createJob(req.body);
+    if (job.status === 'running') return res.status(409).json({ error: 'Job is already running', job });
+
+    backfill.runJob(job.id).catch(err => console.error(`[Admin] Backfill job ${job.id} error:`, err.message));
+    res.status(202).json(job);
+  } catch (err) {
+    console.error('[Admin] Error starting backfill:', err.message);
+    res.status(500).json({ error: 'Failed to start backfill' });
+  }
+});
+
+// POST /api/admin/backfill/:id/resume - Resume a failed or interrupted job
+router.post('/backfill/:id/resume', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid backfill job id' });
+  try {
+    const job = await backfill.getJob(id);
+    if (!job) return res.status(404).json({ error: 'Backfill job not found' });
+    if (job.status === 'complete') return res.status(409).json({ error: 'Job is already complete', job });
+
+    backfill.runJob(job.id).catch(err => console.error(`[Admin] Backfill job ${job.id} error:`, err.message));
+    res.status(202).json(job);
+  } catch (err) {
+    console.error('[Admin] Error resuming backfill:', err.message);
+    res.status(500).json({ error: 'Failed to resume backfill' });
+  }
+});
+
+// POST /api/admin/gaps/repair - Queue backfill jobs for every repairable gap
+// Body: { days?, series? } — same meaning as GET /api/health/gaps
+router.post('/gaps/repair', async (req, res) => {
+  const { days, series } = req.body || {};
+  try {
+    const jobs = await gaps.repairGaps({ days: parseInt(days, 10) || 90, series });
+    res.status(202).json({ jobs });
+  } catch (err) {
+    if (err.message.startsWith('Unknown series')) return res.status(400).json({ error: err.message });
+    console.error('[Admin] Error repairing gaps:', err.message);
+    res.status(500).json({ error: 'Failed to queue gap repair' });
+  }
+});
+
+// GET /api/admin/alerts/rules - All alert rules plus the metric/condition/channel catalog
+router.get('/alerts/rules', async (req, res) => {
+  try {
+    const rules = await alerts.listRules();
+    res.json({
+      metrics: alerts.listMetrics(),
+      conditions: alerts.CONDITIONS,
+      channelTypes: alerts.CHANNEL_TYPES,
+      rules
+    });
+  } catch (err) {
+    console.error('[Admin] Error listing alert rules:', err.message);
+    res.status(500).json({ error: 'Failed to list alert rules' });
+  }
+});
+
+// POST /api/admin/alerts/rules - Create a rule
+// Body: { name, metric, params?, condition, threshold, lookbackHours?, cooldownMinutes?, channels?, enabled? }
+router.post('/alerts/rules', async (req, res) => {
+  try {
+    alerts.validateRule(req.body || {});
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    res.status(201).json(await alerts.createRule(req.body));
+  } catch (err) {
+    console.error('[Admin] Error creating alert rule:', err.message);
+    res.status(500).json({ error: 'Failed to create alert rule' });
+  }
+});
+
+// PUT /api/admin/alerts/rules/:id - Replace a rule
+router.put('/alerts/rules/:id', async (req, res) => {
+  try {
+    alerts.validateRule(req.body || {});
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const rule = await alerts.updateRule(parseInt(req.params.id, 10), req.body);
+    if (!rule) return res.status(404).json({ error: 'Alert rule not found' });
+    res.json(rule);
+  } catch (err) {
+    console.error('[Admin] Error updating alert rule:', err.message);
+    res.status(500).json({ error: 'Failed to update alert rule' });
+  }
+});
+
+// DELETE /api/admin/alerts/rules/:id - Delete a rule (its alert history is kept)
+router.delete('/alerts/rules/:id', async (req, res) => {
+  try {
+    const deleted = await alerts.deleteRule(parseInt(req.params.id, 10));
+    if (!deleted) return res.status(404).json({ error: 'Alert rule not found' });
+    res.status(204).end();
+  } catch (err) {
+    console.error('[Admin] Error deleting alert rule:', err.message);
+    res.status(500).json({ error: 'Failed to delete alert rule' });
+  }
+});
+
+// POST /api/admin/alerts/rules/:id/test - Send a test message through the rule's channels
+router.post('/alerts/rules/:id/test', async (req, res) => {
+  try {
+    const deliveries = await alerts.testRule(parseInt(req.params.id, 10));
+    if (!deliveries) return res.status(404).json({ error: 'Alert rule not found' });
+    res.json({ deliveries });
+  } catch (err) {
+    console.error('[Admin] Error testing alert rule:', err.message);
+    res.status(500).json({ error: 'Failed to test alert rule' });
+  }
+});
+
+// GET /api/admin/alerts/history - Most recent alerts fired (?limit=100)
+router.get('/alerts/history', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  try {
+    res.json({ events: await alerts.listEvents(limit) });
+  } catch (err) {
+    console.error('[Admin] Error fetching alert history:', err.message);
+    res.status(500).json({ error: 'Failed to fetch alert history' });
+  }
+});
+
+// POST /api/admin/alerts/evaluate - Evaluate all rules now instead of waiting for the next snapshot
+router.post('/alerts/evaluate', async (req, res) => {
+  try {
+    res.json({ fired: await alerts.evaluateAlerts() });
+  } catch (err) {
+    console.error('[Admin] Error evaluating alerts:', err.message);
+    res.status(500).json({ error: 'Failed to evaluate alerts' });
+  }
+});
+
+// GET /api/admin/parameters - Parameter keys with their defaults, and every stored version
+// Query: ?key= to list one key's versions
+router.get('/parameters', async (req, res) => {
+  try {
+    res.json({ definitions: parameters.listDefinitions(), versions: await parameters.listVersions(req.query.key) });
+  } catch (err) {
+    console.error('[Admin] Error listing parameters:', err.message);
+    res.status(500).json({ error: 'Failed to list parameters' });
+  }
+});
+
+// POST /api/admin/parameters - Add a version of a parameter
+// Body: { key, value, effectiveFrom: 'YYYY-MM-DD', effectiveTo?: 'YYYY-MM-DD', note? }
+// The version in force on effectiveFrom ends there; see server/parameters for effectiveTo.
+router.post('/parameters', async (req, res) => {
+  try {
+    parameters.validateRequest(req.body || {});
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    res.status(201).json(await parameters.createVersion(req.body, req.user.username));
+  } catch (err) {
+    if (err.message.startsWith('Duplicate')) return res.status(400).json({ error: err.message });
+    if (err.message.startsWith('Overlaps')) return res.status(409).json({ error: err.message });
+    console.error('[Admin] Error creating parameter version:', err.message);
+    res.status(500).json({ error: 'Failed to create parameter version' });
+  }
+});
+
+// GET /api/admin/users - Local users (never their password hashes)
+router.get('/users', async (req, res) => {
+  try {
+    res.json({ roles: auth.ROLES, users: await auth.listUsers() });
+  } catch (err) {
+    console.error('[Admin] Error listing users:', err.message);
+    res.status(500).json({ error: 'Failed to list users' });
+  }
+});
+
+// POST /api/admin/users - Body: { username, password, role }
+router.post('/users', async (req, res) => {
+  try {
+    auth.validateUser(req.body || {});
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const user = await auth.createUser(req.body);
+    if (!user) return res.status(409).json({ error: 'Username is taken' });
+    res.status(201).json(user);
+  } catch (err) {
+    console.error('[Admin] Error creating user:', err.message);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// PUT /api/admin/users/:id - Body: any of { password, role, disabled }
+// A new password or disabling the user signs them out everywhere.
+router.put('/users/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    auth.validateUser(req.body || {}, { partial: true });
+    if (req.user.via === 'session' && id === req.user.id && (req.body.disabled || (req.body.role && req.body.role !== 'admin'))) {
+      throw new Error('You cannot disable or demote your own account');
+    }
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const user = await auth.updateUser(id, req.body);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json(user);
+  } catch (err) {
+    console.error('[Admin] Error updating user:', err.message);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// GET /api/admin/api-keys - Issued API keys (prefix only)
+router.get('/api-keys', async (req, res) => {
+  try {
+    res.json({ roles: auth.ROLES, keys: await auth.listApiKeys() });
+  } catch (err) {
+    console.error('[Admin] Error listing API keys:', err.message);
+    res.status(500).json({ error: 'Failed to list API keys' });
+  }
+});
+
+// POST /api/admin/api-keys - Body: { name, role }
+// The response is the only time the full key is shown. Send it as
+// `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+router.post('/api-keys', async (req, res) => {
+  try {
+    auth.validateApiKey(req.body || {});
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    res.status(201).json(await auth.createApiKey(req.body, req.user.username));
+  } catch (err) {
+    console.error('[Admin] Error creating API key:', err.message);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// DELETE /api/admin/api-keys/:id - Revoke a key
+router.delete('/api-keys/:id', async (req, res) => {
+  try {
+    const revoked = await auth.revokeApiKey(parseInt(req.params.id, 10));
+    if (!revoked) return res.status(404).json({ error: 'API key not found or already revoked' });
+    res.status(204).end();
+  } catch (err) {
+    console.error('[Admin] Error revoking API key:', err.message);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
@@ -1,36 +1,20 @@
 const express = require('express');
 const krakenService = require('../services/kraken');
-const bullishService = require('../services/bullish');
-const gateService = require('../services/gate');
-const kucoinService = require('../services/kucoin');
-const bitmartService = require('../services/bitmart');
-const okxService = require('../services/okx');
-const bitgetService = require('../services/bitget');
-const bitstampService = require('../services/bitstamp');
-
 const cryptocomService = require('../services/cryptocom');
 const binanceService = require('../services/binance');
 const paxgService = require('../services/paxg');
 const aaveV4Service = require('../services/aaveV4');
 const merklService  = require('../services/merkl');
+const exchanges = require('../exchanges');
 const dbPool = require('../db/pool');
+const depthLevels = require('../depthLevels');
+const { upsertPairDaily, getPairDailyVolume } = require('../db/queries');
+const eventBus = require('../utils/eventBus');
+const parameters = require('../parameters');
+const { parseDateRange, filterByDate } = require('../utils/dateRange');
 
 const router = express.Router();
 
-// All supported exchanges
-const EXCHANGES = ['kraken', 'bullish', 'gate', 'kucoin', 'bitmart', 'okx', 'bitstamp'];
-
-// Service map for easy lookup
-const services = {
-  kraken: krakenService,
-  bullish: bullishService,
-  gate: gateService,
-  kucoin: kucoinService,
-  bitmart: bitmartService,
-  okx: okxService,
-  bitstamp: bitstampService,
-};
-
 // Simple in-memory cache with 6-hour TTL
 const cache = new Map();
 const CACHE_TTL = 6 * 60 * 60 * 1000; // 6 hours
@@ -47,26 +31,38 @@ function setCache(key, data) {
   cache.set(key, { data, timestamp: Date.now() });
 }
 
+// History endpoints take optional ?start=&end= (YYYY-MM-DD, inclusive) so a
+// chart fetches only the window it shows; the cache keeps whole histories
+const mapValues = (obj, fn) => Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, fn(v)]));
+
 // GET /api/exchanges - List supported exchanges
 router.get('/exchanges', (req, res) => {
-  res.json(EXCHANGES);
+  res.json(exchanges.listExchangeIds('volume'));
 });
 
-// GET /api/volume/:exchange - Get volume for specific exchange
+// GET /api/volume/:exchange?start=&end= - Get volume for specific exchange
 // Serves from Postgres cex_daily_volume (instant); refreshes from live API in background.
 router.get('/volume/:exchange', async (req, res) => {
   const { exchange } = req.params;
+  let bounds;
+  try {
+    bounds = parseDateRange(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const windowed = data => ({ ...data, dailyVolume: filterByDate(data.dailyVolume, bounds) });
   const exchangeKey = exchange.toLowerCase();
   const cacheKey = `volume_${exchangeKey}`;
 
-  const service = services[exchangeKey];
-  if (!service) {
+  const adapter = exchanges.getAdapter(exchangeKey);
+  if (!adapter?.capabilities.volume) {
     return res.status(400).json({ error: `Unknown exchange: ${exchange}` });
   }
+  const service = adapter.service;
 
   // 1. Try in-memory cache first (sub-ms)
   const cached = getCached(cacheKey);
-  if (cached) return res.json(cached);
+  if (cached) return res.json(windowed(cached));
 
   // 2. Serve from Postgres (fast — ms not seconds)
   try {
@@ -77,7 +73,7 @@ router.get('/volume/:exchange', async (req, res) => {
     if (dbRows.rows.length > 0) {
       const data = { exchange: exchangeKey, pairs: [], dailyVolume: dbRows.rows };
       setCache(cacheKey, data);
-      res.json(data);
+      res.json(windowed(data));
       // Refresh DB in background if data is stale (last entry older than 1 day)
       const lastDate = dbRows.rows[dbRows.rows.length - 1]?.date;
       const today = new Date().toISOString().split('T')[0];
@@ -109,7 +105,7 @@ router.get('/volume/:exchange', async (req, res) => {
         [day.date, exchangeKey, day.volume]
       ).catch(() => {});
     }
-    res.json(data);
+    res.json(windowed(data));
   } catch (err) {
     console.error(`Error fetching ${exchange} volume:`, err);
     res.status(500).json({ error: err.message });
@@ -128,11 +124,12 @@ router.get('/aggregated', async (req, res) => {
 
   try {
     // Fetch from all exchanges in parallel
+    const adapters = exchanges.listAdapters('volume');
     const results = await Promise.all(
-      EXCHANGES.map(exchangeName =>
-        services[exchangeName].getAggregatedVolume().catch(err => {
-          console.error(`${exchangeName} error:`, err.message);
-          return { exchange: exchangeName, pairs: [], dailyVolume: [] };
+      adapters.map(adapter =>
+        adapter.service.getAggregatedVolume().catch(err => {
+          console.error(`${adapter.id} error:`, err.message);
+          return { exchange: adapter.id, pairs: [], dailyVolume: [] };
         })
       )
     );
@@ -166,7 +163,7 @@ router.get('/aggregated', async (req, res) => {
     const data = {
       dailyVolume,
       totalVolume,
-      exchanges: EXCHANGES,
+      exchanges: adapters.map(a => a.id),
       pairsByExchange
     };
 
@@ -202,23 +199,91 @@ function extractAsset(pairName) {
   return pairName; // Return original if can't extract
 }
 
-// GET /api/asset-volume - Get volume grouped by asset across all exchanges
+// Reshape getPairDailyStats() rows into the getPerPairVolume() response shape
+function pairStatsToVolume(stats) {
+  const volumeByPair = {};
+  for (const pair of stats.pairs) volumeByPair[pair] = [];
+  for (const { pair, usdVolume, ...detail } of stats.rows) {
+    if (!volumeByPair[pair]) volumeByPair[pair] = [];
+    volumeByPair[pair].push({ ...detail, volume: usdVolume });
+  }
+  for (const days of Object.values(volumeByPair)) {
+    days.sort((a, b) => a.date.localeCompare(b.date));
+  }
+  return { exchange: stats.exchange, pairs: stats.pairs, volumeByPair };
+}
+
+// Exchanges with a per-pair refresh in flight — a full pass can take a
+// minute on rate-limited venues, so never start two at once
+const pairRefreshes = new Map();
+
+function refreshPairVolume(adapter) {
+  if (pairRefreshes.has(adapter.id)) return pairRefreshes.get(adapter.id);
+  const job = adapter.service.getPairDailyStats()
+    .then(async stats => {
+      await upsertPairDaily(adapter.id, stats.rows).catch(err =>
+        console.error(`[${adapter.id}] Per-pair DB write error:`, err.message)
+      );
+      return pairStatsToVolume(stats);
+    })
+    .finally(() => pairRefreshes.delete(adapter.id));
+  pairRefreshes.set(adapter.id, job);
+  return job;
+}
+
+// Per-pair volume for one exchange: Postgres cex_pair_daily first, refreshed
+// in the background when stale; live API (persisted) when nothing is stored.
+async function loadPairVolume(adapter) {
+  try {
+    const stored = await getPairDailyVolume(adapter.id);
+    if (stored) {
+      const { lastUpdated, ...data } = stored;
+      const today = new Date().toISOString().split('T')[0];
+      if (new Date(lastUpdated).toISOString().split('T')[0] < today) {
+        refreshPairVolume(adapter)
+          .then(() => {
+            cache.delete(`pairs_${adapter.id}`);
+            cache.delete('asset_volume');
+          })
+          .catch(err => console.error(`[${adapter.id}] Per-pair refresh error:`, err.message));
+      }
+      return data;
+    }
+  } catch (dbErr) {
+    console.error(`[${adapter.id}] Per-pair DB read error:`, dbErr.message);
+  }
+
+  return refreshPairVolume(adapter);
+}
+
+// GET /api/asset-volume?start=&end= - Get volume grouped by asset across all exchanges
 router.get('/asset-volume', async (req, res) => {
   const cacheKey = 'asset_volume';
+  let bounds;
+  try {
+    bounds = parseDateRange(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const windowed = data => ({
+    ...data,
+    volumeByAsset: mapValues(data.volumeByAsset, byExchange => mapValues(byExchange, days => filterByDate(days, bounds)))
+  });
 
   // Check cache first
   const cached = getCached(cacheKey);
   if (cached) {
-    return res.json(cached);
+    return res.json(windowed(cached));
   }
 
   try {
-    // Fetch per-pair volume from all exchanges in parallel
+    // Load per-pair volume for all exchanges in parallel
+    const adapters = exchanges.listAdapters('perPairVolume');
     const results = await Promise.all(
-      EXCHANGES.map(exchangeName =>
-        services[exchangeName].getPerPairVolume().catch(err => {
-          console.error(`${exchangeName} error:`, err.message);
-          return { exchange: exchangeName, pairs: [], volumeByPair: {} };
+      adapters.map(adapter =>
+        loadPairVolume(adapter).catch(err => {
+          console.error(`${adapter.id} error:`, err.message);
+          return { exchange: adapter.id, pairs: [], volumeByPair: {} };
         })
       )
     );
@@ -267,37 +332,46 @@ router.get('/asset-volume', async (req, res) => {
     const data = {
       assets,
       volumeByAsset,
-      exchanges: EXCHANGES
+      exchanges: adapters.map(a => a.id)
     };
 
     setCache(cacheKey, data);
-    res.json(data);
+    res.json(windowed(data));
   } catch (err) {
     console.error('Error fetching asset volume:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// GET /api/pairs/:exchange - Get per-pair volume for specific exchange
+// GET /api/pairs/:exchange?start=&end= - Get per-pair volume for specific exchange
+// Serves from Postgres cex_pair_daily; each point also carries the stored
+// base/quote volume, close, vwap, trade count and USD conversion rule.
 router.get('/pairs/:exchange', async (req, res) => {
   const { exchange } = req.params;
-  const cacheKey = `pairs_${exchange}`;
+  let bounds;
+  try {
+    bounds = parseDateRange(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const windowed = data => ({ ...data, volumeByPair: mapValues(data.volumeByPair, days => filterByDate(days, bounds)) });
+
+  const adapter = exchanges.getAdapter(exchange);
+  if (!adapter?.capabilities.perPairVolume) {
+    return res.status(400).json({ error: `Unknown exchange: ${exchange}` });
+  }
+  const cacheKey = `pairs_${adapter.id}`;
 
   // Check cache first
   const cached = getCached(cacheKey);
   if (cached) {
-    return res.json(cached);
-  }
-
-  const service = services[exchange.toLowerCase()];
-  if (!service) {
-    return res.status(400).json({ error: `Unknown exchange: ${exchange}` });
+    return res.json(windowed(cached));
   }
 
   try {
-    const data = await service.getPerPairVolume();
+    const data = await loadPairVolume(adapter);
     setCache(cacheKey, data);
-    res.json(data);
+    res.json(windowed(data));
   } catch (err) {
     console.error(`Error fetching ${exchange} pair volume:`, err);
     res.status(500).json({ error: err.message });
@@ -405,63 +479,32 @@ router.get('/pyusd', async (req, res) => {
 });
 
 // GET /api/paxg/volume - PAXG + XAUT trading volume by exchange
-// Add new exchanges by extending SOURCES below.
+// Venues come from every exchange adapter declaring the goldHistory capability.
 router.get('/paxg/volume', async (req, res) => {
   const cacheKey = 'paxg_volume_all';
   const cached = getCached(cacheKey);
   if (cached) return res.json(cached);
 
   try {
-    // Fetch PAXG and XAUT in parallel across all exchanges
-    const [
-      binancePaxg, binanceXaut,
-      okxPaxg,     okxXaut,
-      krakenPaxg,  krakenXaut,
-      gatePaxg,    gateXaut,
-      kucoinPaxg,  kucoinXaut,
-      bitgetPaxg,  bitgetXaut
-    ] = await Promise.all([
-      binanceService.getDailyVolume('PAXGUSDT').catch(e => { console.error('Binance PAXG:', e.message); return []; }),
-      binanceService.getDailyVolume('XAUTUSDT').catch(e => { console.error('Binance XAUT:', e.message); return []; }),
-      okxService.getDailyVolumeHistory('PAXG-USDT').catch(e => { console.error('OKX PAXG:', e.message); return []; }),
-      okxService.getDailyVolumeHistory('XAUT-USDT').catch(e => { console.error('OKX XAUT:', e.message); return []; }),
-      krakenService.getKrakenPaxgVolume().catch(e => { console.error('Kraken PAXG:', e.message); return []; }),
-      krakenService.getKrakenXautVolume().catch(e => { console.error('Kraken XAUT:', e.message); return []; }),
-      gateService.getDailyVolumeUsdt('PAXG_USDT').catch(e => { console.error('Gate PAXG:', e.message); return []; }),
-      gateService.getDailyVolumeUsdt('XAUT_USDT').catch(e => { console.error('Gate XAUT:', e.message); return []; }),
-      kucoinService.getDailyVolumeUsdt('PAXG-USDT').catch(e => { console.error('KuCoin PAXG:', e.message); return []; }),
-      kucoinService.getDailyVolumeUsdt('XAUT-USDT').catch(e => { console.error('KuCoin XAUT:', e.message); return []; }),
-      bitgetService.getDailyVolumeUsdt('PAXGUSDT').catch(e => { console.error('Bitget PAXG:', e.message); return []; }),
-      bitgetService.getDailyVolumeUsdt('XAUTUSDT').catch(e => { console.error('Bitget XAUT:', e.message); return []; })
+    // Fetch PAXG and XAUT in parallel across every adapter with gold history
+    const adapters = exchanges.listAdapters('goldHistory');
+    const fetchGold = (adapter, token) =>
+      adapter.goldVolume[token]().catch(e => {
+        console.error(`${adapter.name} ${token.toUpperCase()}:`, e.message);
+        return [];
+      });
+
+    const [paxgSeries, xautSeries] = await Promise.all([
+      Promise.all(adapters.map(a => fetchGold(a, 'paxg'))),
+      Promise.all(adapters.map(a => fetchGold(a, 'xaut')))
     ]);
 
-    const EXCHANGES = [
-      { key: 'binance', displayName: 'Binance' },
-      { key: 'okx',     displayName: 'OKX' },
-      { key: 'kraken',  displayName: 'Kraken' },
-      { key: 'gate',    displayName: 'Gate.io' },
-      { key: 'kucoin',  displayName: 'KuCoin' },
-      { key: 'bitget',  displayName: 'Bitget' }
-    ];
+    const EXCHANGES = adapters.map(a => ({ key: a.id, displayName: a.name }));
 
     // Raw per-exchange series for each token
     const raw = {
-      paxg: {
-        binance: binancePaxg.map(d => ({ date: d.date, volume: d.volume })),
-        okx:     okxPaxg,
-        kraken:  krakenPaxg,
-        gate:    gatePaxg,
-        kucoin:  kucoinPaxg,
-        bitget:  bitgetPaxg
-      },
-      xaut: {
-        binance: binanceXaut.map(d => ({ date: d.date, volume: d.volume })),
-        okx:     okxXaut,
-        kraken:  krakenXaut,
-        gate:    gateXaut,
-        kucoin:  kucoinXaut,
-        bitget:  bitgetXaut
-      }
+      paxg: Object.fromEntries(adapters.map((a, i) => [a.id, paxgSeries[i]])),
+      xaut: Object.fromEntries(adapters.map((a, i) => [a.id, xautSeries[i]]))
     };
 
     // Build combined-by-date maps for charting
@@ -492,16 +535,31 @@ router.get('/paxg/volume', async (req, res) => {
   }
 });
 
-// GET /api/binance/paxg - Binance PAXG/USDT daily volume + live orderbook depth
+const BINANCE_SUMMARY_DAYS = 30;
+
+// GET /api/binance/paxg?start=&end= - Binance PAXG/USDT daily volume + live orderbook depth
+// A range narrows combinedVolume (the chart) and cuts each pair's dailyVolume to the
+// last BINANCE_SUMMARY_DAYS, all the summary cards read
 router.get('/binance/paxg', async (req, res) => {
   const cacheKey = 'binance_paxg';
+  let bounds;
+  try {
+    bounds = parseDateRange(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const ranged = bounds.start || bounds.end;
+  const recent = pair => ({ ...pair, dailyVolume: pair.dailyVolume.slice(-BINANCE_SUMMARY_DAYS) });
+  const windowed = data => (ranged
+    ? { ...data, paxg: recent(data.paxg), xaut: recent(data.xaut), combinedVolume: filterByDate(data.combinedVolume, bounds) }
+    : data);
   const cached = getCached(cacheKey);
-  if (cached) return res.json(cached);
+  if (cached) return res.json(windowed(cached));
 
   try {
     const data = await binanceService.getGoldPairsData();
     setCache(cacheKey, data);
-    res.json(data);
+    res.json(windowed(data));
   } catch (err) {
     console.error('Error fetching Binance PAXG data:', err.message);
     res.status(500).json({ error: err.message });
@@ -518,8 +576,7 @@ router.get('/binance/paxg/depth-history', async (req, res) => {
 
   try {
     const result = await dbPool.query(
-      `SELECT snapped_at, pair, mid_price, best_bid, best_ask, spread_bps,
-              bps_levels, bid_depth, ask_depth
+      `SELECT id, snapped_at, pair, mid_price, best_bid, best_ask, spread_bps, bps_levels
        FROM depth_snapshots
        WHERE exchange = 'Binance'
          AND snapped_at >= $1::date
@@ -528,10 +585,10 @@ router.get('/binance/paxg/depth-history', async (req, res) => {
       [start, end]
     );
 
-    const rows = result.rows;
+    const BPS = [2, 10, 25, 50, 100];
+    const rows = await depthLevels.attachLevels(result.rows, BPS);
 
     if (format === 'csv') {
-      const BPS = [2, 10, 25, 50, 100];
       const headers = [
         'timestamp', 'symbol', 'mid_price', 'best_bid', 'best_ask', 'spread_bps',
         ...BPS.flatMap(b => [`bid_${b}bps`, `ask_${b}bps`])
@@ -539,8 +596,8 @@ router.get('/binance/paxg/depth-history', async (req, res) => {
 
       const csvLines = [headers.join(',')];
       for (const row of rows) {
-        const bid = row.bid_depth || {};
-        const ask = row.ask_depth || {};
+        const bid = row.bid_depth;
+        const ask = row.ask_depth;
         const cols = [
           row.snapped_at.toISOString(),
           row.pair,
@@ -565,9 +622,15 @@ router.get('/binance/paxg/depth-history', async (req, res) => {
   }
 });
 
-// GET /api/hood/volume-history - Hood (Uniswap) daily volume, DB-backed with live GeckoTerminal refresh
+// GET /api/hood/volume-history?start=&end= - Hood (Uniswap) daily volume, DB-backed with live GeckoTerminal refresh
 // DB is the primary source (survives GeckoTerminal IP blocks); live data supplements and upserts.
 router.get('/hood/volume-history', async (req, res) => {
+  let bounds;
+  try {
+    bounds = parseDateRange(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
   try {
     // Always serve from DB first — gives us resilient history regardless of GeckoTerminal availability
     const dbRows = await dbPool.query(
@@ -603,7 +666,7 @@ router.get('/hood/volume-history', async (req, res) => {
     const finalRows = await dbPool.query(
       'SELECT snapshot_date::text AS date, volume::float, fee_revenue::float FROM hood_volume_history ORDER BY snapshot_date ASC'
     );
-    res.json({ history: finalRows.rows });
+    res.json({ history: filterByDate(finalRows.rows, bounds) });
   } catch (err) {
     console.error('Error fetching Hood volume history:', err.message);
     res.status(500).json({ error: err.message });
@@ -627,13 +690,22 @@ router.get('/aave/usdg/paxos', async (req, res) => {
   }
 });
 
-// GET /api/aave/usdg/paxos/history - Historical Paxos Hub data
+// GET /api/aave/usdg/paxos/history?start=&end= - Historical Paxos Hub data
 router.get('/aave/usdg/paxos/history', async (req, res) => {
+  let bounds;
+  try {
+    bounds = parseDateRange(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
   try {
     const result = await dbPool.query(
       `SELECT snapshot_date::text AS date, total_debt::float, borrow_apy::float,
               daily_interest::float, total_supply::float, supply_apy::float
-       FROM aave_usdg_paxos_history ORDER BY snapshot_date ASC`
+       FROM aave_usdg_paxos_history
+       WHERE ($1::date IS NULL OR snapshot_date >= $1) AND ($2::date IS NULL OR snapshot_date <= $2)
+       ORDER BY snapshot_date ASC`,
+      [bounds.start, bounds.end]
     );
     res.json({ history: result.rows });
   } catch (err) {
@@ -661,9 +733,17 @@ router.get('/usdg/supply', async (req, res) => {
   }
 });
 
-// GET /api/aave/usdg/history - Historical daily USDG Aave v4 borrow + incentive data
+// GET /api/aave/usdg/history?start=&end= - Historical daily USDG Aave v4 borrow + incentive data
+// Each row carries nim_apy, the NIM rate in force that day
 router.get('/aave/usdg/history', async (req, res) => {
+  let bounds;
+  try {
+    bounds = parseDateRange(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
   try {
+    const params = await parameters.loadParameters();
     const result = await dbPool.query(
       `SELECT snapshot_date::text AS date, total_debt::float, borrow_apy::float,
               daily_interest::float, spoke_breakdown,
@@ -673,9 +753,11 @@ router.get('/aave/usdg/history', async (req, res) => {
               merkl_hub_apr::float AS merkl_hub_apr,
               merkl_hub_tvl::float AS merkl_hub_tvl
        FROM aave_usdg_history
-       ORDER BY snapshot_date ASC`
+       WHERE ($1::date IS NULL OR snapshot_date >= $1) AND ($2::date IS NULL OR snapshot_date <= $2)
+       ORDER BY snapshot_date ASC`,
+      [bounds.start, bounds.end]
     );
-    res.json({ history: result.rows });
+    res.json({ history: result.rows.map(row => ({ ...row, nim_apy: params.valueAt(parameters.NIM_APY, row.date) })) });
   } catch (err) {
     console.error('Error fetching Aave USDG history:', err.message);
     res.status(500).json({ error: err.message });
@@ -699,15 +781,29 @@ router.get('/aave/usdg/merkl', async (req, res) => {
 
 // GET /api/aave/usdg - USDG Aave v4 borrowing data (60s cache)
 const AAVE_CACHE_TTL = 60 * 1000; // 60 seconds
+
+// Every fresh read is pushed to stream subscribers as an 'aave' event
+async function refreshAaveUsdg() {
+  const data = await aaveV4Service.getUsdgReserveData();
+  cache.set('aave_usdg_v4', { data, timestamp: Date.now() });
+  eventBus.publish('aave', data);
+  return data;
+}
+
+// While anyone is connected to /api/stream, keep the reading fresh server-side
+// so open dashboards get one shared on-chain read per minute
+setInterval(() => {
+  const entry = cache.get('aave_usdg_v4');
+  if (eventBus.subscriberCount() === 0 || (entry && Date.now() - entry.timestamp < AAVE_CACHE_TTL)) return;
+  refreshAaveUsdg().catch(err => console.error('Error refreshing Aave v4 USDG data:', err.message));
+}, AAVE_CACHE_TTL).unref();
+
 router.get('/aave/usdg', async (req, res) => {
-  const cacheKey = 'aave_usdg_v4';
-  const entry = cache.get(cacheKey);
+  const entry = cache.get('aave_usdg_v4');
   if (entry && Date.now() - entry.timestamp < AAVE_CACHE_TTL) return res.json(entry.data);
 
   try {
-    const data = await aaveV4Service.getUsdgReserveData();
-    cache.set(cacheKey, { data, timestamp: Date.now() });
-    res.json(data);
+    res.json(await refreshAaveUsdg());
   } catch (err) {
     console.error('Error fetching Aave v4 USDG data:', err.message);
     // Serve stale cache if available rather than returning an error
@@ -0,0 +1,45 @@
+const express = require('express');
+const auth = require('../auth');
+const { readCookie, setSessionCookie, clearSessionCookie, accessFor, SESSION_COOKIE } = require('../auth/middleware');
+
+const router = express.Router();
+
+// GET /api/auth/me - The caller and which areas they can reach
+// user is null for anonymous callers; role is null when sign-in is required
+router.get('/me', (req, res) => {
+  const user = req.user && req.user.via !== 'anonymous' ? req.user : null;
+  const role = req.user?.role || null;
+  res.json({ user, role, access: accessFor(role) });
+});
+
+// POST /api/auth/login - Body: { username, password }; sets the session cookie
+router.post('/login', async (req, res) => {
+  const { username, password } = req.body || {};
+  if (!username || !password) return res.status(400).json({ error: 'username and password are required' });
+
+  try {
+    const session = await auth.login(username, password);
+    if (!session) return res.status(401).json({ error: 'Invalid username or password' });
+    setSessionCookie(req, res, session.token, session.expiresAt);
+    const { user } = session;
+    res.json({ user: { id: user.id, username: user.username, role: user.role, via: 'session' }, role: user.role, access: accessFor(user.role) });
+  } catch (err) {
+    console.error('[Auth] Error logging in:', err.message);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+// POST /api/auth/logout - Ends the current session
+router.post('/logout', async (req, res) => {
+  try {
+    const token = readCookie(req, SESSION_COOKIE);
+    if (token) await auth.logout(token);
+    clearSessionCookie(res);
+    res.status(204).end();
+  } catch (err) {
+    console.error('[Auth] Error logging out:', err.message);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+module.exports = router;
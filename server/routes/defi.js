@@ -1,9 +1,11 @@
 const express = require('express');
 const queries = require('../db/queries');
+const { parseDateRange } = require('../utils/dateRange');
 
 const router = express.Router();
 
 // GET /api/defi/pools - All DEX pool data from latest snapshot
+// A source that failed in it is served from its last good snapshot; each row's asOf says which
 router.get('/pools', async (req, res) => {
   try {
     const pools = await queries.getLatestDexPools();
@@ -14,7 +16,7 @@ router.get('/pools', async (req, res) => {
   }
 });
 
-// GET /api/defi/vaults - Kamino vault metrics from latest snapshot
+// GET /api/defi/vaults - Kamino vault metrics from latest snapshot (or last good, see asOf)
 router.get('/vaults', async (req, res) => {
   try {
     const vaults = await queries.getLatestVaults();
@@ -25,7 +27,7 @@ router.get('/vaults', async (req, res) => {
   }
 });
 
-// GET /api/defi/lending - All lending reserve metrics from latest snapshot
+// GET /api/defi/lending - All lending reserve metrics from latest snapshot (or last good, see asOf)
 router.get('/lending', async (req, res) => {
   try {
     const reserves = await queries.getLatestLending();
@@ -37,10 +39,16 @@ router.get('/lending', async (req, res) => {
   }
 });
 
-// GET /api/defi/pool-history - Daily DEX snapshots from Postgres
+// GET /api/defi/pool-history?start=&end= - Daily DEX snapshots from Postgres, all dates unless bounded
 router.get('/pool-history', async (req, res) => {
+  let bounds;
   try {
-    const history = await queries.getPoolHistory();
+    bounds = parseDateRange(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const history = await queries.getPoolHistory(bounds);
     res.json({ history });
   } catch (err) {
     console.error('Error fetching pool history:', err.message);
@@ -1,15 +1,26 @@
 const express = require('express');
 const pool = require('../db/pool');
 const { fetchUsdgDepth, EXCHANGE_NAMES } = require('../services/depthFetcher');
+const exchanges = require('../exchanges');
+const depthStream = require('../depthStream');
+const eventBus = require('../utils/eventBus');
+const sourceHealth = require('../health');
+const { simulateImpact } = require('../utils/depthCalculator');
+const depthLevels = require('../depthLevels');
+const consolidatedBook = require('../consolidatedBook');
+const dexDepth = require('../dexDepth');
+const { accessFor } = require('../auth/middleware');
+const { parseDay } = require('../utils/dateRange');
 
 const router = express.Router();
 
-const EXCHANGES = ['kraken', 'gate', 'kucoin', 'bitmart', 'okx'];
+const EXCHANGES = exchanges.listExchangeIds('orderbook');
 
-// Per-exchange health tracking
+// Per-exchange orderbook health; request-level attempts and errors come from
+// the source health registry (server/health)
 const exchangeHealth = {};
 for (const ex of EXCHANGES) {
-  exchangeHealth[ex] = { lastSuccess: null, lastAttempt: null, lastError: null, ok: null };
+  exchangeHealth[ex] = { lastSuccess: null, ok: null };
 }
 
 // 5-minute cache for live orderbook data
@@ -26,80 +37,364 @@ function setCache(key, data) {
   cache.set(key, { data, timestamp: Date.now() });
 }
 
-// GET /api/depth - Live depth and spread for all USDG pairs
+// Polled rows carry their truncated book, DEX rows their pool state too;
+// clients get the metrics only
+const withoutBook = ({ book, poolState, ...row }) => row;
+
+/**
+ * Poll every venue over REST, books included, and cache the rows. Updates
+ * health and pushes the rows of venues not in `streamed` as a 'depth' event.
+ */
+async function pollRows(streamed) {
+  const polled = await fetchUsdgDepth();
+  setCache('depth_all', polled);
+
+  // Update health tracking
+  for (const row of polled) {
+    if (row.ok) {
+      exchangeHealth[row.exchange] = {
+        ...exchangeHealth[row.exchange],
+        lastSuccess: new Date(),
+        ok: true
+      };
+    }
+  }
+
+  const pushed = polled.filter(r => !streamed.has(r.exchange)).map(withoutBook);
+  if (pushed.length > 0) eventBus.publish('depth', { timestamp: new Date().toISOString(), rows: pushed });
+  publishHealthIfChanged();
+  return polled;
+}
+
+// REST-polled rows for every venue, cached for CACHE_TTL
+async function getPolledRows(streamed) {
+  return getCached('depth_all') || pollRows(streamed);
+}
+
+/**
+ * Read the DEX pools (server/dexDepth), cache the rows and push them as a
+ * 'depth' event. A failed read leaves them out rather than failing the CEX
+ * rows.
+ */
+async function pollDexRows() {
+  let rows;
+  try {
+    rows = await dexDepth.fetchDexDepth();
+  } catch (err) {
+    console.error('[Depth] DEX depth error:', err.message);
+    return [];
+  }
+  setCache('depth_dex', rows);
+  if (rows.length > 0) eventBus.publish('depth', { timestamp: new Date().toISOString(), rows: rows.map(withoutBook) });
+  return rows;
+}
+
+// DEX pool rows, cached for CACHE_TTL
+async function getDexRows() {
+  return getCached('depth_dex') || pollDexRows();
+}
+
+// Streamed venues push their own changes; the REST-polled venues and the DEX
+// pools are re-read on this timer while anyone is subscribed to /api/stream
+const PUSH_POLL_MS = 60 * 1000;
+
+async function pushPolledDepth() {
+  if (eventBus.subscriberCount() === 0) return;
+  const streamed = new Set(depthStream.getLatestRows().map(r => r.exchange));
+  try {
+    await Promise.all([
+      EXCHANGES.every(ex => streamed.has(ex)) ? null : pollRows(streamed),
+      pollDexRows()
+    ]);
+  } catch (err) {
+    console.error('[Depth] Push poll error:', err.message);
+  }
+}
+setInterval(pushPolledDepth, PUSH_POLL_MS).unref();
+
+// DEX pools (pool state, synthetic books, stored 'dex' rows) are DeFi-area
+// data, as in /api/peg and /api/series: left out for callers without it
+const dexAllowed = req => accessFor(req.user?.role).defi;
+
+const byVenuePair = (a, b) => a.exchange.localeCompare(b.exchange) || a.pair.localeCompare(b.pair);
+
+// GET /api/depth - Live depth and spread for all USDG pairs and DEX pools
+// Venues with a live WebSocket stream are served from it; the rest are polled over REST.
+// DEX rows (venueType 'dex') are computed from on-chain pool state, for callers with the defi area.
 router.get('/', async (req, res) => {
-  const cacheKey = 'depth_all';
-  const cached = getCached(cacheKey);
-  if (cached) return res.json(cached);
+  const streamRows = depthStream.getLatestRows();
+  const streamed = new Set(streamRows.map(r => r.exchange));
+  const now = new Date();
+  const includeDex = dexAllowed(req);
+
+  if (EXCHANGES.every(ex => streamed.has(ex))) {
+    const dexRows = includeDex ? (await getDexRows()).map(withoutBook) : [];
+    return res.json({ timestamp: now.toISOString(), source: 'stream', rows: [...streamRows, ...dexRows].sort(byVenuePair) });
+  }
 
   try {
-    const rows = await fetchUsdgDepth();
-
-    // Update health tracking
-    for (const row of rows) {
-      if (row.ok) {
-        exchangeHealth[row.exchange] = {
-          ...exchangeHealth[row.exchange],
-          lastSuccess: new Date(),
-          lastError: null,
-          ok: true
-        };
-      }
+    const [polled, dexRows] = await Promise.all([getPolledRows(streamed), includeDex ? getDexRows() : []]);
+    const rows = [...streamRows, ...polled.filter(r => !streamed.has(r.exchange)), ...dexRows]
+      .map(withoutBook)
+      .sort(byVenuePair);
+    res.json({ timestamp: now.toISOString(), source: streamed.size ? 'mixed' : 'rest', rows });
+  } catch (err) {
+    console.error('[Depth] Error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+const IMPACT_SIDES = ['buy', 'sell'];
+const MAX_IMPACT_SIZE = 1e9;
+// Hourly snapshots: `at` resolves to the last book stored within this window before it
+const IMPACT_AT_WINDOW = '2 hours';
+
+// Current books: live streams where connected, otherwise the (cached) REST
+// poll, plus the DEX pools' synthetic books when `includeDex`
+async function getLiveBooks(includeDex) {
+  const streamed = new Set(depthStream.getLatestRows().map(r => r.exchange));
+  const streamBooks = depthStream.getLatestBooks().filter(b => streamed.has(b.exchange));
+  const dexRows = includeDex ? await getDexRows() : [];
+  if (EXCHANGES.every(ex => streamed.has(ex))) return [...streamBooks, ...dexRows];
+  const polled = await getPolledRows(streamed);
+  return [...streamBooks, ...polled.filter(r => !streamed.has(r.exchange)), ...dexRows];
+}
+
+async function getStoredBooks(at, includeDex) {
+  const result = await pool.query(
+    `SELECT DISTINCT ON (exchange, pair) snapped_at, exchange, pair, pair_type, venue_type, bids, asks
+     FROM depth_snapshots
+     WHERE snapped_at <= $1 AND snapped_at > $1::timestamptz - interval '${IMPACT_AT_WINDOW}'
+       AND bids IS NOT NULL AND asks IS NOT NULL
+       AND ($2 OR venue_type = 'cex')
+     ORDER BY exchange, pair, snapped_at DESC`,
+    [at, includeDex]
+  );
+  return result.rows.map(r => ({
+    exchange: r.exchange,
+    exchangeDisplay: EXCHANGE_NAMES[r.exchange] || dexDepth.VENUE_NAMES[r.exchange] || r.exchange,
+    venueType: r.venue_type,
+    pair: r.pair,
+    pairType: r.pair_type,
+    fetchedAt: r.snapped_at.toISOString(),
+    book: { bids: r.bids, asks: r.asks }
+  }));
+}
+
+// GET /api/depth/impact?side=sell&size=2000000&exchange=okx,kraken&pair=USDG/USD&at=2026-10-01T12:00:00Z
+// Walks each book to fill a market order of `size` (quote notional, USD for USDG pairs):
+// average fill price, slippage from mid in bps and levels consumed. Live books by
+// default; with `at`, the last snapshot stored at or before that time. Live DEX
+// pools are filled against their pool state rather than the synthetic book.
+router.get('/impact', async (req, res) => {
+  const { side, pair, at } = req.query;
+  const size = Number(req.query.size);
+
+  if (!IMPACT_SIDES.includes(side)) {
+    return res.status(400).json({ error: 'side must be buy or sell' });
+  }
+  if (!Number.isFinite(size) || size <= 0 || size > MAX_IMPACT_SIZE) {
+    return res.status(400).json({ error: `size must be a number between 0 and ${MAX_IMPACT_SIZE}` });
+  }
+  const atDate = at === undefined ? null : new Date(at);
+  if (atDate && Number.isNaN(atDate.getTime())) {
+    return res.status(400).json({ error: 'at must be an ISO timestamp' });
+  }
+  const exchangeFilter = req.query.exchange
+    ? String(req.query.exchange).toLowerCase().split(',').map(e => e.trim()).filter(Boolean)
+    : null;
+
+  try {
+    const includeDex = dexAllowed(req);
+    const books = atDate ? await getStoredBooks(atDate, includeDex) : await getLiveBooks(includeDex);
+    const rows = books
+      .filter(b => !exchangeFilter || exchangeFilter.includes(b.exchange.toLowerCase()))
+      .filter(b => !pair || b.pair === pair)
+      .filter(b => b.book.bids.length > 0 && b.book.asks.length > 0)
+      .map(({ book, poolState, ...b }) => ({
+        ...b,
+        ...(poolState
+          ? dexDepth.simulatePoolImpact(poolState, side, size)
+          : simulateImpact(book.bids, book.asks, side, size))
+      }))
+      .sort((a, b) => (a.slippageBps ?? Infinity) - (b.slippageBps ?? Infinity));
+
+    res.json({
+      timestamp: new Date().toISOString(),
+      source: atDate ? 'snapshot' : 'live',
+      at: atDate ? atDate.toISOString() : null,
+      side,
+      size,
+      rows
+    });
+  } catch (err) {
+    console.error('[Depth] Impact error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/depth/consolidated?step=1&range=50&at=2026-10-01T12:00:00Z
+// Every USD-equivalent USDG book merged into one ladder of `step` bps steps out to
+// `range` bps from the reference price, with each venue's USD notional per step.
+// Live books by default; with `at`, the last snapshot stored at or before that time.
+router.get('/consolidated', async (req, res) => {
+  let request;
+  try {
+    request = consolidatedBook.validateRequest(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const { stepBps, maxBps, at } = request;
+    const includeDex = dexAllowed(req);
+    const [books, rates] = await Promise.all([
+      at ? getStoredBooks(at, includeDex) : getLiveBooks(includeDex),
+      consolidatedBook.getQuoteRates(at ? at.toISOString().split('T')[0] : undefined)
+    ]);
+    res.json({
+      timestamp: new Date().toISOString(),
+      source: at ? 'snapshot' : 'live',
+      at: at ? at.toISOString() : null,
+      ...consolidatedBook.consolidateBooks(books, rates, { stepBps, maxBps })
+    });
+  } catch (err) {
+    console.error('[Depth] Consolidated error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/depth/stream - WebSocket collector connection and book sync state
+router.get('/stream', (req, res) => {
+  res.json({ timestamp: new Date().toISOString(), running: depthStream.isRunning(), venues: depthStream.getStatus() });
+});
+
+// GET /api/depth/minutes?exchange=kraken&pair=USDG/USD&hours=6 - Minute spread/depth aggregates
+router.get('/minutes', async (req, res) => {
+  const { exchange, pair } = req.query;
+  const hours = req.query.hours === undefined ? 6 : Number(req.query.hours);
+
+  if (!Number.isInteger(hours) || hours < 1 || hours > 24 * 7) {
+    return res.status(400).json({ error: 'hours must be an integer between 1 and 168' });
+  }
+
+  try {
+    const params = [hours];
+    const filters = [];
+    if (exchange) {
+      params.push(String(exchange).toLowerCase());
+      filters.push(`AND exchange = $${params.length}`);
     }
+    if (pair) {
+      params.push(pair);
+      filters.push(`AND pair = $${params.length}`);
+    }
+
+    const result = await pool.query(
+      `SELECT minute, exchange, pair, pair_type, samples, mid_price,
+              spread_avg_bps, spread_min_bps, spread_max_bps,
+              bps_levels, bid_depth_avg, ask_depth_avg, bid_depth_min, ask_depth_min
+       FROM depth_minute
+       WHERE minute >= NOW() - make_interval(hours => $1) ${filters.join(' ')}
+       ORDER BY minute ASC, exchange, pair`,
+      params
+    );
 
-    const data = { timestamp: new Date().toISOString(), rows };
-    setCache(cacheKey, data);
-    res.json(data);
+    res.json({
+      rows: result.rows.map(r => ({
+        minute: r.minute.toISOString(),
+        exchange: r.exchange,
+        pair: r.pair,
+        pairType: r.pair_type,
+        samples: r.samples,
+        midPrice: r.mid_price === null ? null : parseFloat(r.mid_price),
+        spreadAvgBps: r.spread_avg_bps === null ? null : parseFloat(r.spread_avg_bps),
+        spreadMinBps: r.spread_min_bps === null ? null : parseFloat(r.spread_min_bps),
+        spreadMaxBps: r.spread_max_bps === null ? null : parseFloat(r.spread_max_bps),
+        bpsLevels: r.bps_levels,
+        bidDepthAvg: r.bid_depth_avg,
+        askDepthAvg: r.ask_depth_avg,
+        bidDepthMin: r.bid_depth_min,
+        askDepthMin: r.ask_depth_min
+      }))
+    });
   } catch (err) {
-    console.error('[Depth] Error:', err);
+    console.error('[Depth] Minutes error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// GET /api/depth/history - Historical USDG depth snapshots with CSV export
+// Hourly rows, so the same cap as /api/series at hour granularity
+const HISTORY_MAX_DAYS = 92;
+// Snapshots whose missing bands are computed per request; the rest follow on later requests
+const HISTORY_RECOMPUTE_LIMIT = 2000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// GET /api/depth/history?start=&end=&bps=1,25,75&format=json|csv - Historical USDG depth snapshots, CEX and
+// (for callers with the defi area) DEX
+// Bands default to the standard levels; any other level is computed from the stored books, at most
+// HISTORY_RECOMPUTE_LIMIT snapshots per request (`pending` / X-Depth-Levels-Pending counts the rest).
+// A band beyond the reach of the stored book is null.
 router.get('/history', async (req, res) => {
   const { start, end, format = 'json' } = req.query;
 
   if (!start || !end) {
     return res.status(400).json({ error: 'start and end query params required (YYYY-MM-DD)' });
   }
+  const startMs = parseDay(start);
+  const endMs = parseDay(end);
+  if (isNaN(startMs) || isNaN(endMs)) {
+    return res.status(400).json({ error: 'start and end must be YYYY-MM-DD dates' });
+  }
+  if (startMs > endMs) {
+    return res.status(400).json({ error: 'start must not be after end' });
+  }
+  if (endMs - startMs >= HISTORY_MAX_DAYS * DAY_MS) {
+    return res.status(400).json({ error: `Range too long (max ${HISTORY_MAX_DAYS} days)` });
+  }
+  let bpsLevels;
+  try {
+    bpsLevels = depthLevels.parseBpsList(req.query.bps);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
 
   try {
     const result = await pool.query(
-      `SELECT snapped_at, exchange, pair, pair_type, mid_price, best_bid, best_ask,
-              spread_bps, bps_levels, bid_depth, ask_depth
+      `SELECT id, snapped_at, exchange, venue_type, pair, pair_type, mid_price, best_bid, best_ask,
+              spread_bps, bps_levels
        FROM depth_snapshots
        WHERE exchange != 'Binance'
+         AND ($3 OR venue_type = 'cex')
          AND snapped_at >= $1::date
          AND snapped_at <  $2::date + interval '1 day'
        ORDER BY snapped_at ASC, exchange, pair`,
-      [start, end]
+      [start, end, dexAllowed(req)]
     );
 
-    const rows = result.rows;
+    const rows = await depthLevels.attachLevels(result.rows, bpsLevels, { limit: HISTORY_RECOMPUTE_LIMIT });
+    res.setHeader('X-Depth-Levels-Pending', String(rows.pending));
 
     if (format === 'csv') {
-      const ALL_BPS = [1, 2, 5, 10, 25, 50, 100];
       const headers = [
-        'timestamp', 'exchange', 'pair', 'pair_type',
+        'timestamp', 'exchange', 'venue_type', 'pair', 'pair_type',
         'mid_price', 'best_bid', 'best_ask', 'spread_bps',
-        ...ALL_BPS.flatMap(b => [`bid_${b}bps`, `ask_${b}bps`])
+        ...bpsLevels.flatMap(b => [`bid_${b}bps`, `ask_${b}bps`])
       ];
 
       const csvLines = [headers.join(',')];
       for (const row of rows) {
-        const bid = row.bid_depth || {};
-        const ask = row.ask_depth || {};
         const cols = [
           row.snapped_at.toISOString(),
           row.exchange,
+          row.venue_type,
           row.pair,
           row.pair_type,
           row.mid_price ?? '',
           row.best_bid ?? '',
           row.best_ask ?? '',
           row.spread_bps ?? '',
-          ...ALL_BPS.flatMap(b => [bid[b] ?? '', ask[b] ?? ''])
+          ...bpsLevels.flatMap(b => [row.bid_depth[b] ?? '', row.ask_depth[b] ?? ''])
         ];
         csvLines.push(cols.join(','));
       }
@@ -109,34 +404,61 @@ router.get('/history', async (req, res) => {
       return res.send(csvLines.join('\n'));
     }
 
-    res.json({ rows });
+    res.json({ bps: bpsLevels, pending: rows.pending, rows });
   } catch (err) {
     console.error('[Depth] History error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// GET /api/depth/health - Per-exchange connection health
-router.get('/health', (req, res) => {
-  const STALE_THRESHOLD_MS = 10 * 60 * 1000;
+// Per-exchange health: a venue is ok if its last REST poll or live stream
+// frame is under 10 minutes old
+const HEALTH_STALE_MS = 10 * 60 * 1000;
+
+function buildHealth() {
   const now = Date.now();
+  const streams = depthStream.getStatus();
+  const streamed = new Set(depthStream.getLatestRows().map(r => r.exchange));
 
   const health = {};
   for (const ex of EXCHANGES) {
+    if (streamed.has(ex)) {
+      exchangeHealth[ex] = { ...exchangeHealth[ex], lastSuccess: new Date(now), ok: true };
+    }
     const h = exchangeHealth[ex];
+    const requests = sourceHealth.getState(`cex:${ex}`);
     const lastSuccessMs = h.lastSuccess ? now - new Date(h.lastSuccess).getTime() : null;
-    const isStale = lastSuccessMs === null || lastSuccessMs > STALE_THRESHOLD_MS;
+    const isStale = lastSuccessMs === null || lastSuccessMs > HEALTH_STALE_MS;
     health[ex] = {
       name: EXCHANGE_NAMES[ex],
       ok: h.ok === true && !isStale,
       lastSuccess: h.lastSuccess,
-      lastAttempt: h.lastAttempt,
-      lastError: h.lastError,
-      lastSuccessAgoMs: lastSuccessMs
+      lastAttempt: requests?.lastAttempt || h.lastSuccess,
+      lastError: requests?.ok === false ? requests.lastError : null,
+      lastSuccessAgoMs: lastSuccessMs,
+      stream: streams[ex]
+        ? { connected: streams[ex].connected, lastMessageAt: streams[ex].lastMessageAt, resyncs: streams[ex].resyncs }
+        : null
     };
   }
 
-  res.json({ timestamp: new Date().toISOString(), exchanges: health });
+  return { timestamp: new Date(now).toISOString(), exchanges: health };
+}
+
+// Push a 'health' event when any venue's ok or stream-connected state flips.
+// Staleness is time-based, so this also runs on a timer.
+let lastHealthState = null;
+function publishHealthIfChanged() {
+  const health = buildHealth();
+  const state = JSON.stringify(Object.values(health.exchanges).map(h => [h.ok, h.stream?.connected ?? null]));
+  if (lastHealthState !== null && state !== lastHealthState) eventBus.publish('health', health);
+  lastHealthState = state;
+}
+setInterval(publishHealthIfChanged, 15 * 1000).unref();
+
+// GET /api/depth/health - Per-exchange connection health
+router.get('/health', (req, res) => {
+  res.json(buildHealth());
 });
 
 module.exports = router;
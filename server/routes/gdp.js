@@ -0,0 +1,73 @@
+const express = require('express');
+const gdp = require('../gdp');
+const model = require('../gdp/model');
+const { requireArea } = require('../auth/middleware');
+const { createCache } = require('../utils/lruCache');
+
+const router = express.Router();
+
+// 5-minute cache keyed by the requested range; cleared whenever a model version is added
+const cache = createCache({ ttlMs: 5 * 60 * 1000, maxEntries: 200 });
+
+// GET /api/gdp?start=YYYY-MM-DD&end=YYYY-MM-DD&format=json|csv
+// Daily GDP components per venue and chain, with the model versions used
+router.get('/', async (req, res) => {
+  let range;
+  try {
+    range = gdp.validateRange(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const cacheKey = `${range.start}:${range.end}`;
+  try {
+    let result = cache.get(cacheKey);
+    if (!result) {
+      result = await gdp.computeGdp(range);
+      cache.set(cacheKey, result);
+    }
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="usdg_gdp_${range.start}_to_${range.end}.csv"`);
+      return res.send(gdp.toCsv(result.daily));
+    }
+    res.json(result);
+  } catch (err) {
+    console.error('[GDP] Error computing GDP:', err.message);
+    res.status(500).json({ error: 'Failed to compute GDP' });
+  }
+});
+
+// GET /api/gdp/model - Every model version, oldest effective date first
+router.get('/model', async (req, res) => {
+  try {
+    res.json({ versions: await model.listVersions() });
+  } catch (err) {
+    console.error('[GDP] Error listing model versions:', err.message);
+    res.status(500).json({ error: 'Failed to list model versions' });
+  }
+});
+
+// POST /api/gdp/model - Add a model version (admin)
+// Body: { effectiveFrom: 'YYYY-MM-DD', params: { feeTiers?, venues? }, note? }
+// params is merged onto the version in effect on effectiveFrom.
+router.post('/model', requireArea('admin'), async (req, res) => {
+  try {
+    model.validateVersionRequest(req.body || {});
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const version = await model.createVersion(req.body, req.user.username);
+    cache.clear();
+    res.status(201).json(version);
+  } catch (err) {
+    if (err.message.startsWith('Invalid params')) return res.status(400).json({ error: err.message });
+    console.error('[GDP] Error creating model version:', err.message);
+    res.status(500).json({ error: 'Failed to create model version' });
+  }
+});
+
+module.exports = router;
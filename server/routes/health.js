@@ -0,0 +1,33 @@
+const express = require('express');
+const health = require('../health');
+const gaps = require('../backfill/gaps');
+
+const router = express.Router();
+
+// GET /api/health - State, rolling success rates, latency percentiles, uptime
+// and a 24h timeline for every external dependency
+router.get('/', async (req, res) => {
+  try {
+    res.json(await health.getHealth());
+  } catch (err) {
+    console.error('[Health] Error building health:', err.message);
+    res.status(500).json({ error: 'Failed to load source health' });
+  }
+});
+
+// GET /api/health/gaps - Missing days/hours per history series (repair is
+// admin-only: POST /api/admin/gaps/repair)
+// Query: ?days=90 (scan window) &series=<id> (optional, one series only)
+router.get('/gaps', async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 90, 1), 730);
+  try {
+    const results = await gaps.scanGaps({ days, series: req.query.series });
+    res.json({ generatedAt: new Date().toISOString(), days, seriesList: gaps.SERIES, results });
+  } catch (err) {
+    if (err.message.startsWith('Unknown series')) return res.status(400).json({ error: err.message });
+    console.error('[Health] Error scanning gaps:', err.message);
+    res.status(500).json({ error: 'Failed to scan for gaps' });
+  }
+});
+
+module.exports = router;
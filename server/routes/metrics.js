@@ -29,11 +29,15 @@ async function readMetricsLog() {
   // Fallback to local JSONL file
   if (!fs.existsSync(LOG_FILE)) return [];
   const content = fs.readFileSync(LOG_FILE, 'utf-8');
-  const entries = [];
+  // Re-runs and backfills append a new line for the same day; the last one wins
+  const byDate = new Map();
   for (const line of content.trim().split('\n').filter(Boolean)) {
-    try { entries.push(JSON.parse(line)); } catch (e) {}
+    try {
+      const entry = JSON.parse(line);
+      byDate.set(entry.timestamp.split('T')[0], entry);
+    } catch (e) {}
   }
-  return entries.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  return [...byDate.values()].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 }
 
 /**
@@ -98,6 +102,43 @@ function groupByMonth(entries) {
   return Array.from(monthMap.values()).sort((a, b) => a.month.localeCompare(b.month));
 }
 
+/**
+ * Z-score anomalies flagged on daily entries within [from, to] (YYYY-MM-DD)
+ */
+function collectAnomalies(entries, from, to) {
+  const anomalies = [];
+  for (const entry of entries) {
+    const z = entry.metrics.statistics?.zScores;
+    const day = entry.timestamp.split('T')[0];
+    if (!z || day < from || day > to) continue;
+
+    const series = [['total', z.total], ...Object.entries(z.byExchange)];
+    for (const [name, s] of series) {
+      if (s.anomaly) anomalies.push({ date: z.date, series: name, value: s.value, mean: s.mean, zScore: s.zScore });
+    }
+  }
+  return anomalies;
+}
+
+/**
+ * Period-over-period comparison of the statistics block (older entries may not have one)
+ */
+function statisticsChanges(curr, prev) {
+  if (!curr.statistics) return null;
+  const prevStats = prev.statistics || {};
+  return {
+    hhi: {
+      current: curr.statistics.hhi,
+      previous: prevStats.hhi ?? null,
+      change: prevStats.hhi != null ? curr.statistics.hhi - prevStats.hhi : null
+    },
+    marketShare: {
+      current: curr.statistics.marketShare,
+      previous: prevStats.marketShare || null
+    }
+  };
+}
+
 // GET /api/metrics - Get all historical metrics
 router.get('/', async (req, res) => {
   try {
@@ -168,7 +209,8 @@ router.get('/weekly', async (req, res) => {
             previous: prev.exchangeThresholds['over25M'],
             change: curr.exchangeThresholds['over25M'] - prev.exchangeThresholds['over25M']
           }
-        }
+        },
+        statistics: statisticsChanges(curr, prev)
       };
     }
 
@@ -176,7 +218,9 @@ router.get('/weekly', async (req, res) => {
       weekly,
       currentWeek,
       previousWeek,
-      changes
+      changes,
+      statistics: currentWeek?.metrics.statistics || null,
+      anomalies: currentWeek ? collectAnomalies(entries, currentWeek.weekStart, currentWeek.weekEnd) : []
     });
   } catch (err) {
     console.error('Error reading weekly metrics:', err);
@@ -240,7 +284,8 @@ router.get('/monthly', async (req, res) => {
             previous: prev.exchangeThresholds['over25M'],
             change: curr.exchangeThresholds['over25M'] - prev.exchangeThresholds['over25M']
           }
-        }
+        },
+        statistics: statisticsChanges(curr, prev)
       };
     }
 
@@ -248,7 +293,9 @@ router.get('/monthly', async (req, res) => {
       monthly,
       currentMonth,
       previousMonth,
-      changes
+      changes,
+      statistics: currentMonth?.metrics.statistics || null,
+      anomalies: currentMonth ? collectAnomalies(entries, `${currentMonth.month}-01`, `${currentMonth.month}-31`) : []
     });
   } catch (err) {
     console.error('Error reading monthly metrics:', err);
@@ -0,0 +1,47 @@
+const express = require('express');
+const peg = require('../peg');
+const { accessFor } = require('../auth/middleware');
+
+const router = express.Router();
+
+// 5-minute cache; snapshots land at most hourly
+const cache = new Map();
+const CACHE_TTL = 5 * 60 * 1000;
+
+function getCached(key) {
+  const entry = cache.get(key);
+  if (entry && Date.now() - entry.timestamp < CACHE_TTL) return entry.data;
+  return null;
+}
+
+function setCache(key, data) {
+  cache.set(key, { data, timestamp: Date.now() });
+}
+
+// GET /api/peg?hours=168&band=10&weighting=depth|volume
+// Hourly USDG reference price, per-venue deviation in bps and time outside the band.
+// DEX pools (dex_pool_snapshots) are DeFi-area data: left out for callers without it.
+router.get('/', async (req, res) => {
+  let request;
+  try {
+    request = peg.validateRequest(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const includeDex = accessFor(req.user?.role).defi;
+  const cacheKey = `${request.hours}:${request.bandBps}:${request.weighting}:${includeDex}`;
+  try {
+    let result = getCached(cacheKey);
+    if (!result) {
+      result = await peg.computePeg(request, { includeDex });
+      setCache(cacheKey, result);
+    }
+    res.json(result);
+  } catch (err) {
+    console.error('[Peg] Error computing peg:', err.message);
+    res.status(500).json({ error: 'Failed to compute peg' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const reports = require('../reports');
+const { requireArea } = require('../auth/middleware');
+
+const router = express.Router();
+
+// GET /api/reports - Archived reports, newest period first
+// Query: ?type=weekly|monthly &limit=50
+router.get('/', async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  try {
+    res.json({ types: reports.REPORT_TYPES, reports: await reports.listReports({ type: req.query.type, limit }) });
+  } catch (err) {
+    console.error('[Reports] Error listing reports:', err.message);
+    res.status(500).json({ error: 'Failed to list reports' });
+  }
+});
+
+// GET /api/reports/:id - The report as printable HTML
+// Query: ?download=1 (save as a file) | ?format=json (metadata and summary only)
+router.get('/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid report id' });
+
+  try {
+    const report = await reports.getReport(id);
+    if (!report) return res.status(404).json({ error: 'Report not found' });
+
+    if (req.query.format === 'json') {
+      const { html, ...meta } = report;
+      return res.json(meta);
+    }
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    if (req.query.download) {
+      res.setHeader('Content-Disposition', `attachment; filename="usdg-${report.type}-${report.periodStart}.html"`);
+    }
+    res.send(report.html);
+  } catch (err) {
+    console.error('[Reports] Error fetching report:', err.message);
+    res.status(500).json({ error: 'Failed to fetch report' });
+  }
+});
+
+// POST /api/reports - Generate (or regenerate) a report now (admin)
+// Body: { type: 'weekly'|'monthly', asOf?: 'YYYY-MM-DD' } — the last complete
+// period on or before asOf (default yesterday)
+router.post('/', requireArea('admin'), async (req, res) => {
+  try {
+    reports.validateRequest(req.body || {});
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const report = await reports.generateReport(req.body.type, { asOf: req.body.asOf });
+    res.status(201).json(report);
+  } catch (err) {
+    console.error('[Reports] Error generating report:', err.message);
+    res.status(500).json({ error: 'Failed to generate report' });
+  }
+});
+
+module.exports = router;
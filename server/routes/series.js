@@ -0,0 +1,81 @@
+const express = require('express');
+const { areaOf, listMetrics } = require('../series/catalog');
+const { accessFor } = require('../auth/middleware');
+const { createCache } = require('../utils/lruCache');
+const {
+  GRANULARITIES, AGGREGATES, FORMATS,
+  getMetric, validateSeriesQuery, querySeries, toCsv
+} = require('../series');
+
+const router = express.Router();
+
+// 5-minute cache: the underlying tables update hourly or daily
+const cache = createCache({ ttlMs: 5 * 60 * 1000, maxEntries: 200 });
+
+const toDay = ms => new Date(ms).toISOString().split('T')[0];
+
+const accessOf = req => accessFor(req.user?.role);
+
+// GET /api/series - Metric catalog, the metrics the caller's role can read
+router.get('/', (req, res) => {
+  res.json({ metrics: listMetrics(accessOf(req)), granularities: GRANULARITIES, aggregates: AGGREGATES, formats: FORMATS });
+});
+
+// GET /api/series/:metric?start=&end=&granularity=day&aggregate=sum&groupBy=exchange&format=json
+// Dimension names also work as filters, e.g. ?exchange=kraken,okx
+router.get('/:metric', async (req, res) => {
+  const metric = getMetric(req.params.metric);
+  // Metrics outside the caller's areas look the same as unknown ones
+  if (!metric || !accessOf(req)[areaOf(metric)]) {
+    return res.status(404).json({ error: `Unknown metric: ${req.params.metric} (see GET /api/series)` });
+  }
+
+  let options;
+  try {
+    options = validateSeriesQuery(metric, req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const { format, ...query } = options;
+  const cacheKey = `${req.params.metric}:${JSON.stringify(query)}`;
+
+  try {
+    let rows = cache.get(cacheKey);
+    if (!rows) {
+      rows = await querySeries(metric, options);
+      cache.set(cacheKey, rows);
+    }
+
+    if (format === 'csv') {
+      const filename = `${req.params.metric}_${toDay(options.start)}_to_${toDay(options.end - 1)}.csv`;
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(toCsv(rows, options.groupBy));
+    }
+
+    if (format === 'ndjson') {
+      res.setHeader('Content-Type', 'application/x-ndjson');
+      return res.send(rows.map(row => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : ''));
+    }
+
+    res.json({
+      metric: req.params.metric,
+      label: metric.label,
+      unit: metric.unit,
+      start: new Date(options.start).toISOString(),
+      end: new Date(options.end).toISOString(),
+      granularity: options.granularity,
+      aggregate: options.aggregate,
+      combine: metric.combine,
+      groupBy: options.groupBy,
+      params: options.params,
+      rows
+    });
+  } catch (err) {
+    console.error(`[Series] Error querying ${req.params.metric}:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const eventBus = require('../utils/eventBus');
+const { accessFor } = require('../auth/middleware');
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25 * 1000; // keeps proxies from closing idle connections
+
+function write(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+// DEX rows in 'depth' events are DeFi-area data, as in GET /api/depth; an
+// event left with no rows is not sent
+function visibleTo(access, event) {
+  if (event.type !== 'depth' || access.defi) return event;
+  const rows = event.data.rows.filter(r => r.venueType !== 'dex');
+  return rows.length > 0 ? { ...event, data: { ...event.data, rows } } : null;
+}
+
+// GET /api/stream?types=depth,health - Server-Sent Events; omit types for all
+router.get('/', (req, res) => {
+  const types = req.query.types ? String(req.query.types).split(',') : eventBus.EVENT_TYPES;
+  const unknown = types.filter(t => !eventBus.EVENT_TYPES.includes(t));
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown event types: ${unknown.join(', ')}` });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  const access = accessFor(req.user?.role);
+  const send = event => {
+    if (!types.includes(event.type)) return;
+    const visible = visibleTo(access, event);
+    if (visible) write(res, visible);
+  };
+
+  // Resume after a reconnect: EventSource sends the last id it saw
+  const lastId = parseInt(req.get('Last-Event-ID'), 10);
+  if (!isNaN(lastId)) {
+    for (const event of eventBus.eventsSince(lastId)) send(event);
+  }
+
+  const unsubscribe = eventBus.subscribe(send);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const exchanges = require('../exchanges');
+const { resolvePair, listTradedPairs, validateStatsQuery, getHourlyStats } = require('../trades/stats');
+
+const router = express.Router();
+
+// 1-minute cache, matching the collector's poll interval
+const cache = new Map();
+const CACHE_TTL = 60 * 1000;
+
+function getCached(key) {
+  const entry = cache.get(key);
+  if (entry && Date.now() - entry.timestamp < CACHE_TTL) return entry.data;
+  return null;
+}
+
+function setCache(key, data) {
+  cache.set(key, { data, timestamp: Date.now() });
+}
+
+// GET /api/trades - Pairs with collected trades
+router.get('/', async (req, res) => {
+  try {
+    const pairs = await listTradedPairs();
+    res.json({ exchanges: exchanges.listExchangeIds('trades'), pairs });
+  } catch (err) {
+    console.error('[Trades] Error listing pairs:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/trades/:exchange/:pair/stats?hours=24&largeTradeUsd=50000
+// Pair may be given as USDG%2FUSDT, USDG-USDT or USDGUSDT
+router.get('/:exchange/:pair/stats', async (req, res) => {
+  const adapter = exchanges.getAdapter(req.params.exchange);
+  if (!adapter || !adapter.capabilities.trades) {
+    return res.status(404).json({ error: `No trade data for exchange: ${req.params.exchange}` });
+  }
+
+  let options;
+  try {
+    options = validateStatsQuery(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const cacheKey = `${adapter.id}:${req.params.pair}:${options.hours}:${options.largeTradeUsd}`;
+  const cached = getCached(cacheKey);
+  if (cached) return res.json(cached);
+
+  try {
+    const pair = await resolvePair(adapter.id, req.params.pair);
+    if (!pair) {
+      return res.status(404).json({ error: `No trades stored for ${adapter.id} ${req.params.pair}` });
+    }
+
+    const data = await getHourlyStats(adapter.id, pair, options);
+    setCache(cacheKey, data);
+    res.json(data);
+  } catch (err) {
+    console.error(`[Trades] Error computing stats for ${adapter.id} ${req.params.pair}:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
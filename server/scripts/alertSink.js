@@ -0,0 +1,23 @@
+/**
+ * Local HTTP sink for trying out alert webhook/slack channels.
+ * Prints every request body it receives and answers 200.
+ *
+ * Usage: node scripts/alertSink.js [port]
+ * Default port: 4005 — point a rule channel at http://localhost:4005/
+ */
+
+const http = require('http');
+
+const port = parseInt(process.argv[2] || '4005', 10);
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    let printed = body;
+    try { printed = JSON.stringify(JSON.parse(body), null, 2); } catch (_) {}
+    console.log(`[Sink] ${new Date().toISOString()} ${req.method} ${req.url}\n${printed}\n`);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{"ok":true}');
+  });
+}).listen(port, () => console.log(`[Sink] Listening on http://localhost:${port}`));
@@ -0,0 +1,70 @@
+/**
+ * Run a historical backfill job from the command line.
+ * Progress is checkpointed in backfill_jobs — re-running the same command
+ * after an interruption resumes from the first unwritten date.
+ *
+ * Usage:
+ *   node scripts/backfill.js <source> <start> [end] [--target <table>]
+ *   node scripts/backfill.js --resume <jobId>
+ *   node scripts/backfill.js --list
+ *
+ * Examples:
+ *   node scripts/backfill.js kraken 2025-06-01 2025-06-30 --target cex_pair_daily
+ *   node scripts/backfill.js paxg-supply 2024-01-01
+ */
+
+const backfill = require('../backfill');
+const pool = require('../db/pool');
+
+function printSources() {
+  console.log('Sources:');
+  for (const s of backfill.listSources()) {
+    console.log(`  ${s.id.padEnd(12)} ${s.label.padEnd(20)} → ${s.targets.join(', ')}`);
+  }
+}
+
+async function run() {
+  const args = process.argv.slice(2);
+
+  if (args[0] === '--list') {
+    printSources();
+    console.log('\nRecent jobs:');
+    for (const j of await backfill.listJobs(20)) {
+      console.log(`  #${j.id} ${j.source} → ${j.targetTable} ${j.startDate}..${j.endDate} ` +
+        `[${j.status}] through ${j.cursorDate || '-'}, ${j.rowsWritten} rows${j.error ? ` — ${j.error}` : ''}`);
+    }
+    return;
+  }
+
+  let jobId;
+  if (args[0] === '--resume') {
+    jobId = parseInt(args[1], 10);
+    if (!jobId) throw new Error('Usage: node scripts/backfill.js --resume <jobId>');
+  } else {
+    const targetIdx = args.indexOf('--target');
+    const target = targetIdx >= 0 ? args[targetIdx + 1] : undefined;
+    const [source, start, end] = args.filter((a, i) => i !== targetIdx && i !== targetIdx + 1);
+
+    if (!source || !start) {
+      console.log('Usage: node scripts/backfill.js <source> <start> [end] [--target <table>]\n');
+      printSources();
+      process.exitCode = 1;
+      return;
+    }
+
+    const job = await backfill.createJob({ source, start, end, target });
+    console.log(`[Backfill] Job #${job.id}${job.cursorDate ? ` (resuming after ${job.cursorDate})` : ''}`);
+    jobId = job.id;
+  }
+
+  const job = await backfill.runJob(jobId);
+  console.log(`[Backfill] Job #${job.id} ${job.status}: ${job.rowsWritten} rows through ${job.cursorDate || '-'}`);
+  if (job.status !== 'complete') process.exitCode = 1;
+}
+
+run()
+  .catch(err => {
+    console.error('[Backfill] Fatal:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,43 @@
+/**
+ * Create a local user, or reset an existing user's password and role.
+ * Use it to add the first admin; after that, admins can manage users with
+ * /api/admin/users.
+ *
+ * Usage:
+ *   USER_PASSWORD=<password> node scripts/createUser.js <username> [role]
+ *
+ * role defaults to viewer (viewer | analyst | admin). The password is read
+ * from the environment so it stays out of shell history.
+ */
+
+const auth = require('../auth');
+const pool = require('../db/pool');
+const { setupDatabase } = require('../db/schema');
+
+async function run() {
+  const [username, role = 'viewer'] = process.argv.slice(2);
+  const password = process.env.USER_PASSWORD;
+  if (!username || !password) {
+    console.log('Usage: USER_PASSWORD=<password> node scripts/createUser.js <username> [viewer|analyst|admin]');
+    process.exitCode = 1;
+    return;
+  }
+
+  await setupDatabase();
+  const created = await auth.createUser({ username, password, role });
+  if (created) {
+    console.log(`[Auth] Created ${created.role} ${created.username} (#${created.id})`);
+    return;
+  }
+
+  const { rows } = await pool.query('SELECT id FROM users WHERE username = $1', [username.toLowerCase()]);
+  const updated = await auth.updateUser(rows[0].id, { password, role, disabled: false });
+  console.log(`[Auth] Reset ${updated.role} ${updated.username} (#${updated.id})`);
+}
+
+run()
+  .catch(err => {
+    console.error('[Auth] Fatal:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
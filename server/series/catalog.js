@@ -0,0 +1,165 @@
+/**
+ * Metric catalog for GET /api/series/:metric.
+ *
+ * Each entry says where a series lives in Postgres:
+ *
+ *   table, timeCol, timeType  source table and its DATE or TIMESTAMPTZ column
+ *   resolution               finest granularity the data supports ('hour' | 'day')
+ *   value                    SQL expression for one observation (a function of
+ *                            the validated params when the metric takes any)
+ *   where                    constant extra filter, if any
+ *   dimensions               groupBy / filter names -> columns
+ *   entity                   columns identifying one independent series
+ *                            (a pool, a chain, an exchange pair)
+ *   aggregate                default within-bucket aggregate for each entity
+ *   combine                  how entities are merged into a group: 'sum' for
+ *                            amounts (TVL, volume, supply), 'avg' for rates
+ *   area                     auth area a caller needs (auth/middleware),
+ *                            'data' when unset: 'defi' for the DEX pool,
+ *                            lending and vault tables behind /api/defi, 'gdp'
+ *                            for the Aave and Hood inputs of the GDP model
+ *
+ * table/column names and expressions are constants, never user input.
+ */
+
+const { STANDARD_BPS } = require('../depthLevels');
+
+// Every snapshot has the standard levels, so only those are offered
+const depthParams = { bps: { default: 50, values: STANDARD_BPS } };
+
+const CEX_PAIRS = { exchange: 'exchange', pair: 'pair' };
+const CHAIN_VENUE = { chain: 'chain', venue: 'venue' };
+
+function cexDaily(label, unit, value) {
+  return {
+    label, unit, value, table: 'cex_pair_daily', timeCol: 'snapshot_date', timeType: 'date', resolution: 'day',
+    dimensions: CEX_PAIRS, entity: ['exchange', 'pair'], aggregate: 'sum', combine: 'sum'
+  };
+}
+
+function cexTrades(label, unit, value) {
+  return {
+    label, unit, value, table: 'cex_trades', timeCol: 'traded_at', timeType: 'timestamptz', resolution: 'hour',
+    dimensions: CEX_PAIRS, entity: ['exchange', 'pair'], aggregate: 'sum', combine: 'sum'
+  };
+}
+
+// Binance rows in depth_snapshots are the PAXG book, not USDG; DEX pool rows
+// aren't CEX pairs
+function depth(label, unit, value, combine, params) {
+  return {
+    label, unit, value, params, table: 'depth_snapshots', timeCol: 'snapped_at', timeType: 'timestamptz',
+    resolution: 'hour', where: "exchange != 'Binance' AND venue_type = 'cex'",
+    dimensions: CEX_PAIRS, entity: ['exchange', 'pair'], aggregate: 'avg', combine
+  };
+}
+
+// One band of the current depth_snapshots row (bps is a validated catalog value)
+function depthLevel(side, bps) {
+  return `(SELECT notional FROM depth_levels l
+           WHERE l.snapshot_id = depth_snapshots.id AND l.side = '${side}' AND l.bps = ${Number(bps)})`;
+}
+
+function dexPool(label, unit, column) {
+  return {
+    label, unit, value: column, table: 'dex_pool_snapshots', timeCol: 'created_at', timeType: 'timestamptz',
+    resolution: 'hour', dimensions: CHAIN_VENUE, entity: ['address'], aggregate: 'last', combine: 'sum',
+    area: 'defi'
+  };
+}
+
+function lending(label, unit, column, aggregate, combine) {
+  return {
+    label, unit, value: column, table: 'lending_snapshots', timeCol: 'created_at', timeType: 'timestamptz',
+    resolution: 'hour', dimensions: CHAIN_VENUE, entity: ['name', 'chain', 'venue'], aggregate, combine,
+    area: 'defi'
+  };
+}
+
+function vault(label, unit, column, aggregate, combine) {
+  return {
+    label, unit, value: column, table: 'vault_snapshots', timeCol: 'created_at', timeType: 'timestamptz',
+    resolution: 'hour', dimensions: {}, entity: ['address'], aggregate, combine,
+    area: 'defi'
+  };
+}
+
+function daily(table, label, unit, column, aggregate, combine = 'sum', { timeCol = 'snapshot_date', dimensions = {}, entity = [], area } = {}) {
+  return {
+    label, unit, value: column, table, timeCol, timeType: 'date', resolution: 'day',
+    dimensions, entity, aggregate, combine, area
+  };
+}
+
+const SUPPLY_CHAINS = { dimensions: { chain: 'chain' }, entity: ['chain'] };
+const GDP = { area: 'gdp' };
+
+const METRICS = {
+  'cex.daily_volume': daily('cex_daily_volume', 'CEX daily USDG volume by exchange', 'usd', 'volume', 'sum', 'sum', {
+    dimensions: { exchange: 'exchange' }, entity: ['exchange']
+  }),
+  'cex.volume': cexDaily('CEX daily USD volume by pair', 'usd', 'usd_volume'),
+  'cex.trade_count': cexDaily('CEX daily trade count by pair', 'count', 'trade_count'),
+  'cex.trades.volume': cexTrades('CEX USD volume from collected public trades', 'usd', 'usd_value'),
+  'cex.trades.count': cexTrades('CEX trade count from collected public trades', 'count', '1'),
+
+  'depth.spread_bps': depth('Orderbook spread', 'bps', 'spread_bps', 'avg'),
+  'depth.mid_price': depth('Orderbook mid price', 'price', 'mid_price', 'avg'),
+  'depth.bid_depth': depth('Bid depth within `bps` of mid', 'usd', p => depthLevel('bid', p.bps), 'sum', depthParams),
+  'depth.ask_depth': depth('Ask depth within `bps` of mid', 'usd', p => depthLevel('ask', p.bps), 'sum', depthParams),
+  'depth.stream_spread_bps': {
+    label: 'Streamed orderbook spread (minute averages)', unit: 'bps', value: 'spread_avg_bps',
+    table: 'depth_minute', timeCol: 'minute', timeType: 'timestamptz', resolution: 'hour',
+    dimensions: CEX_PAIRS, entity: ['exchange', 'pair'], aggregate: 'avg', combine: 'avg'
+  },
+
+  'dex.tvl': dexPool('DEX pool TVL', 'usd', 'tvl_usd'),
+  'dex.usdg_balance': dexPool('USDG held in DEX pools', 'tokens', 'usdg_balance'),
+  'dex.volume_24h': dexPool('DEX pool trailing 24h volume, as reported', 'usd', 'volume_24h'),
+
+  'lending.deposits': lending('Lending market deposits', 'usd', 'deposit_tvl', 'last', 'sum'),
+  'lending.borrows': lending('Lending market borrows', 'usd', 'total_borrows', 'last', 'sum'),
+  'lending.utilization': lending('Lending market utilization', 'percent', 'utilization', 'avg', 'avg'),
+  'lending.supply_apy': lending('Lending market supply APY', 'rate', 'supply_apy', 'avg', 'avg'),
+  'lending.borrow_apy': lending('Lending market borrow APY', 'rate', 'borrow_apy', 'avg', 'avg'),
+
+  'vault.tvl': vault('Vault TVL', 'usd', 'tvl_usd', 'last', 'sum'),
+  'vault.apy': vault('Vault current APY', 'rate', 'apy_current', 'avg', 'avg'),
+
+  'supply.usdg_circulating': daily('usdg_supply_history', 'USDG circulating supply', 'tokens', 'circulating', 'last', 'sum', SUPPLY_CHAINS),
+  'supply.usdg_total': daily('usdg_supply_history', 'USDG total supply', 'tokens', 'total_supply', 'last', 'sum', SUPPLY_CHAINS),
+  'supply.paxg': daily('paxg_supply_history', 'PAXG total supply', 'tokens', 'supply', 'last', 'sum', { timeCol: 'supply_date' }),
+
+  'aave_v4.borrowed': daily('aave_usdg_history', 'Aave v4 USDG borrowed', 'usd', 'total_debt', 'last', 'sum', GDP),
+  'aave_v4.supplied': daily('aave_usdg_history', 'Aave v4 USDG supplied', 'usd', 'total_supply', 'last', 'sum', GDP),
+  'aave_v4.borrow_apy': daily('aave_usdg_history', 'Aave v4 USDG borrow APY', 'rate', 'borrow_apy', 'avg', 'avg', GDP),
+  'aave_v4.supply_apy': daily('aave_usdg_history', 'Aave v4 USDG supply APY', 'rate', 'supply_apy', 'avg', 'avg', GDP),
+  'aave_v4.daily_interest': daily('aave_usdg_history', 'Aave v4 USDG daily borrow interest', 'usd', 'daily_interest', 'sum', 'sum', GDP),
+  'aave_v4.merkl_daily_rewards': daily('aave_usdg_history', 'Aave v4 USDG daily Merkl rewards', 'usd', 'merkl_daily_rewards', 'sum', 'sum', GDP),
+  'aave_paxos.borrowed': daily('aave_usdg_paxos_history', 'Aave v4 Paxos spoke USDG borrowed', 'usd', 'total_debt', 'last', 'sum', GDP),
+  'aave_paxos.daily_interest': daily('aave_usdg_paxos_history', 'Aave v4 Paxos spoke daily borrow interest', 'usd', 'daily_interest', 'sum', 'sum', GDP),
+
+  'hood.volume': daily('hood_volume_history', 'Hood chain Uniswap daily volume', 'usd', 'volume', 'sum', 'sum', GDP),
+  'hood.fee_revenue': daily('hood_volume_history', 'Hood chain Uniswap daily fee revenue', 'usd', 'fee_revenue', 'sum', 'sum', GDP)
+};
+
+const areaOf = metric => metric.area || 'data';
+
+/**
+ * Catalog entries, limited to the areas in `access` ({ area: boolean }, as
+ * from accessFor) when given
+ */
+function listMetrics(access = null) {
+  return Object.entries(METRICS).filter(([, m]) => !access || access[areaOf(m)]).map(([id, m]) => ({
+    id,
+    label: m.label,
+    unit: m.unit,
+    resolution: m.resolution,
+    dimensions: Object.keys(m.dimensions),
+    defaultAggregate: m.aggregate,
+    combine: m.combine,
+    params: m.params || {}
+  }));
+}
+
+module.exports = { METRICS, areaOf, listMetrics };
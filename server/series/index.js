@@ -0,0 +1,187 @@
+/**
+ * Generic time-series queries over the metric catalog (./catalog).
+ *
+ * Aggregation runs in two steps so that amounts and rates both come out
+ * right whatever the groupBy: first each entity (pool, chain, exchange pair)
+ * is reduced to one value per bucket with the requested aggregate, then the
+ * entities in each group are merged with the metric's combine function.
+ * E.g. supply.usdg_total with aggregate=last takes each chain's last reading
+ * in the bucket and sums them; depth.spread_bps with aggregate=avg averages
+ * each pair's spread and then averages across pairs.
+ *
+ * Buckets are UTC and aligned to calendar hours, days, ISO weeks (Monday)
+ * and months, so the first and last bucket may only be partly covered by
+ * the requested range.
+ */
+
+const pool = require('../db/pool');
+const { METRICS } = require('./catalog');
+
+const GRANULARITIES = ['hour', 'day', 'week', 'month'];
+const AGGREGATES = ['sum', 'avg', 'last', 'max'];
+const FORMATS = ['json', 'csv', 'ndjson'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = { hour: 92, day: 3660, week: 3660, month: 3660 };
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function getMetric(id) {
+  return Object.prototype.hasOwnProperty.call(METRICS, id) ? METRICS[id] : null;
+}
+
+// YYYY-MM-DD or an ISO timestamp. A bare end date includes that whole day.
+function parseBound(value, name, isEnd) {
+  const str = String(value);
+  const ms = Date.parse(DATE_RE.test(str) ? `${str}T00:00:00Z` : str);
+  if (isNaN(ms)) throw new Error(`${name} must be YYYY-MM-DD or an ISO timestamp`);
+  return isEnd && DATE_RE.test(str) ? ms + DAY_MS : ms;
+}
+
+function splitList(value) {
+  return [...new Set(String(value).split(',').map(s => s.trim()).filter(Boolean))];
+}
+
+/**
+ * Validate GET /api/series/:metric query params against a catalog entry.
+ * Throws an Error with a user-facing message on bad input.
+ *
+ * @returns {{ start, end, granularity, aggregate, groupBy, filters, params, format }}
+ *   start/end are epoch ms, end exclusive
+ */
+function validateSeriesQuery(metric, query) {
+  const granularity = query.granularity || metric.resolution;
+  if (!GRANULARITIES.includes(granularity)) {
+    throw new Error(`granularity must be one of: ${GRANULARITIES.join(', ')}`);
+  }
+  if (GRANULARITIES.indexOf(granularity) < GRANULARITIES.indexOf(metric.resolution)) {
+    throw new Error(`This metric is stored per ${metric.resolution}; granularity cannot be finer`);
+  }
+
+  const aggregate = query.aggregate || metric.aggregate;
+  if (!AGGREGATES.includes(aggregate)) {
+    throw new Error(`aggregate must be one of: ${AGGREGATES.join(', ')}`);
+  }
+
+  const format = query.format || 'json';
+  if (!FORMATS.includes(format)) {
+    throw new Error(`format must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  const dimensions = Object.keys(metric.dimensions);
+  const groupBy = query.groupBy ? splitList(query.groupBy) : [];
+  const badGroup = groupBy.filter(d => !dimensions.includes(d));
+  if (badGroup.length > 0) {
+    throw new Error(dimensions.length > 0
+      ? `groupBy must be among: ${dimensions.join(', ')}`
+      : 'This metric has no dimensions to group by');
+  }
+
+  // ?exchange=kraken,okx narrows any dimension to the listed values
+  const filters = {};
+  for (const dim of dimensions) {
+    if (query[dim]) filters[dim] = splitList(query[dim]);
+  }
+
+  const params = {};
+  for (const [name, spec] of Object.entries(metric.params || {})) {
+    const value = query[name] === undefined ? spec.default : parseInt(query[name], 10);
+    if (!spec.values.includes(value)) {
+      throw new Error(`${name} must be one of: ${spec.values.join(', ')}`);
+    }
+    params[name] = value;
+  }
+
+  let end = query.end ? parseBound(query.end, 'end', true) : Date.now();
+  let start = query.start ? parseBound(query.start, 'start', false) : end - DEFAULT_DAYS * DAY_MS;
+  // Daily tables hold whole days
+  if (metric.timeType === 'date') {
+    start = Math.floor(start / DAY_MS) * DAY_MS;
+    end = Math.ceil(end / DAY_MS) * DAY_MS;
+  }
+  if (start >= end) throw new Error('start must be before end');
+  if (end - start > MAX_DAYS[granularity] * DAY_MS) {
+    throw new Error(`Range too long for ${granularity} granularity (max ${MAX_DAYS[granularity]} days)`);
+  }
+
+  return { start, end, granularity, aggregate, groupBy, filters, params, format };
+}
+
+function aggregateSql(aggregate, value, timeCol) {
+  switch (aggregate) {
+    case 'sum': return `SUM(${value})`;
+    case 'avg': return `AVG(${value})`;
+    case 'max': return `MAX(${value})`;
+    case 'last': return `(ARRAY_AGG(${value} ORDER BY ${timeCol} DESC) FILTER (WHERE ${value} IS NOT NULL))[1]`;
+  }
+  throw new Error(`Unknown aggregate: ${aggregate}`);
+}
+
+/**
+ * Run a validated series query.
+ * @returns {Promise<Array<{time, value, ...groupBy}>>} ordered by time, then group
+ */
+async function querySeries(metric, options) {
+  const { start, end, granularity, aggregate, groupBy, filters, params } = options;
+  const value = typeof metric.value === 'function' ? metric.value(params) : metric.value;
+  const timeExpr = metric.timeType === 'date' ? `${metric.timeCol}::timestamp` : `${metric.timeCol} AT TIME ZONE 'UTC'`;
+
+  const toBound = ms => (metric.timeType === 'date'
+    ? new Date(ms).toISOString().split('T')[0]
+    : new Date(ms).toISOString());
+  const values = [toBound(start), toBound(end)];
+  const where = [`${metric.timeCol} >= $1`, `${metric.timeCol} < $2`];
+  if (metric.where) where.push(metric.where);
+  for (const [dim, list] of Object.entries(filters)) {
+    values.push(list);
+    where.push(`${metric.dimensions[dim]}::text = ANY($${values.length}::text[])`);
+  }
+
+  const groupCols = groupBy.map(d => metric.dimensions[d]);
+  const innerCols = [...new Set([...metric.entity, ...groupCols])];
+  const inner = ['bucket', ...innerCols].join(', ');
+  const outer = ['bucket', ...groupCols].join(', ');
+
+  const result = await pool.query(
+    `WITH per_entity AS (
+       SELECT date_trunc('${granularity}', ${timeExpr}) AS bucket${innerCols.map(c => `, ${c}`).join('')},
+              ${aggregateSql(aggregate, value, metric.timeCol)} AS value
+       FROM ${metric.table}
+       WHERE ${where.join(' AND ')}
+       GROUP BY ${inner}
+     )
+     SELECT to_char(bucket, 'YYYY-MM-DD"T"HH24:MI:SS"Z"') AS time${groupBy.map(d => `, ${metric.dimensions[d]} AS "${d}"`).join('')},
+            ${metric.combine === 'avg' ? 'AVG' : 'SUM'}(value) AS value
+     FROM per_entity
+     GROUP BY ${outer}
+     ORDER BY ${outer}`,
+    values
+  );
+
+  return result.rows.map(row => ({
+    ...row,
+    value: row.value === null ? null : parseFloat(row.value)
+  }));
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(rows, groupBy) {
+  const headers = ['time', ...groupBy, 'value'];
+  return [headers.join(','), ...rows.map(row => headers.map(h => csvCell(row[h])).join(','))].join('\n');
+}
+
+module.exports = {
+  GRANULARITIES,
+  AGGREGATES,
+  FORMATS,
+  getMetric,
+  validateSeriesQuery,
+  querySeries,
+  toCsv
+};
@@ -242,4 +242,5 @@ module.exports = {
   estimateBlockForDate,
   getPaxosHubData,
   getPaxosHubDataAtBlock,
+  RPC_URLS,
 };
@@ -51,7 +51,8 @@ async function getDailyVolume(pair) {
       high: parseFloat(candle[2] || 0),
       low: parseFloat(candle[3] || 0),
       close: parseFloat(candle[4] || 0),
-      volume: parseFloat(candle[5] || 0)
+      volume: parseFloat(candle[5] || 0),
+      quoteVolume: parseFloat(candle[6] || 0)
     };
   });
 }
@@ -137,6 +138,45 @@ async function getPerPairVolume() {
   };
 }
 
+// Per-pair daily candles with raw volumes and the USD conversion rule applied.
+// Bitmart candles carry no VWAP or trade count.
+async function getPairDailyStats() {
+  const pairs = await getUSDGPairs();
+  const rows = [];
+  const pairNames = [];
+
+  for (const pair of pairs) {
+    try {
+      pairNames.push(pair.displayName);
+      const dailyData = await getDailyVolume(pair.symbol);
+
+      for (const d of dailyData) {
+        rows.push({
+          date: d.date,
+          pair: pair.displayName,
+          baseVolume: d.volume,
+          quoteVolume: d.quoteVolume,
+          usdVolume: pair.needsConversion ? d.volume * d.close : d.volume,
+          close: d.close,
+          vwap: null,
+          tradeCount: null,
+          conversion: pair.needsConversion ? 'base_x_close' : 'base'
+        });
+      }
+
+      await delay(250);
+    } catch (err) {
+      console.error(`Error fetching Bitmart volume for ${pair.symbol}:`, err.message);
+    }
+  }
+
+  return {
+    exchange: 'bitmart',
+    pairs: pairNames,
+    rows
+  };
+}
+
 async function getOrderbook(symbol) {
   const response = await axios.get(`${BASE_URL}/spot/quotation/v3/books`, {
     params: { symbol: symbol, limit: 50 }
@@ -153,10 +193,35 @@ async function getOrderbook(symbol) {
   };
 }
 
+// Latest 50 public trades, oldest first.
+// Bitmart trades: [symbol, ts, price, size, side] with no trade id, so the id
+// is derived from the trade's fields.
+async function getRecentTrades(symbol) {
+  const response = await axios.get(`${BASE_URL}/spot/quotation/v3/trades`, {
+    params: { symbol, limit: 50 }
+  });
+
+  if (response.data.code !== 1000) {
+    throw new Error(`Bitmart API error: ${response.data.message}`);
+  }
+
+  const trades = (response.data.data || []).map(t => ({
+    tradeId: `${t[1]}-${t[2]}-${t[3]}-${t[4]}`,
+    timestamp: parseInt(t[1]),
+    price: parseFloat(t[2]),
+    size: parseFloat(t[3]),
+    side: t[4]
+  })).sort((a, b) => a.timestamp - b.timestamp);
+
+  return { trades, cursor: null };
+}
+
 module.exports = {
   getUSDGPairs,
   getDailyVolume,
   getAggregatedVolume,
   getPerPairVolume,
-  getOrderbook
+  getPairDailyStats,
+  getOrderbook,
+  getRecentTrades
 };
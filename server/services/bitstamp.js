@@ -52,6 +52,32 @@ async function getPerPairVolume() {
   }
 }
 
+// Per-pair daily candles with raw volume. USDG is the base, so no conversion.
+async function getPairDailyStats() {
+  try {
+    const candles = await getDailyCandles();
+    const rows = candles
+      .filter(c => parseFloat(c.volume) > 0)
+      .map(c => ({
+        date: new Date(parseInt(c.timestamp) * 1000).toISOString().split('T')[0],
+        pair: 'USDG/USD',
+        baseVolume: parseFloat(c.volume),
+        quoteVolume: null,
+        usdVolume: parseFloat(c.volume),
+        close: parseFloat(c.close),
+        vwap: null,
+        tradeCount: null,
+        conversion: 'base',
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    return { exchange: 'bitstamp', pairs: ['USDG/USD'], rows };
+  } catch (err) {
+    console.error('[Bitstamp] Error fetching per-pair daily stats:', err.message);
+    return { exchange: 'bitstamp', pairs: [], rows: [] };
+  }
+}
+
 function getUSDGPairs() {
   return [{ symbol: 'usdgusd', displayName: 'USDG/USD', base: 'USDG', quote: 'USD' }];
 }
@@ -67,4 +93,4 @@ async function getOrderbook(pairSymbol) {
   };
 }
 
-module.exports = { getAggregatedVolume, getPerPairVolume, getUSDGPairs, getOrderbook };
+module.exports = { getAggregatedVolume, getPerPairVolume, getPairDailyStats, getUSDGPairs, getOrderbook };
@@ -199,9 +199,69 @@ async function getPerPairVolume() {
   };
 }
 
+// Per-pair daily candles with raw volumes and the USD conversion rule applied.
+// Bullish candles carry no VWAP or trade count.
+async function getPairDailyStats() {
+  const pairs = await getUSDGPairs();
+  const rows = [];
+  const pairNames = [];
+
+  for (const pair of pairs) {
+    try {
+      pairNames.push(pair.symbol);
+      const dailyData = await getDailyVolume(pair.symbol);
+      const convertVolume = needsVolumeConversion(pair.symbol);
+
+      for (const d of dailyData) {
+        rows.push({
+          date: d.date,
+          pair: pair.symbol,
+          baseVolume: d.rawVolume,
+          quoteVolume: null,
+          usdVolume: convertVolume ? d.rawVolume * d.close : d.rawVolume,
+          close: d.close,
+          vwap: null,
+          tradeCount: null,
+          conversion: convertVolume ? 'base_x_close' : 'base'
+        });
+      }
+
+      // Rate limit: wait between requests
+      await delay(500);
+    } catch (err) {
+      console.error(`Error fetching volume for ${pair.symbol}:`, err.message);
+    }
+  }
+
+  return {
+    exchange: 'bullish',
+    pairs: pairNames,
+    rows
+  };
+}
+
+// Latest public trades, oldest first. Side is the taker side.
+async function getRecentTrades(symbol) {
+  const response = await axios.get(`${BASE_URL}/markets/${symbol}/trades`, {
+    headers: { 'accept': 'application/json' }
+  });
+
+  const trades = (response.data || []).map(t => ({
+    tradeId: String(t.tradeId),
+    timestamp: parseInt(t.createdAtTimestamp),
+    price: parseFloat(t.price),
+    size: parseFloat(t.quantity),
+    side: String(t.side).toLowerCase()
+  })).sort((a, b) => a.timestamp - b.timestamp);
+
+  return { trades, cursor: null };
+}
+
 module.exports = {
   getUSDGPairs,
   getDailyVolume,
   getAggregatedVolume,
-  getPerPairVolume
+  getPerPairVolume,
+  getPairDailyStats,
+  getRecentTrades
 };
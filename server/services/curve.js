@@ -1,6 +1,15 @@
 const axios = require('axios');
 
 const BASE_URL = 'https://prices.curve.finance/v1';
+// Pool state for depth (balances, A, fee) is read on-chain
+const RPC_URL = 'https://ethereum-rpc.publicnode.com';
+
+const SEL_A        = '0xf446c1d0'; // A()
+const SEL_FEE      = '0xddca3f43'; // fee()
+const SEL_BALANCES = '0x4903b0d1'; // balances(uint256)
+const SEL_COINS    = '0xc6610657'; // coins(uint256)
+const SEL_DECIMALS = '0x313ce567'; // decimals()
+const FEE_DENOMINATOR = 1e10;
 
 const POOLS = [
   {
@@ -97,6 +106,91 @@ async function getPoolData(pool) {
   };
 }
 
+// Daily volume/fees for a pool between two unix timestamps. The API returns
+// 8-hour buckets, paginated, which are summed per UTC day.
+async function getDailyVolumeHistory(pool, startTs, endTs) {
+  const poolResp = await axios.get(`${BASE_URL}/pools/ethereum/${pool.address}`);
+  const coins = poolResp.data.coins || [];
+  const usdgCoin = coins[pool.usdgIndex] || {};
+  const otherCoin = coins[pool.usdgIndex === 0 ? 1 : 0] || {};
+
+  const byDay = {};
+  let cursor = startTs;
+  while (cursor < endTs) {
+    const response = await axios.get(`${BASE_URL}/volume/ethereum/${pool.address}`, {
+      params: { main_token: usdgCoin.address, reference_token: otherCoin.address, start: cursor, end: endTs }
+    });
+    const entries = response.data?.data || [];
+    if (!entries.length) break;
+
+    for (const e of entries) {
+      const day = new Date(e.timestamp * 1000).toISOString().split('T')[0];
+      if (!byDay[day]) byDay[day] = { volume: 0, fees: 0 };
+      byDay[day].volume += e.volume || 0;
+      byDay[day].fees += e.fees || 0;
+    }
+
+    const lastTs = entries[entries.length - 1].timestamp;
+    if (lastTs <= cursor) break;
+    cursor = lastTs + 1;
+    await new Promise(resolve => setTimeout(resolve, 300));
+  }
+
+  return Object.entries(byDay)
+    .map(([date, d]) => ({ date, volume: d.volume, fees: d.fees }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+async function evmCall(to, data) {
+  const r = await axios.post(RPC_URL, {
+    jsonrpc: '2.0', method: 'eth_call',
+    params: [{ to, data }, 'latest'], id: 1,
+  }, { headers: { 'Content-Type': 'application/json' }, timeout: 12000 });
+  if (r.data.error) throw new Error(r.data.error.message);
+  return BigInt(r.data.result);
+}
+
+const uint256 = n => n.toString(16).padStart(64, '0');
+
+/**
+ * On-chain stableswap state of a pool for server/dexDepth: balances in coin
+ * units, A() and the fee. Coin 0 is the base when it is USDG.
+ */
+async function getPoolState(pool) {
+  const [A, fee, ...coinWords] = await Promise.all([
+    evmCall(pool.address, SEL_A),
+    evmCall(pool.address, SEL_FEE),
+    ...[0, 1].map(i => evmCall(pool.address, SEL_COINS + uint256(i))),
+    ...[0, 1].map(i => evmCall(pool.address, SEL_BALANCES + uint256(i)))
+  ]);
+  const coins = coinWords.slice(0, 2).map(word => '0x' + uint256(word).slice(24));
+  const decimals = await Promise.all(coins.map(coin => evmCall(coin, SEL_DECIMALS)));
+  const balances = coinWords.slice(2).map((raw, i) => Number(raw) / Math.pow(10, Number(decimals[i])));
+
+  return {
+    address: pool.address,
+    name: pool.name,
+    type: pool.type,
+    chain: pool.chain,
+    venue: 'Curve',
+    feeRate: Number(fee) / FEE_DENOMINATOR,
+    baseIsToken0: pool.usdgIndex === 0,
+    state: { model: 'stableswap', balances, A: Number(A) }
+  };
+}
+
+async function getPoolStates() {
+  const results = [];
+  for (const pool of POOLS) {
+    try {
+      results.push(await getPoolState(pool));
+    } catch (err) {
+      console.error(`Error reading Curve pool state ${pool.name}:`, err.message);
+    }
+  }
+  return results;
+}
+
 async function getAllPools() {
   const results = [];
   for (const pool of POOLS) {
@@ -112,6 +206,10 @@ async function getAllPools() {
 
 module.exports = {
   POOLS,
+  RPC_URL,
   getPoolData,
-  getAllPools
+  getAllPools,
+  getPoolState,
+  getPoolStates,
+  getDailyVolumeHistory
 };
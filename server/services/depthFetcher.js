@@ -1,75 +1,21 @@
-const krakenService = require('./kraken');
-const gateService = require('./gate');
-const kucoinService = require('./kucoin');
-const bitmartService = require('./bitmart');
-const okxService = require('./okx');
-const bitstampService = require('./bitstamp');
-const { classifyPair, getBpsLevels, calculateDepthMetrics } = require('../utils/depthCalculator');
+const exchanges = require('../exchanges');
+const { classifyPair, getBpsLevels, calculateDepthMetrics, truncateBook } = require('../utils/depthCalculator');
 
-const EXCHANGES = ['kraken', 'gate', 'kucoin', 'bitmart', 'okx', 'bitstamp'];
-
-const services = {
-  kraken: krakenService,
-  gate: gateService,
-  kucoin: kucoinService,
-  bitmart: bitmartService,
-  okx: okxService,
-  bitstamp: bitstampService,
-};
-
-const EXCHANGE_NAMES = {
-  kraken: 'Kraken',
-  gate: 'Gate.io',
-  kucoin: 'Kucoin',
-  bitmart: 'Bitmart',
-  okx: 'OKX',
-  bitstamp: 'Bitstamp',
-};
-
-const RATE_LIMITS = {
-  kraken: 1000,
-  gate: 100,
-  kucoin: 200,
-  bitmart: 250,
-  okx: 150,
-  bitstamp: 250,
-};
+const EXCHANGE_NAMES = exchanges.getExchangeNames();
 
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-function extractBaseQuote(pair, exchangeName) {
-  switch (exchangeName) {
-    case 'kraken': {
-      const base = (pair.base || '').replace(/^[XZ]/, '').toUpperCase();
-      const quote = (pair.quote || '').replace(/^[XZ]/, '').toUpperCase();
-      return { base, quote };
-    }
-    case 'gate':
-    case 'bitmart': {
-      const parts = pair.symbol.split('_');
-      return { base: parts[0], quote: parts[1] };
-    }
-    case 'kucoin':
-    case 'okx': {
-      const parts = pair.symbol.split('-');
-      return { base: parts[0], quote: parts[1] };
-    }
-    case 'bitstamp':
-      return { base: pair.base || 'USDG', quote: pair.quote || 'USD' };
-    default:
-      return { base: '', quote: '' };
-  }
-}
-
 /**
  * Fetch current USDG depth data from all supported exchanges.
- * Returns the same row shape used by GET /api/depth.
+ * Returns the row shape used by GET /api/depth, plus `book`: the best
+ * BOOK_LEVELS levels of each side ({ bids, asks }) for storage and impact
+ * simulation. Strip it before sending rows to clients.
  */
 async function fetchUsdgDepth() {
   const results = [];
 
-  const exchangePromises = EXCHANGES.map(async (exchangeName) => {
-    const service = services[exchangeName];
+  const exchangePromises = exchanges.listAdapters('orderbook').map(async (adapter) => {
+    const { id: exchangeName, service } = adapter;
     const exchangeResults = [];
 
     try {
@@ -78,7 +24,7 @@ async function fetchUsdgDepth() {
 
       for (const pair of pairs) {
         try {
-          const { base, quote } = extractBaseQuote(pair, exchangeName);
+          const { base, quote } = adapter.parsePair(pair);
           const orderbook = await service.getOrderbook(pair.symbol);
 
           if (!orderbook.bids.length || !orderbook.asks.length) continue;
@@ -90,7 +36,7 @@ async function fetchUsdgDepth() {
 
           exchangeResults.push({
             exchange: exchangeName,
-            exchangeDisplay: EXCHANGE_NAMES[exchangeName],
+            exchangeDisplay: adapter.name,
             pair: displayName,
             pairType,
             midPrice: metrics.midPrice,
@@ -100,11 +46,12 @@ async function fetchUsdgDepth() {
             bpsLevels,
             bidDepth: metrics.bidDepth,
             askDepth: metrics.askDepth,
+            book: truncateBook(orderbook.bids, orderbook.asks),
             fetchedAt,
             ok: true
           });
 
-          if (pairs.length > 1) await delay(RATE_LIMITS[exchangeName]);
+          if (pairs.length > 1) await delay(adapter.rateLimitMs);
         } catch (err) {
           console.error(`[DepthFetcher] ${exchangeName}/${pair.symbol}:`, err.message);
         }
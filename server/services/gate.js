@@ -27,6 +27,7 @@ async function getDailyVolume(pair) {
 
   // Gate.io response: [[timestamp, volume, close, high, low, open, amount], ...]
   // Note: Gate.io order is different - check docs
+  // volume (index 1) is in the quote currency, amount (index 6) in the base currency
   return candles.map(candle => ({
     timestamp: parseInt(candle[0]) * 1000,
     date: new Date(parseInt(candle[0]) * 1000).toISOString().split('T')[0],
@@ -34,7 +35,8 @@ async function getDailyVolume(pair) {
     close: parseFloat(candle[2]),
     high: parseFloat(candle[3]),
     low: parseFloat(candle[4]),
-    open: parseFloat(candle[5])
+    open: parseFloat(candle[5]),
+    baseVolume: parseFloat(candle[6])
   }));
 }
 
@@ -118,6 +120,45 @@ async function getPerPairVolume() {
   };
 }
 
+// Per-pair daily candles with raw volumes and the USD conversion rule applied.
+// Gate.io candles carry no VWAP or trade count.
+async function getPairDailyStats() {
+  const pairs = await getUSDGPairs();
+  const rows = [];
+  const pairNames = [];
+
+  for (const pair of pairs) {
+    try {
+      pairNames.push(pair.displayName);
+      const dailyData = await getDailyVolume(pair.symbol);
+
+      for (const d of dailyData) {
+        rows.push({
+          date: d.date,
+          pair: pair.displayName,
+          baseVolume: d.baseVolume,
+          quoteVolume: d.volume,
+          usdVolume: d.volume,
+          close: d.close,
+          vwap: null,
+          tradeCount: null,
+          conversion: 'quote'
+        });
+      }
+
+      await delay(100);
+    } catch (err) {
+      console.error(`Error fetching Gate.io volume for ${pair.symbol}:`, err.message);
+    }
+  }
+
+  return {
+    exchange: 'gate',
+    pairs: pairNames,
+    rows
+  };
+}
+
 async function getOrderbook(pair) {
   const response = await axios.get(`${BASE_URL}/spot/order_book`, {
     params: { currency_pair: pair, limit: 100 }
@@ -143,11 +184,33 @@ async function getDailyVolumeUsdt(currencyPair) {
   return Array.from(byDate.values()).filter(d => d.volume > 0).sort((a, b) => a.date.localeCompare(b.date));
 }
 
+// Public trades, oldest first. `since` is the last trade id seen; Gate then
+// returns only newer trades (up to 1000).
+async function getRecentTrades(pair, { since } = {}) {
+  const params = { currency_pair: pair, limit: 1000 };
+  if (since) params.last_id = since;
+
+  const response = await axios.get(`${BASE_URL}/spot/trades`, { params });
+
+  const trades = (response.data || []).map(t => ({
+    tradeId: String(t.id),
+    timestamp: Math.floor(parseFloat(t.create_time_ms)),
+    price: parseFloat(t.price),
+    size: parseFloat(t.amount),
+    side: t.side
+  })).sort((a, b) => a.timestamp - b.timestamp);
+
+  const cursor = trades.length > 0 ? trades[trades.length - 1].tradeId : since || null;
+  return { trades, cursor };
+}
+
 module.exports = {
   getUSDGPairs,
   getDailyVolume,
   getDailyVolumeUsdt,
   getAggregatedVolume,
   getPerPairVolume,
-  getOrderbook
+  getPairDailyStats,
+  getOrderbook,
+  getRecentTrades
 };
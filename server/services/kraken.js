@@ -171,6 +171,48 @@ async function getPerPairVolume() {
   };
 }
 
+// Per-pair daily candles with raw volumes, price and trade count, plus the
+// USD conversion rule applied. Used to persist cex_pair_daily rows.
+async function getPairDailyStats() {
+  const pairs = await getUSDGPairs();
+  const rows = [];
+  const pairNames = [];
+
+  for (const pair of pairs) {
+    try {
+      const displayName = pair.wsname || pair.symbol;
+      pairNames.push(displayName);
+      const dailyData = await getDailyVolume(pair.symbol);
+      const convertVolume = needsVolumeConversion(pair);
+
+      for (const d of dailyData) {
+        rows.push({
+          date: d.date,
+          pair: displayName,
+          baseVolume: d.rawVolume,
+          quoteVolume: d.rawVolume * d.vwap,
+          usdVolume: convertVolume ? d.rawVolume * d.close : d.rawVolume,
+          close: d.close,
+          vwap: d.vwap,
+          tradeCount: d.count,
+          conversion: convertVolume ? 'base_x_close' : 'base'
+        });
+      }
+
+      // Rate limit: wait 1 second between requests
+      await delay(1000);
+    } catch (err) {
+      console.error(`Error fetching volume for ${pair.symbol}:`, err.message);
+    }
+  }
+
+  return {
+    exchange: 'kraken',
+    pairs: pairNames,
+    rows
+  };
+}
+
 // Stablecoins where 1 unit ~= $1 — used to detect when volume is already
 // USD-denominated and doesn't need a price multiplication.
 function isStableQuote(asset) {
@@ -328,12 +370,40 @@ async function getKrakenXautVolume() {
     .sort((a, b) => a.date.localeCompare(b.date));
 }
 
+// Public trades, oldest first. `since` is the cursor Kraken returned as `last`
+// on the previous call (nanoseconds); omit it to get the latest 1000.
+// Kraken trades: [price, volume, time, side, orderType, misc, tradeId]
+async function getRecentTrades(pairSymbol, { since } = {}) {
+  const params = { pair: pairSymbol, count: 1000 };
+  if (since) params.since = since;
+
+  const response = await axios.get(`${BASE_URL}/Trades`, { params });
+
+  if (response.data.error && response.data.error.length > 0) {
+    throw new Error(`Kraken API error: ${response.data.error.join(', ')}`);
+  }
+
+  const result = response.data.result;
+  const dataKey = Object.keys(result).find(k => k !== 'last');
+  const trades = (result[dataKey] || []).map(t => ({
+    tradeId: String(t[6]),
+    timestamp: Math.round(parseFloat(t[2]) * 1000),
+    price: parseFloat(t[0]),
+    size: parseFloat(t[1]),
+    side: t[3] === 'b' ? 'buy' : 'sell'
+  }));
+
+  return { trades, cursor: result.last };
+}
+
 module.exports = {
   getUSDGPairs,
   getDailyVolume,
   getAggregatedVolume,
   getPerPairVolume,
+  getPairDailyStats,
   getOrderbook,
+  getRecentTrades,
   getPYUSDPairs,
   getMonthlyPyusdVolume,
   getDailyVolumeUsd,
@@ -55,6 +55,7 @@ async function getDailyVolume(pair) {
       high: parseFloat(candle[3]),
       low: parseFloat(candle[4]),
       rawVolume: rawVolume,
+      quoteVolume: parseFloat(candle[6]),
       volume: rawVolume // Will be converted in aggregation if needed
     };
   });
@@ -145,6 +146,46 @@ async function getPerPairVolume() {
   };
 }
 
+// Per-pair daily candles with raw volumes and the USD conversion rule applied.
+// Kucoin candles carry no VWAP or trade count.
+async function getPairDailyStats() {
+  const pairs = await getUSDGPairs();
+  const rows = [];
+  const pairNames = [];
+
+  for (const pair of pairs) {
+    try {
+      pairNames.push(pair.displayName);
+      const dailyData = await getDailyVolume(pair.symbol);
+      const convertVolume = needsVolumeConversion(pair.symbol);
+
+      for (const d of dailyData) {
+        rows.push({
+          date: d.date,
+          pair: pair.displayName,
+          baseVolume: d.rawVolume,
+          quoteVolume: d.quoteVolume,
+          usdVolume: convertVolume ? d.rawVolume * d.close : d.rawVolume,
+          close: d.close,
+          vwap: null,
+          tradeCount: null,
+          conversion: convertVolume ? 'base_x_close' : 'base'
+        });
+      }
+
+      await delay(200);
+    } catch (err) {
+      console.error(`Error fetching Kucoin volume for ${pair.symbol}:`, err.message);
+    }
+  }
+
+  return {
+    exchange: 'kucoin',
+    pairs: pairNames,
+    rows
+  };
+}
+
 async function getOrderbook(symbol) {
   const response = await axios.get(`${BASE_URL}/market/orderbook/level2_100`, {
     params: { symbol: symbol }
@@ -179,11 +220,34 @@ async function getDailyVolumeUsdt(symbol) {
   return Array.from(byDate.values()).filter(d => d.volume > 0).sort((a, b) => a.date.localeCompare(b.date));
 }
 
+// Latest 100 public trades, oldest first. Kucoin timestamps are in nanoseconds.
+async function getRecentTrades(symbol) {
+  const response = await axios.get(`${BASE_URL}/market/histories`, {
+    params: { symbol }
+  });
+
+  if (response.data.code !== '200000') {
+    throw new Error(`Kucoin API error: ${response.data.msg}`);
+  }
+
+  const trades = (response.data.data || []).map(t => ({
+    tradeId: String(t.sequence),
+    timestamp: Math.floor(Number(t.time) / 1e6),
+    price: parseFloat(t.price),
+    size: parseFloat(t.size),
+    side: t.side
+  })).sort((a, b) => a.timestamp - b.timestamp);
+
+  return { trades, cursor: null };
+}
+
 module.exports = {
   getUSDGPairs,
   getDailyVolume,
   getDailyVolumeUsdt,
   getAggregatedVolume,
   getPerPairVolume,
-  getOrderbook
+  getPairDailyStats,
+  getOrderbook,
+  getRecentTrades
 };
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const parameters = require('../parameters');
 
 const MERKL_API = 'https://api.merkl.xyz/v4';
 const CHAIN_ID  = 1; // Ethereum mainnet
@@ -12,6 +13,14 @@ const USDG_SUPPLY_TYPES = new Set([
   'ERC20LOGPROCESSOR', // wrapped aToken holders
 ]);
 
+// Merkl's API rounds the APR (returns 6.0 when the actual Aave-shown target is 6.18%),
+// so the configured campaign target is kept as a parameter; both hubs target the same
+// total supply APY. Add a version when a campaign with a different target launches.
+const CAMPAIGN_TARGET_APR = parameters.define('merkl.campaign_target_apr', {
+  value: 6.18,
+  description: 'Merkl Hub campaign target total supply APR on Aave v4 (percent)'
+});
+
 /**
  * Fetch the current total daily USDG supply-side incentive spend from Merkl.
  * Returns USD value of rewards distributed per day across all live campaigns.
@@ -33,9 +42,7 @@ async function getUsdgDailyRewards() {
   }, 0);
 
   // The Hub campaign is the primary Paxos-funded campaign.
-  // Merkl's API rounds the APR (returns 6.0 when the actual Aave-shown target is 6.18%).
-  // Update CAMPAIGN_TARGET_APR here when a new campaign with a different target launches.
-  const CAMPAIGN_TARGET_APR = 6.18; // both hubs target same total supply APY
+  const targetApr = await parameters.getParameter(CAMPAIGN_TARGET_APR);
 
   // Core Hub = "Aave V4 Core Hub"; Paxos Hub = "Aave V4 Paxos Hub"
   const coreCampaign  = liveUsdgSupply.find(opp =>
@@ -48,10 +55,10 @@ async function getUsdgDailyRewards() {
 
   return {
     totalDailyRewards,
-    hubApr:              coreCampaign  ? CAMPAIGN_TARGET_APR : null,
+    hubApr:              coreCampaign  ? targetApr : null,
     hubTvl:              coreCampaign?.tvl ?? null,
     paxosDailyRewards:   paxosCampaign?.dailyRewards ?? null,
-    paxosHubApr:         paxosCampaign ? CAMPAIGN_TARGET_APR : null,
+    paxosHubApr:         paxosCampaign ? targetApr : null,
     paxosHubTvl:         paxosCampaign?.tvl ?? null,
     breakdown: liveUsdgSupply.map(opp => ({
       name: opp.name,
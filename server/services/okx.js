@@ -38,7 +38,8 @@ async function getDailyVolume(pair) {
     high: parseFloat(candle[2]),
     low: parseFloat(candle[3]),
     close: parseFloat(candle[4]),
-    volume: parseFloat(candle[5])
+    volume: parseFloat(candle[5]),
+    quoteVolume: parseFloat(candle[7])
   }));
 }
 
@@ -122,6 +123,45 @@ async function getPerPairVolume() {
   };
 }
 
+// Per-pair daily candles with raw volumes and the USD conversion rule applied.
+// OKX candles carry no VWAP or trade count.
+async function getPairDailyStats() {
+  const pairs = await getUSDGPairs();
+  const rows = [];
+  const pairNames = [];
+
+  for (const pair of pairs) {
+    try {
+      pairNames.push(pair.displayName);
+      const dailyData = await getDailyVolume(pair.symbol);
+
+      for (const d of dailyData) {
+        rows.push({
+          date: d.date,
+          pair: pair.displayName,
+          baseVolume: d.volume,
+          quoteVolume: d.quoteVolume,
+          usdVolume: d.volume,
+          close: d.close,
+          vwap: null,
+          tradeCount: null,
+          conversion: 'base'
+        });
+      }
+
+      await delay(150);
+    } catch (err) {
+      console.error(`Error fetching OKX volume for ${pair.symbol}:`, err.message);
+    }
+  }
+
+  return {
+    exchange: 'okx',
+    pairs: pairNames,
+    rows
+  };
+}
+
 async function getOrderbook(symbol) {
   const response = await axios.get(`${BASE_URL}/market/books`, {
     params: { instId: symbol, sz: 400 }
@@ -168,11 +208,34 @@ async function getDailyVolumeHistory(instId) {
   return Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date));
 }
 
+// Latest public trades (up to 500), oldest first. Side is the taker side.
+async function getRecentTrades(symbol) {
+  const response = await axios.get(`${BASE_URL}/market/trades`, {
+    params: { instId: symbol, limit: 500 }
+  });
+
+  if (response.data.code !== '0') {
+    throw new Error(`OKX API error: ${response.data.msg}`);
+  }
+
+  const trades = (response.data.data || []).map(t => ({
+    tradeId: t.tradeId,
+    timestamp: parseInt(t.ts),
+    price: parseFloat(t.px),
+    size: parseFloat(t.sz),
+    side: t.side
+  })).sort((a, b) => a.timestamp - b.timestamp);
+
+  return { trades, cursor: null };
+}
+
 module.exports = {
   getUSDGPairs,
   getDailyVolume,
   getDailyVolumeHistory,
   getAggregatedVolume,
   getPerPairVolume,
-  getOrderbook
+  getPairDailyStats,
+  getOrderbook,
+  getRecentTrades
 };
@@ -1,9 +1,25 @@
 const axios = require('axios');
+const { ticksForBps } = require('../dexDepth/concentrated');
+const { base58Decode, findProgramAddress } = require('../utils/solana');
 
 const BASE_URL = 'https://api.orca.so/v2/solana';
 
 const USDG_MINT = '2u1tszSeqZ3qBWF3uNGPFc8TzMk2tdiwknnRMWGWjGWH';
 
+// Tick arrays for depth are read on-chain. The public endpoint is rate-limited;
+// point SOLANA_RPC_URL at a dedicated one in production.
+const RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
+const WHIRLPOOL_PROGRAM = 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc';
+// TickArray account (PDA of "tick_array", whirlpool, start index as a decimal
+// string): discriminator (8), start_tick_index i32, 88 ticks of 113 bytes, whirlpool pubkey
+const TICKS_PER_ARRAY = 88;
+const TICK_SIZE = 113;
+const TICK_ARRAY_TICKS_OFFSET = 12;
+const MIN_TICK = -443636;
+const MAX_TICK = 443636;
+// getMultipleAccounts limit
+const ACCOUNTS_PER_CALL = 100;
+
 const POOLS = [
   {
     address: '9RqDTfwCx2SgxsvKpspQHc38HUo3B6hRd3oR9JR966Ps',
@@ -81,6 +97,102 @@ async function getPoolData(poolAddress) {
   };
 }
 
+/**
+ * Initialized ticks of a whirlpool within `rangeBps` of its current tick,
+ * from the tick arrays covering that range (whole arrays, so the range read
+ * is usually wider). Arrays nobody has initialized hold no liquidity changes.
+ * @returns {{ ticks: Array<{ tick, liquidityNet }>, tickLower: number, tickUpper: number }}
+ */
+async function getInitializedTicks(poolAddress, tickSpacing, tickCurrent, rangeBps) {
+  const arraySpan = TICKS_PER_ARRAY * tickSpacing;
+  const span = ticksForBps(rangeBps);
+  const startOf = tick => Math.floor(tick / arraySpan) * arraySpan;
+  const firstStart = startOf(Math.max(tickCurrent - span, MIN_TICK));
+  const lastStart = startOf(Math.min(tickCurrent + span, MAX_TICK));
+
+  const whirlpool = base58Decode(poolAddress);
+  const starts = [];
+  for (let start = firstStart; start <= lastStart; start += arraySpan) starts.push(start);
+  const addresses = starts.map(start => findProgramAddress(['tick_array', whirlpool, String(start)], WHIRLPOOL_PROGRAM));
+
+  const accounts = [];
+  for (let i = 0; i < addresses.length; i += ACCOUNTS_PER_CALL) {
+    const r = await axios.post(RPC_URL, {
+      jsonrpc: '2.0', id: 1,
+      method: 'getMultipleAccounts',
+      params: [addresses.slice(i, i + ACCOUNTS_PER_CALL), { encoding: 'base64' }],
+    }, { headers: { 'Content-Type': 'application/json' }, timeout: 30000 });
+    if (r.data.error) throw new Error(r.data.error.message);
+    accounts.push(...r.data.result.value);
+  }
+
+  const ticks = [];
+  accounts.forEach((account, a) => {
+    if (!account) return;
+    const data = Buffer.from(account.data[0], 'base64');
+    for (let i = 0; i < TICKS_PER_ARRAY; i++) {
+      const offset = TICK_ARRAY_TICKS_OFFSET + i * TICK_SIZE;
+      if (data[offset] === 0) continue;
+      // liquidity_net: i128, little-endian
+      const liquidityNet = (data.readBigInt64LE(offset + 9) << 64n) + data.readBigUInt64LE(offset + 1);
+      ticks.push({ tick: starts[a] + i * tickSpacing, liquidityNet: Number(liquidityNet) });
+    }
+  });
+  return {
+    ticks,
+    tickLower: Math.max(firstStart, MIN_TICK),
+    tickUpper: Math.min(lastStart + arraySpan, MAX_TICK)
+  };
+}
+
+/**
+ * Concentrated-liquidity state of a whirlpool for server/dexDepth: price and
+ * active liquidity from the Orca API, initialized ticks within `rangeBps`
+ * from its tick arrays. Token A is token 0.
+ */
+async function getPoolState(pool, { rangeBps }) {
+  const response = await axios.get(`${BASE_URL}/pools/${pool.address}`);
+  const data = response.data.data;
+  const { ticks, tickLower, tickUpper } = await getInitializedTicks(
+    pool.address, data.tickSpacing, data.tickCurrentIndex, rangeBps
+  );
+  const [base] = pool.name.split('/');
+
+  return {
+    address: pool.address,
+    name: pool.name,
+    type: pool.type,
+    chain: pool.chain,
+    venue: 'Orca',
+    feeRate: data.feeRate / 1e6,
+    // Token symbols vary (USDG vs usdg, wrapped names); the USDG mint doesn't
+    baseIsToken0: (data.tokenA.address === USDG_MINT) === (base === 'USDG'),
+    state: {
+      model: 'concentrated',
+      sqrtPrice: Number(BigInt(data.sqrtPrice)) / 2 ** 64, // Q64.64
+      liquidity: Number(BigInt(data.liquidity)),
+      tick: data.tickCurrentIndex,
+      ticks,
+      tickLower,
+      tickUpper,
+      decimals0: data.tokenA.decimals,
+      decimals1: data.tokenB.decimals
+    }
+  };
+}
+
+async function getPoolStates({ rangeBps }) {
+  const results = [];
+  for (const pool of POOLS) {
+    try {
+      results.push(await getPoolState(pool, { rangeBps }));
+    } catch (err) {
+      console.error(`Error reading Orca pool state ${pool.name}:`, err.message);
+    }
+  }
+  return results;
+}
+
 async function getAllPools() {
   const results = [];
   for (const pool of POOLS) {
@@ -102,6 +214,9 @@ async function getAllPools() {
 
 module.exports = {
   POOLS,
+  RPC_URL,
   getPoolData,
-  getAllPools
+  getAllPools,
+  getPoolState,
+  getPoolStates
 };
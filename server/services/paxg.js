@@ -71,5 +71,6 @@ module.exports = {
   estimateBlockForDate,
   getSupplyAtBlock,
   getSupplyForDate,
-  getCurrentSupply
+  getCurrentSupply,
+  RPC_URL
 };
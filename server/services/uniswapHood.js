@@ -2,12 +2,40 @@
  * Uniswap pools on Robinhood (Hood) chain — Chain ID 4663.
  * Data from GeckoTerminal free API (no auth required).
  * Pools 1 & 2 are Uniswap v4 (32-byte pool IDs); Pool 3 is Uniswap v3.
+ *
+ * Each pool's feeRate below is its default; the rate in force on a given day
+ * is the `uniswap_hood.fee_rate:<name>` parameter (server/parameters).
+ *
+ * Pool state for depth (price, liquidity, ticks) is read over RPC: from the
+ * pool contract for v3, and for v4 from the StateView lens at
+ * UNISWAP_V4_STATE_VIEW. There is no default StateView address for this
+ * chain, so v4 depth is off unless that is set. A v4 pool's tick spacing is
+ * part of its PoolKey and not readable from StateView, so each v4 entry
+ * carries it as `tickSpacing`; v4 pools without one are left out of depth.
  */
 
 const axios = require('axios');
+const parameters = require('../parameters');
+const { ticksForBps } = require('../dexDepth/concentrated');
 
 const GECKO   = 'https://api.geckoterminal.com/api/v2';
 const NETWORK = 'robinhood';
+const RPC_URL = 'https://rpc.mainnet.chain.robinhood.com';
+const STATE_VIEW = process.env.UNISWAP_V4_STATE_VIEW || null;
+
+// v3 pool
+const SEL_SLOT0        = '0x3850c7bd'; // slot0()
+const SEL_LIQUIDITY    = '0x1a686502'; // liquidity()
+const SEL_TICK_SPACING = '0xd0c93a7c'; // tickSpacing()
+const SEL_TICK_BITMAP  = '0x5339c296'; // tickBitmap(int16)
+const SEL_TICKS        = '0xf30dba93'; // ticks(int24)
+// v4 StateView
+const SEL_V4_SLOT0          = '0xc815641c'; // getSlot0(bytes32)
+const SEL_V4_LIQUIDITY      = '0xfa6793d5'; // getLiquidity(bytes32)
+const SEL_V4_TICK_BITMAP    = '0x1c7ccb4c'; // getTickBitmap(bytes32,int16)
+const SEL_V4_TICK_LIQUIDITY = '0xcaedab54'; // getTickLiquidity(bytes32,int24)
+
+const RPC_BATCH_SIZE = 50;
 
 const POOLS = [
   // ── Uniswap v4 pools (32-byte pool IDs) ──────────────────────────────────
@@ -17,6 +45,7 @@ const POOLS = [
     type:    'stable',
     venue:   'Uniswap v4',
     feeRate: 0.0001, // 0.01% (1 bps)
+    tickSpacing: 1,
   },
   {
     id:      '0xa5f23cae4e5c3388c5a8a6b08a83f53e56df8f1a63757e606b362994b68a2361',
@@ -24,6 +53,7 @@ const POOLS = [
     type:    'stable',
     venue:   'Uniswap v4',
     feeRate: 0.0001,
+    tickSpacing: 1,
   },
   {
     id:      '0xcb6ffbcc84359535c2cc0a5688c0a76520ea6e0a4820fddd3ac8d7880e576370',
@@ -31,6 +61,7 @@ const POOLS = [
     type:    'volatile',
     venue:   'Uniswap v4',
     feeRate: 0.01, // 1% (100 bps) — confirmed by user
+    tickSpacing: 200,
   },
   // ── Uniswap v3 pools (20-byte addresses) ─────────────────────────────────
   {
@@ -68,6 +99,7 @@ const POOLS = [
     type:    'volatile',
     venue:   'Uniswap v4',
     feeRate: 0.00269, // 0.269% (26.9 bps) — from GeckoTerminal pool name
+    // custom fee tier: tickSpacing still to be taken from its PoolKey
   },
   {
     id:      '0x77c25b9386d47de62e0155c393696e9f43f7e6d036c6ca52f66735ccbb8808a7',
@@ -75,6 +107,7 @@ const POOLS = [
     type:    'volatile',
     venue:   'Uniswap v4',
     feeRate: 0.003, // 0.3% (30 bps) — from GeckoTerminal pool name
+    tickSpacing: 60,
   },
   {
     id:      '0x4be9657ec9002e528f4f17a5c43edc525a07f888f7b180c2afbf75e096c4f38a',
@@ -82,6 +115,7 @@ const POOLS = [
     type:    'volatile',
     venue:   'Uniswap v4',
     feeRate: 0.003, // 0.3% (30 bps) — from GeckoTerminal pool name
+    tickSpacing: 60,
   },
   {
     id:      '0xfcfae8fa0bd6da961bcf5d990f27690932deac4f093e99bf3e871691c6586593',
@@ -89,9 +123,17 @@ const POOLS = [
     type:    'volatile',
     venue:   'Uniswap v4',
     feeRate: 0.0005, // 0.05% (5 bps) — from GeckoTerminal pool name
+    tickSpacing: 10,
   },
 ];
 
+for (const pool of POOLS) {
+  pool.feeKey = parameters.define(`uniswap_hood.fee_rate:${pool.name}`, {
+    value: pool.feeRate,
+    description: `${pool.name} (${pool.venue}) pool fee rate (0.0001 = 1 bps)`
+  });
+}
+
 async function fetchOhlcvBars(poolId, limit) {
   const { data } = await axios.get(
     `${GECKO}/networks/${NETWORK}/pools/${poolId}/ohlcv/day`,
@@ -111,8 +153,10 @@ async function fetchOhlcvVolume(poolId, days) {
 }
 
 // Returns daily history for all pools: [{date, volume, feeRevenue}]
-// feeRevenue = sum of (pool_volume × pool_feeRate) — accurate since fee rates differ per pool
+// feeRevenue = sum of (pool_volume × pool_feeRate) — accurate since fee rates differ per pool,
+// each day at the rate in force on that day
 async function getVolumeHistory(days = 100) {
+  const params = await parameters.loadParameters();
   const byDate = {};
   await Promise.all(POOLS.map(async pool => {
     try {
@@ -122,7 +166,7 @@ async function getVolumeHistory(days = 100) {
         const vol  = bar[5] || 0;
         if (!byDate[date]) byDate[date] = { volume: 0, feeRevenue: 0 };
         byDate[date].volume     += vol;
-        byDate[date].feeRevenue += vol * pool.feeRate;
+        byDate[date].feeRevenue += vol * params.valueAt(pool.feeKey, date);
       }
     } catch (err) {
       console.error(`[UniswapHood] OHLCV error for ${pool.name}:`, err.message);
@@ -159,9 +203,10 @@ async function getPoolData(pool) {
     fetchOhlcvVolume(pool.id, 7),
     fetchOhlcvVolume(pool.id, 30),
   ]);
-  const fees24h = (vol24h || 0) * pool.feeRate;
-  const fees7d  = vol7d  != null ? vol7d  * pool.feeRate : null;
-  const fees30d = vol30d != null ? vol30d * pool.feeRate : null;
+  const feeRate = await parameters.getParameter(pool.feeKey);
+  const fees24h = (vol24h || 0) * feeRate;
+  const fees7d  = vol7d  != null ? vol7d  * feeRate : null;
+  const fees30d = vol30d != null ? vol30d * feeRate : null;
 
   return {
     address:     pool.id,
@@ -174,7 +219,7 @@ async function getPoolData(pool) {
     price:       parseFloat(attrs.base_token_price_usd) || 0,
     tvlUsd,
     usdgBalance: tvlUsd / 2,
-    feeRate:     pool.feeRate,
+    feeRate:     feeRate,
     stats: {
       '24h': { volume: vol24h ?? 0, fees: fees24h, yieldOverTvl: tvlUsd > 0 ? fees24h / tvlUsd : 0 },
       '7d':  { volume: vol7d,  fees: fees7d,  yieldOverTvl: tvlUsd > 0 && fees7d  != null ? fees7d  / tvlUsd : null },
@@ -184,6 +229,129 @@ async function getPoolData(pool) {
   };
 }
 
+const int256 = n => BigInt.asUintN(256, BigInt(n)).toString(16).padStart(64, '0');
+const words = hex => hex.replace(/^0x/, '').match(/.{64}/g) || [];
+const signed = (word, bits) => BigInt.asIntN(bits, BigInt('0x' + word));
+
+// eth_call each { to, data } in JSON-RPC batches; results in order, as hex
+async function ethCallBatch(calls) {
+  const results = [];
+  for (let i = 0; i < calls.length; i += RPC_BATCH_SIZE) {
+    const batch = calls.slice(i, i + RPC_BATCH_SIZE).map(({ to, data }, j) => ({
+      jsonrpc: '2.0', id: i + j, method: 'eth_call', params: [{ to, data }, 'latest'],
+    }));
+    const { data } = await axios.post(RPC_URL, batch, { headers: { 'Content-Type': 'application/json' }, timeout: 20000 });
+    if (!Array.isArray(data)) throw new Error(data?.error?.message || 'RPC batch rejected');
+    for (const r of data.sort((a, b) => a.id - b.id)) {
+      if (r.error) throw new Error(r.error.message);
+      results.push(r.result);
+    }
+  }
+  return results;
+}
+
+/**
+ * Concentrated-liquidity state of a pool for server/dexDepth, with the
+ * initialized ticks within `rangeBps` of the current price (whole bitmap
+ * words, so the range read is usually wider)
+ */
+async function getPoolState(pool, { rangeBps }) {
+  const isV4 = pool.venue === 'Uniswap v4';
+  if (isV4 && !STATE_VIEW) throw new Error('UNISWAP_V4_STATE_VIEW is not set');
+  if (isV4 && !pool.tickSpacing) throw new Error(`No tickSpacing configured for ${pool.name}`);
+
+  const { data } = await axios.get(`${GECKO}/networks/${NETWORK}/pools/${pool.id}`, {
+    params:  { include: 'base_token,quote_token' },
+    headers: { Accept: 'application/json' },
+    timeout: 15000,
+  });
+  const included = data.included || [];
+  const tokenOf = rel => included.find(i => i.id === data.data?.relationships?.[rel]?.data?.id)?.attributes;
+  const baseTok = tokenOf('base_token');
+  const quoteTok = tokenOf('quote_token');
+  if (!baseTok?.address || !quoteTok?.address || baseTok.decimals == null || quoteTok.decimals == null) {
+    throw new Error(`No token metadata returned for pool ${pool.id}`);
+  }
+  // Pools order their tokens by address
+  const baseIsToken0 = BigInt(baseTok.address) < BigInt(quoteTok.address);
+
+  const feeRate = await parameters.getParameter(pool.feeKey);
+  const call = isV4
+    ? {
+        slot0:     () => ({ to: STATE_VIEW, data: SEL_V4_SLOT0 + pool.id.slice(2) }),
+        liquidity: () => ({ to: STATE_VIEW, data: SEL_V4_LIQUIDITY + pool.id.slice(2) }),
+        bitmap:    word => ({ to: STATE_VIEW, data: SEL_V4_TICK_BITMAP + pool.id.slice(2) + int256(word) }),
+        tick:      tick => ({ to: STATE_VIEW, data: SEL_V4_TICK_LIQUIDITY + pool.id.slice(2) + int256(tick) }),
+      }
+    : {
+        slot0:     () => ({ to: pool.id, data: SEL_SLOT0 }),
+        liquidity: () => ({ to: pool.id, data: SEL_LIQUIDITY }),
+        bitmap:    word => ({ to: pool.id, data: SEL_TICK_BITMAP + int256(word) }),
+        tick:      tick => ({ to: pool.id, data: SEL_TICKS + int256(tick) }),
+      };
+
+  const head = await ethCallBatch([call.slot0(), call.liquidity(), ...(isV4 ? [] : [{ to: pool.id, data: SEL_TICK_SPACING }])]);
+  const [slot0, liquidity] = head;
+  const tickSpacing = isV4 ? pool.tickSpacing : Number(signed(words(head[2])[0], 24));
+
+  const sqrtPriceX96 = BigInt('0x' + words(slot0)[0]);
+  const tick = Number(signed(words(slot0)[1], 24));
+
+  // Bitmap words covering rangeBps either side; bit i of word w is tick (w·256 + i)·spacing
+  const compressed = Math.floor(tick / tickSpacing);
+  const span = Math.ceil(ticksForBps(rangeBps) / tickSpacing);
+  const wordLo = Math.floor((compressed - span) / 256);
+  const wordHi = Math.floor((compressed + span) / 256);
+  const wordIds = Array.from({ length: wordHi - wordLo + 1 }, (_, i) => wordLo + i);
+  const bitmaps = await ethCallBatch(wordIds.map(call.bitmap));
+
+  const initialized = [];
+  bitmaps.forEach((hex, i) => {
+    const bits = BigInt(hex);
+    for (let bit = 0; bit < 256; bit++) {
+      if ((bits >> BigInt(bit)) & 1n) initialized.push((wordIds[i] * 256 + bit) * tickSpacing);
+    }
+  });
+  // ticks() / getTickLiquidity(): liquidityGross, liquidityNet (int128), ...
+  const tickData = await ethCallBatch(initialized.map(call.tick));
+  const ticks = initialized.map((t, i) => ({ tick: t, liquidityNet: Number(signed(words(tickData[i])[1], 128)) }));
+
+  return {
+    address:  pool.id,
+    name:     pool.name,
+    type:     pool.type,
+    chain:    'robinhood',
+    venue:    pool.venue,
+    feeRate,
+    baseIsToken0,
+    state: {
+      model:     'concentrated',
+      sqrtPrice: Number(sqrtPriceX96) / 2 ** 96,
+      liquidity: Number(BigInt(liquidity)),
+      tick,
+      ticks,
+      tickLower: wordLo * 256 * tickSpacing,
+      tickUpper: (wordHi + 1) * 256 * tickSpacing,
+      decimals0: Number(baseIsToken0 ? baseTok.decimals : quoteTok.decimals),
+      decimals1: Number(baseIsToken0 ? quoteTok.decimals : baseTok.decimals),
+    },
+  };
+}
+
+async function getPoolStates({ rangeBps }) {
+  if (!STATE_VIEW) console.warn('[UniswapHood] UNISWAP_V4_STATE_VIEW not set — skipping v4 pool depth');
+  const results = [];
+  for (const pool of POOLS) {
+    if (pool.venue === 'Uniswap v4' && (!STATE_VIEW || !pool.tickSpacing)) continue;
+    try {
+      results.push(await getPoolState(pool, { rangeBps }));
+    } catch (err) {
+      console.error(`[UniswapHood] Pool state error for ${pool.name}:`, err.message);
+    }
+  }
+  return results;
+}
+
 async function getAllPools() {
   const results = [];
   for (const pool of POOLS) {
@@ -196,4 +364,4 @@ async function getAllPools() {
   return results;
 }
 
-module.exports = { POOLS, getPoolData, getAllPools, getVolumeHistory };
+module.exports = { POOLS, RPC_URL, getPoolData, getAllPools, getPoolState, getPoolStates, getVolumeHistory };
@@ -0,0 +1,274 @@
+/**
+ * Alert rules end to end: rules and depth snapshots come from a stubbed
+ * Postgres, deliveries go to local sinks — an http.createServer endpoint for
+ * the webhook and slack channels and a minimal SMTP listener for email.
+ */
+
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+
+const pool = require('../db/pool');
+const alerts = require('../alerts');
+
+// ---------------------------------------------------------------------------
+// Sinks
+// ---------------------------------------------------------------------------
+
+function startHttpSink(received) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ url: req.url, body: JSON.parse(body) });
+      res.writeHead(req.url === '/broken' ? 500 : 200, { 'Content-Type': 'application/json' });
+      res.end('{"ok":true}');
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// Just enough SMTP for nodemailer: no extensions, accepts everything
+function startSmtpSink(received) {
+  const sockets = new Set();
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    const reply = line => socket.write(`${line}\r\n`);
+    let buffer = '';
+    let data = null;
+    let envelope = { from: null, to: [] };
+    reply('220 localhost test sink');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let end;
+      while ((end = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (data) {
+          if (line === '.') {
+            received.push({ ...envelope, data: data.join('\r\n') });
+            data = null;
+            envelope = { from: null, to: [] };
+            reply('250 Queued');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'MAIL') envelope.from = line.slice(10);
+        if (command === 'RCPT') envelope.to.push(line.slice(8));
+        if (command === 'DATA') {
+          data = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('250 OK');
+        }
+      }
+    });
+  });
+  server.destroyAll = () => sockets.forEach(s => s.destroy());
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// ---------------------------------------------------------------------------
+// Stubbed Postgres
+// ---------------------------------------------------------------------------
+
+const db = {
+  rules: [],
+  depth: [],
+  cooling: new Set(),
+  events: [],
+  depthQueries: []
+};
+
+function ruleRow(id, rule) {
+  return {
+    id,
+    name: rule.name,
+    metric: 'depth.spread_bps',
+    params: rule.params || {},
+    condition: rule.condition,
+    threshold: String(rule.threshold),
+    lookback_hours: rule.lookbackHours || 24,
+    cooldown_minutes: rule.cooldownMinutes ?? 60,
+    channels: rule.channels,
+    enabled: rule.enabled ?? true
+  };
+}
+
+async function query(sql, params = []) {
+  if (sql.startsWith('SELECT * FROM alert_rules')) return { rows: db.rules };
+  if (sql.includes('FROM depth_snapshots d')) {
+    db.depthQueries.push(params);
+    return { rows: db.depth };
+  }
+  if (sql.includes('FROM alert_events') && sql.includes('LIMIT 1')) {
+    return { rows: db.cooling.has(`${params[0]} ${params[1]}`) ? [{ '?column?': 1 }] : [] };
+  }
+  if (sql.includes('INSERT INTO alert_events')) {
+    db.events.push({ ruleId: params[0], subject: params[3], deliveries: JSON.parse(params[8]) });
+    return { rows: [] };
+  }
+  throw new Error(`Unexpected query: ${sql.slice(0, 60)}`);
+}
+
+// Latest and previous hourly spreads per pair
+function depthRows(pairs) {
+  return pairs.flatMap(([exchange, pair, latest, previous], i) => [
+    { id: i * 2 + 1, exchange, pair, spread_bps: String(latest), is_latest: true },
+    ...(previous == null ? [] : [{ id: i * 2 + 2, exchange, pair, spread_bps: String(previous), is_latest: false }])
+  ]);
+}
+
+// ---------------------------------------------------------------------------
+
+describe('alerts', () => {
+  const posts = [];
+  const mails = [];
+  let httpSink;
+  let smtpSink;
+  let base;
+
+  before(async () => {
+    httpSink = await startHttpSink(posts);
+    smtpSink = await startSmtpSink(mails);
+    base = `http://127.0.0.1:${httpSink.address().port}`;
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(smtpSink.address().port);
+    process.env.ALERT_EMAIL_FROM = 'alerts@example.com';
+    mock.method(pool, 'query', query);
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    httpSink.closeAllConnections();
+    smtpSink.destroyAll();
+    await Promise.all([
+      new Promise(resolve => httpSink.close(resolve)),
+      new Promise(resolve => smtpSink.close(resolve))
+    ]);
+    await pool.end();
+  });
+
+  beforeEach(() => {
+    posts.length = 0;
+    mails.length = 0;
+    db.events.length = 0;
+    db.depthQueries.length = 0;
+    db.cooling.clear();
+    db.depth = depthRows([
+      ['kraken', 'USDG/USD', 30, 10],
+      ['okx', 'USDG/USDT', 5, 5],
+      ['bitstamp', 'USDG/USD', 40, null]
+    ]);
+  });
+
+  it('fires threshold rules for each subject over the line, to a webhook', async () => {
+    db.rules = [ruleRow(1, {
+      name: 'Wide spread', condition: 'above', threshold: 20,
+      channels: [{ type: 'webhook', url: `${base}/hook` }]
+    })];
+
+    const fired = await alerts.evaluateAlerts();
+
+    assert.deepEqual(fired.map(a => a.subject).sort(), ['bitstamp USDG/USD', 'kraken USDG/USD']);
+    assert.equal(posts.length, 2);
+    const kraken = posts.find(p => p.body.subject === 'kraken USDG/USD');
+    assert.equal(kraken.url, '/hook');
+    assert.deepEqual(kraken.body.rule, { id: 1, name: 'Wide spread', metric: 'depth.spread_bps', condition: 'above', threshold: 20 });
+    assert.equal(kraken.body.value, 30);
+    assert.equal(kraken.body.previousValue, 10);
+    assert.equal(kraken.body.message, 'Wide spread — kraken USDG/USD: depth.spread_bps is 30, above 20');
+    assert.ok(!isNaN(Date.parse(kraken.body.triggeredAt)));
+    assert.deepEqual(db.events.map(e => e.deliveries), [[{ type: 'webhook', ok: true }], [{ type: 'webhook', ok: true }]]);
+  });
+
+  it('fires rate-of-change rules only where there is history, to Slack', async () => {
+    db.rules = [
+      ruleRow(2, {
+        name: 'Spread jump', condition: 'rises_by_pct', threshold: 100, lookbackHours: 6,
+        channels: [{ type: 'slack', url: `${base}/slack` }]
+      }),
+      ruleRow(3, {
+        name: 'Spread drop', condition: 'drops_by_pct', threshold: 10,
+        channels: [{ type: 'slack', url: `${base}/slack` }]
+      })
+    ];
+
+    const fired = await alerts.evaluateAlerts();
+
+    // kraken 10 → 30 is +200%; okx is flat; bitstamp has no earlier snapshot
+    assert.deepEqual(fired.map(a => [a.rule.id, a.subject]), [[2, 'kraken USDG/USD']]);
+    assert.deepEqual(posts, [{
+      url: '/slack',
+      body: { text: ':rotating_light: Spread jump — kraken USDG/USD: depth.spread_bps rose 200.0% in 6h (10 → 30), threshold 100%' }
+    }]);
+    assert.equal(db.depthQueries[0][0], 6);
+  });
+
+  it('reads CEX books unless the rule asks for DEX pools', async () => {
+    db.rules = [
+      ruleRow(4, { name: 'CEX', condition: 'below', threshold: 0, channels: [] }),
+      ruleRow(5, { name: 'DEX', condition: 'below', threshold: 0, params: { venueType: 'dex' }, channels: [] })
+    ];
+    await alerts.evaluateAlerts();
+    assert.deepEqual(db.depthQueries.map(p => p[3]), ['cex', 'dex']);
+  });
+
+  it('stays quiet during the cooldown', async () => {
+    db.rules = [ruleRow(6, {
+      name: 'Wide spread', condition: 'above', threshold: 20,
+      channels: [{ type: 'webhook', url: `${base}/hook` }]
+    })];
+    db.cooling.add('6 kraken USDG/USD');
+
+    const fired = await alerts.evaluateAlerts();
+
+    assert.deepEqual(fired.map(a => a.subject), ['bitstamp USDG/USD']);
+    assert.equal(posts.length, 1);
+  });
+
+  it('sends email over SMTP', async () => {
+    db.rules = [ruleRow(7, {
+      name: 'Wide spread', condition: 'above', threshold: 35,
+      channels: [{ type: 'email', to: 'desk@example.com' }]
+    })];
+
+    await alerts.evaluateAlerts();
+
+    assert.equal(mails.length, 1);
+    const [mail] = mails;
+    assert.equal(mail.from, '<alerts@example.com>');
+    assert.deepEqual(mail.to, ['<desk@example.com>']);
+    assert.match(mail.data, /^Subject: \[USDG Alert\] Wide spread: bitstamp USDG\/USD$/m);
+    assert.match(mail.data, /^From: alerts@example\.com$/m);
+    assert.match(mail.data, /^To: desk@example\.com$/m);
+    assert.match(mail.data, /bitstamp USDG\/USD: depth\.spread_bps is 40, above 35/);
+    assert.match(mail.data, /Triggered at \d{4}-\d{2}-\d{2}T/);
+    assert.deepEqual(db.events[0].deliveries, [{ type: 'email', ok: true }]);
+  });
+
+  it('records a failing channel without blocking the others', async () => {
+    db.rules = [ruleRow(8, {
+      name: 'Wide spread', condition: 'above', threshold: 35,
+      channels: [{ type: 'webhook', url: `${base}/broken` }, { type: 'slack', url: `${base}/slack` }]
+    })];
+
+    await alerts.evaluateAlerts();
+
+    assert.deepEqual(posts.map(p => p.url).sort(), ['/broken', '/slack']);
+    const [broken, slack] = db.events[0].deliveries;
+    assert.equal(broken.ok, false);
+    assert.match(broken.error, /500/);
+    assert.deepEqual(slack, { type: 'slack', ok: true });
+  });
+});
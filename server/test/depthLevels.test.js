@@ -0,0 +1,83 @@
+/**
+ * Depth bands recomputed from stored (truncated) books: bands past the
+ * book's reach are stored as null, and a call recomputes at most `limit`
+ * snapshots. Postgres is stubbed.
+ */
+
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const pool = require('../db/pool');
+const { bookReachBps } = require('../utils/depthCalculator');
+const depthLevels = require('../depthLevels');
+
+// Ten levels a side, 1 bps apart around a mid of 1: reaches 10 bps each way
+const BOOK = {
+  bids: Array.from({ length: 10 }, (_, i) => [1 - (i + 1) / 10000, 1000]),
+  asks: Array.from({ length: 10 }, (_, i) => [1 + (i + 1) / 10000, 1000])
+};
+
+const db = { snapshots: [], inserts: [] };
+
+async function query(sql, params = []) {
+  if (sql.includes('SELECT d.id')) {
+    return { rows: db.snapshots.filter(s => params[0].includes(s.id)).map(s => ({ id: s.id })) };
+  }
+  if (sql.includes('SELECT id, bids, asks')) {
+    return { rows: db.snapshots.filter(s => params[0].includes(s.id)) };
+  }
+  if (sql.includes('INSERT INTO depth_levels')) {
+    db.inserts.push(params);
+    return { rowCount: params[0].length };
+  }
+  throw new Error(`Unexpected query: ${sql.slice(0, 60)}`);
+}
+
+describe('depthLevels', () => {
+  before(() => mock.method(pool, 'query', query));
+
+  after(async () => {
+    mock.restoreAll();
+    await pool.end();
+  });
+
+  beforeEach(() => {
+    db.inserts.length = 0;
+    db.snapshots = [1, 2, 3].map(id => ({ id, ...BOOK, bid_reach_bps: null, ask_reach_bps: null }));
+  });
+
+  it('measures the reach of each side from mid', () => {
+    const { bidReachBps, askReachBps } = bookReachBps(BOOK.bids, BOOK.asks);
+    assert.ok(Math.abs(bidReachBps - 10) < 1e-9);
+    assert.ok(Math.abs(askReachBps - 10) < 1e-9);
+  });
+
+  it('nulls bands past the reach', () => {
+    assert.deepEqual(depthLevels.withinReach({ 5: 100, 10: 200, 25: 300 }, 10), { 5: 100, 10: 200, 25: null });
+  });
+
+  it('stores levels past the book as null in one insert per batch', async () => {
+    const result = await depthLevels.ensureLevels([1], [5, 25]);
+
+    assert.deepEqual(result, { recomputed: 1, pending: 0 });
+    assert.equal(db.inserts.length, 1);
+    const [ids, sides, bps, notional] = db.inserts[0];
+    const stored = Object.fromEntries(ids.map((id, i) => [`${sides[i]}:${bps[i]}`, notional[i]]));
+    assert.equal(stored['bid:25'], null);
+    assert.equal(stored['ask:25'], null);
+    assert.ok(stored['bid:5'] > 0 && stored['ask:5'] > 0);
+  });
+
+  it('uses the stored reach when there is one', async () => {
+    db.snapshots[0] = { ...db.snapshots[0], bid_reach_bps: 4, ask_reach_bps: 10 };
+    await depthLevels.ensureLevels([1], [5]);
+    const [, sides, , notional] = db.inserts[0];
+    assert.deepEqual(sides.map((side, i) => [side, notional[i] === null]), [['bid', true], ['ask', false]]);
+  });
+
+  it('recomputes at most `limit` snapshots and reports the rest', async () => {
+    const result = await depthLevels.ensureLevels([1, 2, 3], [25], { limit: 2 });
+    assert.deepEqual(result, { recomputed: 2, pending: 1 });
+    assert.deepEqual([...new Set(db.inserts[0][0])], [1, 2]);
+  });
+});
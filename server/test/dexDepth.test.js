@@ -0,0 +1,167 @@
+/**
+ * DEX pool math and the synthetic books built from it, on a Curve, an Orca
+ * and a Uniswap v3 pool state in the shape the services' getPoolState()
+ * returns (fixtures/poolStates.json).
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const stableswap = require('../dexDepth/stableswap');
+const concentrated = require('../dexDepth/concentrated');
+const { MAX_BPS, buildBook, simulatePoolImpact } = require('../dexDepth');
+const POOL_STATES = require('./fixtures/poolStates.json');
+
+const [curve, orca, uniswap] = POOL_STATES;
+const asPool = p => ({ state: p.state, invert: !p.baseIsToken0, feeRate: p.feeRate });
+
+function assertClose(actual, expected, relTol, message) {
+  const scale = Math.max(Math.abs(expected), 1e-12);
+  assert.ok(Math.abs(actual - expected) / scale <= relTol, `${message}: ${actual} vs ${expected}`);
+}
+
+describe('stableswap', () => {
+  const { balances: [x, y], A } = curve.state;
+  const Ann = A * 2;
+  const D = stableswap.getD([x, y], A);
+
+  it('finds D satisfying the invariant', () => {
+    assertClose(Ann * (x + y) + D, Ann * D + D ** 3 / (4 * x * y), 1e-12, 'invariant');
+  });
+
+  it('getY recovers the other balance', () => {
+    assertClose(stableswap.getY(x, D, A), y, 1e-12, 'y');
+  });
+
+  it('marginal price is -dy/dx along the invariant', () => {
+    const h = x * 1e-7;
+    const slope = (stableswap.getY(x - h, D, A) - stableswap.getY(x + h, D, A)) / (2 * h);
+    assertClose(stableswap.marginalPrice(x, y, D, A), slope, 1e-6, 'price');
+  });
+
+  it('amountsBetween leaves the pool at the target price', () => {
+    const spot = stableswap.spotPrice(curve.state);
+    const target = spot * 0.995;
+    const { amount0, amount1 } = stableswap.amountsBetween(curve.state, spot, target);
+    // The price of coin 0 falls as coin 0 is sold into the pool
+    const after = { ...curve.state, balances: [x + amount0, y - amount1] };
+    assertClose(stableswap.spotPrice(after), target, 1e-6, 'price after the move');
+    assertClose(stableswap.getD(after.balances, A), D, 1e-9, 'D after the move');
+  });
+});
+
+describe('concentrated', () => {
+  it('ticksForBps covers the move', () => {
+    for (const bps of [1, 10, 100, 1000]) {
+      const n = concentrated.ticksForBps(bps);
+      assert.ok(Math.pow(1.0001, -n) <= 1 - bps / 10000);
+      assert.ok(Math.pow(1.0001, -(n - 1)) > 1 - bps / 10000);
+    }
+  });
+
+  it('walks liquidityNet across initialized ticks', () => {
+    const ranges = concentrated.liquidityRanges(orca.state);
+    const at = tick => ranges.find(r => r.lower <= concentrated.tickToSqrtPrice(tick) && concentrated.tickToSqrtPrice(tick) < r.upper).liquidity;
+    assert.equal(at(-500), 2e13);
+    assert.equal(at(-8), 4e13);
+    assert.equal(at(0), 5e13);
+    assert.equal(at(7), 4e13);
+    assert.equal(at(500), 2e13);
+    assertClose(ranges[0].lower, concentrated.tickToSqrtPrice(orca.state.tickLower), 1e-12, 'lower bound');
+    assertClose(ranges[ranges.length - 1].upper, concentrated.tickToSqrtPrice(orca.state.tickUpper), 1e-12, 'upper bound');
+  });
+
+  it('matches the single-range closed form', () => {
+    const { state } = orca;
+    const spot = concentrated.spotPrice(state);
+    const target = spot * 1.0004; // stays below tick 4
+    const { amount0, amount1 } = concentrated.amountsBetween(state, spot, target);
+    const a = state.sqrtPrice;
+    const b = Math.sqrt(target);
+    assertClose(amount0, state.liquidity * (1 / a - 1 / b) / 1e6, 1e-9, 'amount0');
+    assertClose(amount1, state.liquidity * (b - a) / 1e6, 1e-9, 'amount1');
+  });
+
+  it('returns null outside the range read', () => {
+    const spot = concentrated.spotPrice(orca.state);
+    assert.equal(concentrated.amountsBetween(orca.state, spot, spot * 1.2), null);
+  });
+});
+
+describe('buildBook', () => {
+  for (const p of POOL_STATES) {
+    it(`${p.venue} ${p.name}: ordered sides around mid, spread about twice the fee`, () => {
+      const { bids, asks } = buildBook(asPool(p));
+      assert.ok(bids.length > 0 && asks.length > 0);
+      for (let i = 1; i < bids.length; i++) assert.ok(bids[i][0] < bids[i - 1][0]);
+      for (let i = 1; i < asks.length; i++) assert.ok(asks[i][0] > asks[i - 1][0]);
+      const mid = (bids[0][0] + asks[0][0]) / 2;
+      const spreadBps = (asks[0][0] - bids[0][0]) / mid * 10000;
+      // First level spans 1 bps of price move on each side
+      assert.ok(spreadBps > 2 * p.feeRate * 10000 && spreadBps < 2 * p.feeRate * 10000 + 2.5, `spread ${spreadBps}`);
+    });
+  }
+
+  it('quotes an inverted pool in its base token', () => {
+    const { bids, asks } = buildBook(asPool(uniswap));
+    const mid = (bids[0][0] + asks[0][0]) / 2;
+    assertClose(mid, 1 / 2500, 1e-3, 'WETH per USDG');
+  });
+
+  it('holds what the pool trades between the band edges', () => {
+    const { bids } = buildBook(asPool(curve));
+    const spot = stableswap.spotPrice(curve.state);
+    const within100 = bids.slice(0, 100).reduce((s, [, qty]) => s + qty, 0);
+    assertClose(within100, stableswap.amountsBetween(curve.state, spot, spot * 0.99).amount0, 1e-6, 'bid base to 100 bps');
+  });
+
+  it('stops at the edge of the tick range read', () => {
+    // One tick array either side instead of the full MAX_BPS range
+    const narrow = { ...orca, state: { ...orca.state, tickLower: -88, tickUpper: 88 } };
+    const { bids, asks } = buildBook(asPool(narrow));
+    const mid = concentrated.spotPrice(narrow.state);
+    const rangeTop = Math.pow(1.0001, narrow.state.tickUpper);
+    const edgeBps = Math.floor((rangeTop / mid - 1) * 10000);
+    assert.equal(asks.length, edgeBps);
+    assert.ok(asks[asks.length - 1][0] <= rangeTop / (1 - narrow.feeRate));
+    assert.ok(bids.length < MAX_BPS);
+  });
+});
+
+describe('simulatePoolImpact', () => {
+  it('fills a small order near mid plus the fee', () => {
+    const impact = simulatePoolImpact(asPool(curve), 'buy', 1000);
+    assert.equal(impact.complete, true);
+    assertClose(impact.filledNotional, 1000, 1e-9, 'notional');
+    assert.ok(impact.slippageBps > 3.99 && impact.slippageBps < 4.1, `slippage ${impact.slippageBps}`);
+    assert.equal(impact.levelsConsumed, null);
+  });
+
+  it('matches the closed form inside one liquidity range', () => {
+    const { state, feeRate } = orca;
+    const size = 1000;
+    const impact = simulatePoolImpact(asPool(orca), 'buy', size);
+    const a = state.sqrtPrice;
+    const b = a + (size * (1 - feeRate) * 1e6) / state.liquidity;
+    const base = state.liquidity * (1 / a - 1 / b) / 1e6;
+    assertClose(impact.filledQty, base, 1e-6, 'base bought');
+    assertClose(impact.avgPrice, size / base, 1e-6, 'average price');
+    assert.ok(impact.worstPrice >= impact.avgPrice);
+  });
+
+  it('sells the inverted pool in base terms', () => {
+    const impact = simulatePoolImpact(asPool(uniswap), 'sell', 1);
+    assert.equal(impact.complete, true);
+    assertClose(impact.midPrice, 1 / 2500, 1e-3, 'mid');
+    assert.ok(impact.avgPrice < impact.midPrice);
+    assertClose(impact.filledQty * impact.avgPrice, 1, 1e-9, 'quote received');
+  });
+
+  it('reports a partial fill when the range read runs out', () => {
+    const impact = simulatePoolImpact(asPool(orca), 'buy', 1e12);
+    assert.equal(impact.complete, false);
+    assert.ok(impact.filledNotional > 0 && impact.filledNotional < 1e12);
+    const full = simulatePoolImpact(asPool(orca), 'buy', impact.filledNotional * 0.999);
+    assert.equal(full.complete, true);
+  });
+});
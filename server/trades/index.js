@@ -0,0 +1,196 @@
+/**
+ * Public trades collector for USDG pairs.
+ *
+ * Every minute, pulls recent trades for each pair on venues declaring the
+ * `trades` capability and inserts them into cex_trades; trades already stored
+ * from an overlapping page are ignored. Kraken and Gate page forward from the
+ * previous run's cursor. The other venues only serve their latest page, so a
+ * busy pair can outrun the poll — when the oldest trade fetched is newer than
+ * the newest one stored, the possible gap is logged.
+ *
+ * Hourly analytics over the stored trades live in ./stats.
+ */
+
+const cron = require('node-cron');
+const pool = require('../db/pool');
+const exchanges = require('../exchanges');
+
+const RETENTION_MONTHS = parseInt(process.env.TRADES_RETENTION_MONTHS || '12', 10);
+
+// Base assets worth $1, for which trade size is already the USD value
+const STABLECOINS = ['USDG', 'USDT', 'USDC', 'USD', 'PYUSD'];
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// `${exchange}:${pair}` -> { cursor, lastTradeAt }, rebuilt from the DB after a restart
+const pairState = new Map();
+const knownPartitions = new Set();
+let collecting = false;
+
+// Same naming as cex_pair_daily, so trades and candles line up per pair
+function pairName(pair) {
+  return pair.displayName || pair.wsname || pair.symbol;
+}
+
+function monthOf(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 7);
+}
+
+function partitionName(month) {
+  return `cex_trades_${month.replace('-', '_')}`;
+}
+
+async function ensurePartition(month) {
+  if (knownPartitions.has(month)) return;
+  const [year, mon] = month.split('-').map(Number);
+  const next = new Date(Date.UTC(year, mon, 1)).toISOString().slice(0, 7);
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS ${partitionName(month)} PARTITION OF cex_trades
+     FOR VALUES FROM ('${month}-01 00:00:00+00') TO ('${next}-01 00:00:00+00')`
+  );
+  knownPartitions.add(month);
+}
+
+// Drop monthly partitions that ended more than RETENTION_MONTHS ago
+async function dropExpiredPartitions() {
+  const now = new Date();
+  const cutoff = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - RETENTION_MONTHS, 1))
+    .toISOString().slice(0, 7);
+
+  const result = await pool.query(
+    `SELECT c.relname AS name
+     FROM pg_inherits i
+     JOIN pg_class c ON c.oid = i.inhrelid
+     JOIN pg_class p ON p.oid = i.inhparent
+     WHERE p.relname = 'cex_trades'`
+  );
+
+  const dropped = [];
+  for (const { name } of result.rows) {
+    const match = name.match(/^cex_trades_(\d{4})_(\d{2})$/);
+    if (!match || `${match[1]}-${match[2]}` >= cutoff) continue;
+    await pool.query(`DROP TABLE IF EXISTS ${name}`);
+    knownPartitions.delete(`${match[1]}-${match[2]}`);
+    dropped.push(name);
+  }
+
+  if (dropped.length > 0) console.log(`[Trades] Dropped expired partitions: ${dropped.join(', ')}`);
+  return dropped;
+}
+
+async function insertTrades(exchange, pair, baseIsStable, trades) {
+  if (!trades.length) return 0;
+  for (const month of new Set(trades.map(t => monthOf(t.timestamp)))) {
+    await ensurePartition(month);
+  }
+
+  const result = await pool.query(
+    `INSERT INTO cex_trades (exchange, pair, trade_id, traded_at, price, size, usd_value, side)
+     SELECT $1, $2, id, ts, px, sz, usd, sd
+     FROM UNNEST($3::text[], $4::timestamptz[], $5::numeric[], $6::numeric[], $7::numeric[], $8::text[])
+       AS t(id, ts, px, sz, usd, sd)
+     ON CONFLICT DO NOTHING`,
+    [
+      exchange,
+      pair,
+      trades.map(t => t.tradeId),
+      trades.map(t => new Date(t.timestamp)),
+      trades.map(t => t.price),
+      trades.map(t => t.size),
+      trades.map(t => (baseIsStable ? t.size : t.size * t.price)),
+      trades.map(t => t.side)
+    ]
+  );
+  return result.rowCount;
+}
+
+async function getPairState(exchange, pair) {
+  const key = `${exchange}:${pair}`;
+  if (!pairState.has(key)) {
+    const result = await pool.query(
+      'SELECT MAX(traded_at) AS last FROM cex_trades WHERE exchange = $1 AND pair = $2',
+      [exchange, pair]
+    );
+    const last = result.rows[0].last;
+    pairState.set(key, { cursor: null, lastTradeAt: last ? last.getTime() : null });
+  }
+  return pairState.get(key);
+}
+
+async function collectPair(adapter, pair) {
+  const name = pairName(pair);
+  const state = await getPairState(adapter.id, name);
+
+  const { trades, cursor } = await adapter.service.getRecentTrades(pair.symbol, { since: state.cursor });
+  const valid = trades.filter(t => t.tradeId && isFinite(t.timestamp) && t.price > 0 && t.size > 0 &&
+    (t.side === 'buy' || t.side === 'sell'));
+
+  if (!state.cursor && state.lastTradeAt && valid.length > 0 && valid[0].timestamp > state.lastTradeAt) {
+    console.error(`[Trades] ${adapter.id} ${name}: possible gap between ` +
+      `${new Date(state.lastTradeAt).toISOString()} and ${new Date(valid[0].timestamp).toISOString()}`);
+  }
+
+  const { base } = adapter.parsePair(pair);
+  const inserted = await insertTrades(adapter.id, name, STABLECOINS.includes(base), valid);
+
+  if (cursor) state.cursor = cursor;
+  if (valid.length > 0) {
+    state.lastTradeAt = Math.max(state.lastTradeAt || 0, valid[valid.length - 1].timestamp);
+  }
+  return inserted;
+}
+
+/**
+ * Run one collection pass over every trades-capable venue.
+ * @returns {Promise<Object|null>} exchange -> trades inserted, or null if a pass is already running
+ */
+async function collectTrades() {
+  if (collecting) return null;
+  collecting = true;
+
+  const summary = {};
+  try {
+    for (const adapter of exchanges.listAdapters('trades')) {
+      summary[adapter.id] = 0;
+      try {
+        const pairs = await adapter.service.getUSDGPairs();
+        for (const pair of pairs) {
+          try {
+            summary[adapter.id] += await collectPair(adapter, pair);
+          } catch (err) {
+            console.error(`[Trades] ${adapter.id} ${pairName(pair)} failed:`, err.message);
+          }
+          await delay(adapter.rateLimitMs || 200);
+        }
+      } catch (err) {
+        console.error(`[Trades] ${adapter.id} pair list failed:`, err.message);
+      }
+    }
+  } finally {
+    collecting = false;
+  }
+
+  return summary;
+}
+
+/**
+ * Start the collector and the daily partition retention sweep
+ * @param {string} schedule - Cron schedule expression (default: every minute)
+ */
+function startScheduler(schedule = '* * * * *') {
+  console.log(`[Trades] Scheduling trades collector: ${schedule} UTC`);
+
+  cron.schedule(schedule, () => {
+    collectTrades().catch(err => console.error('[Trades] Collection failed:', err.message));
+  }, { timezone: 'UTC' });
+
+  cron.schedule('30 0 * * *', () => {
+    dropExpiredPartitions().catch(err => console.error('[Trades] Retention sweep failed:', err.message));
+  }, { timezone: 'UTC' });
+}
+
+module.exports = {
+  collectTrades,
+  dropExpiredPartitions,
+  startScheduler
+};
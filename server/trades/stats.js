@@ -0,0 +1,151 @@
+/**
+ * Hourly trade analytics over cex_trades.
+ *
+ * Per hour: trade count, volume, VWAP, taker buy/sell split and imbalance,
+ * average/median trade size and large-trade count/share. A high large-trade
+ * share with few trades means volume is coming from a handful of block trades
+ * rather than organic flow.
+ */
+
+const pool = require('../db/pool');
+
+const DEFAULT_HOURS = 24;
+const MAX_HOURS = 24 * 31;
+const DEFAULT_LARGE_TRADE_USD = 50000;
+
+const num = (v) => (v === null || v === undefined ? null : parseFloat(v));
+
+function formatRow(row) {
+  const trades = parseInt(row.trades, 10);
+  const usdVolume = num(row.usd_volume) || 0;
+  const buyUsd = num(row.buy_usd) || 0;
+  const sellUsd = num(row.sell_usd) || 0;
+  const largeUsd = num(row.large_usd) || 0;
+
+  return {
+    trades,
+    baseVolume: num(row.base_volume) || 0,
+    usdVolume,
+    vwap: num(row.vwap),
+    buyUsd,
+    sellUsd,
+    // (buy - sell) / (buy + sell): +1 all taker buys, -1 all taker sells
+    imbalance: usdVolume > 0 ? (buyUsd - sellUsd) / (buyUsd + sellUsd) : null,
+    avgTradeUsd: trades > 0 ? usdVolume / trades : null,
+    medianTradeUsd: num(row.median_trade_usd),
+    maxTradeUsd: num(row.max_trade_usd),
+    largeTrades: parseInt(row.large_trades, 10),
+    largeTradeUsd: largeUsd,
+    largeTradeShare: usdVolume > 0 ? largeUsd / usdVolume : null
+  };
+}
+
+function emptyHour(hour) {
+  return formatRow({ hour, trades: 0, large_trades: 0 });
+}
+
+function normalizePair(pair) {
+  return String(pair || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Resolve a pair as given in a URL ("USDG/USDT", "USDG-USDT", "usdgusdt")
+ * to the name stored in cex_trades. Returns null if nothing is stored.
+ */
+async function resolvePair(exchange, pair) {
+  const result = await pool.query(
+    `SELECT DISTINCT pair FROM cex_trades
+     WHERE exchange = $1 AND traded_at > NOW() - make_interval(days => 31)`,
+    [exchange]
+  );
+  const wanted = normalizePair(pair);
+  return result.rows.map(r => r.pair).find(p => normalizePair(p) === wanted) || null;
+}
+
+/**
+ * Stored pairs with trade counts over the last 24 hours and the latest trade time
+ */
+async function listTradedPairs() {
+  const result = await pool.query(
+    `SELECT exchange, pair,
+            COUNT(*) FILTER (WHERE traded_at > NOW() - INTERVAL '24 hours') AS trades_24h,
+            MAX(traded_at) AS last_trade_at
+     FROM cex_trades
+     WHERE traded_at > NOW() - INTERVAL '7 days'
+     GROUP BY exchange, pair
+     ORDER BY exchange, pair`
+  );
+  return result.rows.map(r => ({
+    exchange: r.exchange,
+    pair: r.pair,
+    trades24h: parseInt(r.trades_24h, 10),
+    lastTradeAt: r.last_trade_at
+  }));
+}
+
+function validateStatsQuery(query) {
+  const hours = query.hours === undefined ? DEFAULT_HOURS : Number(query.hours);
+  const largeTradeUsd = query.largeTradeUsd === undefined ? DEFAULT_LARGE_TRADE_USD : Number(query.largeTradeUsd);
+
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_HOURS) {
+    throw new Error(`hours must be an integer between 1 and ${MAX_HOURS}`);
+  }
+  if (!isFinite(largeTradeUsd) || largeTradeUsd <= 0) {
+    throw new Error('largeTradeUsd must be a positive number');
+  }
+  return { hours, largeTradeUsd };
+}
+
+/**
+ * Hourly stats for the last `hours` hours (the current hour included, so it
+ * is partial), plus a summary over the whole window. Hours without trades
+ * are filled with zero counts so the series is continuous.
+ */
+async function getHourlyStats(exchange, pair, { hours = DEFAULT_HOURS, largeTradeUsd = DEFAULT_LARGE_TRADE_USD } = {}) {
+  const result = await pool.query(
+    `SELECT date_trunc('hour', traded_at) AS hour,
+            COUNT(*) AS trades,
+            SUM(size) AS base_volume,
+            SUM(usd_value) AS usd_volume,
+            SUM(price * size) / NULLIF(SUM(size), 0) AS vwap,
+            SUM(usd_value) FILTER (WHERE side = 'buy') AS buy_usd,
+            SUM(usd_value) FILTER (WHERE side = 'sell') AS sell_usd,
+            percentile_cont(0.5) WITHIN GROUP (ORDER BY usd_value) AS median_trade_usd,
+            MAX(usd_value) AS max_trade_usd,
+            COUNT(*) FILTER (WHERE usd_value >= $4) AS large_trades,
+            SUM(usd_value) FILTER (WHERE usd_value >= $4) AS large_usd
+     FROM cex_trades
+     WHERE exchange = $1 AND pair = $2
+       AND traded_at >= date_trunc('hour', NOW()) - make_interval(hours => $3 - 1)
+     GROUP BY GROUPING SETS ((date_trunc('hour', traded_at)), ())`,
+    [exchange, pair, hours, largeTradeUsd]
+  );
+
+  const totalRow = result.rows.find(r => r.hour === null);
+  const byHour = new Map(result.rows.filter(r => r.hour !== null).map(r => [r.hour.getTime(), r]));
+
+  const currentHour = new Date();
+  currentHour.setUTCMinutes(0, 0, 0);
+  const hourly = [];
+  for (let i = hours - 1; i >= 0; i--) {
+    const hour = currentHour.getTime() - i * 60 * 60 * 1000;
+    const row = byHour.get(hour);
+    hourly.push({ hour: new Date(hour).toISOString(), ...(row ? formatRow(row) : emptyHour(hour)) });
+  }
+
+  return {
+    exchange,
+    pair,
+    hours,
+    largeTradeUsd,
+    summary: totalRow ? formatRow(totalRow) : emptyHour(null),
+    hourly
+  };
+}
+
+module.exports = {
+  resolvePair,
+  listTradedPairs,
+  validateStatsQuery,
+  getHourlyStats
+};
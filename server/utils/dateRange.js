@@ -0,0 +1,34 @@
+/**
+ * Optional ?start=&end= day bounds for history endpoints that serve a whole
+ * table unless a window is asked for. Days are YYYY-MM-DD (UTC), both ends
+ * inclusive, matching the client's date-range model.
+ */
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Epoch ms of a YYYY-MM-DD calendar date (UTC), NaN for anything else ('2026-02-31' included)
+function parseDay(value) {
+  const ms = DATE_RE.test(value) ? Date.parse(`${value}T00:00:00Z`) : NaN;
+  return !isNaN(ms) && new Date(ms).toISOString().startsWith(value) ? ms : NaN;
+}
+
+/**
+ * Throws an Error with a user-facing message on a malformed or reversed range.
+ * @returns {{ start: string|null, end: string|null }} null where unbounded
+ */
+function parseDateRange(query) {
+  const bounds = { start: query.start ?? null, end: query.end ?? null };
+  for (const [name, value] of Object.entries(bounds)) {
+    if (value !== null && isNaN(parseDay(value))) throw new Error(`${name} must be a YYYY-MM-DD date`);
+  }
+  if (bounds.start && bounds.end && bounds.start > bounds.end) throw new Error('start must not be after end');
+  return bounds;
+}
+
+// Rows ({ date: 'YYYY-MM-DD' }) inside a parsed range
+function filterByDate(rows, { start, end }) {
+  if (!start && !end) return rows;
+  return rows.filter(r => (!start || r.date >= start) && (!end || r.date <= end));
+}
+
+module.exports = { parseDay, parseDateRange, filterByDate };
@@ -4,6 +4,9 @@
 
 const STABLECOINS = ['USDG', 'USDT', 'USDC', 'USD', 'EUR'];
 
+// Levels per side kept when a book is stored with a depth snapshot
+const BOOK_LEVELS = parseInt(process.env.DEPTH_BOOK_LEVELS || '100', 10);
+
 /**
  * Classify a pair as 'stablecoin' or 'risk'
  */
@@ -16,6 +19,16 @@ function classifyPair(base, quote) {
   return 'risk';
 }
 
+// 'USDG/USDT', 'USDG-USD', 'USDG_USDT', 'USDGUSDT' -> { base, quote }
+function splitPair(pair) {
+  const parts = String(pair).toUpperCase().split(/[/\-_]/);
+  if (parts.length === 2) return { base: parts[0], quote: parts[1] };
+  const s = parts[0];
+  if (s.startsWith('USDG')) return { base: 'USDG', quote: s.slice(4) };
+  if (s.endsWith('USDG')) return { base: s.slice(0, -4), quote: 'USDG' };
+  return { base: s, quote: '' };
+}
+
 /**
  * Get BPS levels for a pair type
  */
@@ -71,9 +84,82 @@ function calculateDepthMetrics(bids, asks, bpsLevels) {
   return { midPrice, bestBid, bestAsk, spreadBps, bidDepth, askDepth };
 }
 
+/**
+ * Best `levels` price levels of each side, for storage
+ * @returns {{ bids: Array, asks: Array }}
+ */
+function truncateBook(bids, asks, levels = BOOK_LEVELS) {
+  return { bids: bids.slice(0, levels), asks: asks.slice(0, levels) };
+}
+
+/**
+ * How far each side of a (truncated) book reaches from mid, in bps: the
+ * distance of its last level. Bands wider than that can't be read from it.
+ * @returns {{ bidReachBps, askReachBps }}
+ */
+function bookReachBps(bids, asks) {
+  const midPrice = (bids[0][0] + asks[0][0]) / 2;
+  return {
+    bidReachBps: ((midPrice - bids[bids.length - 1][0]) / midPrice) * 10000,
+    askReachBps: ((asks[asks.length - 1][0] - midPrice) / midPrice) * 10000
+  };
+}
+
+/**
+ * Walk a book to fill a market order of `size` quote notional (USD for USDG
+ * pairs). A buy consumes asks, a sell consumes bids; slippage is the average
+ * fill's distance from mid in bps, positive when it costs the taker.
+ * @param {Array} bids - [[price, qty], ...] sorted descending by price
+ * @param {Array} asks - [[price, qty], ...] sorted ascending by price
+ * @param {'buy'|'sell'} side
+ * @param {number} size - Quote notional to fill
+ * @returns {{ midPrice, filledNotional, filledQty, avgPrice, worstPrice, slippageBps, levelsConsumed, levelsAvailable, complete }}
+ */
+function simulateImpact(bids, asks, side, size) {
+  const midPrice = (bids[0][0] + asks[0][0]) / 2;
+  const levels = side === 'buy' ? asks : bids;
+
+  let remaining = size;
+  let filledQty = 0;
+  let levelsConsumed = 0;
+  let worstPrice = null;
+  for (const [price, qty] of levels) {
+    if (remaining <= 0) break;
+    const take = Math.min(qty, remaining / price);
+    filledQty += take;
+    remaining -= take * price;
+    levelsConsumed++;
+    worstPrice = price;
+  }
+
+  const filledNotional = size - Math.max(remaining, 0);
+  const avgPrice = filledQty > 0 ? filledNotional / filledQty : null;
+  const slippageBps = avgPrice === null
+    ? null
+    : ((side === 'buy' ? avgPrice - midPrice : midPrice - avgPrice) / midPrice) * 10000;
+
+  return {
+    midPrice,
+    filledNotional,
+    filledQty,
+    avgPrice,
+    worstPrice,
+    slippageBps,
+    levelsConsumed,
+    levelsAvailable: levels.length,
+    // Float dust from the last level shouldn't read as a partial fill
+    complete: remaining <= size * 1e-9
+  };
+}
+
 module.exports = {
   STABLECOINS,
+  BOOK_LEVELS,
   classifyPair,
+  splitPair,
   getBpsLevels,
-  calculateDepthMetrics
+  calculateDepthMetrics,
+  truncateBook,
+  bookReachBps,
+  simulateImpact
 };
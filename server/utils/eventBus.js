@@ -0,0 +1,61 @@
+/**
+ * In-process event bus behind GET /api/stream.
+ *
+ * Event types and payloads:
+ *   depth     { timestamp, rows }   changed /api/depth rows: streamed venues as
+ *             they change, REST-polled venues and DEX pools on a timer
+ *   health    /api/depth/health response, when any venue's ok state flips
+ *   snapshot  { id, type, status, takenAt }   hourly DeFi snapshot finished
+ *   alert     the alert as delivered to channels (see server/alerts)
+ *   supply    { asset, date }   a new daily supply reading was stored
+ *   aave      /api/aave/usdg response, on each fresh on-chain read
+ *
+ * The last RECENT_LIMIT events are kept so a reconnecting client can resume
+ * from its Last-Event-ID without missing anything.
+ */
+
+const { EventEmitter } = require('events');
+
+const EVENT_TYPES = ['depth', 'health', 'snapshot', 'alert', 'supply', 'aave'];
+const RECENT_LIMIT = 200;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const recent = [];
+let nextId = 1;
+
+function publish(type, data) {
+  if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown event type: ${type}`);
+  const event = { id: nextId++, type, data };
+  recent.push(event);
+  if (recent.length > RECENT_LIMIT) recent.shift();
+  emitter.emit('event', event);
+  return event;
+}
+
+/**
+ * @param {Function} listener - Called with { id, type, data }
+ * @returns {Function} unsubscribe
+ */
+function subscribe(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+function subscriberCount() {
+  return emitter.listenerCount('event');
+}
+
+// Buffered events newer than lastId (all buffered events if lastId is older than the buffer)
+function eventsSince(lastId) {
+  return recent.filter(e => e.id > lastId);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  publish,
+  subscribe,
+  subscriberCount,
+  eventsSince
+};
@@ -0,0 +1,42 @@
+/**
+ * Response cache for routes keyed by query parameters.
+ *
+ * Keys come from the client, so the cache is capped: least recently used
+ * out first (a Map iterates in insertion order; a hit re-inserts its entry at
+ * the end), and expired entries are dropped whenever one is added.
+ */
+
+function createCache({ ttlMs, maxEntries }) {
+  const entries = new Map();
+  const isFresh = entry => Date.now() - entry.timestamp < ttlMs;
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (!isFresh(entry)) return null;
+      entries.set(key, entry);
+      return entry.data;
+    },
+
+    set(key, data) {
+      entries.delete(key);
+      for (const [k, entry] of entries) {
+        if (!isFresh(entry)) entries.delete(k);
+      }
+      while (entries.size >= maxEntries) entries.delete(entries.keys().next().value);
+      entries.set(key, { data, timestamp: Date.now() });
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+module.exports = { createCache };
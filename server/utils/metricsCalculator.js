@@ -1,34 +1,115 @@
 /**
  * Metrics calculator for USDG exchange volume dashboard
- * Used by daily logging job to calculate weekly trending metrics
+ * Used by the daily logging job and scripts/backfillMetrics.js
+ *
+ * Every metric is computed over an explicit calendar window of UTC dates
+ * ending on a reference date (`asOf`), never over "the last N array entries".
+ * A missing day therefore shows up as reduced coverage instead of silently
+ * pulling an older day into the window, and the same asOf always yields the
+ * same numbers regardless of when the calculation runs.
  */
 
+// Z-score magnitude at which a day's volume is flagged as anomalous
+const Z_SCORE_THRESHOLD = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(dateStr, days) {
+  return new Date(new Date(dateStr + 'T00:00:00Z').getTime() + days * DAY_MS).toISOString().split('T')[0];
+}
+
 /**
- * Calculate total volume for the last N days
+ * Index the daily series by date and resolve the reference date.
+ *
+ * asOf defaults to the last complete UTC day before `now`. If asOf is the
+ * current (partial) UTC day, `partialDay` decides what happens to it:
+ *   'exclude' - treated as missing (shows in coverage)
+ *   'prorate' - volumes scaled up to a full-day estimate by elapsed time
+ *
  * @param {Array} dailyVolume - Array of { date, volume, byExchange }
- * @param {number} days - Number of days to sum (default 7)
- * @returns {number} Total volume for the period
+ * @param {Object} [opts]
+ * @param {string} [opts.asOf] - Reference date YYYY-MM-DD (window end, inclusive)
+ * @param {Date} [opts.now] - Clock used to detect the partial day (default: now)
+ * @param {string} [opts.partialDay='exclude'] - 'exclude' | 'prorate'
+ * @returns {{ asOf: string, byDate: Map, partial: Object|null }}
  */
-function calculateNDayVolume(dailyVolume, days = 7) {
-  const lastNDays = dailyVolume.slice(-days);
-  return lastNDays.reduce((sum, day) => sum + day.volume, 0);
+function prepareSeries(dailyVolume, { asOf, now = new Date(), partialDay = 'exclude' } = {}) {
+  const today = now.toISOString().split('T')[0];
+  const ref = asOf || addDays(today, -1);
+  const byDate = new Map(dailyVolume.map(d => [d.date, d]));
+
+  let partial = null;
+  if (ref === today && byDate.has(today)) {
+    const fraction = (now.getTime() - new Date(today + 'T00:00:00Z').getTime()) / DAY_MS;
+    partial = { date: today, fraction, policy: partialDay };
+
+    if (partialDay === 'prorate' && fraction > 0) {
+      const day = byDate.get(today);
+      const byExchange = {};
+      for (const [ex, v] of Object.entries(day.byExchange || {})) byExchange[ex] = v / fraction;
+      byDate.set(today, { ...day, volume: day.volume / fraction, byExchange, prorated: true });
+    } else {
+      byDate.delete(today);
+    }
+  }
+
+  return { asOf: ref, byDate, partial };
 }
 
 /**
- * Count active exchanges (those with non-zero volume in the last 30 days)
- * @param {Array} dailyVolume - Array of { date, volume, byExchange }
+ * Calendar window of `days` UTC dates ending on asOf (inclusive)
+ * @param {Object} series - Result of prepareSeries
+ * @param {number} days - Window length
+ * @param {number} [offsetDays=0] - Shift the window back, e.g. 7 for "the week before"
+ * @returns {{ start: string, end: string, dates: string[], entries: Array }}
+ *   entries[i] is the day record for dates[i], or null if that day is missing
+ */
+function buildWindow(series, days, offsetDays = 0) {
+  const end = addDays(series.asOf, -offsetDays);
+  const dates = [];
+  for (let i = days - 1; i >= 0; i--) dates.push(addDays(end, -i));
+  return { start: dates[0], end, dates, entries: dates.map(d => series.byDate.get(d) || null) };
+}
+
+/**
+ * Days present vs expected in a window, overall or for one exchange
+ * @returns {{ expected: number, present: number, ratio: number, missing: string[] }}
+ */
+function windowCoverage(window, exchange) {
+  const missing = window.dates.filter((d, i) => {
+    const entry = window.entries[i];
+    return !entry || (exchange && entry.byExchange?.[exchange] === undefined);
+  });
+  const expected = window.dates.length;
+  return { expected, present: expected - missing.length, ratio: (expected - missing.length) / expected, missing };
+}
+
+// Values of the days present in a window (total, or one exchange)
+function windowValues(window, exchange) {
+  return window.entries
+    .filter(e => e && (!exchange || e.byExchange?.[exchange] !== undefined))
+    .map(e => (exchange ? e.byExchange[exchange] : e.volume));
+}
+
+/**
+ * Total volume over a calendar window (days present only)
+ * @param {Object} window - From buildWindow
+ * @returns {number} Total volume for the window
+ */
+function calculateNDayVolume(window) {
+  return windowValues(window).reduce((sum, v) => sum + v, 0);
+}
+
+/**
+ * Count active exchanges (those with non-zero volume in the window)
+ * @param {Object} window - From buildWindow (normally 30 days)
  * @param {Array} exchanges - List of exchange names
  * @returns {number} Count of active exchanges
  */
-function countActiveExchanges(dailyVolume, exchanges) {
-  const last30Days = dailyVolume.slice(-30);
-
-  return exchanges.filter(exchange => {
-    const totalVolume = last30Days.reduce((sum, day) => {
-      return sum + (day.byExchange?.[exchange] || 0);
-    }, 0);
-    return totalVolume > 0;
-  }).length;
+function countActiveExchanges(window, exchanges) {
+  return exchanges.filter(exchange =>
+    windowValues(window, exchange).reduce((sum, v) => sum + v, 0) > 0
+  ).length;
 }
 
 /**
@@ -41,22 +122,17 @@ function countTotalPairs(pairsByExchange) {
 }
 
 /**
- * Calculate 30-day average daily volume per exchange
- * @param {Array} dailyVolume - Array of { date, volume, byExchange }
+ * Average daily volume per exchange over the days it actually reported
+ * @param {Object} window - From buildWindow (normally 30 days)
  * @param {Array} exchanges - List of exchange names
  * @returns {Object} { exchangeName: averageVolume }
  */
-function calculateExchangeAverages(dailyVolume, exchanges) {
-  const last30Days = dailyVolume.slice(-30);
+function calculateExchangeAverages(window, exchanges) {
   const averages = {};
-
   for (const exchange of exchanges) {
-    const totalVolume = last30Days.reduce((sum, day) => {
-      return sum + (day.byExchange?.[exchange] || 0);
-    }, 0);
-    averages[exchange] = last30Days.length > 0 ? totalVolume / 30 : 0;
+    const values = windowValues(window, exchange);
+    averages[exchange] = values.length > 0 ? values.reduce((s, v) => s + v, 0) / values.length : 0;
   }
-
   return averages;
 }
 
@@ -76,34 +152,185 @@ function countExchangesByThreshold(exchangeAverages) {
 }
 
 /**
- * Calculate all metrics from aggregated data
- * @param {Object} aggregatedData - Data from /api/aggregated endpoint
- * @returns {Object} All calculated metrics
+ * Mean, median and (population) standard deviation of a list of numbers
+ * @param {number[]} values
+ * @returns {{ mean: number, median: number, stddev: number, count: number }}
  */
-function calculateAllMetrics(aggregatedData) {
+function describe(values) {
+  const n = values.length;
+  if (n === 0) return { mean: 0, median: 0, stddev: 0, count: 0 };
+
+  const mean = values.reduce((s, v) => s + v, 0) / n;
+  const sorted = [...values].sort((a, b) => a - b);
+  const median = n % 2 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+  const stddev = Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / n);
+
+  return { mean, median, stddev, count: n };
+}
+
+/**
+ * Rolling mean/median/stddev of daily total volume over a window
+ * @param {Object} window - From buildWindow
+ */
+function calculateRollingStats(window) {
+  return describe(windowValues(window));
+}
+
+/**
+ * Percent growth of a window over the same-length window before it. Compares
+ * average daily volume of the days present, so a missing day doesn't read as
+ * a drop.
+ * @returns {number|null} Percent change, or null if either window is empty
+ */
+function calculatePeriodGrowth(series, days) {
+  const current = windowValues(buildWindow(series, days));
+  const previous = windowValues(buildWindow(series, days, days));
+  if (!current.length || !previous.length) return null;
+
+  const currentAvg = current.reduce((s, v) => s + v, 0) / current.length;
+  const previousAvg = previous.reduce((s, v) => s + v, 0) / previous.length;
+  return previousAvg > 0 ? ((currentAvg - previousAvg) / previousAvg) * 100 : null;
+}
+
+/**
+ * Each exchange's share of total volume over a window
+ * @returns {Object} { exchangeName: share (0-1) }
+ */
+function calculateMarketShare(window, exchanges) {
+  const total = calculateNDayVolume(window);
+  const shares = {};
+
+  for (const exchange of exchanges) {
+    const volume = windowValues(window, exchange).reduce((sum, v) => sum + v, 0);
+    shares[exchange] = total > 0 ? volume / total : 0;
+  }
+
+  return shares;
+}
+
+/**
+ * Herfindahl-Hirschman Index from market shares, on the usual 0-10,000 scale
+ * (10,000 = one venue has all the volume; below 1,500 is unconcentrated)
+ * @param {Object} marketShare - { exchangeName: share (0-1) }
+ */
+function calculateHHI(marketShare) {
+  return Object.values(marketShare).reduce((sum, share) => sum + (share * 100) ** 2, 0);
+}
+
+/**
+ * Z-score of the asOf day's volume against the N days before it, for the
+ * total and for each exchange
+ * @returns {Object|null} { date, total: { value, mean, stddev, zScore, anomaly }, byExchange: { ... } }
+ *   null when the asOf day itself is missing
+ */
+function calculateZScores(series, exchanges, days = 30) {
+  const latest = series.byDate.get(series.asOf);
+  if (!latest) return null;
+  const baseline = buildWindow(series, days, 1);
+
+  const score = (value, history) => {
+    const { mean, stddev } = describe(history);
+    const zScore = stddev > 0 ? (value - mean) / stddev : 0;
+    return { value, mean, stddev, zScore, anomaly: Math.abs(zScore) >= Z_SCORE_THRESHOLD };
+  };
+
+  const byExchange = {};
+  for (const exchange of exchanges) {
+    if (latest.byExchange?.[exchange] === undefined) continue;
+    byExchange[exchange] = score(latest.byExchange[exchange], windowValues(baseline, exchange));
+  }
+
+  return {
+    date: series.asOf,
+    total: score(latest.volume, windowValues(baseline)),
+    byExchange
+  };
+}
+
+/**
+ * Rolling statistics, growth, concentration and anomaly flags
+ * @param {Object} series - Result of prepareSeries
+ * @param {Array} exchanges - List of exchange names
+ */
+function calculateStatistics(series, exchanges) {
+  const marketShare = calculateMarketShare(buildWindow(series, 30), exchanges);
+  const zScores = calculateZScores(series, exchanges, 30);
+
+  return {
+    rolling7Day: calculateRollingStats(buildWindow(series, 7)),
+    rolling30Day: calculateRollingStats(buildWindow(series, 30)),
+    growth: {
+      wow: calculatePeriodGrowth(series, 7),
+      mom: calculatePeriodGrowth(series, 30)
+    },
+    marketShare,
+    hhi: calculateHHI(marketShare),
+    zScores,
+    anomalies: zScores
+      ? [
+          ...(zScores.total.anomaly ? ['total'] : []),
+          ...Object.keys(zScores.byExchange).filter(ex => zScores.byExchange[ex].anomaly)
+        ]
+      : []
+  };
+}
+
+/**
+ * Calculate all metrics as of a reference date
+ * @param {Object} aggregatedData - { dailyVolume, exchanges, pairsByExchange }
+ * @param {Object} [opts] - { asOf, now, partialDay } — see prepareSeries
+ * @returns {Object} All calculated metrics, with a `coverage` entry per windowed metric
+ */
+function calculateAllMetrics(aggregatedData, opts = {}) {
   const { dailyVolume, exchanges, pairsByExchange } = aggregatedData;
+  const series = prepareSeries(dailyVolume, opts);
+  const window7 = buildWindow(series, 7);
+  const window30 = buildWindow(series, 30);
 
-  const volume7Day = calculateNDayVolume(dailyVolume, 7);
-  const volume30Day = calculateNDayVolume(dailyVolume, 30);
-  const activeExchanges = countActiveExchanges(dailyVolume, exchanges);
+  const volume7Day = calculateNDayVolume(window7);
+  const volume30Day = calculateNDayVolume(window30);
+  const activeExchanges = countActiveExchanges(window30, exchanges);
   const totalPairs = countTotalPairs(pairsByExchange);
-  const exchangeAverages = calculateExchangeAverages(dailyVolume, exchanges);
+  const exchangeAverages = calculateExchangeAverages(window30, exchanges);
   const exchangeThresholds = countExchangesByThreshold(exchangeAverages);
+  const statistics = calculateStatistics(series, exchanges);
+
+  const exchangeCoverage = {};
+  for (const exchange of exchanges) exchangeCoverage[exchange] = windowCoverage(window30, exchange);
 
   return {
+    asOf: series.asOf,
     volume7Day,
     volume30Day,
     activeExchanges,
     totalPairs,
-    exchangeThresholds
+    exchangeThresholds,
+    statistics,
+    coverage: {
+      volume7Day: { start: window7.start, end: window7.end, ...windowCoverage(window7) },
+      volume30Day: { start: window30.start, end: window30.end, ...windowCoverage(window30) },
+      exchangeAverages: exchangeCoverage,
+      partialDay: series.partial
+    }
   };
 }
 
 module.exports = {
+  Z_SCORE_THRESHOLD,
+  prepareSeries,
+  buildWindow,
+  windowCoverage,
   calculateNDayVolume,
   countActiveExchanges,
   countTotalPairs,
   calculateExchangeAverages,
   countExchangesByThreshold,
+  describe,
+  calculateRollingStats,
+  calculatePeriodGrowth,
+  calculateMarketShare,
+  calculateHHI,
+  calculateZScores,
+  calculateStatistics,
   calculateAllMetrics
 };
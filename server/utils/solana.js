@@ -0,0 +1,96 @@
+/**
+ * Solana address helpers: base58 and program-derived addresses (PDAs).
+ *
+ * A PDA is sha256(seeds ‖ bump ‖ programId ‖ "ProgramDerivedAddress") for
+ * the highest bump in 255..0 whose hash is not an ed25519 point, as in
+ * PublicKey.findProgramAddressSync.
+ */
+
+const crypto = require('crypto');
+
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const PDA_MARKER = Buffer.from('ProgramDerivedAddress');
+
+function base58Decode(str) {
+  let n = 0n;
+  for (const ch of str) {
+    const digit = ALPHABET.indexOf(ch);
+    if (digit < 0) throw new Error(`Invalid base58 character: ${ch}`);
+    n = n * 58n + BigInt(digit);
+  }
+  const bytes = [];
+  for (; n > 0n; n >>= 8n) bytes.unshift(Number(n & 0xffn));
+  // Each leading '1' is a leading zero byte
+  const zeros = str.length - str.replace(/^1+/, '').length;
+  return Buffer.from([...new Array(zeros).fill(0), ...bytes]);
+}
+
+function base58Encode(bytes) {
+  let n = BigInt('0x' + (Buffer.from(bytes).toString('hex') || '0'));
+  let out = '';
+  for (; n > 0n; n /= 58n) out = ALPHABET[Number(n % 58n)] + out;
+  for (const b of bytes) {
+    if (b !== 0) break;
+    out = '1' + out;
+  }
+  return out;
+}
+
+// ed25519 field and curve constant d
+const P = 2n ** 255n - 19n;
+const D = (-121665n * modInverse(121666n)) % P + P;
+
+function modPow(base, exp) {
+  let result = 1n;
+  base %= P;
+  for (; exp > 0n; exp >>= 1n) {
+    if (exp & 1n) result = (result * base) % P;
+    base = (base * base) % P;
+  }
+  return result;
+}
+
+function modInverse(x) {
+  return modPow(x, P - 2n);
+}
+
+/**
+ * Whether 32 bytes decompress to an ed25519 point: y (sign bit cleared) is on
+ * the curve when (y² − 1) / (d·y² + 1) has a square root mod p
+ */
+function isOnCurve(bytes) {
+  const le = Buffer.from(bytes).reverse();
+  le[0] &= 0x7f;
+  const y = BigInt('0x' + le.toString('hex')) % P;
+  const y2 = (y * y) % P;
+  const u = (y2 - 1n + P) % P;
+  const v = (D * y2 + 1n) % P;
+  const x = (u * modPow(v, 3n) % P) * modPow(u * modPow(v, 7n), (P - 5n) / 8n) % P;
+  const vx2 = (v * x * x) % P;
+  // v·x² = −u means x·√−1 is the root instead
+  return vx2 === u || vx2 === (P - u) % P;
+}
+
+/**
+ * @param {Array<Buffer|string>} seeds - Strings are taken as UTF-8
+ * @param {string} programId - base58
+ * @returns {string} base58 address
+ */
+function findProgramAddress(seeds, programId) {
+  const program = base58Decode(programId);
+  const parts = seeds.map(s => (Buffer.isBuffer(s) ? s : Buffer.from(s)));
+  for (let bump = 255; bump >= 0; bump--) {
+    const hash = crypto.createHash('sha256')
+      .update(Buffer.concat([...parts, Buffer.from([bump]), program, PDA_MARKER]))
+      .digest();
+    if (!isOnCurve(hash)) return base58Encode(hash);
+  }
+  throw new Error('No program address found for these seeds');
+}
+
+module.exports = {
+  base58Decode,
+  base58Encode,
+  isOnCurve,
+  findProgramAddress
+};